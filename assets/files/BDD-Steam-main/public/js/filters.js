@@ -3,31 +3,111 @@
  * Steam-like Games Browser (Frontend)
  * ------------------------------------------------------------
  * High-level overview
- * - Profiles: "kid" / "person1" / "person2". The active one is
- *   persisted in localStorage (PROFILE_KEY) and also sent to the backend
- *   so server-side filters can apply (e.g., kid-safe results).
+ * - Profiles: loaded from GET /api/profiles (key, name, role). The
+ *   active key is persisted in localStorage (PROFILE_KEY) and sent to the
+ *   backend, which resolves the profile's content-safety policy ("child"
+ *   profiles always have one) and filters every query with it.
  *
- * - Favorites: per-profile list saved in localStorage under key
- *   `${FAV_KEY_BASE}:${CURRENT_PROFILE}`. Used by the "favorites"
- *   and "recommendations" categories.
+ * - Safety guard: the same policy, compiled to rules by the server
+ *   (GET /api/profiles/:key/safety-policy), is evaluated again here before
+ *   anything is rendered (SAFETY_RULES / findSafetyViolation).
+ *
+ * - Favorites: per-profile list stored server-side and mirrored in the
+ *   FAVORITES Set so card rendering stays synchronous. Lists left in
+ *   localStorage by older versions (`${FAV_KEY_BASE}:${CURRENT_PROFILE}`)
+ *   are imported once, then removed. Used by the "favorites" and
+ *   "recommendations" categories.
+ *
+ * - Collections: named, ordered lists with a note per game, one nav button
+ *   each (category = collection id, browsed with the "collection" sort).
+ *   A shared collection opens read-only at /shared/<token>.
+ *
+ * - Prices: cards draw a sparkline of the last recorded prices
+ *   (`price_stats.recent`) and a deal badge; the 🔔 button adds a game to
+ *   the profile's watch list (WATCHLIST mirror, optional target price).
+ *   Watched games on a deal or under target are announced on load.
+ *
+ * - URL state: the filters, sort, category, page size and page cursor live
+ *   in the query string ("?genre=Action&sort=price-asc&page=2&after=..."),
+ *   so a refresh or a shared link reopens the same search; every search
+ *   pushes a history entry and back/forward restore the previous ones
+ *   (popstate). The profile is not part of it: links open under the
+ *   visitor's own profile and safety policy.
+ *
+ * - Saved searches: named query strings per profile, listed in the
+ *   #saved-searches sidebar; clicking one restores its state.
+ *
+ * - Game pages: /game/<appid> (served by the server's SPA fallback) shows
+ *   one game in #game-view instead of the results: full description,
+ *   media, tag weights, languages, scores and the profile's GOTY places.
+ *   Card titles link there; back returns to the results.
+ *
+ * - Compare: the ⇄ button pins up to COMPARE_MAX games to the tray
+ *   (#compare-tray, kept per profile in localStorage); /compare?appids=...
+ *   shows them side by side in #compare-view with the differences marked.
+ *
+ * - Statistics: /stats (#stats-link) draws the server's aggregation presets
+ *   as SVG charts in #stats-view, computed over the games the active
+ *   profile may see.
+ *
+ * - Query builder: /query (#query-link, signed-in unrestricted profiles)
+ *   edits $match/$group/$sort/$project stages in #query-view with fields
+ *   suggested from the Game schema and the distinct lists. Every pipeline
+ *   goes through the server's own validatePipeline() (imported from
+ *   /js/shared/aggregationPolicy.js) before a preview of its first rows is
+ *   requested; named pipelines are saved per profile.
  *
  * - Backend endpoints this file talks to:
  *   • POST /api/games/search         -> search & pagination
  *   • GET  /api/games/distinct/:kind -> distinct values (genres/languages/developers)
- *   • POST /api/games/goty/set       -> set GOTY (Game of the Year)
+ *   • POST /api/games/facets         -> per-value counts shown in the filter selects
+ *   • POST /api/games/recommendations -> scored recommendations grouped by favorite
+ *   • GET  /api/games/:id/similar    -> "Similar games" carousel in the card details
+ *   • GET  /api/games/:id?profile=   -> game page (document + GOTY places)
+ *   • POST /api/games/compare        -> pinned games for the /compare view
+ *   • GET  /api/games/stats[/:preset] -> statistics presets and their data (/stats)
+ *   • GET  /api/games/fields         -> Game schema fields (query builder)
+ *   • POST /api/games/agg            -> query builder preview (/query)
+ *   • POST /api/games/goty/set       -> set a GOTY ballot place (rank 1..3)
  *   • POST /api/games/goty/unset     -> unset GOTY
+ *   • GET  /api/games/goty/timeline|compare|leaderboard -> GOTY modal tabs
+ *   • GET  /api/games/goty/export    -> JSON/CSV download links
+ *   • GET  /api/audit?entity=goty    -> "changed by X on date" ballot history
+ *   • GET  /api/profiles             -> profile switcher entries
+ *   • GET  /api/profiles/:key/safety-policy -> safety rules for the client guard
+ *   • GET/PUT/DELETE /api/profiles/:key/favorites[/:appid] -> favorites
+ *   • POST /api/profiles/:key/favorites/import -> one-shot localStorage import
+ *   • GET/PUT/DELETE /api/profiles/:key/watchlist[/:appid] -> price watch list
+ *   • GET/POST/PATCH/DELETE /api/collections[/:id] -> per-profile collections
+ *   • PUT/DELETE /api/collections/:id/entries/:appid -> entry notes & order
+ *   • GET/POST/DELETE /api/saved-searches[/:id] -> saved searches sidebar and
+ *     saved queries of the builder (kind=aggregation)
+ *   • POST/DELETE /api/collections/:id/share -> read-only share link
+ *   • GET  /api/collections/shared/:token -> shared view (/shared/<token>)
+ *   • POST /api/auth/login|logout, GET /api/auth/me -> session (httpOnly cookie)
+ *
+ * - Session: browsing is anonymous; writes (favorites, GOTY) need a signed-in
+ *   account with access to the active profile. 401/403 answers are turned
+ *   into "sign in" hints (see writeErrorMessage).
  *
  * - UI structure (IDs/classes expected in HTML/CSS):
  *   #profile-select, #search-input, #sort-select, #genre-select,
- *   #language-select, #multiplayer-select, #developer-select,
+ *   #language-select, #multiplayer-select, #developer-select, #year-select,
+ *   #released-from, #released-to,
  *   #price-min, #price-max, #price-value, #goty-year,
  *   .main-nav .nav-btn[data-category], .platform-btn[data-platform],
  *   #games-grid, #results-count, #loading, #no-results, #toaster,
- *   #pager (created dynamically), #add-goty-btn, #content-title
+ *   #pager (created dynamically), #add-goty-btn, #content-title,
+ *   #auth-box, #login-modal (created dynamically), #saved-searches, #game-view,
+ *   #compare-view, #compare-tray (created dynamically), #stats-view, #stats-link,
+ *   #query-view, #query-link,
+ *   #dev-drawer + #explain-btn (created when developer tools are on: ?dev=1)
  *
  * - State & caching:
  *   • 'state' tracks pagination and the latest filters fingerprint (lastKey).
  *   • DISTINCT_CACHE memoizes results of /distinct per {kind, profile}.
+ *   • SEARCH_REVALIDATION keeps the last /search bodies with their ETag and
+ *     sends If-None-Match; a 304 reuses the stored body.
  *   • CURRENT_SEARCH_CTRL (AbortController) ensures in-flight searches
  *     can be canceled when filters change quickly.
  *
@@ -68,14 +148,32 @@ function qs(sel){ return document.querySelector(sel); }
  */
 function qsa(sel){ return Array.from(document.querySelectorAll(sel)); }
 
+/**
+ * Escapes text for safe insertion into HTML markup.
+ * @param {any} v - Any value (coerced to string).
+ * @returns {string}
+ */
+function escapeHTML(v){
+  return String(v ?? "").replace(/[&<>"']/g, ch => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[ch]));
+}
+
 
 /* ===================== "simulated users" state ==================== */
 
 /** localStorage key for active profile. */
 const PROFILE_KEY = "activeProfile";
 
-/** Available profiles that the UI supports. */
-const PROFILES = ["kid", "person1", "person2"];
+/**
+ * Available profiles, replaced by GET /api/profiles at startup.
+ * The fallback mirrors the server defaults so the UI still works if the
+ * profiles request fails.
+ * @type {{key:string,name:string,role:"child"|"adult"}[]}
+ */
+let PROFILES = [
+  { key: "kid", name: "Kid", role: "child" },
+  { key: "person1", name: "Person 1", role: "adult" },
+  { key: "person2", name: "Person 2", role: "adult" },
+];
 
 /**
  * Current active profile.
@@ -84,25 +182,88 @@ const PROFILES = ["kid", "person1", "person2"];
  */
 let CURRENT_PROFILE = localStorage.getItem(PROFILE_KEY) || "person1";
 
+/**
+ * Signed-in account from GET /api/auth/me, or null when anonymous.
+ * @type {{_id:string,name:string,email:string,role:string,profiles:string[]}|null}
+ */
+let CURRENT_USER = null;
+
+/**
+ * Content-safety rules of the active profile (empty when unrestricted),
+ * loaded by loadSafetyPolicy(). These are the rules the server builds its
+ * $match from (src/services/safetyPolicies.js); the client evaluates them
+ * again as an extra guard and never relies on them alone.
+ * @type {{field:string, op:"in"|"regex"|"has_key"|"gte", values?:string[], pattern?:string, value?:number, minVotes?:number}[]}
+ */
+let SAFETY_RULES = [];
+
+/**
+ * findSafetyViolation(game, rules) of the server module
+ * (services/safetyViolation.js, served as /js/shared/safetyViolation.js),
+ * imported by loadSafetyPolicy() when the profile has rules.
+ * @type {((game:object, rules:object[]) => {rule:object, value:unknown}|null)|null}
+ */
+let SAFETY_CHECK = null;
+
+/**
+ * First safety rule a game violates under the active profile's policy.
+ * @param {object} game
+ * @returns {object|null} The violated rule, or null when the game passes.
+ */
+function findSafetyViolation(game){
+  if (!SAFETY_CHECK) return null;
+  const hit = SAFETY_CHECK(game, SAFETY_RULES);
+  return hit ? hit.rule : null;
+}
+
+/**
+ * Drops games the active profile's policy blocks. The server already
+ * filtered them, so anything dropped here is logged as a mismatch.
+ * @param {object[]} items
+ * @returns {object[]}
+ */
+function guardItems(items){
+  if (!SAFETY_RULES.length || !Array.isArray(items)) return items || [];
+  return items.filter(g => {
+    const rule = findSafetyViolation(g);
+    if (rule) console.warn("safety guard dropped", g.appid, rule.field, rule.op);
+    return !rule;
+  });
+}
 
 /**
- * Genres hidden for kid profile (client-side safety guard).
- * NOTE: The server should also apply safety rules; this is an extra guard.
+ * Whether a genre value is blocked for the active profile.
+ * @param {unknown} genre
+ * @returns {boolean}
  */
-const BAD_GENRES = new Set(["Violent", "Sexual Content", "Nudity", "Gore"]);
+const isBlockedGenre = (genre) => Boolean(findSafetyViolation({ genres: [String(genre)] }));
 
 
 /* ================== Favorites (per-profile) keys ================== */
 
-/** Base key for favorites in localStorage (per profile). */
+/** Base key of the legacy localStorage favorites (per profile). */
 const FAV_KEY_BASE = "steamFavs";
 
 /**
- * Compute the favorites key for the current profile.
+ * Compute the legacy favorites key for the current profile.
  * @returns {string} e.g. "steamFavs:person1"
  */
 const favKey = () => `${FAV_KEY_BASE}:${CURRENT_PROFILE}`;
 
+/**
+ * Favorites of CURRENT_PROFILE as loaded from the server (appid strings).
+ * Kept in memory so isFav() stays synchronous while rendering cards.
+ * @type {Set<string>}
+ */
+let FAVORITES = new Set();
+
+/**
+ * Price watch list of CURRENT_PROFILE: appid -> target price (null = none).
+ * Loaded by loadWatchlist() so card rendering stays synchronous.
+ * @type {Map<string, number|null>}
+ */
+let WATCHLIST = new Map();
+
 
 /* =================== Distinct values cache layer ================== */
 
@@ -113,6 +274,15 @@ const favKey = () => `${FAV_KEY_BASE}:${CURRENT_PROFILE}`;
  */
 const DISTINCT_CACHE = Object.create(null);
 
+/**
+ * Recent /search answers keyed by request body: { etag, json }.
+ * The server answers 304 when the ETag still matches (services/cache.js);
+ * browsers do not revalidate POSTs on their own, so we do it here.
+ * Oldest entries are dropped past SEARCH_REVALIDATION_MAX.
+ */
+const SEARCH_REVALIDATION = new Map();
+const SEARCH_REVALIDATION_MAX = 30;
+
 
 /* ========================== Backend helpers ======================= */
 
@@ -124,28 +294,142 @@ const DISTINCT_CACHE = Object.create(null);
  *   {
  *     filters: {...}, sort: "name-asc" | ...,
  *     page:number, limit:number,
+ *     after?: string, before?: string, last?: boolean,
  *     projection?: object, withTotal?: boolean
  *   }
  * @param {object} [opts]
  * @param {AbortSignal} [opts.signal] - Optional abort signal to cancel the request.
- * @returns {Promise<{ok?:boolean,total?:number,items:any[],hasMore?:boolean}>}
+ * @returns {Promise<{ok?:boolean,total?:number,items:any[],hasMore?:boolean,nextCursor?:string|null,prevCursor?:string|null}>}
  *          'ok' is backend-specific; 'total' appears when withTotal=true.
  */
 async function apiSearch(payload, { signal } = {}){
-  const res = await fetch("/api/games/search", {
+  const body = JSON.stringify(payload);
+  const known = SEARCH_REVALIDATION.get(body);
+  const headers = { "Content-Type":"application/json" };
+  if (known) headers["If-None-Match"] = known.etag;
+
+  const res = await fetch("/api/games/search", { method: "POST", headers, body, signal });
+  if (res.status === 304 && known) return known.json;
+  if(!res.ok) throw new Error("http "+res.status);
+  const json = await res.json(); // { ok, total, items, hasMore? }
+
+  const etag = res.headers.get("ETag");
+  SEARCH_REVALIDATION.delete(body);
+  if (etag) {
+    SEARCH_REVALIDATION.set(body, { etag, json });
+    if (SEARCH_REVALIDATION.size > SEARCH_REVALIDATION_MAX) {
+      SEARCH_REVALIDATION.delete(SEARCH_REVALIDATION.keys().next().value);
+    }
+  }
+  return json;
+}
+
+/**
+ * POST /api/games/recommendations
+ * Recommendations for the given favorites with a score breakdown per game
+ * and "because you liked X" groups.
+ *
+ * @param {{profile:string, appids:string[], filters?:object, limit?:number}} payload
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ok?:boolean, items:object[], groups:{because:{appid:string,name:string}|null, appids:string[]}[]}>}
+ */
+async function apiRecommendations(payload, { signal } = {}){
+  const res = await fetch("/api/games/recommendations", {
     method: "POST",
     headers: { "Content-Type":"application/json" },
     body: JSON.stringify(payload),
     signal
   });
   if(!res.ok) throw new Error("http "+res.status);
-  return res.json(); // { ok, total, items, hasMore? }
+  return res.json();
+}
+
+/**
+ * GET /api/games/:id/similar
+ * "More like this" for one game; the profile is sent so its safety
+ * policy applies.
+ *
+ * @param {string} appid
+ * @param {{limit?:number}} [opts]
+ * @returns {Promise<{ok?:boolean, source?:string, items:object[]}>}
+ */
+async function apiSimilar(appid, { limit = 12 } = {}){
+  const qs = new URLSearchParams({ profile: CURRENT_PROFILE, limit: String(limit) });
+  const res = await fetch(`/api/games/${encodeURIComponent(appid)}/similar?${qs}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/**
+ * GET /api/games/:id?profile=
+ * One game for its page; 404 when the profile's safety policy blocks it.
+ *
+ * @param {string} appid
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, data:object, goty?:{year:number, rank:number}[]}>}
+ */
+async function apiGame(appid, profile){
+  const qs = new URLSearchParams({ profile });
+  const res = await fetch(`/api/games/${encodeURIComponent(appid)}?${qs}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/**
+ * GET /api/games/fields (query builder field autocompletion)
+ * @returns {Promise<{ok?:boolean, items:{path:string, type:string, items?:string}[]}>}
+ */
+async function apiGameFields(){
+  const res = await fetch("/api/games/fields");
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/**
+ * POST /api/games/agg (query builder preview) for CURRENT_PROFILE.
+ * 400 answers (policy violation, pipeline MongoDB rejects) resolve with
+ * their `{ ok:false, error, path?, detail? }` body so the builder can
+ * point at the stage; other failures throw.
+ *
+ * @param {object[]} pipeline - Already checked with validatePipeline()
+ * @param {number} limit - Rows to return
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ok:boolean, items?:object[], limit?:number, truncated?:boolean, error?:string, path?:string, detail?:unknown}>}
+ */
+async function apiAggregate(pipeline, limit, signal){
+  const res = await fetch("/api/games/agg", {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: j({ pipeline, limit, profile: CURRENT_PROFILE }),
+    signal
+  });
+  if(!res.ok && res.status !== 400) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/**
+ * POST /api/games/search?explain=1
+ * Same body as apiSearch; returns the query plan summary and the pipeline
+ * the server generated instead of rows. Needs a signed-in account.
+ *
+ * @param {object} payload - A /search body (typically state.lastPayload).
+ * @returns {Promise<{ok?:boolean, explain?:object, pipeline?:object[], collation?:object|null}>}
+ */
+async function apiExplainSearch(payload){
+  const res = await fetch("/api/games/search?explain=1", {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: JSON.stringify(payload)
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
  * GET /api/games/distinct/:kind?profile=...
  * Retrieves distinct lists for filters (genres/languages/developers) and caches them.
- * Cache is profile-aware to reflect kid-safe filtering server-side.
+ * Cache is profile-aware to reflect safety-policy filtering server-side.
  *
  * @param {"genres"|"languages"|"developers"} kind
  * @returns {Promise<{ok?:boolean,items:string[]}>}
@@ -162,20 +446,47 @@ async function getDistinct(kind){
   return DISTINCT_CACHE[cacheKey];
 }
 
+/**
+ * POST /api/games/facets
+ * Counts per filter value under the current filters. Each facet ignores its
+ * own selection, so e.g. the genre counts show what picking another genre
+ * would return.
+ *
+ * @param {object} filters - Same filters object as sent to /search.
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ok?:boolean,facets?:{
+ *   genres:{value:string,count:number}[], languages:{value:string,count:number}[],
+ *   developers:{value:string,count:number}[], platforms:{windows:number,mac:number,linux:number},
+ *   price:{from:number,to:number|null,count:number}[], years:{value:number,count:number}[]
+ * }}>}
+ */
+async function apiFacets(filters, { signal } = {}){
+  const res = await fetch("/api/games/facets", {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: JSON.stringify({ filters }),
+    signal
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
 /**
  * POST /api/games/goty/set
- * Marks a game as GOTY for a year on behalf of a profile.
+ * Puts a game on a profile's ballot for a year.
  *
  * @param {string|number} appid
  * @param {number} year - e.g., 2024
  * @param {string} profile - which profile owns the GOTY
+ * @param {number} [rank=1] - ballot place: 1 = Game of the Year, 2/3 = runners-up
  * @returns {Promise<any>} backend JSON
  */
-async function apiSetGoty(appid, year, profile){
+async function apiSetGoty(appid, year, profile, rank = 1){
   const res = await fetch("/api/games/goty/set", {
     method: "POST",
     headers: { "Content-Type":"application/json" },
-    body: JSON.stringify({ appid, year, profile })
+    body: JSON.stringify({ appid, year, profile, rank })
   });
   if(!res.ok) throw new Error("http "+res.status);
   return res.json();
@@ -186,1002 +497,4618 @@ async function apiSetGoty(appid, year, profile){
  * Clears a GOTY entry. You can specify by year+profile or appid+profile.
  *
  * @param {object} [params]
- * @param {number} [params.year] - If present, unsets the year's GOTY for the profile.
- * @param {string|number} [params.appid] - If present (and year absent), unsets GOTY for that game.
+ * @param {number} [params.year] - Alone: unsets the year's whole ballot for the profile.
+ * @param {string|number} [params.appid] - Unsets that game's pick (in `year` when given).
  * @param {string} [params.profile] - Which profile to affect.
  * @returns {Promise<any>} backend JSON
  */
 async function apiUnsetGoty({ year, appid, profile } = {}){
+  const body = { profile };
+  if (year != null) body.year = Number(year);
+  if (appid != null) body.appid = String(appid);
   const res = await fetch("/api/games/goty/unset", {
     method: "POST",
     headers: { "Content-Type":"application/json" },
-    body: JSON.stringify(
-      year != null
-        ? { year:Number(year), profile }
-        : { appid:String(appid), profile }
-    )
+    body: JSON.stringify(body)
   });
   if(!res.ok) throw new Error("http "+res.status);
   return res.json();
 }
 
-
-/* -------------------------------------------------------------------------- */
-/* favorites (localStorage) — per-profile                                     */
-/* -------------------------------------------------------------------------- */
-
 /**
- * Loads the favorites list for CURRENT_PROFILE from localStorage.
- * @returns {string[]} array of appids as strings
+ * GET /api/games/goty/timeline
+ * A profile's ballots, newest year first.
+ *
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, years?:{year:number, picks:{rank:number,appid:string,name:string|null,header_image:string|null}[]}[]}>}
  */
-function loadFavs(){
-  try{ return JSON.parse(localStorage.getItem(favKey()) || "[]"); }catch{ return []; }
+async function apiGotyTimeline(profile){
+  const res = await fetch(`/api/games/goty/timeline?profile=${encodeURIComponent(profile)}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Saves a favorites list for CURRENT_PROFILE in localStorage.
- * Ensures values are unique and stringified.
- * @param {Array<string|number>} list
+ * GET /api/audit?entity=goty&profile=...
+ * Recorded changes of a profile's GOTY ballots, newest first (needs a
+ * session: anonymous visitors get a 401).
+ *
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, items?:{at:string, entityId:string, action:string, actor:{name:string}|null, before:object|null, after:object|null}[]}>}
  */
-function saveFavs(list){
-  localStorage.setItem(favKey(), JSON.stringify(Array.from(new Set(list.map(String)))));
+async function apiGotyHistory(profile){
+  const qs = new URLSearchParams({ entity: "goty", profile, limit: "200" });
+  const res = await fetch(`/api/audit?${qs}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Tests whether a given appid is favorited for CURRENT_PROFILE.
- * @param {string|number} appid
- * @returns {boolean}
+ * GET /api/games/goty/compare
+ * "Which years do we agree on" across all profiles, seen through the
+ * active profile's safety policy.
+ *
+ * @returns {Promise<{ok?:boolean, profiles?:string[], years?:{year:number, ballots:object, agreed:boolean, winner:object|null, shared:object[]}[], summary?:{years:number, comparable:number, agreed:number}}>}
  */
-function isFav(appid){
-  return loadFavs().includes(String(appid));
+async function apiGotyCompare(){
+  const res = await fetch(`/api/games/goty/compare?profile=${encodeURIComponent(CURRENT_PROFILE)}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Toggles favorite state for a single appid:
- * - Updates localStorage per profile.
- * - Updates the UI button state/label.
- * - If current category is "favorites" or "recommendations", re-runs the search
- *   from page 1 to reflect the change (and clears the state cache key).
+ * GET /api/games/goty/leaderboard
+ * Most-picked games across profiles (ballot places score 3/2/1 points).
  *
- * @param {string|number} appid
- * @sideEffects localStorage write, DOM updates, schedules runSearch
+ * @param {number} [limit=10]
+ * @returns {Promise<{ok?:boolean, items?:{appid:string, name:string|null, points:number, picks:number, wins:number, profiles:string[], years:number[]}[]}>}
  */
-function toggleFav(appid){
-  const id = String(appid);
-  let list = loadFavs();
-  if(list.includes(id)){
-    list = list.filter(x => x !== id);
-    toast("Removed from favorites");
-  }else{
-    list.push(id);
-    toast("Added to favorites");
-  }
-  saveFavs(list);
-
-  // Update any visible favorite button for this card
-  const btn = document.querySelector(`.fav-btn[data-appid="${id}"]`);
-  if(btn){
-    const active = isFav(id);
-    btn.classList.toggle("active", active);
-    btn.setAttribute("aria-pressed", String(active));
-    btn.innerHTML = active ? "★ Liked" : "☆ Like";
-  }
-
-  // Determine current category and refresh "favorites" / "recommendations" views
-  const catBtn = document.querySelector(".main-nav .nav-btn.active");
-  const cat = catBtn ? catBtn.getAttribute("data-category") : "all";
-  
-  // MODIFIED: Trigger search for both favorites AND recommendations
-  if (cat === "favorites" || cat === "recommendations") {
-    // Reset to page 1 and refresh
-    state.page = 1;
-    state.lastKey = ""; // Force refresh by clearing fingerprint cache
-    setTimeout(runSearch, 60);
-  }
+async function apiGotyLeaderboard(limit = 10){
+  const qs = new URLSearchParams({ limit: String(limit), profile: CURRENT_PROFILE });
+  const res = await fetch(`/api/games/goty/leaderboard?${qs}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
+/**
+ * Download URL of a profile's ballots (GET /api/games/goty/export).
+ * @param {"json"|"csv"} format
+ * @returns {string}
+ */
+const gotyExportURL = (format) =>
+  `/api/games/goty/export?profile=${encodeURIComponent(CURRENT_PROFILE)}&format=${format}`;
 
 /**
- * Displays a transient toast message in #toaster.
- * @param {string} msg
+ * GET /api/auth/me
+ * The signed-in account (null when anonymous).
+ *
+ * @returns {Promise<{ok?:boolean, user?:object|null}>}
  */
-function toast(msg){
-  const t = el("toaster");
-  if(!t) return;
-  const item = document.createElement("div");
-  item.className = "toast-item";
-  item.textContent = msg;
-  t.appendChild(item);
-  setTimeout(()=>{ item.classList.add("show"); }, 20);
-  setTimeout(()=>{ item.classList.remove("show"); item.remove(); }, 2000);
+async function apiMe(){
+  const res = await fetch("/api/auth/me");
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
-
-/* ============================== UI: states =============================== */
-
 /**
- * Shows/hides a loading overlay (#loading).
- * @param {boolean} on
+ * POST /api/auth/login
+ * On success the server also sets the httpOnly session cookie.
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{ok?:boolean, user?:object}>}
  */
-function setLoading(on){
-  const l = el("loading"); if(!l) return;
-  l.style.display = on ? "flex" : "none";
+async function apiLogin(email, password){
+  const res = await fetch("/api/auth/login", {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: JSON.stringify({ email, password })
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Shows/hides the "no results" block (#no-results).
- * @param {boolean} on
+ * POST /api/auth/logout
+ * Revokes the session and clears the cookie.
+ *
+ * @returns {Promise<any>} backend JSON
  */
-function showNoResults(on){
-  const n = el("no-results"); if(!n) return;
-  n.style.display = on ? "block" : "none";
+async function apiLogout(){
+  const res = await fetch("/api/auth/logout", { method: "POST" });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Renders the total results count in #results-count.
- * @param {number} n
+ * GET /api/profiles
+ * Lists the profiles offered in the switcher.
+ *
+ * @returns {Promise<{ok?:boolean, items?:{key:string,name:string,role:string}[]}>}
  */
-function renderCount(n){
-  const r = el("results-count");
-  if(r) r.textContent = `${n} games found`;
+async function apiListProfiles(){
+  const res = await fetch("/api/profiles");
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
-
-/* ========================== Formatting helpers =========================== */
-
 /**
- * Formats prices: 0 -> Free, number -> "$ 0.00", null/NaN -> "N/A".
- * @param {number|string|null|undefined} v
- * @returns {string}
+ * GET /api/profiles/:key/safety-policy
+ * Content-safety policy the profile browses under, with its compiled rules.
+ *
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, data?:object|null, rules?:object[]}>}
  */
-function formatPrice(v){
-  if (v === 0) return "Free";
-  if (v == null || v === "") return "N/A";
-  const n = Number(v);
-  return Number.isFinite(n) ? `$ ${n.toFixed(2)}` : "N/A";
+async function apiProfileSafetyPolicy(profile){
+  const res = await fetch(`/api/profiles/${encodeURIComponent(profile)}/safety-policy`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Parses a date-like value and returns a localized short date.
- * Falls back to the original string if parsing fails.
- * @param {string|number|Date} s
- * @returns {string}
+ * GET /api/profiles/:key/favorites
+ *
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, items?:string[], imported?:boolean}>}
  */
-function formatDate(s){
-  if (!s) return "";
-  const d = new Date(s);
-  if (!isNaN(d)) {
-    return d.toLocaleDateString(undefined, { year:"numeric", month:"short", day:"numeric" });
-  }
-  return String(s);
+async function apiGetFavorites(profile){
+  const res = await fetch(`/api/profiles/${encodeURIComponent(profile)}/favorites`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Joins array items compactly, showing "+N more" for overflow.
- * @param {any[]} arr
- * @param {number} [max=3]
- * @returns {string}
+ * PUT|DELETE /api/profiles/:key/favorites/:appid
+ * Adds (on=true) or removes (on=false) one favorite.
+ *
+ * @param {string} profile
+ * @param {string|number} appid
+ * @param {boolean} on
+ * @returns {Promise<{ok?:boolean, items?:string[]}>}
  */
-function listCompact(arr, max=3){
-  if (!Array.isArray(arr) || arr.length===0) return "";
-  const head = arr.slice(0, max).join(", ");
-  const rest = arr.length - max;
-  return rest > 0 ? `${head} +${rest} more` : head;
+async function apiSetFavorite(profile, appid, on){
+  const res = await fetch(
+    `/api/profiles/${encodeURIComponent(profile)}/favorites/${encodeURIComponent(appid)}`,
+    { method: on ? "PUT" : "DELETE" }
+  );
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * If value is an array -> join by ", ", else return the value or "".
- * @param {any} v
- * @returns {string}
+ * GET /api/profiles/:key/watchlist
+ *
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, items?:{appid:string, targetPrice:number|null, game:object, alert:string|null}[]}>}
  */
-function firstOrList(v){
-  if (Array.isArray(v)) return v.join(", ");
-  return v || "";
+async function apiGetWatchlist(profile){
+  const res = await fetch(`/api/profiles/${encodeURIComponent(profile)}/watchlist`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Returns small platform badges based on boolean flags in game object.
- * @param {object} g - Game object with windows/mac/linux booleans.
- * @returns {string} HTML string
+ * PUT|DELETE /api/profiles/:key/watchlist/:appid
+ * Watches (on=true, optional target price) or unwatches one game.
+ *
+ * @param {string} profile
+ * @param {string|number} appid
+ * @param {boolean} on
+ * @param {number|null} [targetPrice]
+ * @returns {Promise<{ok?:boolean}>}
  */
-function platformsIcons(g){
-  const icons = [];
-  if (g.windows) icons.push(`<span class="badge" title="Windows">🪟</span>`);
-  if (g.mac)     icons.push(`<span class="badge" title="macOS">🍎</span>`);
-  if (g.linux)   icons.push(`<span class="badge" title="Linux">🐧</span>`);
-  return icons.join("");
+async function apiSetWatch(profile, appid, on, targetPrice = null){
+  const res = await fetch(
+    `/api/profiles/${encodeURIComponent(profile)}/watchlist/${encodeURIComponent(appid)}`,
+    on
+      ? { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ targetPrice }) }
+      : { method: "DELETE" }
+  );
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Build a score badge (user score preferred over metacritic).
- * @param {object} g - Game object possibly with user_score/metacritic_score.
- * @returns {string} HTML string
+ * POST /api/profiles/:key/favorites/import
+ * One-shot import of the favorites older versions kept in localStorage.
+ *
+ * @param {string} profile
+ * @param {string[]} appids
+ * @returns {Promise<{ok?:boolean, imported?:number, alreadyImported?:boolean, items?:string[]}>}
  */
-function scoreBadge(g){
-  if (g.user_score && Number(g.user_score) > 0) return `<span class="badge" title="User score">★ ${g.user_score}</span>`;
-  if (g.metacritic_score && Number(g.metacritic_score) > 0) return `<span class="badge" title="Metacritic">MC ${g.metacritic_score}</span>`;
-  return "";
+async function apiImportFavorites(profile, appids){
+  const res = await fetch(`/api/profiles/${encodeURIComponent(profile)}/favorites/import`, {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: JSON.stringify({ appids })
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
+
 /**
- * Safely lists tag keys from a tags object (up to max).
- * @param {object} tagsObj - Dictionary-like tags object.
- * @param {number} [max=6]
- * @returns {string}
+ * Fetch helper for the /api/collections calls: JSON in, JSON out, throws
+ * Error("http <status>") like the other api* helpers. 204 -> {}.
+ *
+ * @param {string} path - Path under /api/collections ("" for the root).
+ * @param {{method?:string, body?:object}} [opts]
+ * @returns {Promise<object>}
  */
-function safeTags(tagsObj, max=6){
-  if (!tagsObj || typeof tagsObj !== "object") return "";
-  return listCompact(Object.keys(tagsObj), max);
+async function collectionsFetch(path, { method = "GET", body } = {}){
+  const res = await fetch(`/api/collections${path}`, {
+    method,
+    headers: body ? { "Content-Type":"application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.status === 204 ? {} : res.json();
 }
 
 /**
- * Returns a header image URL or an inline SVG placeholder.
- * @param {object} g - Game object with header_image field.
- * @returns {string} URL or data URI
+ * GET /api/collections?profile=
+ * @param {string} profile
+ * @returns {Promise<{ok?:boolean, items?:object[]}>} collections without entries
  */
-function headerSrc(g){
-  return g.header_image || "data:image/svg+xml;utf8," + encodeURIComponent(`
-    <svg xmlns='http://www.w3.org/2000/svg' width='640' height='240'>
-      <defs><linearGradient id='g' x1='0' y1='0' x2='1' y2='1'>
-        <stop offset='0%' stop-color='#0e8392'/><stop offset='100%' stop-color='#0b6471'/>
-      </linearGradient></defs>
-      <rect width='100%' height='100%' fill='url(#g)'/>
-      <text x='50%' y='50%' dominant-baseline='middle' text-anchor='middle' fill='white' font-family='sans-serif' font-size='26'>No Image</text>
-    </svg>
-  `);
-}
+const apiListCollections = (profile) =>
+  collectionsFetch(`?profile=${encodeURIComponent(profile)}`);
 
 /**
- * Smoothly scrolls to top of results/grid area.
+ * POST /api/collections
+ * @param {string} profile
+ * @param {string} name
+ * @returns {Promise<{ok?:boolean, data?:object}>}
  */
-function scrollToGridTop(){
-  const anchor = el("content-title") || el("games-grid") || document.body;
-  anchor.scrollIntoView({ behavior: "smooth", block: "start" });
-}
-
+const apiCreateCollection = (profile, name) =>
+  collectionsFetch("", { method: "POST", body: { profile, name } });
 
-/* ========================== Pagination state ============================ */
+/**
+ * PATCH /api/collections/:id
+ * @param {string} id
+ * @param {{name?:string, description?:string, order?:string[]}} patch
+ * @returns {Promise<{ok?:boolean, data?:object}>}
+ */
+const apiUpdateCollection = (id, patch) =>
+  collectionsFetch(`/${encodeURIComponent(id)}`, { method: "PATCH", body: patch });
 
-/** Default number of items per page. */
-const PAGELIMIT_DEFAULT = 40;
+/**
+ * DELETE /api/collections/:id
+ * @param {string} id
+ */
+const apiDeleteCollection = (id) =>
+  collectionsFetch(`/${encodeURIComponent(id)}`, { method: "DELETE" });
 
 /**
- * Global UI/search state.
- * - 'lastKey' is a fingerprint of (filters+sort) used to detect changes.
+ * PUT /api/collections/:id/entries/:appid
+ * Adds a game or updates its entry (note, 0-based position).
+ * @param {string} id
+ * @param {string|number} appid
+ * @param {{note?:string, position?:number}} [entry]
+ * @returns {Promise<{ok?:boolean, data?:object}>}
  */
-const state = {
-  page: 1,
-  limit: PAGELIMIT_DEFAULT,
-  total: 0,
-  hasMore: false,
-  lastKey: "",      // fingerprint of filters+sort
-};
+const apiPutCollectionEntry = (id, appid, entry = {}) =>
+  collectionsFetch(`/${encodeURIComponent(id)}/entries/${encodeURIComponent(appid)}`, { method: "PUT", body: entry });
 
 /**
- * Stable, order-insensitive fingerprint for filters+sort.
- * @param {object} filters
- * @param {string} sort
- * @returns {string}
+ * DELETE /api/collections/:id/entries/:appid
+ * @param {string} id
+ * @param {string|number} appid
  */
-function buildKey(filters, sort){
-  return JSON.stringify({ filters, sort });
-}
+const apiRemoveCollectionEntry = (id, appid) =>
+  collectionsFetch(`/${encodeURIComponent(id)}/entries/${encodeURIComponent(appid)}`, { method: "DELETE" });
 
+/**
+ * POST|DELETE /api/collections/:id/share
+ * @param {string} id
+ * @param {boolean} on - true: create (or keep) the link, false: revoke it.
+ * @returns {Promise<{ok?:boolean, shareToken?:string|null, url?:string|null}>}
+ */
+const apiShareCollection = (id, on) =>
+  collectionsFetch(`/${encodeURIComponent(id)}/share`, { method: on ? "POST" : "DELETE" });
 
-/* ============================== Pager UI ================================ */
+/**
+ * GET /api/collections/shared/:token?profile=
+ * @param {string} token
+ * @returns {Promise<{ok?:boolean, data?:object, items?:object[]}>}
+ */
+const apiSharedCollection = (token) =>
+  collectionsFetch(`/shared/${encodeURIComponent(token)}?profile=${encodeURIComponent(CURRENT_PROFILE)}`);
 
 /**
- * Ensures a #pager container exists in the DOM after #games-grid.
- * Creates it if missing.
+ * GET /api/saved-searches?profile=&kind=
+ * @param {string} profile
+ * @param {"search"|"aggregation"} [kind="search"] - "aggregation": the query builder's pipelines
+ * @returns {Promise<{ok?:boolean, items?:{_id:string, name:string, query?:string, pipeline?:object[]}[]}>}
  */
-function ensurePager() {
-  let pager = el("pager");
-  let grid = el("games-grid");
-  if (!grid) return;
-  if (!pager) {
-    pager = document.createElement("div");
-    pager.id = "pager";
-    pager.className = "pager";
-    grid.insertAdjacentElement("afterend", pager);
-  }
+async function apiListSavedSearches(profile, kind = "search"){
+  const qs = new URLSearchParams({ profile, kind });
+  const res = await fetch(`/api/saved-searches?${qs}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
 }
 
 /**
- * Renders pagination controls and wires up events.
- * - Uses 'state' to compute pages and range (from/to).
- * - Calls runSearch() when user navigates or changes page size.
+ * POST /api/saved-searches (same name -> replaced)
+ * @param {string} profile
+ * @param {string} name
+ * @param {string} query - URL query string of the search
+ * @returns {Promise<{ok?:boolean, data?:{_id:string, name:string, query:string}}>}
  */
-function renderPager() {
-  ensurePager();
-  const pager = el("pager");
-  if (!pager) return;
-
-  const { page, limit, total } = state;
-  const pages = total ? Math.max(1, Math.ceil(total / Math.max(1, limit))) : 1;
-  const from  = total ? ((page - 1) * limit + 1) : 0;
-  const to    = total ? Math.min(page * limit, total) : 0;
-
-  pager.innerHTML = `
-    <div class="pager__row">
-      <div class="pager__info">
-        ${total ? `Showing ${from}–${to} of ${total}` : `No results`}
-      </div>
-      <div class="pager__controls">
-        <button class="btn btn--secondary pager__btn" data-act="first" ${page <= 1 ? "disabled":""}>« First</button>
-        <button class="btn btn--secondary pager__btn" data-act="prev"  ${page <= 1 ? "disabled":""}>‹ Prev</button>
-        <span class="pager__page">Page ${Math.min(page, pages)} / ${pages}</span>
-        <button class="btn btn--secondary pager__btn" data-act="next"  ${page >= pages ? "disabled":""}>Next ›</button>
-        <button class="btn btn--secondary pager__btn" data-act="last"  ${page >= pages ? "disabled":""}>Last »</button>
-        <select class="form-control pager__limit" title="Items per page" aria-label="Items per page">
-          ${[20,40,60,100].map(v => `<option value="${v}" ${v===state.limit ? "selected":""}>${v}/page</option>`).join("")}
-        </select>
-      </div>
-    </div>
-  `;
+async function apiSaveSearch(profile, name, query){
+  const res = await fetch("/api/saved-searches", {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: j({ profile, name, query })
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
 
-  const go = (p) => {
-    const target = Math.min(Math.max(1, p), pages);
-    if (target !== state.page) {
-      runSearch({ page: target });
-      scrollToGridTop();
-    }
-  };
-  pager.querySelector('[data-act="first"]')?.addEventListener("click", () => go(1));
-  pager.querySelector('[data-act="prev"]') ?.addEventListener("click", () => go(state.page - 1));
-  pager.querySelector('[data-act="next"]') ?.addEventListener("click", () => go(state.page + 1));
-  pager.querySelector('[data-act="last"]') ?.addEventListener("click", () => go(pages));
-  pager.querySelector(".pager__limit")?.addEventListener("change", (e) => {
-    state.limit = Number(e.target.value) || PAGELIMIT_DEFAULT;
-    runSearch({ page: 1 });
-    scrollToGridTop();
+/**
+ * POST /api/saved-searches with kind "aggregation" (same name -> replaced)
+ * @param {string} profile
+ * @param {string} name
+ * @param {object[]} pipeline - Checked against the aggregation policy again server-side
+ * @returns {Promise<{ok?:boolean, data?:{_id:string, name:string, pipeline:object[]}}>}
+ */
+async function apiSaveQuery(profile, name, pipeline){
+  const res = await fetch("/api/saved-searches", {
+    method: "POST",
+    headers: { "Content-Type":"application/json" },
+    body: j({ profile, name, kind: "aggregation", pipeline })
   });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/**
+ * DELETE /api/saved-searches/:id
+ * @param {string} id
+ */
+async function apiDeleteSavedSearch(id){
+  const res = await fetch(`/api/saved-searches/${encodeURIComponent(id)}`, { method: "DELETE" });
+  if(!res.ok) throw new Error("http "+res.status);
 }
 
 
 /* -------------------------------------------------------------------------- */
-/* GOTY: Modal + typeahead suggestions                                        */
+/* favorites (server-side) — per-profile                                      */
 /* -------------------------------------------------------------------------- */
 
 /**
- * In-memory selection from the GOTY typeahead.
- * Shape: { appid:string, name:string } or null
+ * Favorites list for CURRENT_PROFILE (from the in-memory mirror).
+ * @returns {string[]} array of appids as strings
  */
-let gotySelection = null;
+function loadFavs(){
+  return Array.from(FAVORITES);
+}
 
 /**
- * Creates (once) and initializes the GOTY modal DOM and behavior.
- * - Builds year list (from 1990..current).
- * - Wires up typeahead input, suggestions, keyboard navigation.
- * - Wires up "Save GOTY" to call apiSetGoty and refresh results.
- * @returns {HTMLElement} the modal root node (#goty-modal)
+ * Loads CURRENT_PROFILE's favorites from the server into FAVORITES.
+ * If this browser still holds a legacy localStorage list for the profile,
+ * it is imported once (the server ignores repeated imports) and removed.
+ * When that is not possible (offline, not signed in) the legacy list is
+ * merged in read-only.
  */
-function ensureGotyModal(){
-  let m = el("goty-modal");
-  const needsBuild = !m || !m.querySelector("#goty-typeahead");
+async function syncFavorites(){
+  let legacy = null;
+  try{ legacy = JSON.parse(localStorage.getItem(favKey()) || "null"); }catch{ legacy = null; }
 
-  if (!m) {
-    m = document.createElement("div");
-    m.id = "goty-modal";
-    m.className = "modal hidden";
-    document.body.appendChild(m);
+  let server = [];
+  try{
+    let data = await apiGetFavorites(CURRENT_PROFILE);
+    server = data.items || [];
+    if (Array.isArray(legacy)) {
+      // Importing is a write: anonymous visitors keep the legacy list until
+      // they sign in (the request below then fails with 401).
+      if (!data.imported && legacy.length) {
+        data = await apiImportFavorites(CURRENT_PROFILE, legacy);
+        if (data.imported) toast(`Imported ${data.imported} favorites`);
+      }
+      localStorage.removeItem(favKey());
+    }
+    FAVORITES = new Set((data.items || []).map(String));
+  }catch(e){
+    if (e.message !== "http 401" && e.message !== "http 403") console.error("favorites load error", e);
+    FAVORITES = new Set([...server, ...(Array.isArray(legacy) ? legacy : [])].map(String));
   }
-  if (needsBuild) {
-    m.innerHTML = `
-      <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="goty-title">
-        <div class="modal-header">
-          <h3 id="goty-title">Add Game of the Year</h3>
-          <button class="modal-close" aria-label="Close">×</button>
-        </div>
+}
 
-        <div class="modal-body">
-          <div class="form-group">
-            <label for="goty-typeahead">Search game</label>
-            <div class="typeahead-wrap">
-              <input id="goty-typeahead" class="form-control" type="text" autocomplete="off"
-                     placeholder="Start typing a game name…" />
-              <div id="goty-suggest" class="typeahead-list" role="listbox" aria-label="Suggestions"></div>
-            </div>
-          </div>
+/**
+ * Tests whether a given appid is favorited for CURRENT_PROFILE.
+ * @param {string|number} appid
+ * @returns {boolean}
+ */
+function isFav(appid){
+  return FAVORITES.has(String(appid));
+}
 
-          <div class="form-group">
-            <label for="goty-year-select">Year</label>
-            <select id="goty-year-select" class="form-control"></select>
-          </div>
-        </div>
+/**
+ * Reflects the favorite state of one appid on its visible buttons.
+ * @param {string} id
+ */
+function paintFavButton(id){
+  qsa(`.fav-btn[data-appid="${id}"]`).forEach(btn => {
+    const active = isFav(id);
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
+    btn.innerHTML = active ? "★ Liked" : "☆ Like";
+  });
+}
 
-        <div class="modal-footer">
-          <button id="goty-cancel" class="btn btn--secondary">Cancel</button>
-          <button id="goty-save"   class="btn btn--primary" disabled>Save GOTY</button>
-        </div>
-      </div>
-    `;
+/**
+ * Toggles favorite state for a single appid:
+ * - Updates FAVORITES optimistically and persists it server-side; the
+ *   change is reverted if the request fails.
+ * - Updates the UI button state/label.
+ * - If current category is "favorites" or "recommendations", re-runs the search
+ *   from page 1 to reflect the change (and clears the state cache key).
+ *
+ * @param {string|number} appid
+ * @sideEffects API write, DOM updates, schedules runSearch
+ */
+async function toggleFav(appid){
+  const id = String(appid);
+  const on = !FAVORITES.has(id);
+  if (on) FAVORITES.add(id); else FAVORITES.delete(id);
+  paintFavButton(id);
 
-    const close = () => m.classList.add("hidden");
-    m.querySelector(".modal-close").addEventListener("click", close);
-    m.querySelector("#goty-cancel").addEventListener("click", close);
-    m.addEventListener("click", (e)=>{ if(e.target === m) close(); });
+  try{
+    const data = await apiSetFavorite(CURRENT_PROFILE, id, on);
+    if (Array.isArray(data.items)) FAVORITES = new Set(data.items.map(String));
+    toast(on ? "Added to favorites" : "Removed from favorites");
+  }catch(e){
+    console.error("favorite save error", e);
+    if (on) FAVORITES.delete(id); else FAVORITES.add(id);
+    paintFavButton(id);
+    toast(writeErrorMessage(e, "Could not save favorite"));
+    return;
+  }
 
-    // Populate years from current year down to 1990
-    const ySel = m.querySelector("#goty-year-select");
-    const nowY = new Date().getFullYear();
-    const years = Array.from({length: nowY - 1989}, (_,i)=> nowY - i);
-    ySel.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join("");
+  // Determine current category and refresh "favorites" / "recommendations" views
+  const catBtn = document.querySelector(".main-nav .nav-btn.active");
+  const cat = catBtn ? catBtn.getAttribute("data-category") : "all";
+  
+  // MODIFIED: Trigger search for both favorites AND recommendations
+  if ((cat === "favorites" || cat === "recommendations") && !pageRouteActive()) {
+    // Reset to page 1 and refresh
+    state.page = 1;
+    state.lastKey = ""; // Force refresh by clearing fingerprint cache
+    setTimeout(runSearch, 60);
+  }
+}
 
-    const input = m.querySelector("#goty-typeahead");
-    const list  = m.querySelector("#goty-suggest");
-    const save  = m.querySelector("#goty-save");
 
-    input.readOnly = false; input.disabled = false; input.style.pointerEvents = "auto";
+/* -------------------------------------------------------------------------- */
+/* price watch list (server-side) — per-profile                               */
+/* -------------------------------------------------------------------------- */
 
-    /**
-     * Sets the current GOTY game selection.
-     * @param {{appid:string,name:string}|null} game
-     */
-    const setSelection = (game) => {
-      gotySelection = game ? { appid: String(game.appid), name: game.name } : null;
-      input.value = game ? game.name : input.value;
-      save.disabled = !gotySelection;
-      qsa("#goty-suggest .item").forEach(li => li.classList.remove("active"));
-      if (game) list.querySelector(`[data-appid="${game.appid}"]`)?.classList.add("active");
-    };
+/** Toast labels of watch list alerts. */
+const WATCH_ALERTS = {
+  target: "at your target price",
+  all_time_low: "at an all-time low",
+  below_avg: "below its average price",
+};
 
-    // Debounced typeahead
-    let debounce = null;
-    input.addEventListener("input", () => {
-      setSelection(null);
+/**
+ * Loads CURRENT_PROFILE's watch list into WATCHLIST and announces the
+ * watched games that are on a deal or at/below their target price.
+ */
+async function loadWatchlist(){
+  try{
+    const items = (await apiGetWatchlist(CURRENT_PROFILE)).items || [];
+    WATCHLIST = new Map(items.map(w => [String(w.appid), w.targetPrice ?? null]));
+    const alerts = items.filter(w => w.alert);
+    if (alerts.length === 1) {
+      toast(`🔔 ${alerts[0].game?.name || alerts[0].appid} is ${WATCH_ALERTS[alerts[0].alert] || "on sale"}`);
+    } else if (alerts.length > 1) {
+      toast(`🔔 ${alerts.length} watched games dropped in price`);
+    }
+  }catch(e){
+    console.error("watch list load error", e);
+  }
+}
+
+/**
+ * Reflects the watch state of one appid on its visible card button(s).
+ * @param {string} id
+ */
+function paintWatchButton(id){
+  qsa(`.watch-btn[data-appid="${id}"]`).forEach(btn => {
+    const on = WATCHLIST.has(id);
+    const target = WATCHLIST.get(id);
+    btn.classList.toggle("active", on);
+    btn.setAttribute("aria-pressed", String(on));
+    btn.title = on ? `Watching${target != null ? ` (target ${formatPrice(target)})` : ""} — click to stop` : "Watch price";
+  });
+}
+
+/**
+ * Watches (asking for an optional target price) or unwatches a game, then
+ * refreshes the "watchlist" view when it is the active one.
+ * @param {string|number} appid
+ */
+async function toggleWatch(appid){
+  const id = String(appid);
+  const on = !WATCHLIST.has(id);
+  let target = null;
+  if (on) {
+    const answer = window.prompt("Alert me below this price (leave empty for any deal)", "");
+    if (answer === null) return;
+    if (answer.trim()) {
+      target = Number(answer.replace(",", ".").replace(/[^0-9.]/g, ""));
+      if (!Number.isFinite(target)) { toast("Invalid price"); return; }
+    }
+  }
+
+  try{
+    await apiSetWatch(CURRENT_PROFILE, id, on, target);
+    if (on) WATCHLIST.set(id, target); else WATCHLIST.delete(id);
+    paintWatchButton(id);
+    toast(on ? "Added to watch list" : "Removed from watch list");
+  }catch(e){
+    console.error("watch list save error", e);
+    toast(writeErrorMessage(e, "Could not update watch list"));
+    return;
+  }
+
+  if (getActiveCategory() === "watchlist" && !pageRouteActive()) {
+    state.lastKey = "";
+    runSearch({ page: 1 });
+  }
+}
+
+/** Labels of the card deal badge (`price_stats.deal`). */
+const DEAL_LABELS = { all_time_low: "All-time low", below_avg: "Below average" };
+
+/**
+ * Inline SVG sparkline of a game's recent prices (no chart library).
+ * Empty when fewer than two points were recorded.
+ * @param {{recent?:number[], min?:number, max?:number, avg?:number, points?:number}} [stats]
+ * @returns {string} HTML
+ */
+function priceSparklineHTML(stats){
+  const pts = Array.isArray(stats?.recent) ? stats.recent.filter(Number.isFinite) : [];
+  if (pts.length < 2) return "";
+  const W = 80, H = 20, pad = 2;
+  const lo = Math.min(...pts), hi = Math.max(...pts);
+  const span = hi - lo || 1;
+  const coords = pts.map((p, i) => {
+    const x = pad + (i * (W - 2 * pad)) / (pts.length - 1);
+    const y = hi === lo ? H / 2 : pad + ((hi - p) * (H - 2 * pad)) / span;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  const last = coords[coords.length - 1].split(",");
+  const title = `Price history (${stats.points || pts.length} points): low ${formatPrice(stats.min)}, avg ${formatPrice(stats.avg)}, high ${formatPrice(stats.max)}`;
+  return `
+    <svg class="price-spark" viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" role="img" aria-label="${escapeHTML(title)}">
+      <title>${escapeHTML(title)}</title>
+      <polyline points="${coords.join(" ")}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+      <circle cx="${last[0]}" cy="${last[1]}" r="2" fill="currentColor"/>
+    </svg>`;
+}
+
+
+/* -------------------------------------------------------------------------- */
+/* collections (server-side) — per-profile                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * CURRENT_PROFILE's collections (without entries), from loadCollections().
+ * @type {{_id:string, name:string, description?:string, entriesCount:number, shareToken?:string|null}[]}
+ */
+let COLLECTIONS = [];
+
+/** Token of the shared collection this page shows (/shared/<token>), or null. */
+const SHARED_TOKEN = (location.pathname.match(/^\/shared\/([A-Za-z0-9_-]+)\/?$/) || [])[1] || null;
+
+/** @returns {object|null} the collection whose nav button is active */
+function activeCollection(){
+  const cat = getActiveCategory();
+  return COLLECTIONS.find(c => c._id === cat) || null;
+}
+
+/**
+ * Loads CURRENT_PROFILE's collections into COLLECTIONS and rebuilds their
+ * nav buttons. Anonymous visitors (401) and other accounts' profiles (403)
+ * simply have none.
+ */
+async function loadCollections(){
+  try{
+    COLLECTIONS = (await apiListCollections(CURRENT_PROFILE)).items || [];
+  }catch(e){
+    if (e.message !== "http 401" && e.message !== "http 403") console.error("collections load error", e);
+    COLLECTIONS = [];
+  }
+  renderCollectionsNav();
+}
+
+/**
+ * One .nav-btn per collection in #collections-nav (category = collection
+ * id), plus a "+" button to create one when signed in.
+ */
+function renderCollectionsNav(){
+  const box = el("collections-nav");
+  if (!box) return;
+  const active = getActiveCategory();
+
+  box.innerHTML = COLLECTIONS.map(c => `
+    <button class="nav-btn nav-btn--collection ${c._id === active ? "active" : ""}" data-category="${escapeHTML(c._id)}"
+            type="button" title="${escapeHTML(c.description || c.name)}">
+      📁 ${escapeHTML(c.name)} <span class="nav-count">${c.entriesCount || 0}</span>
+    </button>`).join("")
+    + (CURRENT_USER ? `<button id="new-collection-btn" class="nav-btn-add" type="button" title="New collection" aria-label="New collection">＋</button>` : "");
+
+  box.querySelectorAll(".nav-btn").forEach(btn => {
+    btn.addEventListener("click", () => setCategoryActive(btn));
+  });
+  el("new-collection-btn")?.addEventListener("click", async () => {
+    const created = await promptNewCollection();
+    const btn = created && qs(`.nav-btn--collection[data-category="${created._id}"]`);
+    if (btn) setCategoryActive(btn);
+  });
+}
+
+/**
+ * Asks for a name and creates a collection for CURRENT_PROFILE.
+ * @returns {Promise<object|null>} the created collection, or null
+ */
+async function promptNewCollection(){
+  const name = (window.prompt("Collection name", "") || "").trim();
+  if (!name) return null;
+  try{
+    const { data } = await apiCreateCollection(CURRENT_PROFILE, name);
+    COLLECTIONS.push({ ...data, entriesCount: (data.entries || []).length });
+    COLLECTIONS.sort((a,b) => a.name.localeCompare(b.name));
+    renderCollectionsNav();
+    toast(`Collection "${data.name}" created`);
+    return data;
+  }catch(e){
+    console.error("collection create error", e);
+    toast(e.message === "http 409" ? "A collection with that name already exists" : writeErrorMessage(e, "Could not create collection"));
+    return null;
+  }
+}
+
+/**
+ * Keeps the nav badge in sync after an entry write.
+ * @param {{_id:string, entries?:object[]}} data - Collection returned by the API.
+ */
+function updateCollectionCount(data){
+  const c = COLLECTIONS.find(x => x._id === data._id);
+  if (c) c.entriesCount = (data.entries || []).length;
+  renderCollectionsNav();
+}
+
+/**
+ * Re-runs the current collection view after an edit (same page). Not
+ * under a game or compare page: leaving it searches again anyway.
+ */
+function refreshCollectionView(){
+  if (pageRouteActive()) return;
+  state.lastKey = ""; // totals depend on the entries
+  runSearch({ page: state.page });
+}
+
+/**
+ * Creates (once) the "Add to collection" modal (same structure as the
+ * GOTY modal): collection select (or a new name), optional note.
+ * @returns {HTMLElement} #collection-modal
+ */
+function ensureCollectionModal(){
+  let m = el("collection-modal");
+  if (m) return m;
+
+  m = document.createElement("div");
+  m.id = "collection-modal";
+  m.className = "modal hidden";
+  m.innerHTML = `
+    <form class="modal-content" role="dialog" aria-modal="true" aria-labelledby="collection-title">
+      <div class="modal-header">
+        <h3 id="collection-title">Add to collection</h3>
+        <button class="modal-close" type="button" aria-label="Close">×</button>
+      </div>
+
+      <div class="modal-body">
+        <p id="collection-game" class="goty-muted"></p>
+        <div class="form-group">
+          <label for="collection-select">Collection</label>
+          <select id="collection-select" class="form-control"></select>
+        </div>
+        <div class="form-group" id="collection-new-group" hidden>
+          <label for="collection-new-name">New collection name</label>
+          <input id="collection-new-name" class="form-control" type="text" maxlength="80" />
+        </div>
+        <div class="form-group">
+          <label for="collection-note">Note (optional)</label>
+          <textarea id="collection-note" class="form-control" rows="2" maxlength="1000"
+                    placeholder="e.g. play with Sam, wait for a sale"></textarea>
+        </div>
+      </div>
+
+      <div class="modal-footer">
+        <button id="collection-cancel" class="btn btn--secondary" type="button">Cancel</button>
+        <button id="collection-save" class="btn btn--primary" type="submit">Add</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(m);
+
+  const close = () => m.classList.add("hidden");
+  m.querySelector(".modal-close").addEventListener("click", close);
+  m.querySelector("#collection-cancel").addEventListener("click", close);
+  m.addEventListener("click", (e)=>{ if(e.target === m) close(); });
+
+  const sel = m.querySelector("#collection-select");
+  sel.addEventListener("change", () => {
+    m.querySelector("#collection-new-group").hidden = sel.value !== "";
+  });
+
+  m.querySelector("form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const appid = m.dataset.appid;
+    const note = m.querySelector("#collection-note").value.trim();
+    try{
+      let id = sel.value;
+      if (!id) {
+        const name = m.querySelector("#collection-new-name").value.trim();
+        if (!name) return;
+        const { data } = await apiCreateCollection(CURRENT_PROFILE, name);
+        COLLECTIONS.push({ ...data, entriesCount: 0 });
+        COLLECTIONS.sort((a,b) => a.name.localeCompare(b.name));
+        id = data._id;
+      }
+      // An existing note is only replaced when a new one is typed
+      const { data } = await apiPutCollectionEntry(id, appid, note ? { note } : {});
+      updateCollectionCount(data);
+      toast(`Added to "${data.name}"`);
+      close();
+      if (getActiveCategory() === id) refreshCollectionView();
+    }catch(ex){
+      console.error("collection add error", ex);
+      toast(ex.message === "http 409" ? "A collection with that name already exists" : writeErrorMessage(ex, "Could not add to collection"));
+    }
+  });
+
+  return m;
+}
+
+/**
+ * Opens the "Add to collection" modal for one game.
+ * @param {string} appid
+ * @param {string} name - Game name (display only).
+ */
+function openCollectionModal(appid, name){
+  if (!CURRENT_USER) { openLoginModal(); return; }
+  const m = ensureCollectionModal();
+  m.dataset.appid = appid;
+  m.querySelector("#collection-game").textContent = name;
+  m.querySelector("#collection-note").value = "";
+  m.querySelector("#collection-new-name").value = "";
+
+  const sel = m.querySelector("#collection-select");
+  const current = activeCollection();
+  sel.innerHTML = COLLECTIONS
+    .map(c => `<option value="${escapeHTML(c._id)}">${escapeHTML(c.name)}</option>`)
+    .concat(`<option value="">New collection…</option>`)
+    .join("");
+  sel.value = current ? current._id : (COLLECTIONS[0] ? COLLECTIONS[0]._id : "");
+  m.querySelector("#collection-new-group").hidden = sel.value !== "";
+
+  m.classList.remove("hidden");
+  setTimeout(() => sel.focus(), 0);
+}
+
+/**
+ * Note + reorder/remove tools of a card shown inside a collection view.
+ * Shared (read-only) views only get the note.
+ * @param {object} g - Game row with collection_position / collection_note.
+ * @returns {string} HTML
+ */
+function collectionEntryHTML(g){
+  const note = g.collection_note || "";
+  const appid = escapeHTML(g.appid);
+  return `
+    <div class="collection-entry">
+      ${note ? `<p class="collection-note">📝 ${escapeHTML(note)}</p>` : ""}
+      ${SHARED_TOKEN ? "" : `
+        <div class="collection-entry-actions">
+          <button class="entry-move" type="button" data-appid="${appid}" data-position="${g.collection_position}" data-dir="-1" title="Move up">↑</button>
+          <button class="entry-move" type="button" data-appid="${appid}" data-position="${g.collection_position}" data-dir="1" title="Move down">↓</button>
+          <button class="entry-note" type="button" data-appid="${appid}" data-note="${escapeHTML(note)}">✎ Note</button>
+          <button class="entry-remove" type="button" data-appid="${appid}" title="Remove from collection">✖ Remove</button>
+        </div>`}
+    </div>`;
+}
+
+/**
+ * Wires the collection entry tools rendered inside `root` (see
+ * collectionEntryHTML) to the active collection.
+ * @param {ParentNode} root
+ */
+function wireCollectionEntryActions(root){
+  const c = activeCollection();
+  if (!c) return;
+
+  const write = async (fn, fallback) => {
+    try{
+      const { data } = await fn();
+      if (data) updateCollectionCount(data);
+      refreshCollectionView();
+    }catch(e){
+      console.error("collection entry error", e);
+      toast(writeErrorMessage(e, fallback));
+    }
+  };
+
+  root.querySelectorAll(".entry-move").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const position = Math.max(0, Number(btn.dataset.position) + Number(btn.dataset.dir));
+      write(() => apiPutCollectionEntry(c._id, btn.dataset.appid, { position }), "Could not move game");
+    });
+  });
+  root.querySelectorAll(".entry-note").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const note = window.prompt("Note", btn.dataset.note || "");
+      if (note === null) return;
+      write(() => apiPutCollectionEntry(c._id, btn.dataset.appid, { note: note.trim() }), "Could not save note");
+    });
+  });
+  root.querySelectorAll(".entry-remove").forEach(btn => {
+    btn.addEventListener("click", () => {
+      write(() => apiRemoveCollectionEntry(c._id, btn.dataset.appid), "Could not remove game");
+    });
+  });
+}
+
+/**
+ * Fills #collection-bar for the active collection (name, description,
+ * share link, rename, delete) and hides it for other categories.
+ */
+function renderCollectionBar(){
+  const bar = el("collection-bar");
+  if (!bar) return;
+  const c = activeCollection();
+  if (!c) { bar.hidden = true; bar.innerHTML = ""; return; }
+
+  const link = c.shareToken ? `${location.origin}/shared/${c.shareToken}` : "";
+  bar.hidden = false;
+  bar.innerHTML = `
+    <div class="collection-bar-info">
+      <strong>📁 ${escapeHTML(c.name)}</strong>
+      ${c.description ? `<span class="goty-muted">${escapeHTML(c.description)}</span>` : ""}
+    </div>
+    <div class="collection-bar-actions">
+      ${link ? `<input class="form-control collection-link" type="text" readonly value="${escapeHTML(link)}" aria-label="Share link" />` : ""}
+      <button class="btn btn--secondary" type="button" data-action="share">${link ? "Copy link" : "🔗 Share"}</button>
+      ${link ? `<button class="btn btn--secondary" type="button" data-action="unshare">Stop sharing</button>` : ""}
+      <button class="btn btn--secondary" type="button" data-action="rename">Rename</button>
+      <button class="btn btn--secondary" type="button" data-action="delete">Delete</button>
+    </div>`;
+
+  bar.querySelectorAll("[data-action]").forEach(btn => {
+    btn.addEventListener("click", () => collectionBarAction(c, btn.dataset.action));
+  });
+}
+
+/**
+ * Runs one #collection-bar action on a collection.
+ * @param {object} c - Entry of COLLECTIONS.
+ * @param {"share"|"unshare"|"rename"|"delete"} action
+ */
+async function collectionBarAction(c, action){
+  try{
+    if (action === "share") {
+      const data = await apiShareCollection(c._id, true);
+      c.shareToken = data.shareToken;
+      const link = `${location.origin}${data.url}`;
+      try{ await navigator.clipboard.writeText(link); toast("Share link copied"); }
+      catch{ toast("Share link ready"); }
+    } else if (action === "unshare") {
+      await apiShareCollection(c._id, false);
+      c.shareToken = null;
+      toast("Share link revoked");
+    } else if (action === "rename") {
+      const name = (window.prompt("Collection name", c.name) || "").trim();
+      if (!name || name === c.name) return;
+      const { data } = await apiUpdateCollection(c._id, { name });
+      c.name = data.name;
+      renderCollectionsNav();
+    } else if (action === "delete") {
+      if (!window.confirm(`Delete the collection "${c.name}"?`)) return;
+      await apiDeleteCollection(c._id);
+      COLLECTIONS = COLLECTIONS.filter(x => x._id !== c._id);
+      renderCollectionsNav();
+      toast(`Collection "${c.name}" deleted`);
+      const all = qs('.main-nav .nav-btn[data-category="all"]');
+      if (all) setCategoryActive(all);
+      return;
+    }
+    renderCollectionBar();
+  }catch(e){
+    console.error("collection action error", e);
+    toast(e.message === "http 409" ? "A collection with that name already exists" : writeErrorMessage(e, "Could not update collection"));
+  }
+}
+
+/**
+ * Read-only page of a shared collection (/shared/<token>): renders its
+ * games with the usual cards, in collection order, and hides the browsing
+ * controls. Games the viewer's safety policy blocks are left out (server
+ * side, then by guardItems).
+ */
+async function renderSharedCollection(){
+  document.body.classList.add("is-shared-view");
+  const bar = el("collection-bar");
+  setLoading(true);
+  try{
+    const { data, items = [] } = await apiSharedCollection(SHARED_TOKEN);
+    const title = el("content-title");
+    if (title) title.textContent = data.name;
+    if (bar) {
+      bar.hidden = false;
+      bar.innerHTML = `
+        <div class="collection-bar-info">
+          <strong>📁 ${escapeHTML(data.name)}</strong>
+          ${data.description ? `<span class="goty-muted">${escapeHTML(data.description)}</span>` : ""}
+          <span class="goty-muted">Shared collection · read-only</span>
+        </div>
+        <div class="collection-bar-actions">
+          <a class="btn btn--secondary" href="/">Browse all games</a>
+        </div>`;
+    }
+    state.total = items.length; state.hasMore = false;
+    state.nextCursor = state.prevCursor = null;
+    renderCount(items.length);
+    renderGames(items);
+  }catch(e){
+    console.error("shared collection error", e);
+    renderCount(0);
+    renderGames([]);
+    const noRes = el("no-results");
+    if (noRes) noRes.innerHTML = `<h3>This link no longer works</h3><p>The collection was deleted or is not shared anymore.</p>`;
+  }finally{
+    setLoading(false);
+  }
+}
+
+
+/**
+ * User-facing message for a failed write (favorites, GOTY).
+ * api* helpers throw Error("http <status>"); map auth failures to hints.
+ *
+ * @param {Error} e
+ * @param {string} fallback - Message for any other failure.
+ * @returns {string}
+ */
+function writeErrorMessage(e, fallback){
+  const msg = String(e && e.message || "");
+  if (msg === "http 401") return "Sign in to save changes";
+  if (msg === "http 403") return "This profile belongs to another account";
+  return fallback;
+}
+
+/**
+ * Displays a transient toast message in #toaster.
+ * @param {string} msg
+ */
+function toast(msg){
+  const t = el("toaster");
+  if(!t) return;
+  const item = document.createElement("div");
+  item.className = "toast-item";
+  item.textContent = msg;
+  t.appendChild(item);
+  setTimeout(()=>{ item.classList.add("show"); }, 20);
+  setTimeout(()=>{ item.classList.remove("show"); item.remove(); }, 2000);
+}
+
+
+/* ============================== UI: states =============================== */
+
+/**
+ * Shows/hides a loading overlay (#loading).
+ * @param {boolean} on
+ */
+function setLoading(on){
+  const l = el("loading"); if(!l) return;
+  l.style.display = on ? "flex" : "none";
+}
+
+/**
+ * Shows/hides the "no results" block (#no-results).
+ * @param {boolean} on
+ */
+function showNoResults(on){
+  const n = el("no-results"); if(!n) return;
+  n.style.display = on ? "block" : "none";
+}
+
+/**
+ * Renders the total results count in #results-count.
+ * @param {number} n
+ */
+function renderCount(n){
+  const r = el("results-count");
+  if(r) r.textContent = `${n} games found`;
+}
+
+
+/* ========================== Formatting helpers =========================== */
+
+/**
+ * Formats prices: 0 -> Free, number -> "$ 0.00", null/NaN -> "N/A".
+ * @param {number|string|null|undefined} v
+ * @returns {string}
+ */
+function formatPrice(v){
+  if (v === 0) return "Free";
+  if (v == null || v === "") return "N/A";
+  const n = Number(v);
+  return Number.isFinite(n) ? `$ ${n.toFixed(2)}` : "N/A";
+}
+
+/**
+ * Parses a date-like value and returns a localized short date.
+ * Falls back to the original string if parsing fails.
+ * @param {string|number|Date} s
+ * @returns {string}
+ */
+function formatDate(s){
+  if (!s) return "";
+  const d = new Date(s);
+  if (!isNaN(d)) {
+    // Ingested dates are UTC midnight ISO strings: format them in UTC
+    const utc = /^\d{4}-\d{2}-\d{2}T/.test(String(s)) ? { timeZone:"UTC" } : {};
+    return d.toLocaleDateString(undefined, { year:"numeric", month:"short", day:"numeric", ...utc });
+  }
+  return String(s);
+}
+
+/**
+ * Joins array items compactly, showing "+N more" for overflow.
+ * @param {any[]} arr
+ * @param {number} [max=3]
+ * @returns {string}
+ */
+function listCompact(arr, max=3){
+  if (!Array.isArray(arr) || arr.length===0) return "";
+  const head = arr.slice(0, max).join(", ");
+  const rest = arr.length - max;
+  return rest > 0 ? `${head} +${rest} more` : head;
+}
+
+/**
+ * If value is an array -> join by ", ", else return the value or "".
+ * @param {any} v
+ * @returns {string}
+ */
+function firstOrList(v){
+  if (Array.isArray(v)) return v.join(", ");
+  return v || "";
+}
+
+/**
+ * Returns small platform badges based on boolean flags in game object.
+ * @param {object} g - Game object with windows/mac/linux booleans.
+ * @returns {string} HTML string
+ */
+function platformsIcons(g){
+  const icons = [];
+  if (g.windows) icons.push(`<span class="badge" title="Windows">🪟</span>`);
+  if (g.mac)     icons.push(`<span class="badge" title="macOS">🍎</span>`);
+  if (g.linux)   icons.push(`<span class="badge" title="Linux">🐧</span>`);
+  return icons.join("");
+}
+
+/**
+ * Build a score badge (user score preferred over metacritic).
+ * @param {object} g - Game object possibly with user_score/metacritic_score.
+ * @returns {string} HTML string
+ */
+function scoreBadge(g){
+  if (g.user_score && Number(g.user_score) > 0) return `<span class="badge" title="User score">★ ${g.user_score}</span>`;
+  if (g.metacritic_score && Number(g.metacritic_score) > 0) return `<span class="badge" title="Metacritic">MC ${g.metacritic_score}</span>`;
+  return "";
+}
+
+/**
+ * Wraps highlighted spans of a text in <mark> (escaping everything else).
+ * Ranges come from the backend search index: [[start, end), ...] offsets
+ * into the original string.
+ * @param {string} text
+ * @param {Array<[number, number]>} [ranges]
+ * @returns {string} HTML string
+ */
+function highlightHTML(text, ranges){
+  const s = String(text ?? "");
+  if (!Array.isArray(ranges) || !ranges.length) return escapeHTML(s);
+  let out = "", pos = 0;
+  ranges.slice().sort((a,b)=>a[0]-b[0]).forEach(([start, end]) => {
+    if (start < pos) return;
+    out += escapeHTML(s.slice(pos, start)) + `<mark class="hl">${escapeHTML(s.slice(start, end))}</mark>`;
+    pos = end;
+  });
+  return out + escapeHTML(s.slice(pos));
+}
+
+/**
+ * Safely lists tag keys from a tags object (up to max).
+ * @param {object} tagsObj - Dictionary-like tags object.
+ * @param {number} [max=6]
+ * @returns {string}
+ */
+function safeTags(tagsObj, max=6){
+  if (!tagsObj || typeof tagsObj !== "object") return "";
+  return listCompact(Object.keys(tagsObj), max);
+}
+
+/**
+ * Returns a header image URL or an inline SVG placeholder.
+ * @param {object} g - Game object with header_image field.
+ * @returns {string} URL or data URI
+ */
+function headerSrc(g){
+  return g.header_image || "data:image/svg+xml;utf8," + encodeURIComponent(`
+    <svg xmlns='http://www.w3.org/2000/svg' width='640' height='240'>
+      <defs><linearGradient id='g' x1='0' y1='0' x2='1' y2='1'>
+        <stop offset='0%' stop-color='#0e8392'/><stop offset='100%' stop-color='#0b6471'/>
+      </linearGradient></defs>
+      <rect width='100%' height='100%' fill='url(#g)'/>
+      <text x='50%' y='50%' dominant-baseline='middle' text-anchor='middle' fill='white' font-family='sans-serif' font-size='26'>No Image</text>
+    </svg>
+  `);
+}
+
+/**
+ * Smoothly scrolls to top of results/grid area.
+ */
+function scrollToGridTop(){
+  const anchor = el("content-title") || el("games-grid") || document.body;
+  anchor.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+
+/* ========================== Pagination state ============================ */
+
+/** Default number of items per page. */
+const PAGELIMIT_DEFAULT = 40;
+
+/**
+ * Global UI/search state.
+ * - 'lastKey' is a fingerprint of (filters+sort) used to detect changes.
+ * - Navigation uses the opaque cursors returned by the backend; 'page' is
+ *   only an estimate kept for display (the server pages by keyset).
+ */
+const state = {
+  page: 1,
+  limit: PAGELIMIT_DEFAULT,
+  total: 0,
+  hasMore: false,
+  nextCursor: null, // pass as 'after' to get the next page
+  prevCursor: null, // pass as 'before' to get the previous page
+  lastKey: "",      // fingerprint of filters+sort
+  lastPayload: null, // last /search body, replayed by the explain drawer
+};
+
+/**
+ * Stable, order-insensitive fingerprint for filters+sort.
+ * @param {object} filters
+ * @param {string} sort
+ * @returns {string}
+ */
+function buildKey(filters, sort){
+  return JSON.stringify({ filters, sort });
+}
+
+
+/* ============================== Pager UI ================================ */
+
+/**
+ * Ensures a #pager container exists in the DOM after #games-grid.
+ * Creates it if missing.
+ */
+function ensurePager() {
+  let pager = el("pager");
+  let grid = el("games-grid");
+  if (!grid) return;
+  if (!pager) {
+    pager = document.createElement("div");
+    pager.id = "pager";
+    pager.className = "pager";
+    grid.insertAdjacentElement("afterend", pager);
+  }
+}
+
+/**
+ * Renders pagination controls and wires up events.
+ * - Prev/Next follow the backend cursors; First drops the cursor and Last
+ *   asks the backend for the final page (reverse scan).
+ * - Page numbers and the from/to range are estimates derived from 'total'.
+ * - Calls runSearch() when user navigates or changes page size.
+ */
+function renderPager() {
+  ensurePager();
+  const pager = el("pager");
+  if (!pager) return;
+
+  const { limit, total, nextCursor, prevCursor } = state;
+  const pages = total ? Math.max(1, Math.ceil(total / Math.max(1, limit))) : 1;
+  const page  = Math.min(state.page, pages);
+  const from  = total ? ((page - 1) * limit + 1) : 0;
+  const to    = total ? Math.min(page * limit, total) : 0;
+
+  pager.innerHTML = `
+    <div class="pager__row">
+      <div class="pager__info">
+        ${total ? `Showing ${from}–${to} of ${total}` : `No results`}
+      </div>
+      <div class="pager__controls">
+        <button class="btn btn--secondary pager__btn" data-act="first" ${!prevCursor ? "disabled":""}>« First</button>
+        <button class="btn btn--secondary pager__btn" data-act="prev"  ${!prevCursor ? "disabled":""}>‹ Prev</button>
+        <span class="pager__page" title="Estimated from the total count">Page ~${page} / ${pages}</span>
+        <button class="btn btn--secondary pager__btn" data-act="next"  ${!nextCursor ? "disabled":""}>Next ›</button>
+        <button class="btn btn--secondary pager__btn" data-act="last"  ${!nextCursor ? "disabled":""}>Last »</button>
+        <select class="form-control pager__limit" title="Items per page" aria-label="Items per page">
+          ${[20,40,60,100].map(v => `<option value="${v}" ${v===state.limit ? "selected":""}>${v}/page</option>`).join("")}
+        </select>
+      </div>
+    </div>
+  `;
+
+  const go = (params) => {
+    runSearch(params);
+    scrollToGridTop();
+  };
+  pager.querySelector('[data-act="first"]')?.addEventListener("click", () => go({ page: 1 }));
+  pager.querySelector('[data-act="prev"]') ?.addEventListener("click", () => go({ page: Math.max(1, page - 1), before: prevCursor }));
+  pager.querySelector('[data-act="next"]') ?.addEventListener("click", () => go({ page: Math.min(pages, page + 1), after: nextCursor }));
+  pager.querySelector('[data-act="last"]') ?.addEventListener("click", () => go({ page: pages, last: true }));
+  pager.querySelector(".pager__limit")?.addEventListener("change", (e) => {
+    state.limit = Number(e.target.value) || PAGELIMIT_DEFAULT;
+    runSearch({ page: 1 });
+    scrollToGridTop();
+  });
+}
+
+
+/* -------------------------------------------------------------------------- */
+/* GOTY: Modal + typeahead suggestions                                        */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * In-memory selection from the GOTY typeahead.
+ * Shape: { appid:string, name:string } or null
+ */
+let gotySelection = null;
+
+/**
+ * Creates (once) and initializes the GOTY modal DOM and behavior.
+ * - Tabs: "Pick" (set a ballot place), "Timeline" (the profile's ballots
+ *   with JSON/CSV export) and "Across profiles" (leaderboard + agreement).
+ * - Builds a placeholder year list (1990..current); loadGotyYears() narrows it.
+ * - Wires up typeahead input, suggestions, keyboard navigation.
+ * - Wires up "Save GOTY" to call apiSetGoty and refresh results.
+ * @returns {HTMLElement} the modal root node (#goty-modal)
+ */
+function ensureGotyModal(){
+  let m = el("goty-modal");
+  const needsBuild = !m || !m.querySelector("#goty-typeahead");
+
+  if (!m) {
+    m = document.createElement("div");
+    m.id = "goty-modal";
+    m.className = "modal hidden";
+    document.body.appendChild(m);
+  }
+  if (needsBuild) {
+    m.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="goty-title">
+        <div class="modal-header">
+          <h3 id="goty-title">Game of the Year</h3>
+          <button class="modal-close" aria-label="Close">×</button>
+        </div>
+
+        <div class="goty-tabs" role="tablist">
+          <button class="goty-tab active" role="tab" data-tab="pick" aria-selected="true">Pick</button>
+          <button class="goty-tab" role="tab" data-tab="timeline" aria-selected="false">Timeline</button>
+          <button class="goty-tab" role="tab" data-tab="across" aria-selected="false">Across profiles</button>
+        </div>
+
+        <div class="modal-body goty-panel" data-panel="pick" role="tabpanel">
+          <div class="goty-pick-row">
+            <div class="form-group">
+              <label for="goty-year-select">Year</label>
+              <select id="goty-year-select" class="form-control"></select>
+            </div>
+            <div class="form-group">
+              <label for="goty-rank-select">Place</label>
+              <select id="goty-rank-select" class="form-control">
+                <option value="1">🏆 1st (GOTY)</option>
+                <option value="2">🥈 2nd</option>
+                <option value="3">🥉 3rd</option>
+              </select>
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label for="goty-typeahead">Search game released that year</label>
+            <div class="typeahead-wrap">
+              <input id="goty-typeahead" class="form-control" type="text" autocomplete="off"
+                     placeholder="Start typing a game name…" />
+              <div id="goty-suggest" class="typeahead-list" role="listbox" aria-label="Suggestions"></div>
+            </div>
+          </div>
+        </div>
+
+        <div class="modal-body goty-panel" data-panel="timeline" role="tabpanel" hidden>
+          <div id="goty-timeline" class="goty-timeline"></div>
+        </div>
+
+        <div class="modal-body goty-panel" data-panel="across" role="tabpanel" hidden>
+          <div id="goty-across"></div>
+        </div>
+
+        <div class="modal-footer">
+          <span class="goty-export" hidden>
+            Export:
+            <a id="goty-export-json" class="btn btn--secondary goty-export-link" download>JSON</a>
+            <a id="goty-export-csv"  class="btn btn--secondary goty-export-link" download>CSV</a>
+          </span>
+          <button id="goty-cancel" class="btn btn--secondary">Cancel</button>
+          <button id="goty-save"   class="btn btn--primary" disabled>Save GOTY</button>
+        </div>
+      </div>
+    `;
+
+    const close = () => m.classList.add("hidden");
+    m.querySelector(".modal-close").addEventListener("click", close);
+    m.querySelector("#goty-cancel").addEventListener("click", close);
+    m.addEventListener("click", (e)=>{ if(e.target === m) close(); });
+
+    // Tabs
+    m.querySelectorAll(".goty-tab").forEach(tab => {
+      tab.addEventListener("click", () => showGotyTab(tab.dataset.tab));
+    });
+
+    // Placeholder years (current year down to 1990) until loadGotyYears() answers
+    const ySel = m.querySelector("#goty-year-select");
+    const nowY = new Date().getFullYear();
+    const years = Array.from({length: nowY - 1989}, (_,i)=> nowY - i);
+    ySel.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join("");
+
+    const input = m.querySelector("#goty-typeahead");
+    const list  = m.querySelector("#goty-suggest");
+    const save  = m.querySelector("#goty-save");
+
+    input.readOnly = false; input.disabled = false; input.style.pointerEvents = "auto";
+
+    /**
+     * Sets the current GOTY game selection.
+     * @param {{appid:string,name:string}|null} game
+     */
+    const setSelection = (game) => {
+      gotySelection = game ? { appid: String(game.appid), name: game.name } : null;
+      input.value = game ? game.name : input.value;
+      save.disabled = !gotySelection;
+      qsa("#goty-suggest .item").forEach(li => li.classList.remove("active"));
+      if (game) list.querySelector(`[data-appid="${game.appid}"]`)?.classList.add("active");
+    };
+
+    // Debounced typeahead
+    let debounce = null;
+    input.addEventListener("input", () => {
+      setSelection(null);
       if (!input.value.trim()) {
         list.innerHTML = "";
         list.classList.remove("open");
         save.disabled = true;
         return;
       }
-      clearTimeout(debounce);
-      debounce = setTimeout(runGotyTypeahead, 220);
-    });
+      clearTimeout(debounce);
+      debounce = setTimeout(runGotyTypeahead, 220);
+    });
+
+    // Keyboard navigation within suggestions list
+    input.addEventListener("keydown", (e) => {
+      const items = qsa("#goty-suggest .item");
+      if (!items.length) return;
+
+      const current = list.querySelector(".item.focused");
+      let idx = current ? items.indexOf(current) : -1;
+
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        idx = (idx + 1) % items.length;
+        items.forEach(li=>li.classList.remove("focused"));
+        items[idx].classList.add("focused");
+        items[idx].scrollIntoView({ block: "nearest" });
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        idx = (idx - 1 + items.length) % items.length;
+        items.forEach(li=>li.classList.remove("focused"));
+        items[idx].classList.add("focused");
+        items[idx].scrollIntoView({ block: "nearest" });
+      } else if (e.key === "Enter") {
+        const chosen = list.querySelector(".item.focused") || items[0];
+        if (chosen) {
+          e.preventDefault();
+          setSelection({ appid: chosen.dataset.appid, name: chosen.dataset.name });
+          list.classList.remove("open");
+        }
+      }
+    });
+
+    // Another year: the current pick/suggestions may not have been released then
+    ySel.addEventListener("change", () => {
+      setSelection(null);
+      if (input.value.trim()) runGotyTypeahead();
+    });
+
+    // Click to choose suggestion
+    list.addEventListener("click", (e) => {
+      const li = e.target.closest(".item");
+      if (!li) return;
+      setSelection({ appid: li.dataset.appid, name: li.dataset.name });
+      list.classList.remove("open");
+    });
+
+    // Save GOTY -> backend + refresh current search
+    save.addEventListener("click", async () => {
+      if (!gotySelection) return;
+      const year = Number(ySel.value);
+      const rank = Number(m.querySelector("#goty-rank-select").value) || 1;
+      try {
+        await apiSetGoty(gotySelection.appid, year, CURRENT_PROFILE, rank);
+        toast(rank === 1
+          ? `GOTY ${year} set to "${gotySelection.name}"`
+          : `#${rank} of ${year} set to "${gotySelection.name}"`);
+        m.classList.add("hidden");
+        runSearch({ page: 1 });
+      } catch (e) {
+        console.error(e);
+        toast(writeErrorMessage(e, "Error setting GOTY"));
+      }
+    });
+  }
+
+  return m;
+}
+
+/** Medal shown for a ballot place. */
+const RANK_ICONS = { 1: "🏆", 2: "🥈", 3: "🥉" };
+
+/**
+ * Switches the GOTY modal tab and loads its content. The footer shows
+ * "Save GOTY" on the Pick tab and the export links on the Timeline tab.
+ * @param {"pick"|"timeline"|"across"} name
+ */
+function showGotyTab(name){
+  const m = el("goty-modal");
+  if (!m) return;
+  m.querySelectorAll(".goty-tab").forEach(t => {
+    const on = t.dataset.tab === name;
+    t.classList.toggle("active", on);
+    t.setAttribute("aria-selected", on ? "true" : "false");
+  });
+  m.querySelectorAll(".goty-panel").forEach(p => { p.hidden = p.dataset.panel !== name; });
+  m.querySelector("#goty-save").hidden = name !== "pick";
+  m.querySelector(".goty-export").hidden = name !== "timeline";
+
+  if (name === "timeline") loadGotyTimeline();
+  if (name === "across") loadGotyAcross();
+}
+
+/**
+ * Picks of a ballot as a compact ordered list.
+ * @param {{rank:number, appid:string, name:string|null}[]} picks
+ * @returns {string}
+ */
+function ballotHTML(picks){
+  return `<ol class="goty-ballot">${picks.map(p => `
+    <li><span class="goty-rank">${RANK_ICONS[p.rank] || "#" + p.rank}</span>
+        ${escapeHTML(p.name || `App ${p.appid}`)}</li>`).join("")}
+  </ol>`;
+}
+
+/**
+ * Ballot places an audit entry changed, e.g. "🏆 Hades → Celeste".
+ * Entries store the ballot before / after as { "<rank>": { appid, name } }.
+ * @param {{before:object|null, after:object|null}} entry
+ * @returns {string[]}
+ */
+function ballotChanges(entry){
+  const before = entry.before || {}, after = entry.after || {};
+  const label = (p) => p ? (p.name || `App ${p.appid}`) : "—";
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .sort()
+    .filter(rank => before[rank]?.appid !== after[rank]?.appid)
+    .map(rank => `${RANK_ICONS[rank] || "#" + rank} ${label(before[rank])} → ${label(after[rank])}`);
+}
+
+/**
+ * "Changed by X on date" line and the list of earlier changes of a year's
+ * ballot ("" when nothing was recorded).
+ * @param {object[]} entries - Audit entries of that ballot, newest first.
+ * @returns {string}
+ */
+function ballotHistoryHTML(entries){
+  if (!entries?.length) return "";
+  const when = (at) => new Date(at).toLocaleString(undefined, { year:"numeric", month:"short", day:"numeric", hour:"2-digit", minute:"2-digit" });
+  const who = (e) => escapeHTML(e.actor?.name || "someone");
+  const last = entries[0];
+  return `
+    <details class="goty-history">
+      <summary class="goty-muted">Changed by ${who(last)} on ${escapeHTML(when(last.at))}</summary>
+      <ul>${entries.map(e => `
+        <li><span class="goty-muted">${escapeHTML(when(e.at))} · ${who(e)}</span>
+            ${escapeHTML(ballotChanges(e).join(", ") || e.action)}</li>`).join("")}
+      </ul>
+    </details>`;
+}
+
+/**
+ * Fills the Timeline tab with the active profile's ballots, newest year
+ * first, and points the export links at this profile. Signed-in users also
+ * see who changed each ballot and when (audit log); anonymous visitors just
+ * get the ballots.
+ */
+async function loadGotyTimeline(){
+  const box = el("goty-timeline");
+  if (!box) return;
+  el("goty-export-json").href = gotyExportURL("json");
+  el("goty-export-csv").href = gotyExportURL("csv");
+  box.innerHTML = `<p class="goty-muted">Loading…</p>`;
+
+  try{
+    const [{ years = [] }, history] = await Promise.all([
+      apiGotyTimeline(CURRENT_PROFILE),
+      apiGotyHistory(CURRENT_PROFILE).catch(e => {
+        if (!/http 40[13]/.test(e.message)) console.error("GOTY history error", e);
+        return null;
+      }),
+    ]);
+    const historyOf = (year) => (history?.items || []).filter(e => e.entityId === `${CURRENT_PROFILE}:${year}`);
+    box.innerHTML = years.length
+      ? years.map(y => `
+          <section class="goty-year">
+            <h4>${y.year}</h4>
+            ${ballotHTML(y.picks)}
+            ${ballotHistoryHTML(historyOf(y.year))}
+          </section>`).join("")
+      : `<p class="goty-muted">No GOTY picks yet for this profile.</p>`;
+  }catch(e){
+    console.error("GOTY timeline error", e);
+    box.innerHTML = `<p class="goty-muted">Could not load the timeline.</p>`;
+  }
+}
+
+/**
+ * Fills the "Across profiles" tab: most-picked games, then the years every
+ * profile voted in and whether their winners agree.
+ */
+async function loadGotyAcross(){
+  const box = el("goty-across");
+  if (!box) return;
+  box.innerHTML = `<p class="goty-muted">Loading…</p>`;
+
+  const [board, compare] = await Promise.all([
+    apiGotyLeaderboard(10).catch(e => { console.error("GOTY leaderboard error", e); return null; }),
+    apiGotyCompare().catch(e => { console.error("GOTY compare error", e); return null; }),
+  ]);
+  const nameOf = (key) => (PROFILES.find(p => p.key === key) || {}).name || key;
+
+  const items = board?.items || [];
+  const boardHTML = items.length
+    ? `<ol class="goty-leaderboard">${items.map(g => `
+        <li title="${escapeHTML(g.profiles.map(nameOf).join(", "))}">
+          <span class="goty-lb-name">${escapeHTML(g.name || `App ${g.appid}`)}</span>
+          <span class="goty-muted">${g.points} pts · ${g.picks} pick${g.picks > 1 ? "s" : ""}${g.wins ? ` · ${g.wins} 🏆` : ""}</span>
+        </li>`).join("")}</ol>`
+    : `<p class="goty-muted">No picks yet.</p>`;
+
+  let compareHTML = `<p class="goty-muted">Needs at least two profiles.</p>`;
+  if (compare?.years) {
+    const s = compare.summary;
+    compareHTML = `
+      <p class="goty-muted">Agreed on ${s.agreed} of ${s.comparable} year${s.comparable === 1 ? "" : "s"} everyone voted in.</p>
+      ${compare.years.map(y => `
+        <section class="goty-year ${y.agreed ? "is-agreed" : ""}">
+          <h4>${y.year} ${y.agreed ? `<span class="goty-agree">✔ agreed</span>` : ""}</h4>
+          ${compare.profiles.map(k => {
+            const winner = (y.ballots[k] || []).find(p => p.rank === 1);
+            return `<div class="goty-compare-row"><span>${escapeHTML(nameOf(k))}</span>
+                    <span>${winner ? escapeHTML(winner.name || `App ${winner.appid}`) : "—"}</span></div>`;
+          }).join("")}
+        </section>`).join("")}`;
+  }
+
+  box.innerHTML = `
+    <h4 class="goty-section-title">Most picked</h4>${boardHTML}
+    <h4 class="goty-section-title">Which years do we agree on?</h4>${compareHTML}`;
+}
+
+/**
+ * Executes the typeahead query for the GOTY modal.
+ * - Calls apiSearch with a narrow projection and limit=8, restricted to
+ *   games released in the selected year.
+ * - Renders a clickable suggestion list.
+ */
+async function runGotyTypeahead(){
+  const m = el("goty-modal");
+  if (!m) return;
+  const input = m.querySelector("#goty-typeahead");
+  const list  = m.querySelector("#goty-suggest");
+  const year  = m.querySelector("#goty-year-select").value;
+  const q = (input.value || "").trim();
+
+  list.innerHTML = "";
+  list.classList.remove("open");
+  if (!q) return;
+
+  try{
+    const payload = {
+      filters: { search: q, year, profile: CURRENT_PROFILE },
+      sort: "relevance",
+      page: 1, limit: 8,
+      projection: { appid:1, name:1, header_image:1 }
+    };
+    const data = await apiSearch(payload);
+    const items = guardItems(data.items);
+
+    if (!items.length) {
+      list.innerHTML = `<div class="empty">No matches</div>`;
+      list.classList.add("open");
+      return;
+    }
+
+    list.innerHTML = items.map(g => `
+      <div class="item" role="option" tabindex="-1"
+           data-appid="${g.appid}" data-name="${(g.name||"").replace(/"/g,"&quot;")}">
+        <img src="${g.header_image || ""}" alt="" />
+        <span class="t">${highlightHTML(g.name || "", g.highlights?.name)}</span>
+      </div>
+    `).join("");
+    list.classList.add("open");
+  }catch(e){
+    console.error(e);
+    list.innerHTML = `<div class="empty">Error. Try again.</div>`;
+    list.classList.add("open");
+  }
+}
+
+/**
+ * Replaces the GOTY year options with the years that have releases
+ * (years facet, kid safety included), labelled with their game count.
+ * Keeps the placeholder list when the request fails.
+ * @param {HTMLSelectElement} ySel
+ */
+async function loadGotyYears(ySel){
+  try{
+    const { facets } = await apiFacets({ profile: CURRENT_PROFILE });
+    const rows = (facets && facets.years) || [];
+    if (!rows.length) return;
+    const current = ySel.value;
+    ySel.innerHTML = rows
+      .map(r => `<option value="${r.value}">${r.value} (${r.count})</option>`)
+      .join("");
+    if (rows.some(r => String(r.value) === current)) ySel.value = current;
+  }catch(e){
+    console.error("GOTY years load error", e);
+  }
+}
+
+/**
+ * Opens the GOTY modal and resets its UI.
+ * Focuses the input after opening.
+ */
+function openGotyModal(){
+  gotySelection = null;
+  const m = ensureGotyModal();
+  m.classList.remove("hidden");
+
+  const input = m.querySelector("#goty-typeahead");
+  const list  = m.querySelector("#goty-suggest");
+  const save  = m.querySelector("#goty-save");
+
+  input.value = "";
+  list.innerHTML = "";
+  list.classList.remove("open");
+  save.disabled = true;
+  showGotyTab("pick");
+  loadGotyYears(m.querySelector("#goty-year-select"));
+
+  setTimeout(() => {
+    input.readOnly = false;
+    input.disabled = false;
+    input.style.pointerEvents = "auto";
+    input.focus();
+  }, 0);
+}
+
+
+/* -------------------------------------------------------------------------- */
+/* Card + favorites + GOTY badge                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Builds the card HTML for a single game, including:
+ * - Header image (placeholder if missing)
+ * - Favorite button (reflects current fav state) and watch list toggle
+ * - GOTY badge (if applies) with remove action
+ * - Metadata (genres, platforms, scores, price with sparkline and deal
+ *   badge, date, fine details)
+ * - Expandable details (description + screenshots + "Similar games" carousel)
+ *
+ * @param {object} g - Game document from backend (projection-sensitive).
+ * @returns {string} HTML string for insertion in the grid.
+ */
+function gameCardHTML(g){
+  const appid  = g.appid || g._id || "";
+  const fav    = isFav(appid);
+  const watched = WATCHLIST.has(String(appid));
+  const deal    = DEAL_LABELS[g.price_stats?.deal] ? g.price_stats.deal : null;
+  const isGoty = Number(g.goty_year) > 0;
+  const gotyRank = Number(g.goty_rank) || 1;
+
+  const priceStr  = formatPrice(g.price);
+  const dateStr   = formatDate(g.release_ts || g.release_date_text || g.release_date);
+  const genresStr = Array.isArray(g.genres) ? g.genres.join(", ") : (g.genres || "");
+  const langsStr  = Array.isArray(g.supported_languages) ? listCompact(g.supported_languages, 4) : (g.supported_languages || "");
+  const devsStr   = Array.isArray(g.developers)
+    ? listCompact(g.developers.map((d, i) => highlightHTML(d, g.highlights?.developers?.[i])), 2)
+    : (g.developers || "");
+  const pubsStr   = Array.isArray(g.publishers) ? listCompact(g.publishers, 2) : (g.publishers || "");
+  const tagsStr   = safeTags(g.tags, 6);
+  const desc      = g.short_description || g.about_the_game || g.detailed_description || "";
+  const shots     = Array.isArray(g.screenshots) ? g.screenshots.slice(0,4) : [];
+
+  return `
+    <div class="game-card ${isGoty ? "is-goty" : ""}" data-appid="${appid}">
+      <div class="thumb">
+        ${isGoty ? `
+          <div class="goty-badge ${gotyRank > 1 ? "is-runner-up" : ""}" title="${gotyRank > 1 ? `#${gotyRank} of ${g.goty_year}` : "Game of the Year"}">
+            ${gotyRank > 1 ? `${RANK_ICONS[gotyRank] || ""} #${gotyRank} ${g.goty_year}` : `🏆 GOTY ${g.goty_year}`}
+            <button class="goty-remove" data-appid="${appid}" data-year="${g.goty_year}" aria-label="Remove GOTY">✖</button>
+          </div>
+        ` : ``}
+        <img src="${headerSrc(g)}" alt="${(g.name || "").replace(/"/g,"&quot;")}">
+        <button class="fav-btn ${fav ? "active":""}" data-appid="${appid}" aria-pressed="${fav ? "true":"false"}">
+          ${fav ? "★ Liked" : "☆ Like"}
+        </button>
+        <button class="collect-btn" type="button" data-appid="${appid}" data-name="${escapeHTML(g.name || "")}"
+                title="Add to collection" aria-label="Add to collection">📁＋</button>
+        <button class="watch-btn ${watched ? "active" : ""}" type="button" data-appid="${appid}"
+                aria-pressed="${watched ? "true" : "false"}" aria-label="Watch price"
+                title="${watched ? "Watching — click to stop" : "Watch price"}">🔔</button>
+      </div>
+
+      <div class="meta">
+        <h4 class="title"><a class="game-link" href="${gameHref(appid)}">${g.name ? highlightHTML(g.name, g.highlights?.name) : "Untitled"}</a></h4>
+        ${genresStr ? `<div class="sub">${genresStr}</div>` : ""}
+
+        <div class="badges">
+          ${platformsIcons(g)}
+          ${scoreBadge(g)}
+          ${g.achievements ? `<span class="badge" title="Achievements">🏆 ${g.achievements}</span>` : ""}
+          ${g.recommendations ? `<span class="badge" title="Recommendations">👍 ${g.recommendations}</span>` : ""}
+          ${compareButtonHTML(g)}
+        </div>
+
+        <div class="row">
+          <span class="price ${g.price === 0 ? "free":""}">${priceStr}</span>
+          ${priceSparklineHTML(g.price_stats)}
+          ${deal ? `<span class="deal-badge deal-badge--${deal}">${DEAL_LABELS[deal]}</span>` : ""}
+          <span class="date">${dateStr}</span>
+        </div>
+
+        <div class="fine">
+          ${langsStr ? `<div>Lang: ${langsStr}</div>` : ""}
+          ${devsStr ? `<div>Dev: ${devsStr}</div>` : ""}
+          ${pubsStr ? `<div>Pub: ${pubsStr}</div>` : ""}
+          ${tagsStr ? `<div>Tags: ${tagsStr}</div>` : ""}
+          ${safeUrl(g.website) ? `<a href="${safeUrl(g.website)}" target="_blank" rel="noopener">Website ↗</a>` : ""}
+        </div>
+
+        ${g.recommendation ? recommendationWhyHTML(g.recommendation) : ""}
+        ${g.collection_position != null ? collectionEntryHTML(g) : ""}
+
+        <details class="game-details" data-appid="${appid}">
+          <summary>Details</summary>
+          ${desc ? `<p>${desc}</p>` : ""}
+          ${shots.length ? `<div class="shots">` + shots.map(s => `<img src="${s}" alt="screenshot">`).join("") + `</div>` : ""}
+          <div class="similar" aria-label="Similar games">
+            <h5 class="similar-title">Similar games</h5>
+            <div class="similar-carousel"><span class="similar-empty">Loading…</span></div>
+          </div>
+        </details>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * "Why this game" block of a recommended card: total score and one chip
+ * per breakdown entry ("+30 shared genre Roguelike", "-12 diversity ...").
+ * @param {{score:number, breakdown:{kind:string,label:string,points:number}[]}} reco
+ * @returns {string} HTML
+ */
+function recommendationWhyHTML(reco){
+  const chips = (reco.breakdown || []).map(b => `
+    <span class="reco-chip reco-chip--${escapeHTML(b.kind)} ${b.points < 0 ? "is-negative" : ""}">
+      ${b.points > 0 ? "+" : ""}${b.points} ${escapeHTML(b.label)}
+    </span>`).join("");
+  return `
+    <div class="reco-why">
+      <div class="reco-score" title="Recommendation score">Score ${Math.round(reco.score)}</div>
+      <div class="reco-chips">${chips}</div>
+    </div>`;
+}
+
+/**
+ * Fills the "Similar games" carousel of an opened card (once per card) or
+ * of a game page. Clicking a game searches for it, unless `onPick` is set.
+ * @param {HTMLElement} details - The card's <details> element (or any
+ *   element with data-appid holding a .similar-carousel).
+ * @param {{onPick?: (appid:string) => void}} [opts]
+ */
+async function loadSimilarCarousel(details, { onPick } = {}){
+  if (details.dataset.similarLoaded) return;
+  details.dataset.similarLoaded = "1";
+  const box = details.querySelector(".similar-carousel");
+  if (!box) return;
+
+  try{
+    const items = guardItems((await apiSimilar(details.dataset.appid, { limit: 12 })).items);
+    if (!items.length) {
+      box.innerHTML = `<span class="similar-empty">No similar games found.</span>`;
+      return;
+    }
+    box.innerHTML = `
+      <button class="similar-nav" data-dir="-1" type="button" aria-label="Previous">‹</button>
+      <div class="similar-track">
+        ${items.map(g => `
+          <button class="similar-item" type="button" data-appid="${escapeHTML(String(g.appid ?? ""))}" data-name="${escapeHTML(g.name || "")}"
+                  title="${escapeHTML((g.similarity?.reasons || []).join(" · "))}">
+            <img src="${headerSrc(g)}" alt="" loading="lazy">
+            <span class="similar-name">${escapeHTML(g.name || "Untitled")}</span>
+            <span class="similar-meta">${formatPrice(g.price)}</span>
+          </button>`).join("")}
+      </div>
+      <button class="similar-nav" data-dir="1" type="button" aria-label="Next">›</button>
+    `;
+    const track = box.querySelector(".similar-track");
+    box.querySelectorAll(".similar-nav").forEach(btn => {
+      btn.addEventListener("click", () => {
+        track.scrollBy({ left: Number(btn.dataset.dir) * track.clientWidth * 0.8, behavior: "smooth" });
+      });
+    });
+    box.querySelectorAll(".similar-item").forEach(btn => {
+      btn.addEventListener("click", () => {
+        if (onPick) return onPick(btn.dataset.appid);
+        const input = el("search-input");
+        if (input) input.value = btn.dataset.name;
+        runSearch({ page: 1 });
+        window.scrollTo({ top: 0, behavior: "smooth" });
+      });
+    });
+  }catch(e){
+    console.error("similar games error", e);
+    delete details.dataset.similarLoaded; // retry on next open
+    box.innerHTML = `<span class="similar-empty">Could not load similar games.</span>`;
+  }
+}
+
+/**
+ * Wires the card buttons rendered inside `root`:
+ * - Favorite toggle buttons, watch list toggles and compare pins
+ * - GOTY remove buttons
+ * - "Add to collection" buttons and, in a collection view, entry tools
+ * - Details toggles (lazy "Similar games" carousel)
+ * - Title links to the game page
+ * @param {ParentNode} root
+ */
+function wireCardActions(root){
+  root.querySelectorAll("details.game-details").forEach(d => {
+    d.addEventListener("toggle", () => { if (d.open) loadSimilarCarousel(d); });
+  });
+
+  // game page links (a shared view follows them as plain links)
+  if (!SHARED_TOKEN) {
+    root.querySelectorAll("a.game-link").forEach(a => {
+      a.addEventListener("click", (ev) => {
+        if (ev.button !== 0 || ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return; // new tab
+        ev.preventDefault();
+        openGamePage(a.closest("[data-appid]").dataset.appid);
+      });
+    });
+  }
+
+  // favorites
+  root.querySelectorAll(".fav-btn").forEach(btn => {
+    btn.addEventListener("click", () => toggleFav(btn.dataset.appid));
+  });
+
+  // price watch list
+  root.querySelectorAll(".watch-btn").forEach(btn => {
+    btn.addEventListener("click", () => toggleWatch(btn.dataset.appid));
+  });
+
+  // compare tray
+  root.querySelectorAll(".compare-btn").forEach(btn => {
+    paintCompareButton(btn);
+    btn.addEventListener("click", () => toggleCompare({ appid: btn.dataset.appid, name: btn.dataset.name, header_image: btn.dataset.image }));
+  });
+
+  // collections
+  root.querySelectorAll(".collect-btn").forEach(btn => {
+    btn.addEventListener("click", () => openCollectionModal(btn.dataset.appid, btn.dataset.name));
+  });
+  wireCollectionEntryActions(root);
+
+  // remove GOTY from badge
+  root.querySelectorAll(".goty-remove").forEach(btn => {
+    btn.addEventListener("click", async (ev) => {
+      ev.stopPropagation(); ev.preventDefault();
+      const year = btn.dataset.year, appid = btn.dataset.appid;
+      try{
+        await apiUnsetGoty({ year, appid, profile: CURRENT_PROFILE });
+        toast(`GOTY ${year} removed`);
+        runSearch({ page: 1 });
+      }catch(e){ console.error(e); toast(writeErrorMessage(e, "Error removing GOTY")); }
+    });
+  });
+}
+
+/**
+ * Renders a list of games into #games-grid and wires up:
+ * - Favorite toggle buttons
+ * - GOTY remove buttons
+ * Shows "no results" when list is empty.
+ * @param {object[]} items - Game documents
+ */
+function renderGames(items){
+  const grid = el("games-grid");
+  if(!grid) return;
+
+  if(!items || !items.length){
+    grid.innerHTML = "";
+    showNoResults(true);
+    return;
+  }
+  showNoResults(false);
+  grid.innerHTML = guardItems(items).map(g => gameCardHTML(g)).join("");
+  wireCardActions(grid);
+}
+
+/**
+ * Renders recommendations as "Because you liked X" sections in
+ * #games-grid (each section spans the grid and holds its own card grid).
+ * @param {{items:object[], groups:{because:{appid:string,name:string}|null, appids:string[]}[]}} data
+ */
+function renderRecommendationGroups({ items = [], groups = [] } = {}){
+  const grid = el("games-grid");
+  if(!grid) return;
+
+  if(!items.length){
+    grid.innerHTML = "";
+    showNoResults(true);
+    return;
+  }
+  showNoResults(false);
+
+  const byAppid = new Map(guardItems(items).map(g => [String(g.appid), g]));
+  grid.innerHTML = groups.map(group => {
+    const cards = group.appids.map(id => byAppid.get(String(id))).filter(Boolean);
+    const title = group.because
+      ? `Because you liked <strong>${escapeHTML(group.because.name)}</strong>`
+      : "More picks for you";
+    return `
+      <section class="reco-group">
+        <h3 class="reco-group-title">${title}</h3>
+        <div class="reco-group-items">${cards.map(g => gameCardHTML(g)).join("")}</div>
+      </section>`;
+  }).join("");
+  wireCardActions(grid);
+}
+
+
+/* =========================== Read UI values ============================ */
+
+/**
+ * @returns {"all"|"favorites"|"recommendations"|"goty"|"deals"|"watchlist"|string} a preset or a collection id
+ */
+function getActiveCategory(){
+  const btn = qs(".main-nav .nav-btn.active");
+  return btn ? btn.getAttribute("data-category") : "all";
+}
+
+/** @returns {string} trimmed content of #search-input */
+function getSearchText(){ return (el("search-input")?.value || "").trim(); }
+
+/**
+ * Reads active platform toggles and converts to booleans.
+ * @returns {{windows:boolean,mac:boolean,linux:boolean}}
+ */
+function getActivePlatforms(){
+  const active = qsa(".platform-btn.active").map(b => b.getAttribute("data-platform"));
+  return {
+    windows: active.includes("windows"),
+    mac: active.includes("mac"),
+    linux: active.includes("linux")
+  };
+}
+
+/** @returns {string} sort value like "name-asc" */
+function getSortValue(){ return el("sort-select")?.value || "name-asc"; }
+/** @returns {string} selected genre or "" */
+function getGenre(){ return el("genre-select")?.value || ""; }
+/** @returns {string} selected language or "" */
+function getLanguage(){ return el("language-select")?.value || ""; }
+/** @returns {""|"single"|"multi"} multiplayer filter */
+function getMultiplayer(){ return el("multiplayer-select")?.value || ""; } // "", single, multi
+/** @returns {string} selected developer or "" */
+function getDeveloper(){ return el("developer-select")?.value || ""; }
+/** @returns {number} min price */
+function getPriceMin(){ return Number(el("price-min")?.value || 0); }
+/** @returns {number} max price */
+function getPriceMax(){ return Number(el("price-max")?.value || 50); }
+/** @returns {string} GOTY year or "" */
+function getGOTYYear(){ return el("goty-year")?.value || ""; }
+/** @returns {string} release year or "" */
+function getReleaseYear(){ return el("year-select")?.value || ""; }
+/** @returns {string} "YYYY-MM-DD" lower release bound or "" */
+function getReleasedFrom(){ return el("released-from")?.value || ""; }
+/** @returns {string} "YYYY-MM-DD" upper release bound (inclusive) or "" */
+function getReleasedTo(){ return el("released-to")?.value || ""; }
+
+/**
+ * Synchronizes the visual price range label (#price-value).
+ */
+function updatePriceLabel(){
+  const span = el("price-value");
+  if(!span) return;
+  span.textContent = `${getPriceMin()}-${getPriceMax()}`;
+}
+
+/**
+ * Toggles a platform filter button and re-runs the search.
+ * @param {HTMLElement} btn - .platform-btn element
+ */
+function togglePlatform(btn){
+  btn.classList.toggle("active");
+  runSearch();
+}
+
+/**
+ * Sets active category button, shows/hides GOTY filters and the collection
+ * bar, switches to/from the "collection" sort, and re-runs search.
+ * @param {HTMLElement} targetBtn - .main-nav .nav-btn
+ */
+function setCategoryActive(targetBtn){
+  showCategory(targetBtn);
+  runSearch();
+}
+
+/**
+ * setCategoryActive without the search (also used when restoring URL state).
+ * @param {HTMLElement} targetBtn - .main-nav .nav-btn
+ */
+function showCategory(targetBtn){
+  qsa(".main-nav .nav-btn").forEach(b => b.classList.remove("active"));
+  targetBtn.classList.add("active");
+
+  const cat = getActiveCategory();
+  const show = (cat === "goty");
+  qsa(".goty-filter").forEach(block => {
+    block.style.display = show ? "block" : "none";
+  });
+
+  // Collections open in their own order; other views cannot use it
+  const sortSel = el("sort-select");
+  if (sortSel) {
+    if (activeCollection()) sortSel.value = "collection";
+    else if (sortSel.value === "collection") sortSel.value = "name-asc";
+  }
+  renderCollectionBar();
+}
+
+/**
+ * Builds a safe <option> list with a placeholder.
+ * Escapes < and > to avoid HTML injection in visible labels.
+ * @param {string[]} values
+ * @param {string} placeholder
+ * @returns {string} HTML
+ */
+function buildOptionsHTML(values, placeholder){
+  const opts = ['<option value="">' + placeholder + '</option>']
+    .concat(values.map(v => `<option>${String(v).replace(/</g,"&lt;").replace(/>/g,"&gt;")}</option>`));
+  return opts.join("");
+}
+
+/**
+ * Builds an <option> list labelled with facet counts, e.g. "Action (123)".
+ * The current selection is kept even when its count dropped to zero.
+ * @param {{value:string,count:number}[]} rows
+ * @param {string} placeholder
+ * @param {string} selected - Currently selected value ("" for none).
+ * @param {(a:object,b:object)=>number} [compare] - Option order (default A–Z).
+ * @returns {string} HTML
+ */
+function buildCountedOptionsHTML(rows, placeholder, selected, compare){
+  const list = rows.slice();
+  if (selected && !list.some(r => String(r.value) === selected)) list.push({ value: selected, count: 0 });
+  list.sort(compare || ((a,b)=>String(a.value).localeCompare(String(b.value))));
+  return ['<option value="">' + placeholder + '</option>']
+    .concat(list.map(r => {
+      const v = escapeHTML(r.value);
+      return `<option value="${v}" ${String(r.value) === selected ? "selected" : ""}>${v} (${r.count})</option>`;
+    }))
+    .join("");
+}
+
+/** AbortController of the in-flight facets request (superseded by newer searches). */
+let CURRENT_FACETS_CTRL = null;
+
+/**
+ * Refreshes the genre/language/developer/year selects (and platform button
+ * titles) with counts under the given filters. Non-blocking: errors only
+ * get logged, the plain lists from loadDistincts() stay in place.
+ * @param {object} filters - Filters of the search that was just rendered.
+ */
+async function refreshFacets(filters){
+  if (CURRENT_FACETS_CTRL) CURRENT_FACETS_CTRL.abort();
+  CURRENT_FACETS_CTRL = new AbortController();
+
+  try{
+    const { facets } = await apiFacets(filters, { signal: CURRENT_FACETS_CTRL.signal });
+    if (!facets) return;
+
+    const selGenre = el("genre-select");
+    if (selGenre) {
+      let rows = facets.genres || [];
+      // Client-side guard: hide genres the profile's safety policy blocks
+      rows = rows.filter(r => !isBlockedGenre(r.value));
+      selGenre.innerHTML = buildCountedOptionsHTML(rows, "All Genres", getGenre());
+    }
+
+    const selLang = el("language-select");
+    if (selLang) selLang.innerHTML = buildCountedOptionsHTML(facets.languages || [], "All Languages", getLanguage());
+
+    const selDev = el("developer-select");
+    if (selDev) selDev.innerHTML = buildCountedOptionsHTML(facets.developers || [], "All Developers", getDeveloper());
+
+    const selYear = el("year-select");
+    if (selYear) selYear.innerHTML = buildCountedOptionsHTML(facets.years || [], "All Years", getReleaseYear(), (a,b)=>b.value - a.value);
+
+    const labels = { windows: "Windows", mac: "macOS", linux: "Linux" };
+    qsa(".platform-btn").forEach(btn => {
+      const p = btn.getAttribute("data-platform");
+      if (facets.platforms && p in facets.platforms) btn.title = `${labels[p] || p} (${facets.platforms[p]})`;
+    });
+  }catch(e){
+    if (e.name !== "AbortError") console.error("facets load error", e);
+  }
+}
+
+/**
+ * Loads distinct lists (genres/languages/developers) in parallel and
+ * populates their <select> elements. Applies the client-side safety guard to genres.
+ * Uses DISTINCT_CACHE via getDistinct(kind).
+ */
+async function loadDistincts(){
+  const selGenre = el("genre-select");
+  const selLang  = el("language-select");
+  const selDev   = el("developer-select");
+
+  try{
+    const [gRes, lRes, dRes] = await Promise.all([
+      getDistinct("genres"),
+      getDistinct("languages"),
+      getDistinct("developers")
+    ]);
+
+    if (selGenre) {
+      let vals = (gRes.items || []).filter(Boolean);
+
+      // Client-side guard: hide genres the profile's safety policy blocks
+      vals = vals.filter(v => !isBlockedGenre(v));
+
+      vals.sort((a,b)=>String(a).localeCompare(String(b)));
+      selGenre.innerHTML = buildOptionsHTML(vals, "All Genres");
+    }
+
+    if (selLang) {
+      const vals = (lRes.items || []).filter(Boolean)
+        .sort((a,b)=>String(a).localeCompare(String(b)));
+      selLang.innerHTML = buildOptionsHTML(vals, "All Languages");
+    }
+
+    if (selDev) {
+      let vals = (dRes.items || []).filter(Boolean);
+      // Normalize: trim and unique
+      vals = Array.from(new Set(vals.map(v => String(v).trim())));
+      vals.sort((a,b)=> a.localeCompare(b));
+      const MAX = 500;
+      if (vals.length > MAX) vals = vals.slice(0, MAX);
+      selDev.innerHTML = buildOptionsHTML(vals, "All Developers");
+    }
+  }catch(e){
+    // Non-blocking: if one fails, we still render the rest of the page.
+    console.error("distinct load error", e);
+  }
+}
+
+
+/* ========================= Search execution flow ========================= */
+
+let searchTimer = null;              // debounce handle for text input
+let CURRENT_SEARCH_CTRL = null;      // AbortController for in-flight searches
+
+/**
+ * Runs the main search flow:
+ * - Aborts any in-flight search (prevents stale render).
+ * - Reads all UI filters and builds a payload for apiSearch.
+ * - Special handling:
+ *    • favorites: inject current favorites as 'appids' filter, or render empty state.
+ *    • recommendations: requires favorites; sends the fresh list to
+ *      /api/games/recommendations and renders "because you liked X" groups
+ *      with a score breakdown per card (no paging).
+ * - Updates state.total/hasMore/cursors, renders count, grid, and pager.
+ *
+ * @param {{page?:number, after?:string, before?:string, last?:boolean, restore?:boolean, history?:"push"|"replace"|"none"}} [params]
+ *   'page' is the estimated page number to display; 'after'/'before' are
+ *   backend cursors and 'last' jumps to the final page. Without any of them
+ *   the first page is loaded. 'restore' keeps the given page/cursor even
+ *   though the filters changed (state read back from the URL); 'history'
+ *   says how the URL records this search (default: a new history entry).
+ */
+async function runSearch({ page, after, before, last, restore = false, history = "push" } = {}){
+  try{
+    // Cancel any in-flight search (prevents stale results)
+    if (CURRENT_SEARCH_CTRL) CURRENT_SEARCH_CTRL.abort();
+    CURRENT_SEARCH_CTRL = new AbortController();
+
+    setLoading(true);
+
+    const filters = {
+      category: getActiveCategory(),
+      search: getSearchText(),
+      platforms: getActivePlatforms(),
+      genre: getGenre(),
+      language: getLanguage(),
+      multiplayer: getMultiplayer(),
+      developer: getDeveloper(),
+      priceMin: getPriceMin(),
+      priceMax: getPriceMax(),
+      year: getReleaseYear(),
+      releasedFrom: getReleasedFrom(),
+      releasedTo: getReleasedTo(),
+      gotyYear: getGOTYYear(),
+      profile: CURRENT_PROFILE,           // send current profile to backend
+    };
+    const sort = getSortValue();
+
+    // Detect filter changes to reset to page 1
+    const key = buildKey(filters, sort);
+    const filtersChanged = key !== state.lastKey;
+    state.lastKey = key;
+    if (filtersChanged && !restore) {
+      state.page = 1;
+      after = before = undefined; last = false; // cursors belong to the old query
+    } else if (typeof page === "number") {
+      state.page = Math.max(1, page);
+    }
+    syncSearchUrl({ after, before, last }, history);
+
+    // Build the search request
+    const payload = {
+      filters,
+      sort,
+      page: state.page,
+      limit: state.limit,
+      after: typeof after === "string" ? after : undefined,
+      before: typeof before === "string" ? before : undefined,
+      last: last === true,
+      projection: {
+        appid: 1, name: 1, header_image: 1, genres: 1, price: 1,
+        windows: 1, mac: 1, linux: 1,
+        user_score: 1, metacritic_score: 1,
+        release_date: 1, release_ts: 1, release_date_text: 1,
+        achievements: 1, recommendations: 1,
+        supported_languages: 1, developers: 1, publishers: 1, categories: 1,
+        tags: 1, required_age: 1, website: 1, screenshots: 1,
+        goty_year: 1, goty_rank: 1,
+        collection_position: 1, collection_note: 1,
+        price_stats: 1
+      },
+      withTotal: true
+    };
+
+    // MODIFIED: Handle both favorites AND recommendations
+    if (payload.filters && payload.filters.category === "favorites") {
+      const favs = loadFavs();
+      if (!favs.length) {
+        // Empty favorites -> short-circuit with empty UI
+        state.total = 0; state.hasMore = false;
+        state.nextCursor = state.prevCursor = null;
+        renderCount(0);
+        renderGames([]);
+        renderPager();
+        return;
+      }
+      payload.filters.appids = favs;
+    }
+
+    // NEW: Handle recommendations - always send fresh favorites list
+    if (payload.filters && payload.filters.category === "recommendations") {
+      const favs = loadFavs();
+      
+      if (!favs.length) {
+        // No favorites -> show special explanatory message
+        state.total = 0; 
+        state.hasMore = false;
+        state.nextCursor = state.prevCursor = null;
+        renderCount(0);
+        renderGames([]);
+        showNoResults(true);
+        
+        const noRes = el("no-results");
+        if (noRes) {
+          noRes.innerHTML = `
+            <div style="text-align: center; padding: 2rem;">
+              <h3>No Favorites Yet</h3>
+              <p>Add games to your favorites to get personalized recommendations!</p>
+              <p style="font-size: 2rem; margin: 1rem 0;">⭐ 🎮 ⭐</p>
+            </div>
+          `;
+        }
+        
+        renderPager();
+        setLoading(false);
+        return;
+      }
+      
+      // Explainable recommendations (own endpoint, grouped, no paging)
+      state.lastPayload = null;
+      const data = await apiRecommendations(
+        { profile: CURRENT_PROFILE, appids: favs, filters: { platforms: filters.platforms }, limit: state.limit },
+        { signal: CURRENT_SEARCH_CTRL.signal }
+      );
+      const items = Array.isArray(data.items) ? data.items : [];
+      state.total = items.length;
+      state.hasMore = false;
+      state.nextCursor = state.prevCursor = null;
+      renderCount(state.total);
+      renderRecommendationGroups(data);
+      renderPager();
+      return;
+    }
+
+    // Execute search request with abort support
+    state.lastPayload = payload;
+    const data = await apiSearch(payload, { signal: CURRENT_SEARCH_CTRL.signal });
+    const items = Array.isArray(data.items) ? data.items : [];
+    state.total  = typeof data.total === "number" ? data.total : items.length;
+    state.hasMore = !!data.hasMore;
+    state.nextCursor = data.nextCursor || null;
+    state.prevCursor = data.prevCursor || null;
+
+    renderCount(state.total);
+    renderGames(items);
+    renderPager();
+    refreshFacets(payload.filters); // fire-and-forget: counts follow the results
+
+  }catch(e){
+    if (e.name === "AbortError") {
+      return; // aborted intentionally due to new search overriding old one
+    }
+    console.error(e);
+    renderCount(0);
+    renderGames([]);
+    showNoResults(true);
+    renderPager();
+  }finally{
+    setLoading(false);
+  }
+}
+
+
+/* ========================= Game page (/game/:appid) ========================= */
+
+/** Client route of the game page (served by the server's SPA fallback). */
+const GAME_ROUTE_RX = /^\/game\/([A-Za-z0-9_-]+)\/?$/;
+
+/**
+ * Appid of the game page being shown, from the current path.
+ * @returns {string|null}
+ */
+function gameRouteAppid(){
+  return (location.pathname.match(GAME_ROUTE_RX) || [])[1] || null;
+}
+
+/** URL of a game's page. */
+const gameHref = (appid) => `/game/${encodeURIComponent(appid)}`;
+
+/**
+ * "⇄" pin button of the compare tray (painted by wireCardActions).
+ * @param {object} g
+ * @returns {string} HTML
+ */
+function compareButtonHTML(g){
+  const appid = escapeHTML(String(g.appid || g._id || ""));
+  return `<button class="badge compare-btn" type="button" data-appid="${appid}" data-name="${escapeHTML(g.name || "")}"
+                  data-image="${escapeHTML(g.header_image || "")}" aria-pressed="false" title="Pin for comparison">⇄ Compare</button>`;
+}
+
+/** Page title outside the game page. */
+const DEFAULT_TITLE = document.title;
+
+/**
+ * Text of an HTML fragment from the dump (descriptions are Steam HTML).
+ * Parsed inert, never inserted as markup.
+ * @param {string} html
+ * @returns {string}
+ */
+function textOfHTML(html){
+  const doc = new DOMParser().parseFromString(String(html || "").replace(/<br\s*\/?>/gi, "\n"), "text/html");
+  return (doc.body.textContent || "").trim();
+}
+
+/**
+ * http(s) URL from the dump, or "" (no javascript:/data: links).
+ * @param {unknown} url
+ * @returns {string}
+ */
+function safeUrl(url){
+  const s = String(url || "").trim();
+  return /^https?:\/\//i.test(s) ? escapeHTML(s) : "";
+}
+
+/**
+ * All tags with their weights (user votes), heaviest first, as bars.
+ * @param {Record<string, number>} tags
+ * @returns {string} HTML
+ */
+function tagWeightsHTML(tags){
+  const rows = Object.entries(tags || {}).filter(([, w]) => Number(w) > 0).sort((a, b) => b[1] - a[1]);
+  if (!rows.length) return `<p class="goty-muted">No tags.</p>`;
+  const max = rows[0][1];
+  return `<ul class="tag-weights">${rows.map(([tag, w]) => `
+    <li><span class="tag-weights-name">${escapeHTML(tag)}</span>
+        <span class="tag-weights-bar"><span style="width:${Math.max(2, Math.round(w / max * 100))}%"></span></span>
+        <span class="tag-weights-value">${Number(w).toLocaleString()}</span></li>`).join("")}
+  </ul>`;
+}
+
+/**
+ * Score breakdown: user / Metacritic scores, review split, rank, playtime.
+ * Lines the dump does not have are left out.
+ * @param {object} g
+ * @returns {string} HTML
+ */
+function scoreBreakdownHTML(g){
+  const positive = Number(g.positive) || 0, negative = Number(g.negative) || 0;
+  const reviews = positive + negative;
+  const hours = (minutes) => `${(Number(minutes) / 60).toFixed(1)} h`;
+  const rows = [
+    ["User score", g.user_score ? `${g.user_score}/100` : ""],
+    ["Metacritic", g.metacritic_score ? `${g.metacritic_score}/100` : ""],
+    ["Reviews", reviews ? `${Math.round(positive / reviews * 100)}% positive (${positive.toLocaleString()} 👍 · ${negative.toLocaleString()} 👎)` : ""],
+    ["Score rank", g.score_rank ? `#${g.score_rank}` : ""],
+    ["Recommendations", g.recommendations ? Number(g.recommendations).toLocaleString() : ""],
+    ["Achievements", g.achievements ? String(g.achievements) : ""],
+    ["Avg. playtime", g.average_playtime_forever ? hours(g.average_playtime_forever) : ""],
+    ["Median playtime", g.median_playtime_forever ? hours(g.median_playtime_forever) : ""],
+    ["Peak players", g.peak_ccu ? Number(g.peak_ccu).toLocaleString() : ""],
+    ["Owners", g.estimated_owners ? String(g.estimated_owners) : ""],
+  ].filter(([, v]) => v);
+  const bar = reviews
+    ? `<div class="score-split" title="Positive / negative reviews"><span style="width:${positive / reviews * 100}%"></span></div>`
+    : "";
+  return rows.length
+    ? `${bar}<dl class="game-facts">${rows.map(([k, v]) => `<dt>${k}</dt><dd>${escapeHTML(v)}</dd>`).join("")}</dl>`
+    : `<p class="goty-muted">No scores in the dump.</p>`;
+}
+
+/**
+ * The profile's GOTY places of the game.
+ * @param {{year:number, rank:number}[]} goty
+ * @returns {string} HTML
+ */
+function gameGotyHTML(goty){
+  const name = (PROFILES.find(p => p.key === CURRENT_PROFILE) || {}).name || CURRENT_PROFILE;
+  if (!goty?.length) return `<p class="goty-muted">Not on ${escapeHTML(name)}'s GOTY ballots.</p>`;
+  return `<ul class="game-goty">${goty.map(p => `
+    <li>${RANK_ICONS[p.rank] || "#" + p.rank} ${p.rank === 1 ? "Game of the Year" : `#${p.rank}`} ${p.year}
+        <span class="goty-muted">· ${escapeHTML(name)}</span></li>`).join("")}</ul>`;
+}
+
+/**
+ * Full page of a game (everything the card leaves out).
+ * @param {object} g - Game document from GET /api/games/:id
+ * @param {{year:number, rank:number}[]} goty
+ * @returns {string} HTML
+ */
+function gamePageHTML(g, goty){
+  const appid = String(g.appid || g._id || "");
+  const fav = isFav(appid);
+  const watched = WATCHLIST.has(appid);
+  const deal = DEAL_LABELS[g.price_stats?.deal] ? g.price_stats.deal : null;
+  const desc = textOfHTML(g.detailed_description || g.about_the_game || g.short_description || "");
+  const shots = (Array.isArray(g.screenshots) ? g.screenshots : []).map(safeUrl).filter(Boolean);
+  const movies = (Array.isArray(g.movies) ? g.movies : []).map(safeUrl).filter(Boolean);
+  const list = (v) => Array.isArray(v) ? v.map(escapeHTML).join(", ") : escapeHTML(v || "");
+
+  return `
+    <button class="btn btn--secondary page-back" type="button">‹ Back to results</button>
+    <article class="game-page" data-appid="${escapeHTML(appid)}">
+      <header class="game-page-head">
+        <div class="thumb">
+          <img src="${headerSrc(g)}" alt="${escapeHTML(g.name || "")}">
+          <button class="fav-btn ${fav ? "active":""}" data-appid="${escapeHTML(appid)}" aria-pressed="${fav ? "true":"false"}">
+            ${fav ? "★ Liked" : "☆ Like"}
+          </button>
+          <button class="collect-btn" type="button" data-appid="${escapeHTML(appid)}" data-name="${escapeHTML(g.name || "")}"
+                  title="Add to collection" aria-label="Add to collection">📁＋</button>
+          <button class="watch-btn ${watched ? "active" : ""}" type="button" data-appid="${escapeHTML(appid)}"
+                  aria-pressed="${watched ? "true" : "false"}" aria-label="Watch price"
+                  title="${watched ? "Watching — click to stop" : "Watch price"}">🔔</button>
+        </div>
+        <div class="game-page-summary">
+          <h2>${escapeHTML(g.name || "Untitled")}</h2>
+          ${g.genres?.length ? `<div class="sub">${list(g.genres)}</div>` : ""}
+          <div class="badges">${platformsIcons(g)} ${scoreBadge(g)} ${compareButtonHTML(g)}</div>
+          <div class="row">
+            <span class="price ${g.price === 0 ? "free":""}">${formatPrice(g.price)}</span>
+            ${priceSparklineHTML(g.price_stats)}
+            ${deal ? `<span class="deal-badge deal-badge--${deal}">${DEAL_LABELS[deal]}</span>` : ""}
+            <span class="date">${formatDate(g.release_ts || g.release_date_text || g.release_date)}</span>
+          </div>
+          <div class="fine">
+            ${g.developers?.length ? `<div>Dev: ${list(g.developers)}</div>` : ""}
+            ${g.publishers?.length ? `<div>Pub: ${list(g.publishers)}</div>` : ""}
+            ${safeUrl(g.website) ? `<a href="${safeUrl(g.website)}" target="_blank" rel="noopener">Website ↗</a>` : ""}
+          </div>
+          <h4 class="goty-section-title">GOTY</h4>
+          ${gameGotyHTML(goty)}
+        </div>
+      </header>
+
+      ${desc ? `<section><h3>About</h3>${desc.split(/\n{2,}/).map(p => `<p>${escapeHTML(p)}</p>`).join("")}</section>` : ""}
+      ${movies.length ? `<section><h3>Videos</h3><div class="game-movies">${movies.map(src => `<video controls preload="none" src="${src}"></video>`).join("")}</div></section>` : ""}
+      ${shots.length ? `<section><h3>Screenshots</h3><div class="shots game-shots">${shots.map(src => `<a href="${src}" target="_blank" rel="noopener"><img src="${src}" alt="screenshot" loading="lazy"></a>`).join("")}</div></section>` : ""}
+
+      <div class="game-page-columns">
+        <section><h3>Scores</h3>${scoreBreakdownHTML(g)}</section>
+        <section><h3>Tags</h3>${tagWeightsHTML(g.tags)}</section>
+        <section>
+          <h3>Languages</h3>
+          ${g.supported_languages?.length ? `<p>${list(g.supported_languages)}</p>` : `<p class="goty-muted">Not listed.</p>`}
+          ${g.full_audio_languages?.length ? `<h4 class="goty-section-title">Full audio</h4><p>${list(g.full_audio_languages)}</p>` : ""}
+        </section>
+      </div>
+
+      <section class="similar" data-appid="${escapeHTML(appid)}" aria-label="Similar games">
+        <h3 class="similar-title">Similar games</h3>
+        <div class="similar-carousel"><span class="similar-empty">Loading…</span></div>
+      </section>
+    </article>`;
+}
+
+/**
+ * Shows the page of a game in place of the results. Games the profile's
+ * safety policy blocks get a "not available" message (the server answers
+ * 404 for them, the client guard double-checks).
+ * @param {string} appid
+ */
+async function showGameView(appid){
+  const view = el("game-view");
+  if (!view) return;
+  document.body.classList.add("is-game-view");
+  view.hidden = false;
+  view.innerHTML = `<p class="goty-muted">Loading…</p>`;
+  window.scrollTo({ top: 0 });
+
+  try{
+    const { data, goty = [] } = await apiGame(appid, CURRENT_PROFILE);
+    if (gameRouteAppid() !== appid) return; // navigated away meanwhile
+    if (!guardItems([data]).length) throw new Error("http 404");
+    document.title = `${data.name || "Game"} · Steam browser`;
+    view.innerHTML = gamePageHTML(data, goty);
+    wireCardActions(view);
+    loadSimilarCarousel(view.querySelector(".similar"), { onPick: openGamePage });
+  }catch(e){
+    if (e.message !== "http 404") console.error("game page error", e);
+    view.innerHTML = `
+      <button class="btn btn--secondary page-back" type="button">‹ Back to results</button>
+      <p class="goty-muted">${e.message === "http 404" ? "This game is not available for this profile." : "Could not load this game."}</p>`;
+  }
+  view.querySelector(".page-back")?.addEventListener("click", leavePage);
+}
+
+/** Hides the game page (the results underneath are shown again). */
+function hideGameView(){
+  const view = el("game-view");
+  document.body.classList.remove("is-game-view");
+  document.title = DEFAULT_TITLE;
+  if (view) { view.hidden = true; view.innerHTML = ""; }
+}
+
+/**
+ * Opens a game's page as a new history entry (back returns to the results).
+ * @param {string} appid
+ */
+function openGamePage(appid){
+  window.history.pushState({ fromResults: !pageRouteActive() || Boolean(window.history.state?.fromResults) }, "", gameHref(appid));
+  showPageRoute();
+}
+
+/**
+ * "Back to results" of the game and compare pages: history back when the
+ * page was opened from the app, else (direct link) the default search.
+ */
+function leavePage(){
+  if (window.history.state?.fromResults) {
+    window.history.back();
+    return;
+  }
+  window.history.pushState(null, "", "/");
+  onRoutePopState();
+}
+
+/* ====================== Compare tray & /compare view ====================== */
+
+/** Games the compare tray holds (the server caps a comparison too). */
+const COMPARE_MAX = 4;
+
+/** Base key of the compare tray in localStorage (per profile). */
+const COMPARE_KEY_BASE = "steamCompare";
+
+/** Client route of the comparison ("/compare?appids=620,400"). */
+const COMPARE_ROUTE_RX = /^\/compare\/?$/;
+
+/** Tags shown per game in the comparison (heaviest first). */
+const COMPARE_TAGS = 12;
+
+/**
+ * Pinned games, tray order: { appid, name, header_image } (enough for the
+ * tray thumbnails; the view loads the documents).
+ * @type {{appid:string, name:string, header_image?:string}[]}
+ */
+let COMPARE_TRAY = [];
+
+/** True on the /compare route. */
+const isCompareRoute = () => COMPARE_ROUTE_RX.test(location.pathname);
+
+/** True when a page (game, comparison, statistics, query builder) is shown instead of the results. */
+const pageRouteActive = () => Boolean(gameRouteAppid() || isCompareRoute() || isStatsRoute() || isQueryRoute());
+
+/** Hides every page view (the results are shown again). */
+function hidePageViews(){
+  hideGameView();
+  hideCompareView();
+  hideStatsView();
+  hideQueryView();
+}
+
+/**
+ * Shows the page view of the current path, hiding the others.
+ * @returns {boolean} false when the path is the results (nothing shown).
+ */
+function showPageRoute(){
+  const appid = gameRouteAppid();
+  if (!appid) hideGameView();
+  if (!isCompareRoute()) hideCompareView();
+  if (!isStatsRoute()) hideStatsView();
+  if (!isQueryRoute()) hideQueryView();
+  if (appid) showGameView(appid);
+  else if (isCompareRoute()) showCompareView();
+  else if (isStatsRoute()) showStatsView();
+  else if (isQueryRoute()) showQueryView();
+  return pageRouteActive();
+}
+
+/** Loads CURRENT_PROFILE's tray from localStorage. */
+function loadCompareTray(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(`${COMPARE_KEY_BASE}:${CURRENT_PROFILE}`) || "[]");
+    COMPARE_TRAY = Array.isArray(saved) ? saved.filter(x => x && x.appid).slice(0, COMPARE_MAX) : [];
+  }catch{
+    COMPARE_TRAY = [];
+  }
+}
+
+/** Persists the tray and repaints it. */
+function saveCompareTray(){
+  localStorage.setItem(`${COMPARE_KEY_BASE}:${CURRENT_PROFILE}`, JSON.stringify(COMPARE_TRAY));
+  renderCompareTray();
+  qsa(".compare-btn[data-appid]").forEach(paintCompareButton);
+}
+
+/** @param {string|number} appid */
+const isPinned = (appid) => COMPARE_TRAY.some(x => x.appid === String(appid));
+
+/**
+ * Pins / unpins a game (cards and game page "⇄ Compare" buttons).
+ * @param {{appid:string, name?:string, header_image?:string}} game
+ */
+function toggleCompare(game){
+  const appid = String(game.appid);
+  if (isPinned(appid)) {
+    COMPARE_TRAY = COMPARE_TRAY.filter(x => x.appid !== appid);
+  } else if (COMPARE_TRAY.length >= COMPARE_MAX) {
+    toast(`You can compare up to ${COMPARE_MAX} games`);
+    return;
+  } else {
+    COMPARE_TRAY.push({ appid, name: game.name || "", header_image: game.header_image || "" });
+  }
+  saveCompareTray();
+}
+
+/** @param {HTMLElement} btn - A .compare-btn */
+function paintCompareButton(btn){
+  const on = isPinned(btn.dataset.appid);
+  btn.classList.toggle("active", on);
+  btn.setAttribute("aria-pressed", String(on));
+  btn.title = on ? "Pinned for comparison — click to unpin" : "Pin for comparison";
+}
+
+/**
+ * The tray bar at the bottom of the page (created on first use): pinned
+ * thumbnails with an unpin button, "Compare" and "Clear".
+ */
+function renderCompareTray(){
+  let tray = el("compare-tray");
+  if (!tray) {
+    tray = document.createElement("div");
+    tray.id = "compare-tray";
+    tray.className = "compare-tray";
+    tray.setAttribute("aria-label", "Compare tray");
+    document.body.appendChild(tray);
+  }
+  tray.hidden = !COMPARE_TRAY.length || isCompareRoute();
+  tray.innerHTML = `
+    <ul class="compare-tray-items">
+      ${COMPARE_TRAY.map(x => `
+        <li title="${escapeHTML(x.name)}">
+          <img src="${escapeHTML(headerSrc(x))}" alt="">
+          <span>${escapeHTML(x.name || x.appid)}</span>
+          <button type="button" class="compare-tray-remove" data-appid="${escapeHTML(x.appid)}" aria-label="Unpin">✖</button>
+        </li>`).join("")}
+      ${Array.from({ length: COMPARE_MAX - COMPARE_TRAY.length }, () => `<li class="is-empty"></li>`).join("")}
+    </ul>
+    <button type="button" class="btn btn--primary compare-tray-open" ${COMPARE_TRAY.length < 2 ? "disabled" : ""}>
+      Compare (${COMPARE_TRAY.length})
+    </button>
+    <button type="button" class="btn btn--secondary compare-tray-clear">Clear</button>`;
+
+  tray.querySelectorAll(".compare-tray-remove").forEach(btn => {
+    btn.addEventListener("click", () => toggleCompare({ appid: btn.dataset.appid }));
+  });
+  tray.querySelector(".compare-tray-open").addEventListener("click", openComparePage);
+  tray.querySelector(".compare-tray-clear").addEventListener("click", () => {
+    COMPARE_TRAY = [];
+    saveCompareTray();
+  });
+}
+
+/**
+ * POST /api/games/compare
+ * The pinned documents in tray order (safety policy applied server-side).
+ *
+ * @param {string[]} appids
+ * @returns {Promise<{ok?:boolean, items:object[], missing:string[]}>}
+ */
+async function apiCompare(appids){
+  const res = await fetch("/api/games/compare", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ profile: CURRENT_PROFILE, appids }),
+  });
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
 
-    // Keyboard navigation within suggestions list
-    input.addEventListener("keydown", (e) => {
-      const items = qsa("#goty-suggest .item");
-      if (!items.length) return;
+/**
+ * One comparison row. Values are compared on `key` (a string); cells that
+ * differ from the others get .is-diff, the best one .is-best when `best`
+ * ranks them ("min" / "max" on `num`).
+ * @param {string} label
+ * @param {object[]} games
+ * @param {{html:(g:object)=>string, key:(g:object)=>string, num?:(g:object)=>number|null, best?:"min"|"max"}} spec
+ * @returns {string} HTML
+ */
+function compareRowHTML(label, games, { html, key, num, best }){
+  const keys = games.map(key);
+  const same = keys.every(k => k === keys[0]);
+  const nums = num ? games.map(num) : [];
+  const ranked = nums.filter(n => n != null);
+  const top = best && ranked.length > 1 ? (best === "min" ? Math.min(...ranked) : Math.max(...ranked)) : null;
+  return `
+    <tr class="${same ? "is-same" : ""}">
+      <th scope="row">${label}</th>
+      ${games.map((g, i) => `
+        <td class="${!same ? "is-diff" : ""} ${top != null && nums[i] === top && !same ? "is-best" : ""}">${html(g) || "—"}</td>`).join("")}
+    </tr>`;
+}
 
-      const current = list.querySelector(".item.focused");
-      let idx = current ? items.indexOf(current) : -1;
+/**
+ * A row of sets (genres, languages, tags): values every game has are
+ * plain, the others highlighted.
+ * @param {string} label
+ * @param {object[]} games
+ * @param {(g:object)=>string[]} valuesOf
+ * @returns {string} HTML
+ */
+function compareSetRowHTML(label, games, valuesOf){
+  const sets = games.map(g => valuesOf(g).map(String));
+  const shared = sets.reduce((acc, s) => acc.filter(v => s.includes(v)), sets[0] || []);
+  const same = sets.every(s => s.length === shared.length);
+  return `
+    <tr class="${same ? "is-same" : ""}">
+      <th scope="row">${label}</th>
+      ${sets.map(s => `
+        <td>${s.length ? s.map(v => `<span class="compare-chip ${shared.includes(v) ? "" : "is-diff"}">${escapeHTML(v)}</span>`).join("") : "—"}</td>`).join("")}
+    </tr>`;
+}
 
-      if (e.key === "ArrowDown") {
-        e.preventDefault();
-        idx = (idx + 1) % items.length;
-        items.forEach(li=>li.classList.remove("focused"));
-        items[idx].classList.add("focused");
-        items[idx].scrollIntoView({ block: "nearest" });
-      } else if (e.key === "ArrowUp") {
-        e.preventDefault();
-        idx = (idx - 1 + items.length) % items.length;
-        items.forEach(li=>li.classList.remove("focused"));
-        items[idx].classList.add("focused");
-        items[idx].scrollIntoView({ block: "nearest" });
-      } else if (e.key === "Enter") {
-        const chosen = list.querySelector(".item.focused") || items[0];
-        if (chosen) {
-          e.preventDefault();
-          setSelection({ appid: chosen.dataset.appid, name: chosen.dataset.name });
-          list.classList.remove("open");
-        }
-      }
+/**
+ * Comparison table: one column per game, one row per attribute.
+ * @param {object[]} games
+ * @returns {string} HTML
+ */
+function compareTableHTML(games){
+  const positiveRatio = (g) => {
+    const total = (Number(g.positive) || 0) + (Number(g.negative) || 0);
+    return total ? Math.round(Number(g.positive) / total * 100) : null;
+  };
+  const orNull = (v) => (v == null || v === "" ? null : Number(v));
+  const platforms = (g) => ["windows", "mac", "linux"].filter(p => g[p]).join(",");
+  const topTags = (g) => Object.entries(g.tags || {}).sort((a, b) => b[1] - a[1]).slice(0, COMPARE_TAGS).map(([t]) => t);
+  const list = (v) => Array.isArray(v) ? v : (v ? [v] : []);
+
+  return `
+    <table class="compare-table">
+      <thead>
+        <tr>
+          <th></th>
+          ${games.map(g => `
+            <th scope="col" data-appid="${escapeHTML(String(g.appid))}">
+              <img src="${headerSrc(g)}" alt="">
+              <a class="game-link" href="${gameHref(g.appid)}">${escapeHTML(g.name || "Untitled")}</a>
+              <button type="button" class="compare-unpin" data-appid="${escapeHTML(String(g.appid))}" aria-label="Remove from comparison">✖</button>
+            </th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${compareRowHTML("Price", games, {
+          html: g => `${formatPrice(g.price)} ${DEAL_LABELS[g.price_stats?.deal] ? `<span class="deal-badge deal-badge--${g.price_stats.deal}">${DEAL_LABELS[g.price_stats.deal]}</span>` : ""}`,
+          key: g => String(g.price ?? ""), num: g => orNull(g.price), best: "min" })}
+        ${compareRowHTML("User score", games, {
+          html: g => g.user_score ? `${g.user_score}/100` : "", key: g => String(g.user_score || ""), num: g => orNull(g.user_score || null), best: "max" })}
+        ${compareRowHTML("Metacritic", games, {
+          html: g => g.metacritic_score ? `${g.metacritic_score}/100` : "", key: g => String(g.metacritic_score || ""), num: g => orNull(g.metacritic_score || null), best: "max" })}
+        ${compareRowHTML("Positive reviews", games, {
+          html: g => positiveRatio(g) != null ? `${positiveRatio(g)}%` : "", key: g => String(positiveRatio(g) ?? ""), num: positiveRatio, best: "max" })}
+        ${compareRowHTML("Platforms", games, { html: platformsIcons, key: platforms })}
+        ${compareRowHTML("Release date", games, {
+          html: g => formatDate(g.release_ts || g.release_date_text || g.release_date),
+          key: g => formatDate(g.release_ts || g.release_date_text || g.release_date) })}
+        ${compareRowHTML("GOTY", games, {
+          html: g => g.goty_year ? `${RANK_ICONS[g.goty_rank] || ""} ${g.goty_rank > 1 ? `#${g.goty_rank} ` : ""}${g.goty_year}` : "",
+          key: g => String(g.goty_year || "") })}
+        ${compareSetRowHTML("Genres", games, g => list(g.genres))}
+        ${compareSetRowHTML("Languages", games, g => list(g.supported_languages))}
+        ${compareSetRowHTML("Tags", games, topTags)}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Shows the comparison of the URL's appids (else the tray's) in place of
+ * the results.
+ */
+async function showCompareView(){
+  const view = el("compare-view");
+  if (!view) return;
+  document.body.classList.add("is-compare-view");
+  view.hidden = false;
+  renderCompareTray();
+  window.scrollTo({ top: 0 });
+
+  const fromUrl = (new URLSearchParams(location.search).get("appids") || "").split(",").map(s => s.trim()).filter(Boolean);
+  const appids = (fromUrl.length ? fromUrl : COMPARE_TRAY.map(x => x.appid)).slice(0, COMPARE_MAX);
+  const head = `
+    <div class="compare-head">
+      <button class="btn btn--secondary page-back" type="button">‹ Back to results</button>
+      <h2>Compare games</h2>
+      <label class="compare-only-diff"><input type="checkbox" id="compare-only-diff"> Only differences</label>
+    </div>`;
+
+  if (appids.length < 2) {
+    view.innerHTML = `${head}<p class="goty-muted">Pin at least two games (⇄ on a card) to compare them.</p>`;
+  } else {
+    view.innerHTML = `${head}<p class="goty-muted">Loading…</p>`;
+    try{
+      const { items = [], missing = [] } = await apiCompare(appids);
+      if (!isCompareRoute()) return; // navigated away meanwhile
+      const games = guardItems(items);
+      const hidden = missing.length + items.length - games.length;
+      view.innerHTML = `${head}
+        ${hidden ? `<p class="goty-muted">${hidden} pinned game${hidden > 1 ? "s are" : " is"} not available for this profile.</p>` : ""}
+        ${games.length ? `<div class="compare-scroll">${compareTableHTML(games)}</div>` : ""}`;
+      wireCardActions(view);
+      view.querySelectorAll(".compare-unpin").forEach(btn => {
+        btn.addEventListener("click", () => {
+          if (isPinned(btn.dataset.appid)) toggleCompare({ appid: btn.dataset.appid });
+          const rest = appids.filter(id => id !== btn.dataset.appid);
+          window.history.replaceState(window.history.state, "", `/compare?appids=${rest.map(encodeURIComponent).join(",")}`);
+          showCompareView();
+        });
+      });
+    }catch(e){
+      console.error("compare error", e);
+      view.innerHTML = `${head}<p class="goty-muted">Could not load the comparison.</p>`;
+    }
+  }
+
+  view.querySelector(".page-back")?.addEventListener("click", leavePage);
+  view.querySelector("#compare-only-diff")?.addEventListener("change", (ev) => {
+    view.classList.toggle("only-diff", ev.target.checked);
+  });
+}
+
+/** Hides the comparison. */
+function hideCompareView(){
+  const view = el("compare-view");
+  document.body.classList.remove("is-compare-view");
+  if (view) { view.hidden = true; view.innerHTML = ""; view.classList.remove("only-diff"); }
+  renderCompareTray();
+}
+
+/** Opens the comparison of the tray (new history entry). */
+function openComparePage(){
+  const appids = COMPARE_TRAY.map(x => x.appid);
+  window.history.pushState({ fromResults: !pageRouteActive() || Boolean(window.history.state?.fromResults) }, "",
+    `/compare?appids=${appids.map(encodeURIComponent).join(",")}`);
+  showPageRoute();
+}
+
+/* ======================== Statistics dashboard (/stats) ======================== */
+
+/** Client route of the dashboard. */
+const STATS_ROUTE_RX = /^\/stats\/?$/;
+
+/** True on the /stats route. */
+const isStatsRoute = () => STATS_ROUTE_RX.test(location.pathname);
+
+/** Series colors, in order ("Other" is drawn in the last one). */
+const CHART_COLORS = [
+  "#66c0f4", "#a4d007", "#e5a00d", "#c75fd3", "#ff6b6b", "#4ecdc4",
+  "#f78fb3", "#3dc1d3", "#f5cd79", "#786fa6", "#63cdda", "#cf6a87", "#8395a7",
+];
+
+/** SVG chart box (viewBox units) and plot margins. */
+const CHART_BOX = { w: 640, h: 280, top: 12, right: 12, bottom: 30, left: 48 };
+
+/** Preset list (GET /api/games/stats), loaded once. */
+let STATS_PRESET_LIST = null;
+
+/** Parameters picked per preset name, kept while the page is open. */
+const STATS_PARAMS = new Map();
+
+/**
+ * GET /api/games/stats
+ * @returns {Promise<{ok?:boolean, items:{name:string, title:string, description:string, chart:string, params:object}[]}>}
+ */
+async function apiStatsPresets(){
+  const res = await fetch("/api/games/stats");
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/**
+ * GET /api/games/stats/<preset>
+ * The profile is sent so only the games its safety policy allows are counted.
+ * @param {string} name
+ * @param {Record<string, string>} params
+ * @returns {Promise<{ok?:boolean, preset:string, params:object, data:object}>}
+ */
+async function apiStatsPreset(name, params){
+  const qs = new URLSearchParams({ profile: CURRENT_PROFILE, ...params });
+  const res = await fetch(`/api/games/stats/${encodeURIComponent(name)}?${qs}`);
+  if(!res.ok) throw new Error("http "+res.status);
+  return res.json();
+}
+
+/* ---- SVG helpers ---- */
+
+/**
+ * Linear scale.
+ * @returns {(v:number) => number}
+ */
+const linearScale = (d0, d1, r0, r1) => (v) => (d1 === d0 ? (r0 + r1) / 2 : r0 + (v - d0) / (d1 - d0) * (r1 - r0));
+
+/** Rounded-up axis maximum (1, 2, 2.5 or 5 times a power of ten). */
+function niceMax(v){
+  if (!(v > 0)) return 1;
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 2.5, 5, 10].map(m => m * p).find(m => m >= v);
+}
+
+/** Every k-th index so that at most `max` labels are drawn. */
+const labelStep = (n, max = 10) => Math.max(1, Math.ceil(n / max));
+
+/**
+ * Plot frame: horizontal grid lines with y labels, x labels, then `inner`.
+ * @param {string} inner - SVG markup in viewBox units.
+ * @param {{ yTicks:{y:number, text:string}[], xTicks:{x:number, text:string}[], height?:number, label:string }} axes
+ * @returns {string} SVG
+ */
+function chartFrameSVG(inner, { yTicks, xTicks, height = CHART_BOX.h, label }){
+  const { w, left, right, bottom } = CHART_BOX;
+  return `
+    <svg class="stats-svg" viewBox="0 0 ${w} ${height}" role="img" aria-label="${escapeHTML(label)}">
+      ${yTicks.map(t => `
+        <line class="stats-gridline" x1="${left}" x2="${w - right}" y1="${t.y}" y2="${t.y}"></line>
+        <text class="stats-tick" x="${left - 6}" y="${t.y}" text-anchor="end" dominant-baseline="middle">${escapeHTML(t.text)}</text>`).join("")}
+      ${xTicks.map(t => `
+        <text class="stats-tick" x="${t.x}" y="${height - bottom + 16}" text-anchor="middle">${escapeHTML(t.text)}</text>`).join("")}
+      ${inner}
+    </svg>`;
+}
+
+/**
+ * Y ticks from 0 to `max` (five steps).
+ * @param {number} max
+ * @param {(v:number) => number} y
+ * @param {(v:number) => string} fmt
+ */
+const yTicksOf = (max, y, fmt) => Array.from({ length: 6 }, (_, i) => max * i / 5).map(v => ({ y: y(v), text: fmt(v) }));
+
+/** Legend of the series keys. */
+function chartLegendHTML(keys){
+  return `<ul class="stats-legend">${keys.map((k, i) => `
+    <li><span style="background:${CHART_COLORS[i % CHART_COLORS.length]}"></span>${escapeHTML(k)}</li>`).join("")}</ul>`;
+}
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+/* ---- Charts (one per preset `chart` kind) ---- */
+
+/**
+ * 100% stacked areas over years (genre share).
+ * @param {{x:number[], series:{key:string, values:number[], counts:number[]}[]}} data
+ */
+function stackedAreaChartHTML({ x = [], series = [] }){
+  if (!x.length) return `<p class="goty-muted">No games in this range.</p>`;
+  const { w, h, top, right, bottom, left } = CHART_BOX;
+  const X = linearScale(x[0], x[x.length - 1], left, w - right);
+  const Y = linearScale(0, 1, h - bottom, top);
+  const base = x.map(() => 0);
+  const areas = series.map((s, si) => {
+    const lower = base.slice();
+    s.values.forEach((v, i) => { base[i] += v; });
+    const upper = x.map((yr, i) => `${X(yr)},${Y(base[i])}`);
+    const back = x.map((yr, i) => `${X(yr)},${Y(lower[i])}`).reverse();
+    return `<polygon points="${[...upper, ...back].join(" ")}" fill="${CHART_COLORS[si % CHART_COLORS.length]}" opacity=".85">
+      <title>${escapeHTML(s.key)}</title></polygon>`;
+  }).join("");
+  const step = labelStep(x.length);
+  return chartFrameSVG(areas, {
+    label: "Genre share by release year",
+    yTicks: yTicksOf(1, Y, percent),
+    xTicks: x.filter((_, i) => i % step === 0).map(yr => ({ x: X(yr), text: String(yr) })),
+  }) + chartLegendHTML(series.map(s => s.key));
+}
+
+/**
+ * Lines of shares over years (platform coverage).
+ * @param {{x:number[], games:number[], series:{key:string, values:number[]}[]}} data
+ */
+function linesChartHTML({ x = [], games = [], series = [] }){
+  if (!x.length) return `<p class="goty-muted">No games in this range.</p>`;
+  const { w, h, top, right, bottom, left } = CHART_BOX;
+  const X = linearScale(x[0], x[x.length - 1], left, w - right);
+  const Y = linearScale(0, 1, h - bottom, top);
+  const lines = series.map((s, si) => `
+    <polyline points="${x.map((yr, i) => `${X(yr)},${Y(s.values[i])}`).join(" ")}" fill="none"
+              stroke="${CHART_COLORS[si % CHART_COLORS.length]}" stroke-width="2.5"></polyline>
+    ${x.map((yr, i) => `<circle cx="${X(yr)}" cy="${Y(s.values[i])}" r="3" fill="${CHART_COLORS[si % CHART_COLORS.length]}">
+      <title>${escapeHTML(s.key)} ${yr}: ${percent(s.values[i])} of ${games[i]} games</title></circle>`).join("")}`).join("");
+  const step = labelStep(x.length);
+  return chartFrameSVG(lines, {
+    label: "Platform coverage by release year",
+    yTicks: yTicksOf(1, Y, percent),
+    xTicks: x.filter((_, i) => i % step === 0).map(yr => ({ x: X(yr), text: String(yr) })),
+  }) + chartLegendHTML(series.map(s => s.key));
+}
+
+/**
+ * Vertical bars of price bands (price histogram).
+ * @param {{bars:{from:number, to:number|null, free:boolean, value:number}[]}} data
+ */
+function histogramChartHTML({ bars = [] }){
+  if (!bars.length) return `<p class="goty-muted">No priced games.</p>`;
+  const { w, h, top, right, bottom, left } = CHART_BOX;
+  const max = niceMax(Math.max(...bars.map(b => b.value)));
+  const Y = linearScale(0, max, h - bottom, top);
+  const slot = (w - left - right) / bars.length;
+  const labelOf = (b) => (b.free ? "Free" : b.to == null ? `${b.from}+` : `${b.from}–${b.to}`);
+  const rects = bars.map((b, i) => `
+    <rect x="${left + i * slot + 2}" y="${Y(b.value)}" width="${Math.max(1, slot - 4)}" height="${h - bottom - Y(b.value)}"
+          fill="${b.free ? CHART_COLORS[1] : CHART_COLORS[0]}">
+      <title>${escapeHTML(labelOf(b))}: ${b.value.toLocaleString()} games</title></rect>`).join("");
+  const step = labelStep(bars.length, 12);
+  return chartFrameSVG(rects, {
+    label: "Price distribution",
+    yTicks: yTicksOf(max, Y, v => Math.round(v).toLocaleString()),
+    xTicks: bars.map((b, i) => ({ b, i })).filter(({ i }) => i % step === 0)
+      .map(({ b, i }) => ({ x: left + i * slot + slot / 2, text: labelOf(b) })),
+  });
+}
+
+/**
+ * Score (0..100) against price, one dot per sampled game; a dot opens the
+ * game's page.
+ * @param {{points:{appid:string, name:string, x:number, y:number}[], r:number|null}} data
+ */
+function scatterChartHTML({ points = [], r = null }){
+  const shown = guardItems(points);
+  if (!shown.length) return `<p class="goty-muted">No scored games.</p>`;
+  const { w, h, top, right, bottom, left } = CHART_BOX;
+  const maxX = niceMax(Math.max(...shown.map(p => p.x)));
+  const X = linearScale(0, maxX, left, w - right);
+  const Y = linearScale(0, 100, h - bottom, top);
+  const dots = shown.map(p => `
+    <circle class="stats-dot" cx="${X(p.x)}" cy="${Y(p.y)}" r="3.5" data-appid="${escapeHTML(p.appid)}">
+      <title>${escapeHTML(p.name || p.appid)} — ${formatPrice(p.x)}, score ${p.y}</title></circle>`).join("");
+  return chartFrameSVG(dots, {
+    label: "User score vs price",
+    yTicks: yTicksOf(100, Y, v => String(Math.round(v))),
+    xTicks: Array.from({ length: 6 }, (_, i) => maxX * i / 5).map(v => ({ x: X(v), text: `$${Math.round(v)}` })),
+  }) + `<p class="goty-muted">${shown.length} games sampled${r != null ? ` · correlation r = ${r}` : ""} · click a dot to open the game</p>`;
+}
+
+/**
+ * Horizontal bars with a label each (top developers by average score).
+ * @param {{bars:{label:string, value:number, games:number}[]}} data
+ */
+function barsChartHTML({ bars = [] }){
+  if (!bars.length) return `<p class="goty-muted">No developer has enough scored games.</p>`;
+  const { w, top, right } = CHART_BOX;
+  const labelW = 180, row = 22;
+  const height = top + bars.length * row + 24;
+  const X = linearScale(0, 100, labelW, w - right - 70);
+  const rows = bars.map((b, i) => {
+    const y = top + i * row;
+    return `
+      <text class="stats-tick" x="${labelW - 8}" y="${y + row / 2}" text-anchor="end" dominant-baseline="middle">
+        ${escapeHTML(b.label.length > 26 ? b.label.slice(0, 25) + "…" : b.label)}</text>
+      <rect x="${labelW}" y="${y + 3}" width="${X(b.value) - labelW}" height="${row - 6}" fill="${CHART_COLORS[0]}">
+        <title>${escapeHTML(b.label)}: ${b.value} average over ${b.games} games</title></rect>
+      <text class="stats-tick" x="${X(b.value) + 6}" y="${y + row / 2}" dominant-baseline="middle">${b.value} · ${b.games} games</text>`;
+  }).join("");
+  return `<svg class="stats-svg" viewBox="0 0 ${w} ${height}" role="img" aria-label="Top developers by average user score">${rows}</svg>`;
+}
+
+/** Chart builders by preset `chart` kind. */
+const STATS_CHARTS = {
+  "stacked-area": stackedAreaChartHTML,
+  lines: linesChartHTML,
+  histogram: histogramChartHTML,
+  scatter: scatterChartHTML,
+  bars: barsChartHTML,
+};
+
+/* ---- View ---- */
+
+/**
+ * Parameter inputs of a preset (numbers; empty = server default).
+ * @param {{name:string, params:Record<string, object>}} preset
+ */
+function statsParamsHTML(preset){
+  const picked = STATS_PARAMS.get(preset.name) || {};
+  return Object.entries(preset.params || {}).map(([key, s]) => `
+    <label title="${escapeHTML(s.description || "")}">
+      ${escapeHTML(key)}
+      <input type="number" name="${escapeHTML(key)}" value="${escapeHTML(picked[key] ?? "")}"
+             placeholder="${escapeHTML(s.default ?? "any")}" min="${s.minimum ?? ""}" max="${s.maximum ?? ""}"
+             step="${s.type === "integer" ? 1 : "any"}">
+    </label>`).join("");
+}
+
+/**
+ * Loads and draws one preset into its card.
+ * @param {{name:string, chart:string}} preset
+ * @param {HTMLElement} card
+ */
+async function loadStatsChart(preset, card){
+  const box = card.querySelector(".stats-chart");
+  box.innerHTML = `<p class="goty-muted">Loading…</p>`;
+  const params = Object.fromEntries(Object.entries(STATS_PARAMS.get(preset.name) || {}).filter(([, v]) => v !== ""));
+  try{
+    const { data } = await apiStatsPreset(preset.name, params);
+    if (!isStatsRoute()) return; // navigated away meanwhile
+    box.innerHTML = (STATS_CHARTS[preset.chart] || (() => ""))(data || {});
+    box.querySelectorAll(".stats-dot[data-appid]").forEach(dot => {
+      dot.addEventListener("click", () => openGamePage(dot.dataset.appid));
     });
+  }catch(e){
+    console.error("stats error", preset.name, e);
+    box.innerHTML = `<p class="goty-muted">${e.message === "http 400" ? "Check the parameters." : "Could not load this chart."}</p>`;
+  }
+}
 
-    // Click to choose suggestion
-    list.addEventListener("click", (e) => {
-      const li = e.target.closest(".item");
-      if (!li) return;
-      setSelection({ appid: li.dataset.appid, name: li.dataset.name });
-      list.classList.remove("open");
+/**
+ * Shows the dashboard: one card per preset (title, parameters, chart).
+ */
+async function showStatsView(){
+  const view = el("stats-view");
+  if (!view) return;
+  document.body.classList.add("is-stats-view");
+  view.hidden = false;
+  document.title = "Statistics · Steam browser";
+  window.scrollTo({ top: 0 });
+
+  const profile = (PROFILES.find(p => p.key === CURRENT_PROFILE) || {}).name || CURRENT_PROFILE;
+  view.innerHTML = `
+    <div class="compare-head">
+      <button class="btn btn--secondary page-back" type="button">‹ Back to results</button>
+      <h2>Statistics</h2>
+      <span class="goty-muted">Over the games ${escapeHTML(profile)} can see</span>
+    </div>
+    <div class="stats-grid"><p class="goty-muted">Loading…</p></div>`;
+  view.querySelector(".page-back").addEventListener("click", leavePage);
+
+  try{
+    STATS_PRESET_LIST ||= (await apiStatsPresets()).items || [];
+  }catch(e){
+    console.error("stats presets error", e);
+    view.querySelector(".stats-grid").innerHTML = `<p class="goty-muted">Could not load the statistics.</p>`;
+    return;
+  }
+  if (!isStatsRoute()) return;
+
+  const grid = view.querySelector(".stats-grid");
+  grid.innerHTML = STATS_PRESET_LIST.map(p => `
+    <section class="stats-card" data-preset="${escapeHTML(p.name)}">
+      <h3>${escapeHTML(p.title)}</h3>
+      <p class="goty-muted">${escapeHTML(p.description)}</p>
+      <form class="stats-params">${statsParamsHTML(p)}</form>
+      <div class="stats-chart"></div>
+    </section>`).join("");
+
+  STATS_PRESET_LIST.forEach(preset => {
+    const card = grid.querySelector(`.stats-card[data-preset="${preset.name}"]`);
+    const form = card.querySelector(".stats-params");
+    form.addEventListener("submit", (ev) => ev.preventDefault());
+    form.addEventListener("change", () => {
+      STATS_PARAMS.set(preset.name, Object.fromEntries(new FormData(form)));
+      loadStatsChart(preset, card);
     });
+    loadStatsChart(preset, card);
+  });
+}
 
-    // Save GOTY -> backend + refresh current search
-    save.addEventListener("click", async () => {
-      if (!gotySelection) return;
-      const year = Number(ySel.value);
-      try {
-        await apiSetGoty(gotySelection.appid, year, CURRENT_PROFILE);
-        toast(`GOTY ${year} set to "${gotySelection.name}"`);
-        m.classList.add("hidden");
-        runSearch({ page: 1 });
-      } catch (e) {
-        console.error(e);
-        toast("Error setting GOTY");
+/** Hides the dashboard. */
+function hideStatsView(){
+  const view = el("stats-view");
+  if (!document.body.classList.contains("is-stats-view")) return;
+  document.body.classList.remove("is-stats-view");
+  document.title = DEFAULT_TITLE;
+  if (view) { view.hidden = true; view.innerHTML = ""; }
+}
+
+/** Opens the dashboard (new history entry). */
+function openStatsPage(){
+  window.history.pushState({ fromResults: !pageRouteActive() || Boolean(window.history.state?.fromResults) }, "", "/stats");
+  showPageRoute();
+}
+
+/* ================== Aggregation query builder (/query) ================== */
+
+/** Client route of the query builder. */
+const QUERY_ROUTE_RX = /^\/query\/?$/;
+
+/** True on the /query route. */
+const isQueryRoute = () => QUERY_ROUTE_RX.test(location.pathname);
+
+/** Stages the builder edits with rows; any other stage is kept as JSON. */
+const QUERY_STAGE_TYPES = ["$match", "$group", "$sort", "$project"];
+
+/** $match operators -> label. */
+const QUERY_MATCH_OPS = {
+  eq: "=", ne: "≠", gt: ">", gte: "≥", lt: "<", lte: "≤",
+  in: "in (a, b…)", nin: "not in", regex: "contains", exists: "exists",
+};
+
+/** Operators a date field accepts (compared through $toDate). */
+const QUERY_DATE_OPS = ["eq", "ne", "gt", "gte", "lt", "lte", "exists"];
+
+/** $group accumulators ("count" is { $sum: 1 }). */
+const QUERY_ACCUMULATORS = ["count", "sum", "avg", "min", "max", "first", "addToSet", "push"];
+
+/** Preview sizes (first N rows, sent as the request's `limit`). */
+const QUERY_PREVIEW_SIZES = [5, 10, 25, 50];
+
+/** Fields whose values are suggested from GET /api/games/distinct/<kind>. */
+const QUERY_DISTINCT_FIELDS = { genres: "genres", supported_languages: "languages", developers: "developers" };
+
+/**
+ * Builder state, kept while the page is open: stages in pipeline order,
+ * preview size and the name of the saved query being edited.
+ * Stages: { type:"$match", rows:[{field, op, value}] } |
+ *   { type:"$group", by, rows:[{name, op, field}] } | { type:"$sort", rows:[{field, dir}] } |
+ *   { type:"$project", rows:[{field, mode}] } | { type:"json", text }
+ */
+const QUERY = { stages: [], rows: 10, name: "" };
+
+/** Game schema fields (GET /api/games/fields), loaded once. */
+let QUERY_FIELDS = null;
+
+/** CURRENT_PROFILE's saved aggregation queries. */
+let QUERY_SAVED = [];
+
+/** Pending preview (debounce), latest preview run and its request. */
+let queryPreviewTimer = null;
+let queryPreviewSeq = 0;
+let QUERY_PREVIEW_CTRL = null;
+
+/** Field datalists last painted (rebuilt only when they change). */
+let queryDatalistsHTML = "";
+
+/** Import of the server's policy module, shared by every check. */
+let AGG_POLICY_MODULE = null;
+
+/**
+ * The server's aggregation policy (services/aggregationPolicy.js, served as
+ * /js/shared/aggregationPolicy.js): the builder runs the same
+ * validatePipeline() as POST /api/games/agg before sending anything.
+ * @returns {Promise<{validatePipeline:(p:object[]) => void, PipelineViolation:Function}>}
+ */
+function loadAggPolicy(){
+  AGG_POLICY_MODULE ||= import("/js/shared/aggregationPolicy.js").catch(e => {
+    AGG_POLICY_MODULE = null; // retried on the next check
+    throw e;
+  });
+  return AGG_POLICY_MODULE;
+}
+
+/**
+ * The raw console is for signed-in accounts on unrestricted profiles they
+ * own, or any unrestricted profile for admins (AGG_GUARDS on the server).
+ * @returns {boolean}
+ */
+function queryBuilderAllowed(){
+  const profile = PROFILES.find(p => p.key === CURRENT_PROFILE);
+  const canUse = CURRENT_USER?.role === "admin" || (CURRENT_USER?.profiles || []).includes(CURRENT_PROFILE);
+  return canUse && profile?.role !== "child" && !SAFETY_RULES.length;
+}
+
+/**
+ * A new stage with one starting row.
+ * @param {string} type - One of QUERY_STAGE_TYPES, or "json".
+ */
+function newQueryStage(type){
+  if (type === "$match") return { type, rows: [{ field: "", op: "eq", value: "" }] };
+  if (type === "$group") return { type, by: "", rows: [{ name: "games", op: "count", field: "" }] };
+  if (type === "$sort") return { type, rows: [{ field: "", dir: "-1" }] };
+  if (type === "$project") return { type, rows: [{ field: "", mode: "1" }] };
+  return { type: "json", text: "{ \"$limit\": 10 }" };
+}
+
+/** A new row of a stage (same shape as newQueryStage's). */
+const newQueryRow = (type) => ({ ...newQueryStage(type).rows[0], ...(type === "$group" ? { name: "" } : {}) });
+
+/* ---- Pipeline <-> stages ---- */
+
+/**
+ * Fields reaching each stage: the Game schema before the first one, then
+ * what $group and $project leave. Array fields have the type of their items.
+ * @returns {{path:string, type:string}[][]} One list per stage.
+ */
+function queryFieldsByStage(){
+  let fields = (QUERY_FIELDS || []).map(f => ({ path: f.path, type: f.type === "array" ? f.items || "mixed" : f.type }));
+  const typeOf = (path) => (fields.find(f => f.path === path) || {}).type || "mixed";
+  const under = (path, list) => list.some(p => path === p || path.startsWith(p + "."));
+
+  return QUERY.stages.map(stage => {
+    const input = fields;
+    if (stage.type === "$group") {
+      fields = [
+        { path: "_id", type: stage.by ? typeOf(stage.by) : "null" },
+        ...stage.rows.filter(r => r.name).map(r => ({
+          path: r.name,
+          type: ["count", "sum", "avg"].includes(r.op) ? "number" : ["min", "max", "first"].includes(r.op) ? typeOf(r.field) : "mixed",
+        })),
+      ];
+    } else if (stage.type === "$project") {
+      const rows = stage.rows.filter(r => r.field);
+      const kept = rows.filter(r => r.mode === "1").map(r => r.field);
+      const dropped = rows.filter(r => r.mode === "0").map(r => r.field);
+      fields = kept.length
+        ? fields.filter(f => (f.path === "_id" || under(f.path, kept)) && !under(f.path, dropped))
+        : fields.filter(f => !under(f.path, dropped));
+    }
+    return input;
+  });
+}
+
+/**
+ * Typed value of a $match row for its field's type; fields of unknown type
+ * (computed by an earlier stage) take numbers and booleans as such.
+ * @param {string} raw
+ * @param {string} type
+ * @throws {Error} when a number field gets something else.
+ */
+function queryValue(raw, type){
+  const v = String(raw).trim();
+  const numeric = v !== "" && !Number.isNaN(Number(v));
+  if (type === "number" && !numeric) throw new Error(`"${v}" is not a number`);
+  if (type === "number" || (type === "mixed" && numeric)) return Number(v);
+  if (type === "boolean" || (type === "mixed" && (v === "true" || v === "false"))) return v === "true";
+  return v;
+}
+
+/** Literal text -> regex source ("contains" rows match the text as typed). */
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Condition of one $match row. Dates compare through $expr/$toDate (a JSON
+ * pipeline has no date literal).
+ * @param {{field:string, op:string, value:string}} row
+ * @param {string} type - Field type (queryFieldsByStage).
+ * @returns {object}
+ */
+function matchCondition({ field, op, value }, type){
+  const v = String(value).trim();
+  if (op === "exists") return { [field]: { $exists: v !== "false" } };
+  if (type === "date") {
+    if (!QUERY_DATE_OPS.includes(op)) throw new Error(`${field}: dates compare with =, ≠, <, ≤, >, ≥`);
+    return { $expr: { [`$${op}`]: [`$${field}`, { $toDate: v }] } };
+  }
+  if (op === "regex") return { [field]: { $regex: escapeRegex(v), $options: "i" } };
+  if (op === "in" || op === "nin") {
+    return { [field]: { [`$${op}`]: v.split(",").map(s => s.trim()).filter(Boolean).map(s => queryValue(s, type)) } };
+  }
+  const typed = queryValue(v, type);
+  return { [field]: op === "eq" ? typed : { [`$${op}`]: typed } };
+}
+
+/** `{ $gte: 1 }`-like objects (merged when two rows target one field). */
+const isOperatorObject = (v) => v && typeof v === "object" && !Array.isArray(v) && Object.keys(v).every(k => k.startsWith("$"));
+
+/**
+ * One $match object of row conditions: operators on the same field are
+ * merged ({ price: { $gte: 5, $lte: 20 } }); other clashes use $and.
+ * @param {object[]} conds
+ */
+function mergeConditions(conds){
+  const merged = {};
+  for (const cond of conds) {
+    const [key, val] = Object.entries(cond)[0];
+    const prev = merged[key];
+    if (prev === undefined) merged[key] = val;
+    else if (key !== "$expr" && isOperatorObject(prev) && isOperatorObject(val) && !Object.keys(val).some(k => k in prev)) merged[key] = { ...prev, ...val };
+    else return { $and: conds };
+  }
+  return merged;
+}
+
+/**
+ * Pipeline stage of a builder stage (null for a $sort / $project without
+ * fields, which MongoDB would reject).
+ * @param {object} stage
+ * @param {{path:string, type:string}[]} fields - Fields reaching the stage.
+ * @returns {object|null}
+ * @throws {Error} on values the builder cannot convert.
+ */
+function queryStageJSON(stage, fields){
+  const typeOf = (path) => (fields.find(f => f.path === path) || {}).type || "mixed";
+  const rows = (stage.rows || []).filter(r => r.field);
+
+  switch (stage.type) {
+    case "$match":
+      return { $match: mergeConditions(rows.map(r => matchCondition(r, typeOf(r.field)))) };
+    case "$group": {
+      const group = { _id: stage.by ? `$${stage.by}` : null };
+      stage.rows.filter(r => r.name).forEach(r => {
+        if (!/^[A-Za-z_]\w*$/.test(r.name)) throw new Error(`"${r.name}" is not a valid output name`);
+        if (r.op !== "count" && !r.field) throw new Error(`${r.name}: pick the field of $${r.op}`);
+        group[r.name] = r.op === "count" ? { $sum: 1 } : { [`$${r.op}`]: `$${r.field}` };
+      });
+      return { $group: group };
+    }
+    case "$sort":
+      return rows.length ? { $sort: Object.fromEntries(rows.map(r => [r.field, Number(r.dir)])) } : null;
+    case "$project":
+      return rows.length ? { $project: Object.fromEntries(rows.map(r => [r.field, Number(r.mode)])) } : null;
+    default:
+      try{
+        return JSON.parse(stage.text);
+      }catch(e){
+        throw new Error(`invalid JSON (${e.message})`);
       }
-    });
   }
+}
+
+/**
+ * The builder's pipeline.
+ * @returns {{ pipeline:object[], stageOf:number[] }} stageOf maps pipeline
+ *   indexes to builder stages (empty stages are left out).
+ * @throws {Error} with `stage` (builder index) on values it cannot convert.
+ */
+function queryPipeline(){
+  const inputs = queryFieldsByStage();
+  const pipeline = [], stageOf = [];
+  QUERY.stages.forEach((stage, i) => {
+    let json;
+    try{
+      json = queryStageJSON(stage, inputs[i]);
+    }catch(e){
+      e.stage = i;
+      throw e;
+    }
+    if (json) { pipeline.push(json); stageOf.push(i); }
+  });
+  return { pipeline, stageOf };
+}
+
+/** `{ field: cond }` of a $match -> builder rows, or null when it has no row form. */
+function matchRows(match){
+  const rows = [];
+  for (const [key, cond] of Object.entries(match)) {
+    if (key === "$and" && Array.isArray(cond)) {
+      const nested = cond.map(c => matchRows(c));
+      if (nested.some(n => !n)) return null;
+      rows.push(...nested.flat());
+    } else if (key === "$expr") {
+      const [op, args] = Object.entries(cond || {})[0] || [];
+      const date = Array.isArray(args) && args[1] && args[1].$toDate;
+      if (typeof date !== "string" || !QUERY_DATE_OPS.includes(op.slice(1)) || typeof args[0] !== "string") return null;
+      rows.push({ field: args[0].slice(1), op: op.slice(1), value: date });
+    } else if (key.startsWith("$")) {
+      return null;
+    } else if (!isOperatorObject(cond)) {
+      if (cond === null || typeof cond === "object") return null;
+      rows.push({ field: key, op: "eq", value: String(cond) });
+    } else {
+      for (const [op, v] of Object.entries(cond)) {
+        const name = op.slice(1);
+        if (op === "$options" && cond.$regex !== undefined) continue;
+        if (op === "$regex" && (cond.$options || "") !== "i") return null;
+        if (op === "$regex") rows.push({ field: key, op: "regex", value: String(v).replace(/\\(.)/g, "$1") });
+        else if (op === "$exists") rows.push({ field: key, op: "exists", value: String(Boolean(v)) });
+        else if ((op === "$in" || op === "$nin") && Array.isArray(v)) rows.push({ field: key, op: name, value: v.join(", ") });
+        else if (QUERY_MATCH_OPS[name] && (v === null || typeof v !== "object")) rows.push({ field: key, op: name, value: String(v) });
+        else return null;
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Builder stage of a pipeline stage; stages without a row form (other
+ * stage types, expressions) become JSON stages.
+ * @param {object} stage
+ */
+function stageOfJSON(stage){
+  const keys = Object.keys(stage || {});
+  const [type] = keys;
+  const body = stage && stage[type];
+  const asJSON = { type: "json", text: JSON.stringify(stage, null, 2) };
+  if (keys.length !== 1 || !body || typeof body !== "object" || Array.isArray(body)) return asJSON;
+
+  if (type === "$match") {
+    const rows = matchRows(body);
+    return rows ? { type, rows } : asJSON;
+  }
+  if (type === "$group") {
+    const { _id, ...acc } = body;
+    if (_id !== null && !(typeof _id === "string" && _id.startsWith("$"))) return asJSON;
+    const rows = [];
+    for (const [name, expr] of Object.entries(acc)) {
+      const [op, arg] = Object.entries(expr || {})[0] || [];
+      if (op === "$sum" && arg === 1) rows.push({ name, op: "count", field: "" });
+      else if (QUERY_ACCUMULATORS.includes(String(op).slice(1)) && typeof arg === "string" && arg.startsWith("$")) rows.push({ name, op: op.slice(1), field: arg.slice(1) });
+      else return asJSON;
+    }
+    return { type, by: _id ? _id.slice(1) : "", rows };
+  }
+  if (type === "$sort" || type === "$project") {
+    const entries = Object.entries(body);
+    const allowed = type === "$sort" ? [1, -1] : [0, 1];
+    if (!entries.every(([, v]) => allowed.includes(Number(v)) && typeof v !== "object")) return asJSON;
+    return { type, rows: entries.map(([field, v]) => type === "$sort" ? { field, dir: String(Number(v)) } : { field, mode: String(Number(v)) }) };
+  }
+  return asJSON;
+}
+
+/* ---- Rendering ---- */
+
+/** <option>s of [value, label] pairs. */
+const queryOptionsHTML = (pairs, selected) => pairs
+  .map(([v, label]) => `<option value="${escapeHTML(v)}"${String(v) === String(selected) ? " selected" : ""}>${escapeHTML(label)}</option>`)
+  .join("");
+
+/** Datalist id of the suggested values of a field ("" when none). */
+const queryValuesList = (field) => (QUERY_DISTINCT_FIELDS[field] ? `query-values-${QUERY_DISTINCT_FIELDS[field]}` : "");
+
+/** Field input of stage `i` (autocompleted from the fields reaching it). */
+const queryFieldInput = (i, value, { key = "field", placeholder = "field", disabled = false } = {}) => `
+  <input class="query-input" data-key="${key}" list="query-fields-${i}" value="${escapeHTML(value)}"
+         placeholder="${escapeHTML(placeholder)}" autocomplete="off" spellcheck="false"${disabled ? " disabled" : ""}>`;
+
+/** Placeholder of a $match value by operator. */
+const queryValuePlaceholder = (op) => (op === "exists" ? "true / false" : op === "in" || op === "nin" ? "a, b, c" : "value");
+
+/** One row of a stage. */
+function queryRowHTML(stage, i, row, r){
+  let cells = "";
+  if (stage.type === "$match") {
+    cells = `
+      ${queryFieldInput(i, row.field)}
+      <select class="query-input" data-key="op" aria-label="Operator">${queryOptionsHTML(Object.entries(QUERY_MATCH_OPS), row.op)}</select>
+      <input class="query-input" data-key="value" list="${queryValuesList(row.field)}" value="${escapeHTML(row.value)}"
+             placeholder="${queryValuePlaceholder(row.op)}" autocomplete="off">`;
+  } else if (stage.type === "$group") {
+    cells = `
+      <input class="query-input" data-key="name" value="${escapeHTML(row.name)}" placeholder="output name" autocomplete="off" spellcheck="false">
+      <select class="query-input" data-key="op" aria-label="Accumulator">${queryOptionsHTML(QUERY_ACCUMULATORS.map(a => [a, a === "count" ? "count" : `$${a}`]), row.op)}</select>
+      ${queryFieldInput(i, row.field, { disabled: row.op === "count" })}`;
+  } else if (stage.type === "$sort") {
+    cells = `
+      ${queryFieldInput(i, row.field)}
+      <select class="query-input" data-key="dir" aria-label="Direction">${queryOptionsHTML([["1", "ascending"], ["-1", "descending"]], row.dir)}</select>`;
+  } else {
+    cells = `
+      ${queryFieldInput(i, row.field)}
+      <select class="query-input" data-key="mode" aria-label="Include or exclude">${queryOptionsHTML([["1", "include"], ["0", "exclude"]], row.mode)}</select>`;
+  }
+  return `
+    <div class="query-row" data-row="${r}">
+      ${cells}
+      <button class="query-icon" type="button" data-action="remove-row" title="Remove" aria-label="Remove">×</button>
+    </div>`;
+}
+
+/** One stage card (header with move/remove, then its rows or JSON). */
+function queryStageHTML(stage, i){
+  const last = QUERY.stages.length - 1;
+  const body = stage.type === "json"
+    ? `<textarea class="query-input query-json-stage" data-key="text" rows="4" spellcheck="false">${escapeHTML(stage.text)}</textarea>`
+    : `
+      ${stage.type === "$group" ? `<label class="query-group-by">Group by ${queryFieldInput(i, stage.by, { key: "by", placeholder: "(all documents)" })}</label>` : ""}
+      ${stage.rows.map((row, r) => queryRowHTML(stage, i, row, r)).join("")}
+      <button class="query-add-row" type="button" data-action="add-row">+ ${stage.type === "$group" ? "accumulator" : stage.type === "$match" ? "condition" : "field"}</button>`;
+  return `
+    <section class="query-stage" data-stage="${i}">
+      <div class="query-stage-head">
+        <span class="query-stage-type">${stage.type === "json" ? "JSON stage" : stage.type}</span>
+        <button class="query-icon" type="button" data-action="up" title="Move up" aria-label="Move up"${i === 0 ? " disabled" : ""}>↑</button>
+        <button class="query-icon" type="button" data-action="down" title="Move down" aria-label="Move down"${i === last ? " disabled" : ""}>↓</button>
+        <button class="query-icon" type="button" data-action="remove" title="Remove stage" aria-label="Remove stage">×</button>
+      </div>
+      ${body}
+    </section>`;
+}
+
+/** Redraws the stage cards (structure changes: add, move, remove). */
+function renderQueryStages(){
+  const box = qs("#query-view .query-stages");
+  if (!box) return;
+  box.innerHTML = QUERY.stages.length
+    ? QUERY.stages.map(queryStageHTML).join("")
+    : `<p class="goty-muted">No stages: the preview shows the first games as stored.</p>`;
+  paintQueryDatalists();
+}
+
+/** Field datalists, one per stage (the fields reaching it, with their type). */
+function paintQueryDatalists(){
+  const box = qs("#query-view .query-fields");
+  if (!box) return;
+  const html = queryFieldsByStage().map((fields, i) => `
+    <datalist id="query-fields-${i}">${fields.map(f => `<option value="${escapeHTML(f.path)}">${escapeHTML(f.type)}</option>`).join("")}</datalist>`).join("");
+  if (html === queryDatalistsHTML && box.childElementCount) return;
+  queryDatalistsHTML = html;
+  box.innerHTML = html;
+}
+
+/** Value datalists of QUERY_DISTINCT_FIELDS (profile-aware distinct lists). */
+async function fillQueryValueLists(){
+  const kinds = Object.values(QUERY_DISTINCT_FIELDS);
+  const lists = await Promise.all(kinds.map(k => getDistinct(k).then(r => r.items || [], () => [])));
+  const box = qs("#query-view .query-values");
+  if (!box) return;
+  box.innerHTML = kinds.map((k, i) => `
+    <datalist id="query-values-${k}">${lists[i].filter(Boolean).slice(0, 500).map(v => `<option value="${escapeHTML(v)}">`).join("")}</datalist>`).join("");
+}
+
+/** Preview rows as a table (top-level keys as columns). */
+function queryPreviewHTML(items){
+  if (!items.length) return `<p class="goty-muted">No rows.</p>`;
+  const cols = Array.from(new Set(items.flatMap(r => Object.keys(r))));
+  const cell = (v) => {
+    if (v == null) return "—";
+    const text = typeof v === "object" ? JSON.stringify(v) : String(v);
+    return escapeHTML(text.length > 80 ? text.slice(0, 79) + "…" : text);
+  };
+  return `
+    <div class="query-table-wrap">
+      <table class="dev-table query-table">
+        <tr>${cols.map(c => `<th>${escapeHTML(c)}</th>`).join("")}</tr>
+        ${items.map(r => `<tr>${cols.map(c => `<td>${cell(r[c])}</td>`).join("")}</tr>`).join("")}
+      </table>
+    </div>`;
+}
 
-  return m;
+/** Error body or PipelineViolation -> status line. */
+function queryErrorHTML({ error, code, path, detail, details }){
+  const extra = detail ?? details;
+  return `<strong>${escapeHTML(error || code)}</strong>`
+    + (path ? ` at <code>${escapeHTML(path)}</code>` : "")
+    + (extra != null ? `: ${escapeHTML(typeof extra === "object" ? JSON.stringify(extra) : String(extra))}` : "");
+}
+
+/* ---- Preview ---- */
+
+/** Re-runs the preview after `delay` ms without further edits. */
+function scheduleQueryPreview(delay = 400){
+  clearTimeout(queryPreviewTimer);
+  queryPreviewTimer = setTimeout(runQueryPreview, delay);
 }
 
 /**
- * Executes the typeahead query for the GOTY modal.
- * - Calls apiSearch with a narrow projection and limit=8.
- * - Renders a clickable suggestion list.
+ * Builds the pipeline, checks it with validatePipeline() and, when it
+ * passes, previews its first QUERY.rows rows. Builder errors and policy
+ * violations are shown on the offending stage and nothing is sent.
  */
-async function runGotyTypeahead(){
-  const m = el("goty-modal");
-  if (!m) return;
-  const input = m.querySelector("#goty-typeahead");
-  const list  = m.querySelector("#goty-suggest");
-  const q = (input.value || "").trim();
-
-  list.innerHTML = "";
-  list.classList.remove("open");
-  if (!q) return;
+async function runQueryPreview(){
+  const view = el("query-view");
+  if (!view || !isQueryRoute() || !view.querySelector(".query-stages")) return;
+  const seq = ++queryPreviewSeq;
+  const status = view.querySelector(".query-status");
+  const out = view.querySelector(".query-preview");
+  const json = view.querySelector(".query-json");
+  QUERY_PREVIEW_CTRL?.abort();
+
+  view.querySelectorAll(".query-stage.is-invalid").forEach(s => s.classList.remove("is-invalid"));
+  status.hidden = true;
+  const fail = (html, stage) => {
+    status.innerHTML = html;
+    status.hidden = false;
+    out.classList.remove("is-loading");
+    if (stage != null) view.querySelector(`.query-stage[data-stage="${stage}"]`)?.classList.add("is-invalid");
+  };
 
+  let built;
   try{
-    const payload = {
-      filters: { search: q, profile: CURRENT_PROFILE },
-      sort: "name-asc",
-      page: 1, limit: 8,
-      projection: { appid:1, name:1, header_image:1 }
-    };
-    const data = await apiSearch(payload);
-    const items = data.items || [];
+    built = queryPipeline();
+  }catch(e){
+    json.textContent = "";
+    return fail(`Stage ${e.stage + 1}: ${escapeHTML(e.message)}`, e.stage);
+  }
+  const { pipeline, stageOf } = built;
+  const stageOfPath = (path) => {
+    const m = /^pipeline\[(\d+)\]/.exec(path || "");
+    return m ? stageOf[Number(m[1])] : undefined;
+  };
+  json.textContent = `db.games.aggregate(${JSON.stringify(pipeline, null, 2)})`;
 
-    if (!items.length) {
-      list.innerHTML = `<div class="empty">No matches</div>`;
-      list.classList.add("open");
-      return;
-    }
+  let policy;
+  try{
+    policy = await loadAggPolicy();
+  }catch(e){
+    console.error("aggregation policy load error", e);
+    return fail("Could not load the aggregation policy.");
+  }
+  if (seq !== queryPreviewSeq) return;
+  try{
+    policy.validatePipeline(pipeline);
+  }catch(e){
+    if (!(e instanceof policy.PipelineViolation)) throw e;
+    return fail(queryErrorHTML(e), stageOfPath(e.path));
+  }
 
-    list.innerHTML = items.map(g => `
-      <div class="item" role="option" tabindex="-1"
-           data-appid="${g.appid}" data-name="${(g.name||"").replace(/"/g,"&quot;")}">
-        <img src="${g.header_image || ""}" alt="" />
-        <span class="t">${g.name || ""}</span>
-      </div>
-    `).join("");
-    list.classList.add("open");
+  const ctrl = QUERY_PREVIEW_CTRL = new AbortController();
+  out.classList.add("is-loading");
+  try{
+    const data = await apiAggregate(pipeline, QUERY.rows, ctrl.signal);
+    if (seq !== queryPreviewSeq) return;
+    out.classList.remove("is-loading");
+    if (!data.ok) return fail(queryErrorHTML(data), stageOfPath(data.path));
+    out.innerHTML = queryPreviewHTML(data.items || []);
   }catch(e){
-    console.error(e);
-    list.innerHTML = `<div class="empty">Error. Try again.</div>`;
-    list.classList.add("open");
+    if (e.name === "AbortError" || seq !== queryPreviewSeq) return;
+    console.error("query preview error", e);
+    fail(e.message === "http 401" || e.message === "http 403"
+      ? "This account or profile cannot run aggregations."
+      : "The preview failed, try again.");
   }
 }
 
-/**
- * Opens the GOTY modal and resets its UI.
- * Focuses the input after opening.
- */
-function openGotyModal(){
-  gotySelection = null;
-  const m = ensureGotyModal();
-  m.classList.remove("hidden");
+/* ---- Editing ---- */
+
+/** Typing in a stage: updates QUERY and the row's dependent inputs, then previews. */
+function onQueryInput(ev){
+  const input = ev.target;
+  const key = input.dataset.key;
+  const stageEl = input.closest(".query-stage");
+  if (!key || !stageEl) return;
+  const stage = QUERY.stages[Number(stageEl.dataset.stage)];
+  const rowEl = input.closest(".query-row");
+  const target = rowEl ? stage.rows[Number(rowEl.dataset.row)] : stage;
+  if (!target) return;
+  target[key] = input.value;
+
+  if (rowEl && stage.type === "$match") {
+    const value = rowEl.querySelector('[data-key="value"]');
+    if (key === "field") value.setAttribute("list", queryValuesList(input.value));
+    if (key === "op") value.placeholder = queryValuePlaceholder(input.value);
+  }
+  if (rowEl && stage.type === "$group" && key === "op") {
+    rowEl.querySelector('[data-key="field"]').disabled = input.value === "count";
+  }
+  paintQueryDatalists();
+  scheduleQueryPreview();
+}
 
-  const input = m.querySelector("#goty-typeahead");
-  const list  = m.querySelector("#goty-suggest");
-  const save  = m.querySelector("#goty-save");
+/** Stage buttons: move, remove, add or remove a row. */
+function onQueryAction(ev){
+  const btn = ev.target.closest("[data-action]");
+  const stageEl = btn && btn.closest(".query-stage");
+  if (!stageEl) return;
+  const i = Number(stageEl.dataset.stage);
+  const stage = QUERY.stages[i];
+
+  switch (btn.dataset.action) {
+    case "up":
+    case "down": {
+      const j = btn.dataset.action === "up" ? i - 1 : i + 1;
+      if (j < 0 || j >= QUERY.stages.length) return;
+      [QUERY.stages[i], QUERY.stages[j]] = [QUERY.stages[j], QUERY.stages[i]];
+      break;
+    }
+    case "remove":
+      QUERY.stages.splice(i, 1);
+      break;
+    case "add-row":
+      stage.rows.push(newQueryRow(stage.type));
+      break;
+    case "remove-row":
+      stage.rows.splice(Number(btn.closest(".query-row").dataset.row), 1);
+      break;
+    default:
+      return;
+  }
+  renderQueryStages();
+  scheduleQueryPreview(0);
+}
 
-  input.value = "";
-  list.innerHTML = "";
-  list.classList.remove("open");
-  save.disabled = true;
+/* ---- Saved queries ---- */
 
-  setTimeout(() => {
-    input.readOnly = false;
-    input.disabled = false;
-    input.style.pointerEvents = "auto";
-    input.focus();
-  }, 0);
+/** Loads CURRENT_PROFILE's saved aggregation queries. */
+async function loadSavedQueries(){
+  QUERY_SAVED = [];
+  try{
+    QUERY_SAVED = (await apiListSavedSearches(CURRENT_PROFILE, "aggregation")).items || [];
+  }catch(e){
+    if (e.message !== "http 401" && e.message !== "http 403") console.error("saved queries load error", e);
+  }
+  paintSavedQueries();
 }
 
+/** Fills the saved queries select (the one being edited selected). */
+function paintSavedQueries(){
+  const sel = qs("#query-view .query-saved");
+  if (!sel) return;
+  const current = QUERY_SAVED.find(q => q.name === QUERY.name);
+  sel.innerHTML = `<option value="">Saved queries…</option>`
+    + queryOptionsHTML(QUERY_SAVED.map(q => [q._id, q.name]), current ? current._id : "");
+  qs("#query-view .query-delete").disabled = !current;
+}
 
-/* -------------------------------------------------------------------------- */
-/* Card + favorites + GOTY badge                                              */
-/* -------------------------------------------------------------------------- */
+/** Opens a saved query in the builder. */
+function openSavedQuery(id){
+  const saved = QUERY_SAVED.find(q => q._id === id);
+  if (!saved) return;
+  QUERY.stages = (saved.pipeline || []).map(stageOfJSON);
+  QUERY.name = saved.name;
+  renderQueryStages();
+  paintSavedQueries();
+  scheduleQueryPreview(0);
+}
 
 /**
- * Builds the card HTML for a single game, including:
- * - Header image (placeholder if missing)
- * - Favorite button (reflects current fav state)
- * - GOTY badge (if applies) with remove action
- * - Metadata (genres, platforms, scores, price, date, fine details)
- * - Expandable details (description + screenshots)
- *
- * @param {object} g - Game document from backend (projection-sensitive).
- * @returns {string} HTML string for insertion in the grid.
+ * Asks for a name and saves the pipeline for CURRENT_PROFILE (an existing
+ * name is replaced). The pipeline must pass validatePipeline() first.
  */
-function gameCardHTML(g){
-  const appid  = g.appid || g._id || "";
-  const fav    = isFav(appid);
-  const isGoty = Number(g.goty_year) > 0;
+async function saveQuery(){
+  let pipeline;
+  try{
+    pipeline = queryPipeline().pipeline;
+    const policy = await loadAggPolicy();
+    policy.validatePipeline(pipeline);
+  }catch(e){
+    toast("Fix the pipeline before saving it");
+    return;
+  }
+  if (!pipeline.length) {
+    toast("Add a stage before saving");
+    return;
+  }
+  const name = (window.prompt("Name this query", QUERY.name) || "").trim();
+  if (!name) return;
+  try{
+    const { data } = await apiSaveQuery(CURRENT_PROFILE, name, pipeline);
+    QUERY_SAVED = QUERY_SAVED.filter(q => q._id !== data._id).concat(data)
+      .sort((a,b) => a.name.localeCompare(b.name));
+    QUERY.name = data.name;
+    paintSavedQueries();
+    toast(`Query "${data.name}" saved`);
+  }catch(e){
+    console.error("save query error", e);
+    toast(writeErrorMessage(e, "Could not save the query"));
+  }
+}
 
-  const priceStr  = formatPrice(g.price);
-  const dateStr   = formatDate(g.release_date);
-  const genresStr = Array.isArray(g.genres) ? g.genres.join(", ") : (g.genres || "");
-  const langsStr  = Array.isArray(g.supported_languages) ? listCompact(g.supported_languages, 4) : (g.supported_languages || "");
-  const devsStr   = Array.isArray(g.developers) ? listCompact(g.developers, 2) : (g.developers || "");
-  const pubsStr   = Array.isArray(g.publishers) ? listCompact(g.publishers, 2) : (g.publishers || "");
-  const tagsStr   = safeTags(g.tags, 6);
-  const desc      = g.short_description || g.about_the_game || g.detailed_description || "";
-  const shots     = Array.isArray(g.screenshots) ? g.screenshots.slice(0,4) : [];
+/** Deletes the saved query being edited after confirmation. */
+async function deleteSavedQuery(){
+  const saved = QUERY_SAVED.find(q => q.name === QUERY.name);
+  if (!saved || !window.confirm(`Delete the saved query "${saved.name}"?`)) return;
+  try{
+    await apiDeleteSavedSearch(saved._id);
+    QUERY_SAVED = QUERY_SAVED.filter(q => q._id !== saved._id);
+    QUERY.name = "";
+    paintSavedQueries();
+  }catch(e){
+    console.error("delete saved query error", e);
+    toast(writeErrorMessage(e, "Could not delete the query"));
+  }
+}
 
-  return `
-    <div class="game-card ${isGoty ? "is-goty" : ""}" data-appid="${appid}">
-      <div class="thumb">
-        ${isGoty ? `
-          <div class="goty-badge" title="Game of the Year">
-            🏆 GOTY ${g.goty_year}
-            <button class="goty-remove" data-appid="${appid}" data-year="${g.goty_year}" aria-label="Remove GOTY">✖</button>
-          </div>
-        ` : ``}
-        <img src="${headerSrc(g)}" alt="${(g.name || "").replace(/"/g,"&quot;")}">
-        <button class="fav-btn ${fav ? "active":""}" data-appid="${appid}" aria-pressed="${fav ? "true":"false"}">
-          ${fav ? "★ Liked" : "☆ Like"}
-        </button>
-      </div>
+/* ---- View ---- */
 
-      <div class="meta">
-        <h4 class="title">${g.name || "Untitled"}</h4>
-        ${genresStr ? `<div class="sub">${genresStr}</div>` : ""}
+/**
+ * Shows the builder: saved queries and preview size on top, the stage
+ * cards, then the status line, the preview table and the generated pipeline.
+ */
+async function showQueryView(){
+  const view = el("query-view");
+  if (!view) return;
+  document.body.classList.add("is-query-view");
+  view.hidden = false;
+  document.title = "Query builder · Steam browser";
+  window.scrollTo({ top: 0 });
+
+  const profile = (PROFILES.find(p => p.key === CURRENT_PROFILE) || {}).name || CURRENT_PROFILE;
+  const head = `
+    <div class="compare-head">
+      <button class="btn btn--secondary page-back" type="button">‹ Back to results</button>
+      <h2>Query builder</h2>
+      <span class="goty-muted">Aggregations on games as ${escapeHTML(profile)}</span>
+    </div>`;
+
+  if (!queryBuilderAllowed()) {
+    view.innerHTML = `${head}
+      <p class="goty-muted">${CURRENT_USER
+        ? "Raw aggregations are not available to restricted profiles."
+        : "Sign in to build aggregation queries."}</p>`;
+    view.querySelector(".page-back").addEventListener("click", leavePage);
+    return;
+  }
 
-        <div class="badges">
-          ${platformsIcons(g)}
-          ${scoreBadge(g)}
-          ${g.achievements ? `<span class="badge" title="Achievements">🏆 ${g.achievements}</span>` : ""}
-          ${g.recommendations ? `<span class="badge" title="Recommendations">👍 ${g.recommendations}</span>` : ""}
+  view.innerHTML = `${head}
+    <div class="query-toolbar">
+      <select class="query-saved" aria-label="Saved queries"></select>
+      <button class="btn btn--secondary query-new" type="button">New</button>
+      <button class="btn btn--secondary query-save" type="button">☆ Save</button>
+      <button class="btn btn--secondary query-delete" type="button" disabled>Delete</button>
+      <label class="query-size">Preview
+        <select aria-label="Preview rows">${queryOptionsHTML(QUERY_PREVIEW_SIZES.map(n => [n, `${n} rows`]), QUERY.rows)}</select>
+      </label>
+    </div>
+    <div class="query-layout">
+      <div class="query-builder">
+        <div class="query-stages"></div>
+        <div class="query-add">
+          <span class="goty-muted">Add stage</span>
+          ${QUERY_STAGE_TYPES.map(t => `<button class="btn btn--secondary" type="button" data-add="${t}">${t}</button>`).join("")}
+          <button class="btn btn--secondary" type="button" data-add="json" title="Any other stage the policy allows, as JSON">JSON</button>
         </div>
+      </div>
+      <div class="query-output">
+        <div class="query-status dev-warn" role="alert" hidden></div>
+        <div class="query-preview" aria-live="polite"></div>
+        <details class="query-json-box">
+          <summary>Generated pipeline</summary>
+          <pre class="dev-pre query-json"></pre>
+        </details>
+      </div>
+    </div>
+    <div class="query-fields"></div>
+    <div class="query-values"></div>`;
+
+  view.querySelector(".page-back").addEventListener("click", leavePage);
+  view.querySelector(".query-saved").addEventListener("change", (ev) => openSavedQuery(ev.target.value));
+  view.querySelector(".query-new").addEventListener("click", () => {
+    QUERY.stages = [newQueryStage("$match")];
+    QUERY.name = "";
+    renderQueryStages();
+    paintSavedQueries();
+    scheduleQueryPreview(0);
+  });
+  view.querySelector(".query-save").addEventListener("click", saveQuery);
+  view.querySelector(".query-delete").addEventListener("click", deleteSavedQuery);
+  view.querySelector(".query-size select").addEventListener("change", (ev) => {
+    QUERY.rows = Number(ev.target.value);
+    scheduleQueryPreview(0);
+  });
+  view.querySelector(".query-add").addEventListener("click", (ev) => {
+    const type = ev.target.closest("[data-add]")?.dataset.add;
+    if (!type) return;
+    QUERY.stages.push(newQueryStage(type));
+    renderQueryStages();
+    scheduleQueryPreview(0);
+  });
+  const stages = view.querySelector(".query-stages");
+  stages.addEventListener("input", onQueryInput);
+  stages.addEventListener("click", onQueryAction);
 
-        <div class="row">
-          <span class="price ${g.price === 0 ? "free":""}">${priceStr}</span>
-          <span class="date">${dateStr}</span>
-        </div>
+  if (!QUERY.stages.length) QUERY.stages = [newQueryStage("$match")];
+  queryDatalistsHTML = "";
+  renderQueryStages();
+  loadSavedQueries();
+  fillQueryValueLists();
 
-        <div class="fine">
-          ${langsStr ? `<div>Lang: ${langsStr}</div>` : ""}
-          ${devsStr ? `<div>Dev: ${devsStr}</div>` : ""}
-          ${pubsStr ? `<div>Pub: ${pubsStr}</div>` : ""}
-          ${tagsStr ? `<div>Tags: ${tagsStr}</div>` : ""}
-          ${g.website ? `<a href="${g.website}" target="_blank" rel="noopener">Website ↗</a>` : ""}
-        </div>
+  try{
+    QUERY_FIELDS ||= (await apiGameFields()).items || [];
+  }catch(e){
+    console.error("game fields load error", e); // no field suggestions, values typed by content
+  }
+  if (!isQueryRoute()) return;
+  paintQueryDatalists();
+  scheduleQueryPreview(0);
+}
 
-        ${desc || (shots && shots.length)
-          ? `<details>
-               <summary>Details</summary>
-               ${desc ? `<p>${desc}</p>` : ""}
-               ${shots.length ? `<div class="shots">` + shots.map(s => `<img src="${s}" alt="screenshot">`).join("") + `</div>` : ""}
-             </details>`
-          : ""}
-      </div>
-    </div>
-  `;
+/** Hides the builder (its state is kept for the next visit). */
+function hideQueryView(){
+  const view = el("query-view");
+  if (!document.body.classList.contains("is-query-view")) return;
+  document.body.classList.remove("is-query-view");
+  document.title = DEFAULT_TITLE;
+  clearTimeout(queryPreviewTimer);
+  QUERY_PREVIEW_CTRL?.abort();
+  if (view) { view.hidden = true; view.innerHTML = ""; }
+}
+
+/** Opens the builder (new history entry). */
+function openQueryPage(){
+  window.history.pushState({ fromResults: !pageRouteActive() || Boolean(window.history.state?.fromResults) }, "", "/query");
+  showPageRoute();
 }
 
+/* ================== URL state & saved searches (sidebar) ================== */
+
 /**
- * Renders a list of games into #games-grid and wires up:
- * - Favorite toggle buttons
- * - GOTY remove buttons
- * Shows "no results" when list is empty.
- * @param {object[]} items - Game documents
+ * Query-string key -> control id of the filters kept in the URL (category,
+ * platforms, page size and paging are handled separately). Values equal to
+ * the control's default are left out.
  */
-function renderGames(items){
-  const grid = el("games-grid");
-  if(!grid) return;
+const URL_STATE_FIELDS = [
+  ["q", "search-input"], ["sort", "sort-select"], ["genre", "genre-select"],
+  ["lang", "language-select"], ["mp", "multiplayer-select"], ["dev", "developer-select"],
+  ["year", "year-select"], ["from", "released-from"], ["to", "released-to"],
+  ["pmin", "price-min"], ["pmax", "price-max"], ["goty", "goty-year"],
+];
 
-  if(!items || !items.length){
-    grid.innerHTML = "";
-    showNoResults(true);
-    return;
-  }
-  showNoResults(false);
-  grid.innerHTML = items.map(g => gameCardHTML(g)).join("");
+/** Page sizes offered by the pager (anything else in a URL is ignored). */
+const PAGE_SIZES = [20, 40, 60, 100];
 
-  // favorites
-  qsa(".fav-btn").forEach(btn => {
-    btn.addEventListener("click", () => toggleFav(btn.dataset.appid));
-  });
+/** Saved searches of CURRENT_PROFILE ({ _id, name, query }). */
+let SAVED_SEARCHES = [];
 
-  // remove GOTY from badge
-  qsa(".goty-remove").forEach(btn => {
-    btn.addEventListener("click", async (ev) => {
-      ev.stopPropagation(); ev.preventDefault();
-      const year = btn.dataset.year, appid = btn.dataset.appid;
-      try{
-        await apiUnsetGoty({ year, appid, profile: CURRENT_PROFILE });
-        toast(`GOTY ${year} removed`);
-        runSearch({ page: 1 });
-      }catch(e){ console.error(e); toast("Error removing GOTY"); }
-    });
-  });
+/**
+ * Value a control starts with (HTML default), i.e. "no filter".
+ * @param {HTMLInputElement|HTMLSelectElement} ctrl
+ * @returns {string}
+ */
+function controlDefault(ctrl){
+  if (ctrl.tagName === "SELECT") {
+    const opts = Array.from(ctrl.options);
+    return (opts.find(o => o.defaultSelected) || opts[0] || { value: "" }).value;
+  }
+  return ctrl.defaultValue || "";
 }
 
-
-/* =========================== Read UI values ============================ */
-
 /**
- * @returns {"all"|"favorites"|"recommendations"|"goty"|string}
+ * Current filters as URL parameters (no paging): what a saved search stores.
+ * @returns {URLSearchParams}
  */
-function getActiveCategory(){
-  const btn = qs(".main-nav .nav-btn.active");
-  return btn ? btn.getAttribute("data-category") : "all";
+function searchStateParams(){
+  const params = new URLSearchParams();
+  const cat = getActiveCategory();
+  if (cat !== "all") params.set("cat", cat);
+  for (const [key, id] of URL_STATE_FIELDS) {
+    const ctrl = el(id);
+    const value = ctrl ? String(ctrl.value || "").trim() : "";
+    if (value && value !== controlDefault(ctrl)) params.set(key, value);
+  }
+  const platforms = qsa(".platform-btn.active").map(b => b.getAttribute("data-platform"));
+  if (platforms.length) params.set("platforms", platforms.join(","));
+  if (state.limit !== PAGELIMIT_DEFAULT) params.set("limit", String(state.limit));
+  return params;
 }
 
-/** @returns {string} trimmed content of #search-input */
-function getSearchText(){ return (el("search-input")?.value || "").trim(); }
+/**
+ * Puts the controls back in the state described by URL parameters. Values
+ * the controls do not offer (a genre hidden by the profile's safety policy,
+ * a collection of another profile) fall back to the default.
+ * @param {URLSearchParams} params
+ */
+function applySearchState(params){
+  for (const [key, id] of URL_STATE_FIELDS) {
+    const ctrl = el(id);
+    if (!ctrl) continue;
+    const value = params.get(key) ?? controlDefault(ctrl);
+    const offered = ctrl.tagName !== "SELECT" || Array.from(ctrl.options).some(o => o.value === value);
+    ctrl.value = offered ? value : controlDefault(ctrl);
+  }
+
+  // After the sort: showCategory switches to/from the "collection" sort
+  const cat = params.get("cat") || "all";
+  const btn = qsa(".main-nav .nav-btn").find(b => b.getAttribute("data-category") === cat)
+    || qs('.main-nav .nav-btn[data-category="all"]');
+  if (btn) showCategory(btn);
+  if (getPriceMin() > getPriceMax()) el("price-min").value = String(getPriceMax());
+  updatePriceLabel();
+
+  const platforms = (params.get("platforms") || "").split(",");
+  qsa(".platform-btn").forEach(b => b.classList.toggle("active", platforms.includes(b.getAttribute("data-platform"))));
+
+  const limit = Number(params.get("limit"));
+  state.limit = PAGE_SIZES.includes(limit) ? limit : PAGELIMIT_DEFAULT;
+}
 
 /**
- * Reads active platform toggles and converts to booleans.
- * @returns {{windows:boolean,mac:boolean,linux:boolean}}
+ * Page and cursor of URL parameters, in runSearch's terms.
+ * @param {URLSearchParams} params
+ * @returns {{page:number, after?:string, before?:string, last?:boolean}}
  */
-function getActivePlatforms(){
-  const active = qsa(".platform-btn.active").map(b => b.getAttribute("data-platform"));
+function pagingOf(params){
   return {
-    windows: active.includes("windows"),
-    mac: active.includes("mac"),
-    linux: active.includes("linux")
+    page: Math.max(1, Number(params.get("page")) || 1),
+    after: params.get("after") || undefined,
+    before: params.get("before") || undefined,
+    last: params.get("last") === "1",
   };
 }
 
-/** @returns {string} sort value like "name-asc" */
-function getSortValue(){ return el("sort-select")?.value || "name-asc"; }
-/** @returns {string} selected genre or "" */
-function getGenre(){ return el("genre-select")?.value || ""; }
-/** @returns {string} selected language or "" */
-function getLanguage(){ return el("language-select")?.value || ""; }
-/** @returns {""|"single"|"multi"} multiplayer filter */
-function getMultiplayer(){ return el("multiplayer-select")?.value || ""; } // "", single, multi
-/** @returns {string} selected developer or "" */
-function getDeveloper(){ return el("developer-select")?.value || ""; }
-/** @returns {number} min price */
-function getPriceMin(){ return Number(el("price-min")?.value || 0); }
-/** @returns {number} max price */
-function getPriceMax(){ return Number(el("price-max")?.value || 50); }
-/** @returns {string} GOTY year or "" */
-function getGOTYYear(){ return el("goty-year")?.value || ""; }
+/**
+ * Writes the current search (filters + page/cursor) to the URL.
+ * @param {{after?:string, before?:string, last?:boolean}} cursor
+ * @param {"push"|"replace"|"none"} mode - new history entry, replace the
+ *   current one (initial load), or leave the URL alone (back/forward).
+ */
+function syncSearchUrl({ after, before, last }, mode){
+  const leaving = pageRouteActive(); // a search from a game / compare / stats page (nav, profile)
+  if (leaving) hidePageViews();
+  if (mode !== "none" && !SHARED_TOKEN) {
+    const params = searchStateParams();
+    if (state.page > 1) params.set("page", String(state.page));
+    if (typeof after === "string") params.set("after", after);
+    else if (typeof before === "string") params.set("before", before);
+    else if (last === true) params.set("last", "1");
+
+    const query = params.toString();
+    const url = `${leaving ? "/" : location.pathname}${query ? "?" + query : ""}${location.hash}`;
+    if (url !== location.pathname + location.search + location.hash) {
+      window.history[mode === "replace" ? "replaceState" : "pushState"](null, "", url);
+    }
+  }
+  paintSavedSearches();
+}
+
+/**
+ * Back/forward: show the page of a /game/<appid>, /compare or /stats
+ * entry, else restore
+ * the controls from the URL and search again without adding a history
+ * entry.
+ */
+function onRoutePopState(){
+  if (showPageRoute()) return;
+  const params = new URLSearchParams(location.search);
+  applySearchState(params);
+  runSearch({ ...pagingOf(params), restore: true, history: "none" });
+}
+
+/**
+ * Loads CURRENT_PROFILE's saved searches (none without a session).
+ */
+async function loadSavedSearches(){
+  SAVED_SEARCHES = [];
+  if (CURRENT_USER) {
+    try{
+      SAVED_SEARCHES = (await apiListSavedSearches(CURRENT_PROFILE)).items || [];
+    }catch(e){
+      if (e.message !== "http 401" && e.message !== "http 403") console.error("saved searches load error", e);
+    }
+  }
+  renderSavedSearches();
+}
+
+/**
+ * Fills the #saved-searches sidebar: one entry per saved search (click to
+ * run, × to delete) and the "Save this search" button.
+ */
+function renderSavedSearches(){
+  const box = el("saved-searches");
+  if (!box) return;
+
+  const list = SAVED_SEARCHES.length
+    ? `<ul class="saved-search-list">${SAVED_SEARCHES.map(s => `
+        <li>
+          <button class="saved-search-run" type="button" data-id="${escapeHTML(s._id)}" title="${escapeHTML(s.name)}">${escapeHTML(s.name)}</button>
+          <button class="saved-search-delete" type="button" data-id="${escapeHTML(s._id)}" title="Delete" aria-label="Delete ${escapeHTML(s.name)}">×</button>
+        </li>`).join("")}</ul>`
+    : `<p class="goty-muted">${CURRENT_USER ? "No saved searches yet." : "Sign in to save searches."}</p>`;
+
+  box.innerHTML = `
+    <h3>Saved searches</h3>
+    ${list}
+    ${CURRENT_USER ? `<button id="save-search-btn" class="btn btn--secondary" type="button">☆ Save this search</button>` : ""}`;
+
+  box.querySelectorAll(".saved-search-run").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const saved = SAVED_SEARCHES.find(s => s._id === btn.dataset.id);
+      if (!saved) return;
+      applySearchState(new URLSearchParams(saved.query));
+      runSearch();
+      scrollToGridTop();
+    });
+  });
+  box.querySelectorAll(".saved-search-delete").forEach(btn => {
+    btn.addEventListener("click", () => deleteSavedSearch(btn.dataset.id));
+  });
+  el("save-search-btn")?.addEventListener("click", saveCurrentSearch);
+  paintSavedSearches();
+}
 
 /**
- * Synchronizes the visual price range label (#price-value).
+ * Highlights the saved search matching the current filters.
  */
-function updatePriceLabel(){
-  const span = el("price-value");
-  if(!span) return;
-  span.textContent = `${getPriceMin()}-${getPriceMax()}`;
+function paintSavedSearches(){
+  const current = searchStateParams().toString();
+  qsa(".saved-search-run").forEach(btn => {
+    const saved = SAVED_SEARCHES.find(s => s._id === btn.dataset.id);
+    btn.classList.toggle("active", Boolean(saved) && saved.query === current);
+  });
 }
 
 /**
- * Toggles a platform filter button and re-runs the search.
- * @param {HTMLElement} btn - .platform-btn element
+ * Asks for a name and saves the current filters for CURRENT_PROFILE
+ * (an existing name is replaced).
  */
-function togglePlatform(btn){
-  btn.classList.toggle("active");
-  runSearch();
+async function saveCurrentSearch(){
+  const name = (window.prompt("Name this search", "") || "").trim();
+  if (!name) return;
+  try{
+    const { data } = await apiSaveSearch(CURRENT_PROFILE, name, searchStateParams().toString());
+    SAVED_SEARCHES = SAVED_SEARCHES.filter(s => s._id !== data._id).concat(data)
+      .sort((a,b) => a.name.localeCompare(b.name));
+    renderSavedSearches();
+    toast(`Search "${data.name}" saved`);
+  }catch(e){
+    console.error("save search error", e);
+    toast(writeErrorMessage(e, "Could not save the search"));
+  }
 }
 
 /**
- * Sets active category button, shows/hides GOTY filters, and re-runs search.
- * @param {HTMLElement} targetBtn - .main-nav .nav-btn
+ * Deletes a saved search after confirmation.
+ * @param {string} id
  */
-function setCategoryActive(targetBtn){
-  qsa(".main-nav .nav-btn").forEach(b => b.classList.remove("active"));
-  targetBtn.classList.add("active");
+async function deleteSavedSearch(id){
+  const saved = SAVED_SEARCHES.find(s => s._id === id);
+  if (!saved || !window.confirm(`Delete the saved search "${saved.name}"?`)) return;
+  try{
+    await apiDeleteSavedSearch(id);
+    SAVED_SEARCHES = SAVED_SEARCHES.filter(s => s._id !== id);
+    renderSavedSearches();
+  }catch(e){
+    console.error("delete saved search error", e);
+    toast(writeErrorMessage(e, "Could not delete the search"));
+  }
+}
 
-  const cat = getActiveCategory();
-  const show = (cat === "goty");
-  qsa(".goty-filter").forEach(block => {
-    block.style.display = show ? "block" : "none";
-  });
 
-  runSearch();
-}
+/* ========================== Developer drawer ========================== */
+
+/** localStorage flag for developer tools (toggled with ?dev=1 / ?dev=0). */
+const DEV_TOOLS_KEY = "devTools";
 
 /**
- * Builds a safe <option> list with a placeholder.
- * Escapes < and > to avoid HTML injection in visible labels.
- * @param {string[]} values
- * @param {string} placeholder
- * @returns {string} HTML
+ * Whether developer tools are enabled. `?dev=1` turns them on (persisted),
+ * `?dev=0` turns them off.
+ * @returns {boolean}
  */
-function buildOptionsHTML(values, placeholder){
-  const opts = ['<option value="">' + placeholder + '</option>']
-    .concat(values.map(v => `<option>${String(v).replace(/</g,"&lt;").replace(/>/g,"&gt;")}</option>`));
-  return opts.join("");
+function devToolsEnabled(){
+  const flag = new URLSearchParams(location.search).get("dev");
+  if (flag === "1") localStorage.setItem(DEV_TOOLS_KEY, "1");
+  if (flag === "0") localStorage.removeItem(DEV_TOOLS_KEY);
+  return localStorage.getItem(DEV_TOOLS_KEY) === "1";
 }
 
 /**
- * Loads distinct lists (genres/languages/developers) in parallel and
- * populates their <select> elements. Applies client-side kid filter to genres.
- * Uses DISTINCT_CACHE via getDistinct(kind).
+ * Lazily builds the explain drawer (fixed panel on the right).
+ * @returns {HTMLElement}
  */
-async function loadDistincts(){
-  const selGenre = el("genre-select");
-  const selLang  = el("language-select");
-  const selDev   = el("developer-select");
-
-  try{
-    const [gRes, lRes, dRes] = await Promise.all([
-      getDistinct("genres"),
-      getDistinct("languages"),
-      getDistinct("developers")
-    ]);
-
-    if (selGenre) {
-      let vals = (gRes.items || []).filter(Boolean);
+function ensureDevDrawer(){
+  let d = el("dev-drawer");
+  if (d) return d;
+
+  d = document.createElement("aside");
+  d.id = "dev-drawer";
+  d.className = "dev-drawer hidden";
+  d.setAttribute("aria-label", "Query explain");
+  d.innerHTML = `
+    <div class="dev-drawer-header">
+      <h3>Query explain</h3>
+      <button class="modal-close" type="button" aria-label="Close">×</button>
+    </div>
+    <div class="dev-drawer-actions">
+      <button id="dev-explain-run" class="btn btn--secondary" type="button">Re-run explain</button>
+    </div>
+    <div id="dev-drawer-body" class="dev-drawer-body"></div>
+  `;
+  document.body.appendChild(d);
 
-      // Client-side guard: hide adult genres for kid profile
-      if (CURRENT_PROFILE === "kid") {
-        vals = vals.filter(v => !BAD_GENRES.has(String(v)));
-      }
+  d.querySelector(".modal-close").addEventListener("click", () => d.classList.add("hidden"));
+  d.querySelector("#dev-explain-run").addEventListener("click", runExplain);
+  return d;
+}
 
-      vals.sort((a,b)=>String(a).localeCompare(String(b)));
-      selGenre.innerHTML = buildOptionsHTML(vals, "All Genres");
-    }
+/**
+ * Explains the last search (state.lastPayload) and renders the summary,
+ * the per-stage rows and the generated pipeline in the drawer.
+ */
+async function runExplain(){
+  const d = ensureDevDrawer();
+  d.classList.remove("hidden");
+  const body = d.querySelector("#dev-drawer-body");
 
-    if (selLang) {
-      const vals = (lRes.items || []).filter(Boolean)
-        .sort((a,b)=>String(a).localeCompare(String(b)));
-      selLang.innerHTML = buildOptionsHTML(vals, "All Languages");
-    }
+  if (!state.lastPayload) {
+    body.innerHTML = `<p class="dev-muted">Run a search first.</p>`;
+    return;
+  }
+  body.innerHTML = `<p class="dev-muted">Explaining…</p>`;
 
-    if (selDev) {
-      let vals = (dRes.items || []).filter(Boolean);
-      // Normalize: trim and unique
-      vals = Array.from(new Set(vals.map(v => String(v).trim())));
-      vals.sort((a,b)=> a.localeCompare(b));
-      const MAX = 500;
-      if (vals.length > MAX) vals = vals.slice(0, MAX);
-      selDev.innerHTML = buildOptionsHTML(vals, "All Developers");
-    }
+  try{
+    const { explain: x = {}, pipeline = [], collation } = await apiExplainSearch(state.lastPayload);
+    const num = (v) => v == null ? "—" : Number(v).toLocaleString();
+    const rows = [
+      ["Winning plan", escapeHTML(x.winningPlan || "—")],
+      ["Indexes used", x.indexesUsed && x.indexesUsed.length ? x.indexesUsed.map(escapeHTML).join(", ") : "none"],
+      ["Collection scan", x.collectionScan ? `<span class="dev-warn">yes</span>` : "no"],
+      ["Docs examined", num(x.docsExamined)],
+      ["Keys examined", num(x.keysExamined)],
+      ["Returned", num(x.nReturned)],
+      ["Server time", x.executionTimeMillis == null ? "—" : `${x.executionTimeMillis} ms`],
+      ["Round trip", x.wallTimeMillis == null ? "—" : `${x.wallTimeMillis} ms`],
+      ["Collation", collation ? escapeHTML(JSON.stringify(collation)) : "none"],
+    ];
+    const stages = Array.isArray(x.stages) ? x.stages : [];
+
+    body.innerHTML = `
+      <table class="dev-table">
+        ${rows.map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join("")}
+      </table>
+      ${stages.length ? `
+        <h4>Stages after the query layer</h4>
+        <table class="dev-table">
+          <tr><th>Stage</th><th>Returned</th><th>Time (est.)</th></tr>
+          ${stages.map(st => `<tr><td>${escapeHTML(st.name)}</td><td>${num(st.nReturned)}</td><td>${st.executionTimeMillisEstimate ?? "—"} ms</td></tr>`).join("")}
+        </table>` : ""}
+      <h4>Generated pipeline</h4>
+      <pre class="dev-pre">${escapeHTML(JSON.stringify(pipeline, null, 2))}</pre>
+    `;
   }catch(e){
-    // Non-blocking: if one fails, we still render the rest of the page.
-    console.error("distinct load error", e);
+    console.error("explain error", e);
+    body.innerHTML = `<p class="dev-warn">Explain failed (${escapeHTML(e.message)}).</p>`;
   }
 }
 
+/**
+ * Adds the "Explain" button next to the results count when developer
+ * tools are enabled.
+ */
+function initDevTools(){
+  if (!devToolsEnabled()) return;
+  const actions = qs(".content-actions");
+  if (!actions || el("explain-btn")) return;
+  const btn = document.createElement("button");
+  btn.id = "explain-btn";
+  btn.className = "btn btn--secondary";
+  btn.type = "button";
+  btn.textContent = "🛠 Explain";
+  btn.title = "Show the MongoDB plan of the current search";
+  btn.addEventListener("click", runExplain);
+  actions.appendChild(btn);
+}
 
-/* ========================= Search execution flow ========================= */
 
-let searchTimer = null;              // debounce handle for text input
-let CURRENT_SEARCH_CTRL = null;      // AbortController for in-flight searches
+/* =========================== App bootstrap ============================ */
+
+/* ============================== Session ============================== */
 
 /**
- * Runs the main search flow:
- * - Aborts any in-flight search (prevents stale render).
- * - Reads all UI filters and builds a payload for apiSearch.
- * - Special handling:
- *    • favorites: inject current favorites as 'appids' filter, or render empty state.
- *    • recommendations: requires favorites; sends fresh list as 'appids' to backend
- *      which is expected to return recommendations for them.
- * - Updates state.total/hasMore, renders count, grid, and pager.
- *
- * @param {{page?:number}} [params]
+ * Loads the current session into CURRENT_USER (anonymous on failure).
  */
-async function runSearch({ page } = {}){
+async function loadSession(){
   try{
-    // Cancel any in-flight search (prevents stale results)
-    if (CURRENT_SEARCH_CTRL) CURRENT_SEARCH_CTRL.abort();
-    CURRENT_SEARCH_CTRL = new AbortController();
+    const data = await apiMe();
+    CURRENT_USER = data.user || null;
+  }catch(e){
+    console.error("session load error", e);
+    CURRENT_USER = null;
+  }
+  renderAuthBox();
+}
 
-    setLoading(true);
+/**
+ * Renders #auth-box: "Sign in" when anonymous, "<name> · Sign out" otherwise.
+ */
+function renderAuthBox(){
+  const box = el("auth-box");
+  if (!box) return;
 
-    const filters = {
-      category: getActiveCategory(),
-      search: getSearchText(),
-      platforms: getActivePlatforms(),
-      genre: getGenre(),
-      language: getLanguage(),
-      multiplayer: getMultiplayer(),
-      developer: getDeveloper(),
-      priceMin: getPriceMin(),
-      priceMax: getPriceMax(),
-      gotyYear: getGOTYYear(),
-      profile: CURRENT_PROFILE,           // send current profile to backend
-    };
-    const sort = getSortValue();
+  if (!CURRENT_USER) {
+    box.innerHTML = `<button id="auth-login" class="btn btn--secondary" type="button">Sign in</button>`;
+    el("auth-login").addEventListener("click", openLoginModal);
+    return;
+  }
 
-    // Detect filter changes to reset to page 1
-    const key = buildKey(filters, sort);
-    const filtersChanged = key !== state.lastKey;
-    if (filtersChanged) {
-      state.page = 1;
-      state.lastKey = key;
+  box.innerHTML = `
+    <span class="auth-user" title="${escapeHTML(CURRENT_USER.email)}">${escapeHTML(CURRENT_USER.name)}</span>
+    <button id="auth-logout" class="btn btn--secondary" type="button">Sign out</button>
+  `;
+  el("auth-logout").addEventListener("click", async () => {
+    try{
+      await apiLogout();
+    }catch(e){
+      console.error(e);
     }
-    if (typeof page === "number") state.page = Math.max(1, page);
+    location.reload();
+  });
+}
 
-    // Build the search request
-    const payload = {
-      filters,
-      sort,
-      page: state.page,
-      limit: state.limit,
-      projection: {
-        appid: 1, name: 1, header_image: 1, genres: 1, price: 1,
-        windows: 1, mac: 1, linux: 1,
-        user_score: 1, metacritic_score: 1, release_date: 1,
-        achievements: 1, recommendations: 1,
-        supported_languages: 1, developers: 1, publishers: 1,
-        tags: 1, website: 1, screenshots: 1,
-        goty_year: 1
-      },
-      withTotal: true
-    };
+/**
+ * Lazily builds the login modal (same structure as the GOTY modal).
+ * @returns {HTMLElement}
+ */
+function ensureLoginModal(){
+  let m = el("login-modal");
+  if (m) return m;
+
+  m = document.createElement("div");
+  m.id = "login-modal";
+  m.className = "modal hidden";
+  m.innerHTML = `
+    <form class="modal-content" role="dialog" aria-modal="true" aria-labelledby="login-title">
+      <div class="modal-header">
+        <h3 id="login-title">Sign in</h3>
+        <button class="modal-close" type="button" aria-label="Close">×</button>
+      </div>
 
-    // MODIFIED: Handle both favorites AND recommendations
-    if (payload.filters && payload.filters.category === "favorites") {
-      const favs = loadFavs();
-      if (!favs.length) {
-        // Empty favorites -> short-circuit with empty UI
-        state.total = 0; state.hasMore = false;
-        renderCount(0);
-        renderGames([]);
-        renderPager();
-        return;
-      }
-      payload.filters.appids = favs;
-    }
+      <div class="modal-body">
+        <div class="form-group">
+          <label for="login-email">Email</label>
+          <input id="login-email" class="form-control" type="email" autocomplete="username" required />
+        </div>
+        <div class="form-group">
+          <label for="login-password">Password</label>
+          <input id="login-password" class="form-control" type="password" autocomplete="current-password" required />
+        </div>
+        <div id="login-error" class="login-error" role="alert"></div>
+      </div>
 
-    // NEW: Handle recommendations - always send fresh favorites list
-    if (payload.filters && payload.filters.category === "recommendations") {
-      const favs = loadFavs();
-      
-      if (!favs.length) {
-        // No favorites -> show special explanatory message
-        state.total = 0; 
-        state.hasMore = false;
-        renderCount(0);
-        renderGames([]);
-        showNoResults(true);
-        
-        const noRes = el("no-results");
-        if (noRes) {
-          noRes.innerHTML = `
-            <div style="text-align: center; padding: 2rem;">
-              <h3>No Favorites Yet</h3>
-              <p>Add games to your favorites to get personalized recommendations!</p>
-              <p style="font-size: 2rem; margin: 1rem 0;">⭐ 🎮 ⭐</p>
-            </div>
-          `;
-        }
-        
-        renderPager();
-        setLoading(false);
-        return;
-      }
-      
-      // CRITICAL: Always send fresh favorites list for recommendations
-      payload.filters.appids = favs;
+      <div class="modal-footer">
+        <button id="login-cancel" class="btn btn--secondary" type="button">Cancel</button>
+        <button id="login-submit" class="btn btn--primary" type="submit">Sign in</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(m);
+
+  const close = () => m.classList.add("hidden");
+  m.querySelector(".modal-close").addEventListener("click", close);
+  m.querySelector("#login-cancel").addEventListener("click", close);
+  m.addEventListener("click", (e)=>{ if(e.target === m) close(); });
+
+  // Submit -> login, then reload so every view picks up the session
+  m.querySelector("form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const err = m.querySelector("#login-error");
+    const submit = m.querySelector("#login-submit");
+    err.textContent = "";
+    submit.disabled = true;
+    try{
+      await apiLogin(m.querySelector("#login-email").value.trim(), m.querySelector("#login-password").value);
+      location.reload();
+    }catch(ex){
+      err.textContent = ex.message === "http 401" ? "Wrong email or password" : "Sign in failed, try again";
+      submit.disabled = false;
     }
+  });
 
-    // Execute search request with abort support
-    const data = await apiSearch(payload, { signal: CURRENT_SEARCH_CTRL.signal });
-    const items = Array.isArray(data.items) ? data.items : [];
-    state.total  = typeof data.total === "number" ? data.total : items.length;
-    state.hasMore = !!data.hasMore;
+  return m;
+}
 
-    renderCount(state.total);
-    renderGames(items);
-    renderPager();
+/**
+ * Opens the login modal and focuses the email field.
+ */
+function openLoginModal(){
+  const m = ensureLoginModal();
+  m.classList.remove("hidden");
+  m.querySelector("#login-error").textContent = "";
+  setTimeout(() => m.querySelector("#login-email").focus(), 0);
+}
 
+/**
+ * Loads the profile list from the server and fills #profile-select.
+ * Falls back to the built-in PROFILES when the request fails, and to the
+ * first adult profile when the stored key no longer exists.
+ */
+async function loadProfiles(){
+  try{
+    const data = await apiListProfiles();
+    if (Array.isArray(data.items) && data.items.length) PROFILES = data.items;
   }catch(e){
-    if (e.name === "AbortError") {
-      return; // aborted intentionally due to new search overriding old one
-    }
-    console.error(e);
-    renderCount(0);
-    renderGames([]);
-    showNoResults(true);
-    renderPager();
-  }finally{
-    setLoading(false);
+    console.error("profiles load error", e);
   }
-}
 
+  if (!PROFILES.some(p => p.key === CURRENT_PROFILE)) {
+    const fallback = PROFILES.find(p => p.role !== "child") || PROFILES[0];
+    CURRENT_PROFILE = fallback ? fallback.key : "person1";
+    localStorage.setItem(PROFILE_KEY, CURRENT_PROFILE);
+  }
 
-/* =========================== App bootstrap ============================ */
-
-document.addEventListener("DOMContentLoaded", () => {
-  // Initialize profile selector
   const sel = el("profile-select");
   if (sel) {
-    if (!PROFILES.includes(CURRENT_PROFILE)) CURRENT_PROFILE = "person1";
+    sel.innerHTML = PROFILES
+      .map(p => `<option value="${escapeHTML(p.key)}">${escapeHTML(p.name || p.key)}</option>`)
+      .join("");
     sel.value = CURRENT_PROFILE;
+  }
+}
+
+/**
+ * Loads the active profile's safety rules into SAFETY_RULES and, when there
+ * are any, the shared evaluator into SAFETY_CHECK. On failure the guard
+ * stays off (the server still filters every query).
+ */
+async function loadSafetyPolicy(){
+  try{
+    const data = await apiProfileSafetyPolicy(CURRENT_PROFILE);
+    SAFETY_RULES = Array.isArray(data.rules) ? data.rules : [];
+    if (SAFETY_RULES.length) {
+      ({ findSafetyViolation: SAFETY_CHECK } = await import("/js/shared/safetyViolation.js"));
+    }
+  }catch(e){
+    console.error("safety policy load error", e);
+  }
+}
 
+document.addEventListener("DOMContentLoaded", () => {
+  // Initialize profile selector (options are filled by loadProfiles)
+  const sel = el("profile-select");
+  if (sel) {
     sel.addEventListener("change", () => {
       const p = sel.value;
-      if (!PROFILES.includes(p)) return;
+      if (!PROFILES.some(x => x.key === p)) return;
 
       // Persist the chosen profile and refresh the entire app so all tabs
       // (including GOTY) rebuild with the new profile's server state.
@@ -1216,6 +5143,9 @@ document.addEventListener("DOMContentLoaded", () => {
   el("language-select")?.addEventListener("change", runSearch);
   el("multiplayer-select")?.addEventListener("change", runSearch);
   el("developer-select")?.addEventListener("change", runSearch);
+  el("year-select")?.addEventListener("change", runSearch);
+  el("released-from")?.addEventListener("change", runSearch);
+  el("released-to")?.addEventListener("change", runSearch);
 
   // Price range inputs (keep min <= max)
   const pmin = el("price-min");
@@ -1231,18 +5161,59 @@ document.addEventListener("DOMContentLoaded", () => {
   pmin?.addEventListener("change", runSearch);
   pmax?.addEventListener("change", runSearch);
 
+  // Developer tools (explain drawer), opt-in with ?dev=1
+  initDevTools();
+
   // GOTY filter & modal
   el("goty-year")?.addEventListener("change", runSearch);
   el("add-goty-btn")?.addEventListener("click", openGotyModal);
 
+  // Statistics dashboard (client route; new tabs follow the plain link)
+  el("stats-link")?.addEventListener("click", (ev) => {
+    if (ev.button !== 0 || ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+    ev.preventDefault();
+    openStatsPage();
+  });
+
+  // Aggregation query builder (client route, same link handling)
+  el("query-link")?.addEventListener("click", (ev) => {
+    if (ev.button !== 0 || ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+    ev.preventDefault();
+    openQueryPage();
+  });
+
   // Initial data load:
-  // 1) Load distinct values for selects (non-blocking on errors)
-  // 2) Update price label
-  // 3) Kick off initial search
-  Promise.resolve()
+  // 1) Load the session, profiles, the active profile's safety policy and favorites
+  //    (a /shared/<token> page then only renders that collection)
+  // 2) Load the profile's collections, saved searches, watch list and distinct
+  //    values for selects (non-blocking on errors)
+  // 3) Restore the filters from the URL (shared link, refresh) and update the price label
+  // 4) Kick off initial search on the URL's page (or open /game/<appid>,
+  //    /compare, /stats, /query), then follow back/forward
+  const ready = Promise.resolve()
+    .then(loadSession)
+    .then(loadProfiles)
+    .then(loadSafetyPolicy)
+    .then(syncFavorites);
+
+  if (SHARED_TOKEN) {
+    ready.then(renderSharedCollection);
+    return;
+  }
+
+  ready
+    .then(loadCollections)
+    .then(loadSavedSearches)
+    .then(loadWatchlist)
     .then(loadDistincts)
     .then(() => {
-      updatePriceLabel();
-      runSearch();
+      const params = new URLSearchParams(location.search);
+      applySearchState(params);
+      loadCompareTray();
+      const queryLink = el("query-link");
+      if (queryLink) queryLink.hidden = !queryBuilderAllowed();
+      if (!showPageRoute()) runSearch({ ...pagingOf(params), restore: true, history: "replace" });
+      renderCompareTray();
+      window.addEventListener("popstate", onRoutePopState);
     });
 });
@@ -0,0 +1,241 @@
+// src/app.js
+
+/**
+ * =====================================================================
+ * Express application factory
+ * ---------------------------------------------------------------------
+ * What this file does
+ * - Builds the Express app (middlewares, API routers, static frontend,
+ *   SPA fallback) WITHOUT connecting to MongoDB or listening on a port.
+ * - src/server.js is the production entry point: it connects, seeds and
+ *   listens. Keeping the two apart lets the app be driven in-process, e.g.
+ *   against an in-memory MongoDB:
+ *
+ *     import mongoose from "mongoose";
+ *     import { MongoMemoryServer } from "mongodb-memory-server";
+ *     import { createApp } from "../src/app.js";
+ *
+ *     const mongo = await MongoMemoryServer.create();
+ *     await mongoose.connect(mongo.getUri());
+ *     const app = createApp({ logRequests: false });
+ *     // supertest(app).post("/api/auth/login").send({ email, password })
+ *
+ * Key integration points
+ * - Every /api request goes through `authenticate` (middleware/auth.js),
+ *   which sets `req.user` from the session token; routers opt into guards.
+ * - Every /api error ends in the central error middleware
+ *   (middleware/errors.js): typed codes from services/apiErrors.js, 400
+ *   `validation_error` with field details for requests failing their schema.
+ * - GET /api/docs serves the OpenAPI document generated from those schemas
+ *   (every API router, see services/openapi.js).
+ * - GET /api/health (liveness), /api/ready (MongoDB connected, not
+ *   draining) and /api/metrics (Prometheus) sit before the session
+ *   middleware; every /api response is counted and timed.
+ * - Every request gets an id (X-Request-Id, middleware/requestId.js);
+ *   successful API writes are recorded with it in the append-only audit
+ *   log (middleware/audit.js), readable at GET /api/audit.
+ * =====================================================================
+ */
+
+import express from "express";
+import cors from "cors";
+import morgan from "morgan";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import gamesRouter from "./routes/games.js";
+import usersRouter from "./routes/users.js";
+import profilesRouter from "./routes/profiles.js";
+import authRouter from "./routes/auth.js";
+import safetyPoliciesRouter from "./routes/safetyPolicies.js";
+import collectionsRouter from "./routes/collections.js";
+import healthRouter from "./routes/health.js";
+import adminGamesRouter from "./routes/adminGames.js";
+import auditRouter from "./routes/audit.js";
+import savedSearchesRouter from "./routes/savedSearches.js";
+import { authenticate } from "./middleware/auth.js";
+import { auditTrail } from "./middleware/audit.js";
+import { requestId } from "./middleware/requestId.js";
+import { requestMetrics } from "./middleware/metrics.js";
+import { apiNotFound, errorHandler } from "./middleware/errors.js";
+import { buildOpenApiDocument } from "./services/openapi.js";
+import { setCacheStore } from "./services/cache.js";
+
+/* -------------------------------------------------------------------------- */
+/* ESM __filename / __dirname shims                                           */
+/* -------------------------------------------------------------------------- */
+/**
+ * In ES modules, __filename/__dirname are not defined. We derive them from
+ * import.meta.url in order to resolve the /public folder reliably regardless
+ * of where the process is started from.
+ */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = path.dirname(__filename);
+
+/**
+ * Build the Express application.
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.logRequests=true] - Mount the morgan request logger.
+ * @param {import("./services/cache.js").CacheStore} [opts.cacheStore] - Response
+ *   cache backend; the in-memory store of services/cache.js when omitted.
+ * @returns {import("express").Express}
+ */
+export function createApp({ logRequests = true, cacheStore } = {}) {
+  const app = express();
+  if (cacheStore) setCacheStore(cacheStore);
+
+  /* -------------------------------------------------------------------------- */
+  /* Global middlewares                                                         */
+  /* -------------------------------------------------------------------------- */
+  /**
+   * CORS: with no options, this allows all origins. In production, restrict:
+   *   app.use(cors({ origin: ["https://your.app"], credentials: true }));
+   */
+  app.use(cors());
+
+  /**
+   * Request id (client's X-Request-Id when well-formed, else a UUID), echoed
+   * in the response and stored with audit entries.
+   */
+  app.use(requestId);
+
+  /**
+   * Body parser for JSON requests. Limit can be tuned if large payloads are expected:
+   *   app.use(express.json({ limit: "1mb" }));
+   */
+  app.use(express.json());
+
+  /**
+   * HTTP request logger. "dev" format is concise for development.
+   * For production, consider "combined" or a JSON logger (pino/winston).
+   */
+  if (logRequests) app.use(morgan("dev"));
+
+  /**
+   * Request counts / latency per route for GET /api/metrics
+   * (middleware/metrics.js), then the probes themselves: no session lookup,
+   * so a slow users collection cannot fail a liveness check.
+   */
+  app.use("/api", requestMetrics);
+  app.use("/api", healthRouter);
+
+  /**
+   * Session: resolves the token (Bearer header or "sid" cookie) to req.user
+   * for every API request. Guards are applied per route (middleware/auth.js).
+   */
+  app.use("/api", authenticate);
+
+  /**
+   * Audit log: successful POST / PUT / PATCH / DELETE requests are recorded
+   * once answered, with the acting user (needs req.user, hence after the
+   * session middleware).
+   */
+  app.use("/api", auditTrail);
+
+  /* -------------------------------------------------------------------------- */
+  /* API routes                                                                 */
+  /* -------------------------------------------------------------------------- */
+  /**
+   * Mount the games REST API under /api/games.
+   * All handlers are defined in src/routes/games.js.
+   */
+  app.use("/api/games", gamesRouter);
+
+  /**
+   * Login / logout / current user.
+   */
+  app.use("/api/auth", authRouter);
+
+  /**
+   * Accounts and browsing profiles (favorites, roles).
+   * Handlers live in src/controllers/{users,profiles}Controller.js.
+   */
+  app.use("/api/users", usersRouter);
+  app.use("/api/profiles", profilesRouter);
+
+  /**
+   * Content-safety policies picked by profiles (admin-edited).
+   */
+  app.use("/api/safety-policies", safetyPoliciesRouter);
+
+  /**
+   * Per-profile game collections (wishlists) and their share links.
+   */
+  app.use("/api/collections", collectionsRouter);
+
+  /**
+   * Named saved searches per profile (the browser's sidebar).
+   */
+  app.use("/api/saved-searches", savedSearchesRouter);
+
+  /**
+   * Admin game editor: CRUD with soft delete, audit fields and bulk patch.
+   */
+  app.use("/api/admin/games", adminGamesRouter);
+
+  /**
+   * Audit log of API writes (GOTY history for everyone, all entries for admins).
+   */
+  app.use("/api/audit", auditRouter);
+
+  /**
+   * OpenAPI 3.1 document of the games API, generated from the same schemas
+   * that validate requests (services/apiSchemas.js). Built once.
+   */
+  const openApiDocument = buildOpenApiDocument();
+  app.get("/api/docs", (_req, res) => res.json(openApiDocument));
+
+  /**
+   * Central API error handling: unknown /api routes answer 404 not_found;
+   * errors thrown or passed to `next(err)` are answered with the JSON envelope
+   * `{ ok:false, error:<code>, ... }` (see middleware/errors.js).
+   */
+  app.use("/api", apiNotFound);
+  app.use("/api", errorHandler);
+
+  /* -------------------------------------------------------------------------- */
+  /* Static assets + SPA fallback                                               */
+  /* -------------------------------------------------------------------------- */
+  /**
+   * Serve the compiled/static frontend files from /public at the app root.
+   * Requests for /css/*, /js/*, images, etc. are handled here.
+   */
+  const publicDir = path.join(__dirname, "../public");
+  app.use(express.static(publicDir));
+
+  /**
+   * Dependency-free service modules the frontend imports as they are, so
+   * browser and server run the same code:
+   * - aggregationPolicy.js: the query builder checks a pipeline with the
+   *   policy /api/games/agg enforces before sending it.
+   * - safetyViolation.js: the safety guard evaluates a profile's rules the
+   *   way the server does.
+   */
+  for (const file of ["aggregationPolicy.js", "safetyViolation.js"]) {
+    app.get(`/js/shared/${file}`, (_req, res) => {
+      res.type("application/javascript").sendFile(path.join(__dirname, "services", file));
+    });
+  }
+
+  /**
+   * Landing page:
+   * - Serves the main HTML (SPA entry point) at "/".
+   */
+  app.get("/", (_req, res) => {
+    res.sendFile(path.join(publicDir, "index.html"));
+  });
+
+  /**
+   * SPA fallback:
+   * - For any non-API route (i.e., NOT starting with "/api/"), send index.html.
+   * - This enables client-side routing to handle the path.
+   * - JSON endpoints (health checks included) live under /api/* for that reason.
+   */
+  app.get("*", (req, res, next) => {
+    if (req.path.startsWith("/api/")) return next();
+    res.sendFile(path.join(publicDir, "index.html"));
+  });
+
+  return app;
+}
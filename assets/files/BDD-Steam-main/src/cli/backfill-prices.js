@@ -0,0 +1,83 @@
+// src/cli/backfill-prices.js
+
+/**
+ * =====================================================================
+ * Seed `price_history` from the current catalog prices
+ * ---------------------------------------------------------------------
+ * Usage
+ *   npm run backfill:prices -- [--dry-run] [--refresh]
+ *
+ * Options
+ *   --dry-run  Count what would be recorded; write nothing.
+ *   --refresh  Also recompute `price_stats` for every game with a history
+ *              (e.g. after editing price_history by hand).
+ *
+ * What it does
+ * - For each game with a price and no history yet, records one point
+ *   (source "backfill", dated `ingested_at` when known, else now), then
+ *   refreshes the games' `price_stats` (services/priceHistory.js).
+ * - Safe to re-run; games imported with `npm run ingest` already have a
+ *   history. Later imports of newer dumps add points when prices change.
+ * =====================================================================
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../config/db.js";
+import Game from "../models/Game.js";
+import PriceHistory from "../models/PriceHistory.js";
+import { recordPricePoints, refreshPriceStats } from "../services/priceHistory.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+async function main() {
+  const args = new Set(process.argv.slice(2));
+  const dryRun = args.has("--dry-run");
+  const refresh = args.has("--refresh");
+
+  await connectDB(process.env.MONGODB_URI);
+
+  const known = new Set((await PriceHistory.distinct("appid")).map(String));
+  // MongoDB (shell) equivalent:
+  // db.price_history.distinct("appid")
+  const totals = { scanned: 0, recorded: 0, skipped: 0 };
+  let points = [];
+
+  const flush = async () => {
+    if (points.length && !dryRun) await recordPricePoints(points, { source: "backfill" });
+    points = [];
+    process.stdout.write(`  ${totals.scanned} games scanned\r`);
+  };
+
+  const cursor = Game.find({ price: { $type: "number" } }, { appid: 1, price: 1, ingested_at: 1 })
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+  // MongoDB (shell) equivalent:
+  // db.games.find({ price: { $type: "number" } }, { appid: 1, price: 1, ingested_at: 1 })
+  for await (const g of cursor) {
+    totals.scanned += 1;
+    const appid = String(g.appid);
+    if (known.has(appid)) { totals.skipped += 1; continue; }
+    totals.recorded += 1;
+    points.push({ appid, price: g.price, at: g.ingested_at || undefined });
+    if (points.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n${dryRun ? "[dry run] " : ""}${totals.scanned} games: ${totals.recorded} seeded, ${totals.skipped} already had a history`);
+
+  if (refresh && !dryRun) {
+    const updated = await refreshPriceStats(Array.from(known));
+    console.log(`price_stats refreshed for ${updated} games`);
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error(`backfill failed: ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,73 @@
+// src/cli/backfill-release-dates.js
+
+/**
+ * =====================================================================
+ * Backfill `release_ts` / `release_year` from `release_date`
+ * ---------------------------------------------------------------------
+ * Usage
+ *   npm run backfill:release-dates -- [--all] [--dry-run]
+ *
+ * Options
+ *   --all      Recompute every game (default: only games missing release_ts).
+ *   --dry-run  Count what would change; write nothing.
+ *
+ * What it does
+ * - Streams games, parses `release_date` (Date or any dump spelling, see
+ *   services/releaseDates.js) and sets the derived fields in batches.
+ *   Unparseable dates ("Coming soon") get null, so they are not picked up
+ *   again on the next run.
+ * - Safe to re-run; games ingested with `npm run ingest` already have them.
+ * =====================================================================
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../config/db.js";
+import Game from "../models/Game.js";
+import { releaseFields } from "../services/releaseDates.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+async function main() {
+  const args = new Set(process.argv.slice(2));
+  const all = args.has("--all");
+  const dryRun = args.has("--dry-run");
+
+  await connectDB(process.env.MONGODB_URI);
+
+  const filter = all ? {} : { release_ts: { $exists: false } };
+  const totals = { scanned: 0, dated: 0, undated: 0 };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length && !dryRun) await Game.bulkWrite(ops, { ordered: false });
+    // MongoDB (shell) equivalent:
+    // db.games.bulkWrite([{ updateOne: { filter: { _id }, update: { $set: { release_ts, release_year } } } }, ...])
+    ops = [];
+    process.stdout.write(`  ${totals.scanned} games scanned\r`);
+  };
+
+  const cursor = Game.find(filter, { release_date: 1 }).lean().cursor({ batchSize: BATCH_SIZE });
+  // MongoDB (shell) equivalent:
+  // db.games.find({ release_ts: { $exists: false } }, { release_date: 1 })
+  for await (const g of cursor) {
+    totals.scanned += 1;
+    const fields = releaseFields(g.release_date);
+    totals[fields.release_ts ? "dated" : "undated"] += 1;
+    ops.push({ updateOne: { filter: { _id: g._id }, update: { $set: fields } } });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`\n${dryRun ? "[dry run] " : ""}${totals.scanned} games: ${totals.dated} dated, ${totals.undated} without a parseable release date`);
+}
+
+main()
+  .catch((e) => {
+    console.error(`backfill failed: ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,144 @@
+// src/cli/check-safety.js
+
+/**
+ * =====================================================================
+ * Check content-safety policies against known-unsafe fixtures
+ * ---------------------------------------------------------------------
+ * Usage
+ *   npm run check:safety -- [--offline] [--fixtures seed/safety-fixtures.json]
+ *
+ * Options
+ *   --offline   Check the built-in default policies (SafetyPolicy.DEFAULTS)
+ *               without a database; only the in-process evaluation runs.
+ *   --fixtures  Fixture file (default: seed/safety-fixtures.json).
+ *
+ * What it does
+ * - For every fixture and every policy in its `blockedBy` list ("*" = every
+ *   policy), the game must be blocked by
+ *     1. findSafetyViolation()   (the evaluation the frontend guard imports)
+ *     2. safetyMatch() run by MongoDB itself on the fixture documents
+ *        (`$documents`, MongoDB >= 5.1), i.e. the exact server $match
+ *     3. a Game.find() on the catalog, in case a fixture uses a real appid
+ *   and every restricted profile's effective policy is checked the same way.
+ * - Exit code 2 when any fixture leaks through, 1 on fatal errors.
+ * =====================================================================
+ */
+
+import fs from "node:fs/promises";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../config/db.js";
+import Game from "../models/Game.js";
+import Profile from "../models/Profile.js";
+import SafetyPolicy from "../models/SafetyPolicy.js";
+import {
+  compileSafetyRules, safetyMatch, findSafetyViolation, getProfileSafetyPolicy, policyKeyFor,
+} from "../services/safetyPolicies.js";
+
+dotenv.config();
+
+const DEFAULT_FIXTURES = "seed/safety-fixtures.json";
+
+/**
+ * Parse `--flag value` style arguments.
+ * @param {string[]} argv
+ * @returns {{ offline: boolean, fixtures: string }}
+ */
+function parseArgs(argv) {
+  const opts = { offline: false, fixtures: DEFAULT_FIXTURES };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--offline") opts.offline = true;
+    else if (argv[i] === "--fixtures") opts.fixtures = argv[++i];
+    else throw new Error(`unknown option ${argv[i]}`);
+  }
+  return opts;
+}
+
+/**
+ * Appids of the fixture games MongoDB's own evaluation of the policy lets
+ * through.
+ * @param {object[]} games
+ * @param {object[]} rules
+ * @returns {Promise<Set<string>>}
+ */
+async function leakedByMongo(games, rules) {
+  const rows = await mongoose.connection.db
+    .aggregate([{ $documents: games }, { $match: safetyMatch(rules) }, { $project: { appid: 1 } }])
+    .toArray();
+  // MongoDB (shell) equivalent:
+  // db.aggregate([{ $documents: [ ...fixture games ] }, { $match: { $nor: [...] } }, { $project: { appid: 1 } }])
+  return new Set(rows.map(r => String(r.appid)));
+}
+
+/**
+ * Appids of fixture games present in the catalog that the policy lets
+ * through.
+ * @param {object[]} games
+ * @param {object[]} rules
+ * @returns {Promise<Set<string>>}
+ */
+async function leakedByCatalog(games, rules) {
+  const rows = await Game.find({ appid: { $in: games.map(g => String(g.appid)) }, ...safetyMatch(rules) }, { appid: 1 }).lean();
+  // MongoDB (shell) equivalent:
+  // db.games.find({ appid: { $in: ["fixture-001", ...] }, $nor: [...] }, { appid: 1 })
+  return new Set(rows.map(r => String(r.appid)));
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const { fixtures = [] } = JSON.parse(await fs.readFile(opts.fixtures, "utf8"));
+  if (!fixtures.length) throw new Error(`no fixtures in ${opts.fixtures}`);
+
+  /** Policies to check: label -> policy document. */
+  const policies = new Map();
+  if (opts.offline) {
+    SafetyPolicy.DEFAULTS.forEach(p => policies.set(p.key, p));
+  } else {
+    await connectDB(process.env.MONGODB_URI);
+    (await SafetyPolicy.find({}).lean()).forEach(p => policies.set(p.key, p));
+
+    // What restricted profiles actually browse under (default/fallback included)
+    for (const profile of await Profile.find({}, { key: 1, role: 1, safetyPolicy: 1 }).lean()) {
+      if (!policyKeyFor(profile)) continue;
+      const policy = await getProfileSafetyPolicy(profile.key);
+      policies.set(`profile:${profile.key} (${policy.key})`, policy);
+    }
+  }
+  if (!policies.size) throw new Error("no safety policies to check");
+
+  const leaks = [];
+  let checks = 0;
+
+  for (const [label, policy] of policies) {
+    const rules = compileSafetyRules(policy);
+    const games = fixtures
+      .filter(f => f.blockedBy.includes("*") || f.blockedBy.includes(policy.key))
+      .map(f => ({ ...f.game, _fixture: f.id }));
+    if (!games.length) continue;
+
+    const mongoLeaks = opts.offline ? new Set() : await leakedByMongo(games, rules);
+    const catalogLeaks = opts.offline ? new Set() : await leakedByCatalog(games, rules);
+
+    games.forEach(g => {
+      checks += 1;
+      const appid = String(g.appid);
+      const how = [];
+      if (!findSafetyViolation(g, rules)) how.push("in-process check");
+      if (mongoLeaks.has(appid)) how.push("server $match");
+      if (catalogLeaks.has(appid)) how.push("catalog");
+      if (how.length) leaks.push({ policy: label, fixture: g._fixture, appid, how });
+    });
+  }
+
+  leaks.forEach(l => console.log(`LEAK  ${l.policy}  ${l.fixture} (${l.appid})  via ${l.how.join(", ")}`));
+  console.log(`${opts.offline ? "[offline] " : ""}${policies.size} policies, ${checks} checks, ${leaks.length} leaks`);
+  if (leaks.length) process.exitCode = 2;
+}
+
+main()
+  .catch((e) => {
+    console.error(`safety check failed: ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,63 @@
+// src/cli/compute-neighbors.js
+
+/**
+ * =====================================================================
+ * Batch job: precompute "more like this" neighbor lists
+ * ---------------------------------------------------------------------
+ * Usage
+ *   npm run neighbors -- [--all] [--max <n>]
+ *
+ * Options
+ *   --all      Recompute every game (default: only missing or stale lists,
+ *              i.e. games re-ingested since their list was computed).
+ *   --max <n>  Stop after computing n lists (useful for a nightly budget).
+ *
+ * What it does
+ * - Fills the `game_neighbors` collection read by
+ *   GET /api/games/:id/similar (see services/similarGames.js), so the
+ *   endpoint answers with one indexed read. Run it after `npm run ingest`.
+ * =====================================================================
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../config/db.js";
+import { refreshNeighbors } from "../services/similarGames.js";
+
+dotenv.config();
+
+/**
+ * Parse argv into options.
+ * @param {string[]} argv
+ * @returns {{ all:boolean, max:number }}
+ */
+function parseArgs(argv) {
+  const opts = { all: false, max: Infinity };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--all") opts.all = true;
+    else if (argv[i] === "--max") opts.max = Math.max(1, Number(argv[++i]) || 1);
+    else throw new Error(`unknown argument ${argv[i]}`);
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  await connectDB(process.env.MONGODB_URI);
+
+  const startedAt = Date.now();
+  const totals = await refreshNeighbors({
+    ...opts,
+    onProgress: ({ done }) => process.stdout.write(`  ${done} lists computed\r`),
+  });
+  const secs = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(`\n${totals.scanned} games scanned in ${secs}s: ${totals.computed} lists computed, ${totals.skipped} still fresh`);
+}
+
+main()
+  .catch((e) => {
+    console.error(`neighbors failed: ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
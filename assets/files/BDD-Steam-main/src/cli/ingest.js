@@ -0,0 +1,155 @@
+// src/cli/ingest.js
+
+/**
+ * =====================================================================
+ * Dataset ingestion CLI (replaces seed/01-import.sh)
+ * ---------------------------------------------------------------------
+ * Usage
+ *   npm run ingest -- <file> [options]
+ *   node src/cli/ingest.js data/games.json --report report.json
+ *
+ * Options
+ *   --format json|ndjson|csv  Force the format (default: from extension).
+ *   --prune                   Delete games that are not in the dump.
+ *   --dry-run                 Validate and classify only; write nothing.
+ *   --report <file>           Write the full change report as JSON.
+ *   --rejects <file>          Write rejected rows as NDJSON.
+ *   --show <n>                Appids listed per change kind (default 10).
+ *   --as-of <date>            Date of the dump (YYYY-MM-DD), used for the
+ *                             price history points (default: now). Replay
+ *                             older local dumps oldest first.
+ *
+ * What it does
+ * - Streams the dump (services/datasetReaders.js), normalizes and
+ *   validates each record against the Game schema, and upserts by appid
+ *   (services/ingest.js). The collection is never dropped.
+ * - Records a `price_history` point for every new or changed price.
+ * - Prints a change report (added / updated / unchanged / removed /
+ *   rejected, price changes) and stores it in `ingest_runs` (except with
+ *   --dry-run).
+ *
+ * Exit codes
+ *   0 all rows ingested, 1 fatal error, 2 finished with rejected rows.
+ * =====================================================================
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { connectDB } from "../config/db.js";
+import { DATASET_FORMATS, detectFormat, readDataset } from "../services/datasetReaders.js";
+import { ingestDataset, recordIngestRun } from "../services/ingest.js";
+
+dotenv.config();
+
+const USAGE = "usage: node src/cli/ingest.js <file> [--format json|ndjson|csv] [--prune] [--dry-run] [--report out.json] [--rejects rejects.ndjson] [--show n] [--as-of YYYY-MM-DD]";
+
+/**
+ * Parse argv into options.
+ * @param {string[]} argv
+ * @returns {{ file:string|null, format:string|null, prune:boolean, dryRun:boolean, report:string|null, rejects:string|null, show:number, asOf:Date|null }}
+ */
+function parseArgs(argv) {
+  const opts = { file: null, format: null, prune: false, dryRun: false, report: null, rejects: null, show: 10, asOf: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      const v = argv[++i];
+      if (v === undefined) throw new Error(`missing value for ${a}`);
+      return v;
+    };
+    if (a === "--prune") opts.prune = true;
+    else if (a === "--dry-run") opts.dryRun = true;
+    else if (a === "--format") opts.format = value();
+    else if (a === "--report") opts.report = value();
+    else if (a === "--rejects") opts.rejects = value();
+    else if (a === "--show") opts.show = Math.max(0, Number(value()) || 0);
+    else if (a === "--as-of") {
+      const v = value();
+      opts.asOf = new Date(v);
+      if (Number.isNaN(opts.asOf.getTime())) throw new Error(`invalid date for --as-of: ${v}`);
+    }
+    else if (a === "-h" || a === "--help") { console.log(USAGE); process.exit(0); }
+    else if (a.startsWith("--")) throw new Error(`unknown option ${a}`);
+    else if (!opts.file) opts.file = a;
+    else throw new Error(`unexpected argument ${a}`);
+  }
+  return opts;
+}
+
+/**
+ * Print "label: n" followed by the first `show` appids.
+ * @param {string} label
+ * @param {string[]} list
+ * @param {number} show
+ */
+function printList(label, list, show) {
+  const head = list.slice(0, show).join(", ");
+  const more = list.length > show ? ` (+${list.length - show} more)` : "";
+  console.log(`  ${label.padEnd(10)} ${String(list.length).padStart(7)}${head ? `  ${head}${more}` : ""}`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.file) throw new Error(USAGE);
+
+  const format = opts.format || detectFormat(opts.file);
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`cannot determine format of ${opts.file}; use --format ${DATASET_FORMATS.join("|")}`);
+  }
+  await fs.access(opts.file);
+
+  await connectDB(process.env.MONGODB_URI);
+  const startedAt = new Date();
+  console.log(`ingesting ${opts.file} (${format})${opts.dryRun ? " [dry run]" : ""}${opts.prune ? " [prune]" : ""}`);
+
+  const report = await ingestDataset(readDataset(opts.file, format), {
+    dryRun: opts.dryRun,
+    prune: opts.prune,
+    asOf: opts.asOf,
+    onProgress: ({ read }) => process.stdout.write(`  ${read} rows read\r`),
+  });
+  const finishedAt = new Date();
+
+  const t = report.totals;
+  console.log(`\nread ${t.read} rows in ${((finishedAt - startedAt) / 1000).toFixed(1)}s: ${t.valid} valid, ${t.rejected} rejected`);
+  printList("added", report.added, opts.show);
+  printList("updated", report.updated, opts.show);
+  console.log(`  ${"unchanged".padEnd(10)} ${String(t.unchanged).padStart(7)}`);
+  console.log(`  ${"prices".padEnd(10)} ${String(t.priceChanges).padStart(7)}  new or changed prices${opts.dryRun ? "" : " recorded in price_history"}`);
+  printList(opts.prune && !opts.dryRun ? "removed" : "missing", report.removed, opts.show);
+  if (report.removed.length && !opts.prune) console.log("  (games missing from the dump were kept; use --prune to delete them)");
+
+  for (const r of report.rejects.slice(0, opts.show)) {
+    console.log(`  rejected row ${r.row}${r.appid ? ` (appid ${r.appid})` : ""}: ${r.errors.join("; ")}`);
+  }
+  if (report.rejects.length > opts.show) console.log(`  ... ${report.rejects.length - opts.show} more rejected rows`);
+
+  if (opts.report) {
+    await fs.writeFile(opts.report, JSON.stringify({ file: path.resolve(opts.file), format, startedAt, finishedAt, ...report }, null, 2));
+    console.log(`report written to ${opts.report}`);
+  }
+  if (opts.rejects) {
+    await fs.writeFile(opts.rejects, report.rejects.map(r => JSON.stringify(r)).join("\n") + (report.rejects.length ? "\n" : ""));
+    console.log(`rejects written to ${opts.rejects}`);
+  }
+
+  if (!opts.dryRun) {
+    const run = await recordIngestRun(report, {
+      file: path.basename(opts.file), format, startedAt, finishedAt, pruned: opts.prune,
+    });
+    console.log(`run recorded in ingest_runs (${run._id})`);
+  }
+
+  return t.rejected ? 2 : 0;
+}
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((e) => {
+    console.error(`ingest failed: ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
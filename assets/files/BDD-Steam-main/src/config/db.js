@@ -7,6 +7,10 @@
  *   the default Mongoose connection to MongoDB and returns it.
  * - Enables `strictQuery` globally so only schema-declared
  *   paths are allowed in query filters (safer & less surprising).
+ * - Turns on the driver's command monitoring so services/metrics.js can
+ *   time queries (server.js subscribes; the CLIs simply ignore it).
+ * - `dbState()` reports the connection state (GET /api/ready, metrics);
+ *   `disconnectDB()` closes it on shutdown.
  *
  * How it interacts with the rest of the app:
  * - Typically imported by your server bootstrap (e.g., server.js,
@@ -74,7 +78,9 @@ export async function connectDB(uri) {
 
   // `mongoose.connect` returns when the initial connection succeeds.
   // It uses the *default* connection under the hood.
-  await mongoose.connect(uri);
+  // `monitorCommands` makes the driver emit commandStarted/Succeeded/Failed
+  // events (query timings for /api/metrics); it costs nothing unsubscribed.
+  await mongoose.connect(uri, { monitorCommands: true });
 
   // Simple operational log; you can replace with your logger if needed.
   console.log("mongodb connected");
@@ -82,3 +88,28 @@ export async function connectDB(uri) {
   // Expose the connection so callers can attach listeners if they want.
   return mongoose.connection;
 }
+
+/** Mongoose readyState -> name. */
+const READY_STATES = { 0: "disconnected", 1: "connected", 2: "connecting", 3: "disconnecting" };
+
+/**
+ * Current state of the default connection.
+ *
+ * @returns {{ state: "disconnected"|"connected"|"connecting"|"disconnecting"|"uninitialized", readyState: number }}
+ */
+export function dbState() {
+  const readyState = mongoose.connection.readyState;
+  return { state: READY_STATES[readyState] || "uninitialized", readyState };
+}
+
+/**
+ * Closes the default connection (graceful shutdown). Safe to call when it
+ * never opened.
+ *
+ * @returns {Promise<void>}
+ */
+export async function disconnectDB() {
+  if (mongoose.connection.readyState === 0) return;
+  await mongoose.disconnect();
+  console.log("mongodb disconnected");
+}
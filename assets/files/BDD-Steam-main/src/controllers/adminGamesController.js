@@ -0,0 +1,325 @@
+/**
+ * =====================================================================
+ * Admin Games Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - CRUD handlers on Game documents for curators, so bad metadata from the
+ *   dump can be fixed without re-importing it.
+ * - Each handler follows the Express signature (req, res, next).
+ *
+ * How it fits in the app
+ * - Wired in src/routes/adminGames.js, mounted under /api/admin/games;
+ *   every route is admin-only and validated against ADMIN_GAMES_API
+ *   (services/apiSchemas.js) before the handler runs:
+ *     router.get   ("/",                games.listGames);
+ *     router.get   ("/:appid",          games.getGame);
+ *     router.post  ("/",                games.createGame);
+ *     router.patch ("/",                games.bulkUpdateGames);
+ *     router.patch ("/:appid",          games.updateGame);
+ *     router.delete("/:appid",          games.deleteGame);
+ *     router.post  ("/:appid/restore",  games.restoreGame);
+ *
+ * Conventions & Notes
+ * - Games are addressed by appid. Responses use `{ ok, data|items }`;
+ *   errors are ApiError codes answered by middleware/errors.js.
+ * - Soft delete: DELETE sets `deleted_at` / `deleted_by`; the Game model
+ *   hides such games from every other read (see models/Game.js). Handlers
+ *   here opt in with `withDeleted` so deleted games stay editable.
+ * - Audit fields: `created_*` / `updated_*` / `deleted_*` hold the date and
+ *   the acting user. Edited fields are added to `curated_fields`, which
+ *   later ingest runs leave alone.
+ * - Price edits are recorded in the price history (source "admin"); every
+ *   write drops the cached search answers and refreshes the text index.
+ * - Every write reports the game's state before / after to the audit log
+ *   (services/audit.js), one entry per game for bulk patches.
+ * =====================================================================
+ */
+
+import Game from "../models/Game.js";
+import { ApiError } from "../services/apiErrors.js";
+import { auditChange } from "../services/audit.js";
+import { GAME_EDIT_SCHEMA } from "../services/apiSchemas.js";
+import { CATALOG_NAMESPACES, invalidateCache } from "../services/cache.js";
+import { recordPricePoints } from "../services/priceHistory.js";
+import { parseReleaseDate, releaseFields } from "../services/releaseDates.js";
+import { invalidateSearchIndex } from "../services/searchIndex.js";
+import { escapeRegExp } from "../services/textPatterns.js";
+
+/** Fields of the list view. */
+const LIST_FIELDS = "appid name price release_date header_image updated_at updated_by deleted_at deleted_by curated_fields";
+
+/** `{ user, email }` of the signed-in admin (models/Game.js ActorSchema). */
+const actorOf = (req) => ({ user: req.user._id, email: req.user.email });
+
+/**
+ * $set of the editable fields present in a body. `release_date` is parsed
+ * like the ingest does (derived release_ts / release_year included; text
+ * that is not a date goes to release_date_text).
+ *
+ * @param {Record<string, any>} body - Validated against GAME_EDIT_SCHEMA.
+ * @returns {Record<string, any>}
+ */
+function editsOf(body = {}) {
+  const set = {};
+  for (const key of Object.keys(GAME_EDIT_SCHEMA.properties)) {
+    if (body[key] !== undefined) set[key] = body[key];
+  }
+  if ("release_date" in set) {
+    const raw = set.release_date == null ? "" : String(set.release_date).trim();
+    const date = raw ? parseReleaseDate(raw) : null;
+    set.release_date = date;
+    set.release_date_text = raw && !date ? raw : null;
+    Object.assign(set, releaseFields(date));
+  }
+  if (typeof set.name === "string") set.name = set.name.trim();
+  return set;
+}
+
+/**
+ * Update document for an edit: the fields, audit stamp and curated list.
+ * @param {Record<string, any>} set - Output of editsOf.
+ * @param {import("express").Request} req
+ */
+function editUpdate(set, req) {
+  return {
+    $set: { ...set, updated_at: new Date(), updated_by: actorOf(req) },
+    $addToSet: { curated_fields: { $each: Object.keys(set) } },
+  };
+}
+
+/**
+ * Price points for games whose price changes with this edit.
+ * @param {{ appid:string, price?:number }[]} before - Stored games.
+ * @param {Record<string, any>} set
+ */
+async function recordPriceEdits(before, set) {
+  if (typeof set.price !== "number") return;
+  const points = before.filter(g => g.price !== set.price).map(g => ({ appid: g.appid, price: set.price }));
+  if (points.length) await recordPricePoints(points, { source: "admin" });
+}
+
+/** Cached answers and the search index no longer match the collection. */
+async function catalogChanged() {
+  await invalidateCache(...CATALOG_NAMESPACES);
+  invalidateSearchIndex();
+}
+
+/** Non-empty edit or 400 validation_error. */
+function requireEdits(set, path) {
+  if (!Object.keys(set).length) throw new ApiError("validation_error", { details: { [path]: "has no field to change" } });
+  return set;
+}
+
+/** Find by appid, soft-deleted games included. */
+const findGame = (appid, fields) => Game.findOne({ appid }, fields).setOptions({ withDeleted: true }).lean();
+
+/**
+ * GET /api/admin/games?q=&deleted=exclude|include|only&page=&limit=
+ *
+ * Response
+ * - 200 { ok:true, page, limit, total, items: Game[] } sorted by name
+ */
+export async function listGames(req, res, next) {
+  try {
+    const { q = "", deleted = "exclude" } = req.query;
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+
+    const filter = {};
+    const text = String(q).trim();
+    if (text) filter.$or = [{ appid: text }, { name: new RegExp(escapeRegExp(text), "i") }];
+    if (deleted === "only") filter.deleted_at = { $ne: null };
+    const options = { withDeleted: deleted !== "exclude" };
+
+    const [items, total] = await Promise.all([
+      Game.find(filter, LIST_FIELDS).setOptions(options).sort({ name: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Game.countDocuments(filter).setOptions(options),
+    ]);
+    // MongoDB (shell) equivalent:
+    // db.games.find({ $or: [{ appid: "<q>" }, { name: /<q>/i }], deleted_at: <null | { $ne: null } | any> })
+    //   .sort({ name: 1 }).skip((page - 1) * limit).limit(limit)
+    res.json({ ok: true, page, limit, total, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/games/:appid
+ *
+ * Response
+ * - 200 { ok:true, data: Game }
+ * - 404 game_not_found
+ */
+export async function getGame(req, res, next) {
+  try {
+    const game = await findGame(req.params.appid);
+    if (!game) throw new ApiError("game_not_found");
+    res.json({ ok: true, data: game });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/games
+ * Body: { appid, name, ...editable fields }
+ *
+ * Response
+ * - 201 { ok:true, data: Game }
+ * - 400 validation_error | 409 duplicate (appid taken, possibly by a deleted game)
+ */
+export async function createGame(req, res, next) {
+  try {
+    const set = editsOf(req.body);
+    const now = new Date();
+    const game = await Game.create({
+      ...set,
+      appid: req.body.appid,
+      curated_fields: Object.keys(set),
+      created_at: now,
+      created_by: actorOf(req),
+      updated_at: now,
+      updated_by: actorOf(req),
+    });
+    await recordPriceEdits([{ appid: game.appid }], set);
+    await catalogChanged();
+    const data = game.toObject();
+    auditChange(req, { entity: "game", entityId: data.appid, action: "create", before: null, after: data });
+    res.status(201).json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/games/:appid
+ * Body: editable fields to change (release_date: null clears it).
+ *
+ * Response
+ * - 200 { ok:true, data: Game }
+ * - 400 validation_error | 404 game_not_found
+ */
+export async function updateGame(req, res, next) {
+  try {
+    const { appid } = req.params;
+    const set = requireEdits(editsOf(req.body), "body");
+    const before = await findGame(appid);
+    if (!before) throw new ApiError("game_not_found");
+
+    const game = await Game.findOneAndUpdate({ appid }, editUpdate(set, req), { new: true, runValidators: true }).lean();
+    // MongoDB (shell) equivalent:
+    // db.games.findOneAndUpdate({ appid }, { $set: {...}, $addToSet: { curated_fields: { $each: [...] } } },
+    //   { returnDocument: "after" })
+    await recordPriceEdits([before], set);
+    await catalogChanged();
+    auditChange(req, { entity: "game", entityId: appid, action: "update", before, after: game });
+    res.json({ ok: true, data: game });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/games
+ * Body: { appids: string[], set: { ...editable fields } }
+ * Same change on every listed game (e.g. a developer name typo).
+ *
+ * Response
+ * - 200 { ok:true, matched, modified, missing: string[] }
+ */
+export async function bulkUpdateGames(req, res, next) {
+  try {
+    const appids = Array.from(new Set(req.body.appids));
+    const set = requireEdits(editsOf(req.body.set), "body.set");
+
+    const fields = { appid: 1, curated_fields: 1, ...Object.fromEntries(Object.keys(set).map(k => [k, 1])) };
+    const before = await Game.find({ appid: { $in: appids } }, fields).setOptions({ withDeleted: true }).lean();
+    const found = new Set(before.map(g => g.appid));
+    const result = await Game.updateMany({ appid: { $in: [...found] } }, editUpdate(set, req), { runValidators: true });
+    // MongoDB (shell) equivalent:
+    // db.games.updateMany({ appid: { $in: [...] } }, { $set: {...}, $addToSet: { curated_fields: { $each: [...] } } })
+    await recordPriceEdits(before, set);
+    if (result.modifiedCount) await catalogChanged();
+    // Only the edited fields were read: the entry shows those, not whole documents
+    for (const game of before) {
+      const curated = Array.from(new Set([...(game.curated_fields || []), ...Object.keys(set)]));
+      auditChange(req, { entity: "game", entityId: game.appid, action: "bulk_update", before: game, after: { ...game, ...set, curated_fields: curated } });
+    }
+    res.json({
+      ok: true,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+      missing: appids.filter(a => !found.has(a)),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/admin/games/:appid
+ * Soft delete: the game disappears from search, views and recommendations
+ * but keeps its data, price history and references. Idempotent.
+ *
+ * Response
+ * - 200 { ok:true, data: Game }
+ * - 404 game_not_found
+ */
+export async function deleteGame(req, res, next) {
+  try {
+    const { appid } = req.params;
+    const game = await findGame(appid);
+    if (!game) throw new ApiError("game_not_found");
+    if (game.deleted_at) return res.json({ ok: true, data: game });
+
+    const deleted = await Game.findOneAndUpdate(
+      { appid },
+      { $set: { deleted_at: new Date(), deleted_by: actorOf(req) } },
+      { new: true }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.games.updateOne({ appid }, { $set: { deleted_at: new Date(), deleted_by: {...} } })
+    await catalogChanged();
+    auditChange(req, {
+      entity: "game", entityId: appid, action: "delete",
+      before: { deleted_at: null, deleted_by: null },
+      after: { deleted_at: deleted.deleted_at, deleted_by: deleted.deleted_by },
+    });
+    res.json({ ok: true, data: deleted });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/games/:appid/restore
+ *
+ * Response
+ * - 200 { ok:true, data: Game }
+ * - 404 game_not_found
+ */
+export async function restoreGame(req, res, next) {
+  try {
+    const { appid } = req.params;
+    const before = await Game.findOneAndUpdate(
+      { appid },
+      { $unset: { deleted_at: 1, deleted_by: 1 }, $set: { updated_at: new Date(), updated_by: actorOf(req) } },
+      { new: false, projection: { deleted_at: 1, deleted_by: 1 } }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.games.findOneAndUpdate({ appid }, { $unset: { deleted_at: 1, deleted_by: 1 }, $set: {...} },
+    //   { returnDocument: "before", projection: { deleted_at: 1, deleted_by: 1 } })
+    if (!before) throw new ApiError("game_not_found");
+    const game = await findGame(appid);
+    await catalogChanged();
+    auditChange(req, {
+      entity: "game", entityId: appid, action: "restore",
+      before: { deleted_at: before.deleted_at ?? null, deleted_by: before.deleted_by ?? null },
+      after: { deleted_at: null, deleted_by: null },
+    });
+    res.json({ ok: true, data: game });
+  } catch (err) {
+    next(err);
+  }
+}
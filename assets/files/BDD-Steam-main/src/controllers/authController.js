@@ -0,0 +1,97 @@
+/**
+ * =====================================================================
+ * Auth Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - Login / logout / current-user handlers for the session layer
+ *   (services/auth.js, middleware/auth.js).
+ *
+ * How it fits in the app
+ * - Wired in src/routes/auth.js, mounted under /api/auth:
+ *     router.post("/login",  auth.login);
+ *     router.post("/logout", requireAuth, auth.logout);
+ *     router.get ("/me",     auth.me);
+ *
+ * Conventions & Notes
+ * - Requests are validated against AUTH_API (services/apiSchemas.js);
+ *   errors are ApiError codes answered by middleware/errors.js.
+ * - Login answers with the token in the body (for API clients using
+ *   `Authorization: Bearer`) AND sets it as an httpOnly cookie (browser).
+ * - Wrong email and wrong password share the same 401 error so accounts
+ *   cannot be enumerated.
+ * - Logout bumps `tokenVersion`, revoking every session of the account.
+ * =====================================================================
+ */
+
+import { User } from "../models/User.js";
+import Profile from "../models/Profile.js";
+import { ApiError } from "../services/apiErrors.js";
+import { signToken, verifyPassword, sessionCookie } from "../services/auth.js";
+
+/**
+ * POST /api/auth/login
+ *
+ * Body: { email: string, password: string }
+ * Response
+ * - 200 { ok:true, token, user:{ _id, name, email, role } }
+ * - 400 missing_credentials
+ * - 401 invalid_credentials
+ */
+export async function login(req, res, next) {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+      throw new ApiError("missing_credentials");
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select("+passwordHash").lean();
+    const valid = user ? await verifyPassword(password, user.passwordHash) : false;
+    if (!valid) throw new ApiError("invalid_credentials");
+
+    const token = signToken(user);
+    res.setHeader("Set-Cookie", sessionCookie(token, { secure: req.secure }));
+    res.json({
+      ok: true,
+      token,
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/auth/logout
+ * Revokes all sessions of the caller and clears the cookie.
+ *
+ * Response
+ * - 200 { ok:true }
+ */
+export async function logout(req, res, next) {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    // MongoDB (shell) equivalent:
+    // db.users.updateOne({ _id: ObjectId("<id>") }, { $inc: { tokenVersion: 1 } })
+    res.setHeader("Set-Cookie", sessionCookie("", { secure: req.secure }));
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/auth/me
+ * The signed-in account and the profiles it owns (anonymous -> user:null).
+ *
+ * Response
+ * - 200 { ok:true, user: { _id, name, email, role, profiles: string[] } | null }
+ */
+export async function me(req, res, next) {
+  try {
+    if (!req.user) return res.json({ ok: true, user: null });
+    const profiles = await Profile.find({ user: req.user._id }, { key: 1 }).sort({ key: 1 }).lean();
+    res.json({ ok: true, user: { ...req.user, profiles: profiles.map(p => p.key) } });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,373 @@
+/**
+ * =====================================================================
+ * Collections Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - CRUD handlers for per-profile game collections / wishlists
+ *   (models/GameCollection.js): named, ordered lists with a note per entry.
+ * - Read-only share links: a collection with a `shareToken` can be viewed
+ *   by anyone through GET /api/collections/shared/:token.
+ *
+ * How it fits in the app
+ * - Wired in src/routes/collections.js, mounted under /api/collections.
+ *   Everything but the share view needs access to the owning profile
+ *   (src/middleware/auth.js); collections are personal, the share link is
+ *   the public way in.
+ * - The frontend browses a collection through POST /api/games/search with
+ *   the collection id as `filters.category` (see services/collections.js).
+ *
+ * Conventions & Notes
+ * - Requests are validated against COLLECTIONS_API (services/apiSchemas.js).
+ * - Responses use `{ ok, data|items }`; errors are ApiError codes answered
+ *   by middleware/errors.js.
+ * - Entry order is the array order; `position` values are 0-based indexes.
+ * - Every write reports the collection before / after to the audit log
+ *   (services/audit.js).
+ * =====================================================================
+ */
+
+import GameCollection, { MAX_COLLECTION_ENTRIES } from "../models/GameCollection.js";
+import Game from "../models/Game.js";
+import { ApiError } from "../services/apiErrors.js";
+import { getAllowedProfiles } from "../services/profiles.js";
+import { getProfileSafetyRules } from "../services/safetyPolicies.js";
+import { collectionGames, isCollectionId, newShareToken } from "../services/collections.js";
+import { auditChange } from "../services/audit.js";
+
+/** Game fields returned by the share view (what the card renderer shows). */
+const SHARED_GAME_FIELDS = {
+  _id: 0, appid: 1, name: 1, header_image: 1, genres: 1, price: 1,
+  windows: 1, mac: 1, linux: 1, user_score: 1, metacritic_score: 1,
+  release_date: 1, release_ts: 1, release_date_text: 1,
+  achievements: 1, recommendations: 1, supported_languages: 1,
+  developers: 1, publishers: 1, categories: 1, tags: 1, required_age: 1,
+  website: 1, screenshots: 1,
+};
+
+/**
+ * Load the collection of the route (`:id`) as a document.
+ * @returns {Promise<import("mongoose").HydratedDocument<any>>}
+ * @throws {ApiError} not_found
+ */
+async function findRouteCollection(req) {
+  const doc = isCollectionId(req.params.id) ? await GameCollection.findById(req.params.id) : null;
+  if (!doc) throw new ApiError("not_found");
+  return doc;
+}
+
+/**
+ * Report a change of a collection.
+ * @param {import("express").Request} req
+ * @param {string} action
+ * @param {object|null} before - Plain collection (null on create).
+ * @param {object|null} after - Plain collection (null on delete).
+ */
+function auditCollection(req, action, before, after) {
+  const doc = after || before;
+  auditChange(req, { entity: "collection", entityId: doc._id, action, profile: doc.profile, before, after });
+}
+
+/**
+ * Clamp a requested 0-based position into [0, length].
+ * @param {unknown} position
+ * @param {number} length
+ * @returns {number|null} null when no valid position was given.
+ */
+function clampPosition(position, length) {
+  if (position === undefined || position === null || position === "") return null;
+  const n = Number(position);
+  if (!Number.isInteger(n)) return null;
+  return Math.max(0, Math.min(length, n));
+}
+
+/**
+ * GET /api/collections?profile=<key>
+ * Collections of a profile, without their entries.
+ *
+ * Response
+ * - 200 { ok:true, items: Array<{ _id, profile, name, description, shareToken, entriesCount, updatedAt }> }
+ * - 400 invalid_profile
+ */
+export async function listCollections(req, res, next) {
+  try {
+    const profile = String(req.query.profile || "").trim().toLowerCase();
+    if (!(await getAllowedProfiles()).includes(profile)) {
+      throw new ApiError("invalid_profile");
+    }
+
+    const items = await GameCollection.aggregate([
+      { $match: { profile } },
+      { $addFields: { entriesCount: { $size: "$entries" } } },
+      { $project: { entries: 0 } },
+      { $sort: { name: 1 } },
+    ]);
+    // MongoDB (shell) equivalent:
+    // db.collections.aggregate([
+    //   { $match: { profile: "<profile>" } },
+    //   { $addFields: { entriesCount: { $size: "$entries" } } },
+    //   { $project: { entries: 0 } }, { $sort: { name: 1 } }
+    // ])
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/collections
+ *
+ * Body: { profile, name, description?, entries?: Array<{ appid, note? }> }
+ * Response
+ * - 201 { ok:true, data: GameCollection }
+ * - 400 invalid_profile | validation_error | 409 duplicate (name already used by the profile)
+ */
+export async function createCollection(req, res, next) {
+  try {
+    const { profile, name, description, entries } = req.body || {};
+    const key = String(profile || "").trim().toLowerCase();
+    if (!(await getAllowedProfiles()).includes(key)) {
+      throw new ApiError("invalid_profile");
+    }
+
+    const doc = await GameCollection.create({
+      profile: key,
+      name,
+      description,
+      entries: Array.isArray(entries)
+        ? entries.map(e => ({ appid: String(e?.appid ?? "").trim(), note: e?.note }))
+        : [],
+    });
+    const data = doc.toObject();
+    auditCollection(req, "create", null, data);
+    res.status(201).json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/collections/:id
+ *
+ * Response
+ * - 200 { ok:true, data: GameCollection }
+ * - 404 not_found
+ */
+export async function getCollection(req, res, next) {
+  try {
+    const doc = await findRouteCollection(req);
+    res.json({ ok: true, data: doc.toObject() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/collections/:id
+ * Renames, edits the description, or reorders the entries. `order` must
+ * list every appid of the collection exactly once.
+ *
+ * Body: { name?, description?, order?: string[] }
+ * Response
+ * - 200 { ok:true, data: GameCollection }
+ * - 400 validation_error | invalid_order
+ * - 404 not_found | 409 duplicate
+ */
+export async function updateCollection(req, res, next) {
+  try {
+    const doc = await findRouteCollection(req);
+    const before = doc.toObject();
+
+    const { name, description, order } = req.body || {};
+    if (name !== undefined) doc.name = name;
+    if (description !== undefined) doc.description = description;
+
+    if (order !== undefined) {
+      const ids = Array.isArray(order) ? order.map(v => String(v)) : null;
+      const byAppid = new Map(doc.entries.map(e => [e.appid, e]));
+      const valid = ids && ids.length === byAppid.size && new Set(ids).size === ids.length && ids.every(id => byAppid.has(id));
+      if (!valid) throw new ApiError("invalid_order");
+      doc.entries = ids.map(id => byAppid.get(id));
+    }
+
+    await doc.save();
+    const data = doc.toObject();
+    auditCollection(req, "update", before, data);
+    res.json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/collections/:id
+ *
+ * Response
+ * - 204 No Content
+ * - 404 not_found
+ */
+export async function deleteCollection(req, res, next) {
+  try {
+    const doc = isCollectionId(req.params.id) ? await GameCollection.findByIdAndDelete(req.params.id).lean() : null;
+    // MongoDB (shell) equivalent:
+    // db.collections.findOneAndDelete({ _id: ObjectId("<id>") })
+    if (!doc) throw new ApiError("not_found");
+    auditCollection(req, "delete", doc, null);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Entries                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * PUT /api/collections/:id/entries/:appid
+ * Adds a game (at the end, or at `position`) or updates an existing entry:
+ * its note and/or position. Idempotent.
+ *
+ * Body: { note?: string, position?: number }
+ * Response
+ * - 200 { ok:true, data: GameCollection }
+ * - 400 validation_error | too_many_entries { max }
+ * - 404 not_found | game_not_found
+ */
+export async function putEntry(req, res, next) {
+  try {
+    const doc = await findRouteCollection(req);
+    const before = doc.toObject();
+
+    const appid = String(req.params.appid || "").trim();
+    const { note, position } = req.body || {};
+    const index = doc.entries.findIndex(e => e.appid === appid);
+
+    let entry;
+    if (index >= 0) {
+      entry = doc.entries[index].toObject();
+      doc.entries.splice(index, 1);
+    } else {
+      if (doc.entries.length >= MAX_COLLECTION_ENTRIES) {
+        throw new ApiError("too_many_entries", { max: MAX_COLLECTION_ENTRIES });
+      }
+      const exists = await Game.exists({ appid });
+      // MongoDB (shell) equivalent:
+      // db.games.findOne({ appid: "<appid>" }, { _id: 1 })
+      if (!exists) throw new ApiError("game_not_found");
+      entry = { appid, note: "", addedAt: new Date() };
+    }
+    if (note !== undefined) entry.note = note;
+
+    const at = clampPosition(position, doc.entries.length);
+    doc.entries.splice(at ?? (index >= 0 ? index : doc.entries.length), 0, entry);
+
+    await doc.save();
+    const data = doc.toObject();
+    auditCollection(req, "entry_put", before, data);
+    res.json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/collections/:id/entries/:appid (idempotent)
+ *
+ * Response
+ * - 200 { ok:true, data: GameCollection }
+ * - 404 not_found
+ */
+export async function removeEntry(req, res, next) {
+  try {
+    const appid = String(req.params.appid || "").trim();
+    const before = isCollectionId(req.params.id) ? await GameCollection.findById(req.params.id).lean() : null;
+    if (!before) throw new ApiError("not_found");
+    const doc = await GameCollection.findByIdAndUpdate(req.params.id, { $pull: { entries: { appid } } }, { new: true }).lean();
+    // MongoDB (shell) equivalent:
+    // db.collections.findOneAndUpdate({ _id: ObjectId("<id>") }, { $pull: { entries: { appid: "<appid>" } } }, { returnDocument: "after" })
+    if (!doc) throw new ApiError("not_found");
+    auditCollection(req, "entry_remove", before, doc);
+    res.json({ ok: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Share links                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * POST /api/collections/:id/share   -> create the share token (kept if one exists)
+ * DELETE /api/collections/:id/share -> revoke it (old links stop working)
+ *
+ * Response
+ * - 200 { ok:true, shareToken: string|null, url: string|null }
+ * - 404 not_found
+ */
+export async function shareCollection(req, res, next) {
+  try {
+    const doc = await findRouteCollection(req);
+    if (!doc.shareToken) {
+      const before = doc.toObject();
+      doc.shareToken = newShareToken();
+      await doc.save();
+      auditCollection(req, "share", before, doc.toObject());
+    }
+    res.json({ ok: true, shareToken: doc.shareToken, url: `/shared/${doc.shareToken}` });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/** @see shareCollection */
+export async function unshareCollection(req, res, next) {
+  try {
+    const doc = await findRouteCollection(req);
+    const before = doc.toObject();
+    doc.shareToken = null;
+    await doc.save();
+    auditCollection(req, "unshare", before, doc.toObject());
+    res.json({ ok: true, shareToken: null, url: null });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/collections/shared/:token?profile=<viewer>
+ * Public, read-only view of a shared collection: its name/description and
+ * its games in collection order (each with `collection_note`). Games the
+ * viewer profile's safety policy blocks are left out.
+ *
+ * Response
+ * - 200 { ok:true, data: { name, description, profile, entriesCount, updatedAt }, items: Game[] }
+ * - 404 not_found (unknown or revoked token)
+ */
+export async function getSharedCollection(req, res, next) {
+  try {
+    const token = String(req.params.token || "");
+    const doc = token ? await GameCollection.findOne({ shareToken: token }).lean() : null;
+    // MongoDB (shell) equivalent:
+    // db.collections.findOne({ shareToken: "<token>" })
+    if (!doc) throw new ApiError("not_found");
+
+    const items = await collectionGames(doc, {
+      safety: await getProfileSafetyRules(req.query.profile),
+      projection: SHARED_GAME_FIELDS,
+    });
+    res.json({
+      ok: true,
+      data: {
+        name: doc.name,
+        description: doc.description,
+        profile: doc.profile,
+        entriesCount: doc.entries.length,
+        updatedAt: doc.updatedAt,
+      },
+      items,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,483 @@
+/**
+ * =====================================================================
+ * Profiles Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - CRUD handlers for browsing profiles (models/Profile.js), their
+ *   server-side favorites and their price watch list.
+ * - One-shot import of the favorites the browser used to keep in
+ *   localStorage (`steamFavs:<profile>`).
+ *
+ * How it fits in the app
+ * - Wired in src/routes/profiles.js, mounted under /api/profiles.
+ *   Profiles are addressed by their `key` (the value the frontend sends
+ *   as `filters.profile` and stores on GOTY picks).
+ *
+ * Conventions & Notes
+ * - Requests are validated against PROFILES_API (services/apiSchemas.js).
+ * - Responses use `{ ok, data|items }`; errors are ApiError codes answered
+ *   by middleware/errors.js.
+ * - Every write calls `forgetProfile(key)` so the role cache used by the
+ *   search routes (src/services/profiles.js) never serves stale roles.
+ * - Deleting a profile also deletes its GOTY picks, collections and saved
+ *   searches.
+ * - Every write reports the profile before / after to the audit log
+ *   (services/audit.js): its settings, its favorites list, or the
+ *   watched entry it changed.
+ * - Access control (who may write which profile) is done by the route
+ *   middlewares in src/middleware/auth.js; handlers only enforce that
+ *   non-admins cannot hand a profile to another account.
+ * =====================================================================
+ */
+
+import Profile, { MAX_FAVORITES, MAX_WATCHLIST } from "../models/Profile.js";
+import Game from "../models/Game.js";
+import Goty from "../models/Goty.js";
+import GameCollection from "../models/GameCollection.js";
+import SavedSearch from "../models/SavedSearch.js";
+import { ApiError } from "../services/apiErrors.js";
+import { forgetProfile } from "../services/profiles.js";
+import {
+  getSafetyPolicy, getProfileSafetyPolicy, getProfileSafetyRules, compileSafetyRules,
+} from "../services/safetyPolicies.js";
+import { watchlistItems } from "../services/priceHistory.js";
+import { auditChange } from "../services/audit.js";
+
+/**
+ * Normalize an appids payload: array of strings/numbers -> unique strings.
+ * @param {unknown} appids
+ * @returns {string[]}
+ * @throws {ApiError} invalid_appids when the payload is not a valid list.
+ */
+function normalizeAppids(appids) {
+  if (!Array.isArray(appids) || appids.length > MAX_FAVORITES) throw new ApiError("invalid_appids");
+  const ids = appids
+    .filter(v => typeof v === "string" || typeof v === "number")
+    .map(v => String(v).trim())
+    .filter(Boolean);
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Owner to store for a create/update coming from `req.user`: admins may
+ * assign any account (or none); members always own what they create/edit.
+ * @param {import("express").Request} req
+ * @param {unknown} requested - `user` field from the body.
+ * @returns {any} ObjectId-like value or null.
+ */
+function ownerFor(req, requested) {
+  if (req.user && req.user.role === "admin") return requested || null;
+  return req.user ? req.user._id : null;
+}
+
+/**
+ * Validate a `safetyPolicy` payload value.
+ * @param {unknown} value - Policy key, or null/"" to clear the pick.
+ * @returns {Promise<string|null>} The policy key to store.
+ * @throws {ApiError} unknown_safety_policy
+ */
+async function resolvePolicyPick(value) {
+  if (value === null || value === "") return null;
+  const policy = typeof value === "string" ? await getSafetyPolicy(value) : null;
+  if (!policy) throw new ApiError("unknown_safety_policy");
+  return policy.key;
+}
+
+/** Case-insensitive lookup key from the route param. */
+const keyOf = (req) => String(req.params.key || "").trim().toLowerCase();
+
+/**
+ * GET /api/profiles?user=<userId>
+ * Lists profiles (without favorites), optionally for a single account.
+ *
+ * Response
+ * - 200 { ok:true, items: Array<{ key, name, role, user, favoritesCount }> }
+ */
+export async function listProfiles(req, res, next) {
+  try {
+    const filter = req.query.user ? { user: String(req.query.user) } : {};
+    const items = await Profile.aggregate([
+      { $match: filter.user ? { $expr: { $eq: [{ $toString: "$user" }, filter.user] } } : {} },
+      { $addFields: { favoritesCount: { $size: { $ifNull: ["$favorites", []] } } } },
+      { $project: { favorites: 0 } },
+      { $sort: { key: 1 } },
+    ]);
+    // MongoDB (shell) equivalent:
+    // db.profiles.aggregate([
+    //   { $addFields: { favoritesCount: { $size: { $ifNull: ["$favorites", []] } } } },
+    //   { $project: { favorites: 0 } }, { $sort: { key: 1 } }
+    // ])
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/profiles/:key
+ *
+ * Response
+ * - 200 { ok:true, data: Profile }
+ * - 404 not_found
+ */
+export async function getProfile(req, res, next) {
+  try {
+    const profile = await Profile.findOne({ key: keyOf(req) }).lean();
+    if (!profile) throw new ApiError("not_found");
+    res.json({ ok: true, data: profile });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/profiles
+ * Creates a profile.
+ *
+ * Body: { key: string, name: string, role?: "child"|"adult", safetyPolicy?: string|null, user?: ObjectId }
+ * (`user` is only honored for admins; members own the profiles they create.)
+ * Response
+ * - 201 { ok:true, data: Profile }
+ * - 400 validation_error | unknown_safety_policy | 409 duplicate (key already used)
+ */
+export async function createProfile(req, res, next) {
+  try {
+    const { key, name, role, safetyPolicy, user } = req.body || {};
+    const pick = await resolvePolicyPick(safetyPolicy ?? null);
+
+    const profile = await Profile.create({ key, name, role, safetyPolicy: pick, user: ownerFor(req, user) });
+    forgetProfile(profile.key);
+    const data = profile.toObject();
+    auditChange(req, { entity: "profile", entityId: profile.key, action: "create", profile: profile.key, before: null, after: data });
+    res.status(201).json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/profiles/:key
+ * Updates display name, role, safety policy or owner. The key itself is
+ * immutable (GOTY picks reference it).
+ *
+ * Body: { name?: string, role?: "child"|"adult", safetyPolicy?: string|null, user?: ObjectId|null }
+ * Response
+ * - 200 { ok:true, data: Profile }
+ * - 400 validation_error | unknown_safety_policy
+ * - 404 not_found
+ */
+export async function updateProfile(req, res, next) {
+  try {
+    const $set = {};
+    const { name, role, safetyPolicy, user } = req.body || {};
+    if (name !== undefined) $set.name = name;
+    if (role !== undefined) $set.role = role;
+    if (safetyPolicy !== undefined) $set.safetyPolicy = await resolvePolicyPick(safetyPolicy);
+    if (user !== undefined) $set.user = ownerFor(req, user);
+
+    const key = keyOf(req);
+    const before = await Profile.findOne({ key }).lean();
+    if (!before) throw new ApiError("not_found");
+    const profile = await Profile.findOneAndUpdate({ key }, { $set }, { new: true, runValidators: true }).lean();
+    if (!profile) throw new ApiError("not_found");
+    forgetProfile(key);
+    auditChange(req, { entity: "profile", entityId: key, action: "update", profile: key, before, after: profile });
+    res.json({ ok: true, data: profile });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/profiles/:key
+ * Removes a profile, its GOTY picks and its collections.
+ *
+ * Response
+ * - 204 No Content
+ * - 404 not_found
+ */
+export async function deleteProfile(req, res, next) {
+  try {
+    const key = keyOf(req);
+    const profile = await Profile.findOneAndDelete({ key }).lean();
+    if (!profile) throw new ApiError("not_found");
+    await Goty.deleteMany({ profile: key });
+    await GameCollection.deleteMany({ profile: key });
+    await SavedSearch.deleteMany({ profile: key });
+    // MongoDB (shell) equivalent:
+    // db.gotys.deleteMany({ profile: "<key>" })
+    // db.collections.deleteMany({ profile: "<key>" })
+    // db.saved_searches.deleteMany({ profile: "<key>" })
+    forgetProfile(key);
+    auditChange(req, { entity: "profile", entityId: key, action: "delete", profile: key, before: profile, after: null });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/profiles/:key/safety-policy
+ * The content-safety policy this profile browses under, with the compiled
+ * rules the frontend guard evaluates (the same rules the server match is
+ * built from, see src/services/safetyPolicies.js).
+ *
+ * Response
+ * - 200 { ok:true, data: SafetyPolicy|null, rules: object[] }
+ *   `data` is null (and `rules` empty) for unrestricted profiles.
+ * - 404 not_found
+ */
+export async function getSafetyPolicyOf(req, res, next) {
+  try {
+    const key = keyOf(req);
+    const exists = await Profile.exists({ key });
+    if (!exists) throw new ApiError("not_found");
+
+    const policy = await getProfileSafetyPolicy(key);
+    res.json({ ok: true, data: policy, rules: policy ? compileSafetyRules(policy) : [] });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Favorites                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Report a change of a profile's favorites list.
+ * @param {import("express").Request} req
+ * @param {string} key
+ * @param {string} action
+ * @param {string[]} before
+ * @param {string[]} after
+ */
+function auditFavorites(req, key, action, before, after) {
+  auditChange(req, { entity: "profile", entityId: key, action, profile: key, before: { favorites: before }, after: { favorites: after } });
+}
+
+/**
+ * GET /api/profiles/:key/favorites
+ *
+ * Response
+ * - 200 { ok:true, items: string[], imported: boolean }
+ *   `imported` tells the frontend whether the localStorage migration ran.
+ */
+export async function getFavorites(req, res, next) {
+  try {
+    const profile = await Profile.findOne({ key: keyOf(req) }, { favorites: 1, favoritesImportedAt: 1 }).lean();
+    if (!profile) throw new ApiError("not_found");
+    res.json({ ok: true, items: profile.favorites || [], imported: Boolean(profile.favoritesImportedAt) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/profiles/:key/favorites
+ * Replaces the whole favorites list.
+ *
+ * Body: { appids: Array<string|number> }
+ * Response
+ * - 200 { ok:true, items: string[] }
+ * - 400 invalid_appids | 404 not_found
+ */
+export async function replaceFavorites(req, res, next) {
+  try {
+    const ids = normalizeAppids((req.body || {}).appids);
+
+    const key = keyOf(req);
+    const before = await Profile.findOneAndUpdate(
+      { key },
+      { $set: { favorites: ids } },
+      { new: false, projection: { favorites: 1 } }
+    ).lean();
+    if (!before) throw new ApiError("not_found");
+    auditFavorites(req, key, "favorites_replace", before.favorites || [], ids);
+    res.json({ ok: true, items: ids });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/profiles/:key/favorites/:appid    -> add (idempotent)
+ * DELETE /api/profiles/:key/favorites/:appid -> remove (idempotent)
+ *
+ * Response
+ * - 200 { ok:true, items: string[] }
+ */
+export async function addFavorite(req, res, next) {
+  try {
+    const appid = String(req.params.appid || "").trim();
+    const key = keyOf(req);
+    const before = await Profile.findOneAndUpdate(
+      { key },
+      { $addToSet: { favorites: appid } },
+      { new: false, projection: { favorites: 1 } }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.profiles.findOneAndUpdate({ key: "<key>" }, { $addToSet: { favorites: "<appid>" } }, { returnDocument: "before" })
+    if (!before) throw new ApiError("not_found");
+    const previous = before.favorites || [];
+    const items = previous.includes(appid) ? previous : [...previous, appid]; // $addToSet appends
+    auditFavorites(req, key, "favorites_add", previous, items);
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/** @see addFavorite */
+export async function removeFavorite(req, res, next) {
+  try {
+    const appid = String(req.params.appid || "").trim();
+    const key = keyOf(req);
+    const before = await Profile.findOneAndUpdate(
+      { key },
+      { $pull: { favorites: appid } },
+      { new: false, projection: { favorites: 1 } }
+    ).lean();
+    if (!before) throw new ApiError("not_found");
+    const previous = before.favorites || [];
+    const items = previous.filter(id => id !== appid);
+    auditFavorites(req, key, "favorites_remove", previous, items);
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/profiles/:key/favorites/import
+ * One-shot migration of legacy localStorage favorites. Merges the given
+ * appids into the server list the FIRST time only; later calls are no-ops
+ * so a stale browser cannot resurrect removed favorites.
+ *
+ * Body: { appids: Array<string|number> }
+ * Response
+ * - 200 { ok:true, imported: number, alreadyImported: boolean, items: string[] }
+ * - 400 invalid_appids | 404 not_found
+ */
+export async function importFavorites(req, res, next) {
+  try {
+    const ids = normalizeAppids((req.body || {}).appids);
+
+    const key = keyOf(req);
+    const before = await Profile.findOneAndUpdate(
+      { key, favoritesImportedAt: null },
+      { $addToSet: { favorites: { $each: ids } }, $set: { favoritesImportedAt: new Date() } },
+      { new: false, projection: { favorites: 1 } }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.profiles.findOneAndUpdate(
+    //   { key: "<key>", favoritesImportedAt: null },
+    //   { $addToSet: { favorites: { $each: [...] } }, $set: { favoritesImportedAt: new Date() } }
+    // )
+
+    const current = await Profile.findOne({ key }, { favorites: 1 }).lean();
+    if (!current) throw new ApiError("not_found");
+
+    const imported = before ? current.favorites.length - (before.favorites || []).length : 0;
+    if (before) auditFavorites(req, key, "favorites_import", before.favorites || [], current.favorites);
+    res.json({ ok: true, imported, alreadyImported: !before, items: current.favorites });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Price watch list                                                           */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * GET /api/profiles/:key/watchlist
+ * Watched games with their current price, price stats and an alert flag,
+ * under the profile's own safety policy.
+ *
+ * Response
+ * - 200 { ok:true, items: [{ appid, targetPrice, addedAt,
+ *          game: { appid, name, header_image, price, price_stats },
+ *          alert: "target"|"all_time_low"|"below_avg"|null }] }
+ */
+export async function getWatchlist(req, res, next) {
+  try {
+    const key = keyOf(req);
+    const profile = await Profile.findOne({ key }, { watchlist: 1 }).lean();
+    if (!profile) throw new ApiError("not_found");
+    const items = await watchlistItems(profile.watchlist || [], { safety: await getProfileSafetyRules(key) });
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/profiles/:key/watchlist/:appid
+ * Watch a game, or change its target price (idempotent).
+ *
+ * Body: { targetPrice?: number|null }
+ * Response
+ * - 200 { ok:true, entry: { appid, targetPrice, addedAt } }
+ * - 400 invalid_target_price | 404 not_found / game_not_found | 409 watchlist_full { max }
+ */
+export async function putWatch(req, res, next) {
+  try {
+    const key = keyOf(req);
+    const appid = String(req.params.appid || "").trim();
+    const raw = (req.body || {}).targetPrice;
+    const targetPrice = raw === undefined || raw === null || raw === "" ? null : Number(raw);
+    if (targetPrice !== null && !(Number.isFinite(targetPrice) && targetPrice >= 0)) {
+      throw new ApiError("invalid_target_price");
+    }
+
+    const profile = await Profile.findOne({ key });
+    if (!profile) throw new ApiError("not_found");
+    if (!(await Game.exists({ appid }))) throw new ApiError("game_not_found");
+
+    let entry = profile.watchlist.find(w => w.appid === appid);
+    const before = entry ? entry.toObject() : null;
+    if (entry) {
+      entry.targetPrice = targetPrice;
+    } else {
+      if (profile.watchlist.length >= MAX_WATCHLIST) throw new ApiError("watchlist_full", { max: MAX_WATCHLIST });
+      profile.watchlist.push({ appid, targetPrice });
+      entry = profile.watchlist[profile.watchlist.length - 1];
+    }
+    await profile.save();
+    // MongoDB (shell) equivalent:
+    // db.profiles.updateOne({ key: "<key>" }, { $push: { watchlist: { appid: "<appid>", targetPrice: 9.99, addedAt: new Date() } } })
+    const after = { appid, targetPrice: entry.targetPrice, addedAt: entry.addedAt };
+    auditChange(req, { entity: "watch", entityId: `${key}:${appid}`, action: before ? "update" : "create", profile: key, before, after });
+    res.json({ ok: true, entry: after });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/profiles/:key/watchlist/:appid (idempotent)
+ *
+ * Response
+ * - 200 { ok:true, appids: string[] }  remaining watched appids
+ */
+export async function removeWatch(req, res, next) {
+  try {
+    const appid = String(req.params.appid || "").trim();
+    const key = keyOf(req);
+    const profile = await Profile.findOneAndUpdate(
+      { key },
+      { $pull: { watchlist: { appid } } },
+      { new: false, projection: { watchlist: 1 } }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.profiles.findOneAndUpdate({ key: "<key>" }, { $pull: { watchlist: { appid: "<appid>" } } }, { returnDocument: "before" })
+    if (!profile) throw new ApiError("not_found");
+    const watchlist = profile.watchlist || [];
+    const before = watchlist.find(w => w.appid === appid);
+    if (before) auditChange(req, { entity: "watch", entityId: `${key}:${appid}`, action: "delete", profile: key, before, after: null });
+    res.json({ ok: true, appids: watchlist.filter(w => w.appid !== appid).map(w => w.appid) });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * =====================================================================
+ * Safety Policies Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - CRUD handlers for content-safety policies (models/SafetyPolicy.js):
+ *   the blocked tags, terms and age limit behind every "child" (or
+ *   policy-picking) profile's game queries.
+ *
+ * How it fits in the app
+ * - Wired in src/routes/safetyPolicies.js, mounted under
+ *   /api/safety-policies. Reads are public (the profile editor lists
+ *   them); writes are admin-only:
+ *     router.get   ("/",     policies.listPolicies);
+ *     router.get   ("/:key", policies.getPolicy);
+ *     router.post  ("/",     policies.createPolicy);
+ *     router.patch ("/:key", policies.updatePolicy);
+ *     router.delete("/:key", policies.deletePolicy);
+ *
+ * Conventions & Notes
+ * - Requests are validated against SAFETY_POLICIES_API (services/apiSchemas.js).
+ * - Responses use `{ ok, data|items }`; errors are ApiError codes answered
+ *   by middleware/errors.js.
+ * - Every write calls `forgetSafetyPolicy(key)` so the search routes never
+ *   filter with a stale policy for longer than a request.
+ * - A policy still picked by a profile (or the default one) cannot be
+ *   deleted: 409 policy_in_use.
+ * - Every write reports the policy before / after to the audit log
+ *   (services/audit.js).
+ * - Run `npm run check:safety` after editing a policy: it replays the
+ *   known-unsafe fixtures (seed/safety-fixtures.json) against it.
+ * =====================================================================
+ */
+
+import SafetyPolicy from "../models/SafetyPolicy.js";
+import Profile from "../models/Profile.js";
+import { ApiError } from "../services/apiErrors.js";
+import { forgetSafetyPolicy, compileSafetyRules } from "../services/safetyPolicies.js";
+import { auditChange } from "../services/audit.js";
+
+/** Fields accepted from request bodies. */
+const EDITABLE = ["name", "description", "tags", "tagMinVotes", "terms", "ageLimit"];
+
+/**
+ * Pick the editable fields of a body. `terms` is flattened to dotted paths
+ * so a PATCH of `terms.name` keeps the developer/publisher lists.
+ * @param {Record<string, any>} body
+ * @returns {Record<string, any>}
+ */
+function editableFields(body = {}) {
+  const out = {};
+  EDITABLE.forEach(k => {
+    if (body[k] === undefined) return;
+    if (k === "terms" && body.terms && typeof body.terms === "object") {
+      ["name", "developers", "publishers"].forEach(t => {
+        if (body.terms[t] !== undefined) out[`terms.${t}`] = body.terms[t];
+      });
+    } else {
+      out[k] = body[k];
+    }
+  });
+  return out;
+}
+
+/** Case-insensitive lookup key from the route param. */
+const keyOf = (req) => String(req.params.key || "").trim().toLowerCase();
+
+/**
+ * GET /api/safety-policies
+ *
+ * Response
+ * - 200 { ok:true, items: SafetyPolicy[], defaultKey: string }
+ */
+export async function listPolicies(_req, res, next) {
+  try {
+    const items = await SafetyPolicy.find({}).sort({ key: 1 }).lean();
+    // MongoDB (shell) equivalent:
+    // db.safety_policies.find({}).sort({ key: 1 })
+    res.json({ ok: true, items, defaultKey: SafetyPolicy.DEFAULT_KEY });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/safety-policies/:key
+ * One policy with its compiled rules (see services/safetyPolicies.js).
+ *
+ * Response
+ * - 200 { ok:true, data: SafetyPolicy, rules: object[] }
+ * - 404 not_found
+ */
+export async function getPolicy(req, res, next) {
+  try {
+    const policy = await SafetyPolicy.findOne({ key: keyOf(req) }).lean();
+    if (!policy) throw new ApiError("not_found");
+    res.json({ ok: true, data: policy, rules: compileSafetyRules(policy) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/safety-policies
+ *
+ * Body: { key, name, description?, tags?: string[], tagMinVotes?: number,
+ *         terms?: { name?, developers?, publishers?: string[] }, ageLimit?: number|null }
+ * Response
+ * - 201 { ok:true, data: SafetyPolicy }
+ * - 400 validation_error | 409 duplicate (key already used)
+ */
+export async function createPolicy(req, res, next) {
+  try {
+    const { key, ...rest } = req.body || {};
+    const policy = new SafetyPolicy({ key });
+    policy.set(editableFields(rest));
+    await policy.save();
+    forgetSafetyPolicy(policy.key);
+    const data = policy.toObject();
+    auditChange(req, { entity: "safety_policy", entityId: policy.key, action: "create", before: null, after: data });
+    res.status(201).json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/safety-policies/:key
+ * Partial update; the key is immutable (profiles reference it).
+ *
+ * Response
+ * - 200 { ok:true, data: SafetyPolicy }
+ * - 400 validation_error
+ * - 404 not_found
+ */
+export async function updatePolicy(req, res, next) {
+  try {
+    const key = keyOf(req);
+    const before = await SafetyPolicy.findOne({ key }).lean();
+    if (!before) throw new ApiError("not_found");
+    const policy = await SafetyPolicy.findOneAndUpdate(
+      { key },
+      { $set: editableFields(req.body || {}) },
+      { new: true, runValidators: true }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.safety_policies.findOneAndUpdate({ key: "<key>" }, { $set: { tags: [...], "terms.name": [...] } }, { returnDocument: "after" })
+    if (!policy) throw new ApiError("not_found");
+    forgetSafetyPolicy(key);
+    auditChange(req, { entity: "safety_policy", entityId: key, action: "update", before, after: policy });
+    res.json({ ok: true, data: policy });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/safety-policies/:key
+ *
+ * Response
+ * - 204 No Content
+ * - 404 not_found
+ * - 409 policy_in_use { profiles?: string[] }
+ */
+export async function deletePolicy(req, res, next) {
+  try {
+    const key = keyOf(req);
+    if (key === SafetyPolicy.DEFAULT_KEY) throw new ApiError("policy_in_use");
+
+    const users = await Profile.distinct("key", { safetyPolicy: key });
+    // MongoDB (shell) equivalent:
+    // db.profiles.distinct("key", { safetyPolicy: "<key>" })
+    if (users.length) throw new ApiError("policy_in_use", { profiles: users });
+
+    const policy = await SafetyPolicy.findOneAndDelete({ key }).lean();
+    if (!policy) throw new ApiError("not_found");
+    forgetSafetyPolicy(key);
+    auditChange(req, { entity: "safety_policy", entityId: key, action: "delete", before: policy, after: null });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * =====================================================================
+ * Saved Searches Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - Named searches per profile (models/SavedSearch.js), re-run from the
+ *   browser's sidebar.
+ *
+ * How it fits in the app
+ * - Wired in src/routes/savedSearches.js, mounted under /api/saved-searches
+ *   and validated against SAVED_SEARCHES_API (services/apiSchemas.js).
+ *   Every route needs a session with access to the owning profile
+ *   (src/middleware/auth.js): saved searches are personal.
+ *
+ * Conventions & Notes
+ * - Responses use `{ ok, data|items }`; errors are ApiError codes answered
+ *   by middleware/errors.js.
+ * - Saving under a name the profile already uses replaces that search.
+ * - "aggregation" entries (the query builder's named pipelines) are held to
+ *   the raw console's policy when saved; their pipeline is stored as JSON
+ *   text and answered as an array.
+ * =====================================================================
+ */
+
+import mongoose from "mongoose";
+import SavedSearch, { MAX_SAVED_SEARCHES } from "../models/SavedSearch.js";
+import { validatePipeline } from "../services/aggregationPolicy.js";
+import { ApiError } from "../services/apiErrors.js";
+import { auditChange } from "../services/audit.js";
+import { getAllowedProfiles } from "../services/profiles.js";
+
+/** Profile key, checked against the profiles collection. */
+async function requireProfile(value) {
+  const profile = String(value || "").trim().toLowerCase();
+  const allowed = await getAllowedProfiles();
+  if (!allowed.includes(profile)) throw new ApiError("invalid_profile", { allowed });
+  return profile;
+}
+
+/** Stored document -> response item (the pipeline text parsed back). */
+const toItem = (doc) => (doc.pipeline ? { ...doc, pipeline: JSON.parse(doc.pipeline) } : doc);
+
+/**
+ * Key of the profile owning a saved search (used by requireProfileAccess
+ * on /api/saved-searches/:id).
+ *
+ * @param {unknown} id
+ * @returns {Promise<string|null>} null for malformed or unknown ids.
+ */
+export async function profileOfSavedSearch(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const doc = await SavedSearch.findById(id, { profile: 1 }).lean();
+  // MongoDB (shell) equivalent:
+  // db.saved_searches.findOne({ _id: ObjectId("<id>") }, { profile: 1 })
+  return doc ? doc.profile : null;
+}
+
+/**
+ * GET /api/saved-searches?profile=<key>&kind=search|aggregation
+ *
+ * Response
+ * - 200 { ok:true, items: SavedSearch[] } sorted by name
+ * - 400 invalid_profile
+ */
+export async function listSavedSearches(req, res, next) {
+  try {
+    const profile = await requireProfile(req.query.profile);
+    const kind = req.query.kind || "search";
+    const items = await SavedSearch.find({ profile, kind }).sort({ name: 1 }).lean();
+    // MongoDB (shell) equivalent:
+    // db.saved_searches.find({ profile: "<profile>", kind: "search" }).sort({ name: 1 })
+    res.json({ ok: true, items: items.map(toItem) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/saved-searches
+ * Body: { profile, name, query, kind? } | { profile, name, kind:"aggregation", pipeline }
+ *
+ * Response
+ * - 201 { ok:true, data: SavedSearch } (new name) | 200 (replaced)
+ * - 400 invalid_profile | validation_error (also when the profile already
+ *   has MAX_SAVED_SEARCHES searches, or an aggregation has no pipeline)
+ * - 400 { error, path, detail } when the pipeline breaks the aggregation policy
+ */
+export async function saveSearch(req, res, next) {
+  try {
+    const profile = await requireProfile(req.body.profile);
+    const { name, query = "", kind = "search", pipeline } = req.body;
+    const key = { profile, kind, name: name.trim() };
+    if (kind === "aggregation") {
+      if (!pipeline) throw new ApiError("validation_error", { details: { "body.pipeline": "required for kind \"aggregation\"" } });
+      validatePipeline(pipeline);
+    }
+    const fields = kind === "aggregation" ? { pipeline: JSON.stringify(pipeline) } : { query };
+
+    const before = await SavedSearch.findOne(key).lean();
+    if (!before && (await SavedSearch.countDocuments({ profile, kind })) >= MAX_SAVED_SEARCHES) {
+      throw new ApiError("validation_error", { details: { body: `at most ${MAX_SAVED_SEARCHES} saved searches per profile` } });
+    }
+    const doc = await SavedSearch.findOneAndUpdate(
+      key,
+      { $set: fields },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    // MongoDB (shell) equivalent:
+    // db.saved_searches.findOneAndUpdate({ profile, kind, name }, { $set: { query } /* or { pipeline: "<json>" } */ },
+    //   { upsert: true, returnDocument: "after" })
+    auditChange(req, { entity: "saved_search", entityId: doc._id, action: before ? "update" : "create", profile, before, after: doc });
+    res.status(before ? 200 : 201).json({ ok: true, data: toItem(doc) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/saved-searches/:id
+ *
+ * Response
+ * - 204 No Content
+ * - 404 not_found
+ */
+export async function deleteSavedSearch(req, res, next) {
+  try {
+    const doc = await SavedSearch.findByIdAndDelete(req.params.id).lean();
+    // MongoDB (shell) equivalent:
+    // db.saved_searches.deleteOne({ _id: ObjectId("<id>") })
+    if (!doc) throw new ApiError("not_found");
+    auditChange(req, { entity: "saved_search", entityId: doc._id, action: "delete", profile: doc.profile, before: doc, after: null });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * =====================================================================
+ * Users Controller (Express + Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - CRUD handlers for user accounts (models/User.js).
+ * - An account owns browsing profiles (models/Profile.js); the profile
+ *   handlers live in profilesController.js.
+ *
+ * How it fits in the app
+ * - Wired in src/routes/users.js, mounted under /api/users (admin-only):
+ *     router.get   ("/",    users.listUsers);
+ *     router.get   ("/:id", users.getUser);
+ *     router.post  ("/",    users.createUser);
+ *     router.patch ("/:id", users.updateUser);
+ *     router.delete("/:id", users.deleteUser);
+ *
+ * Conventions & Notes
+ * - Requests are validated against USERS_API (services/apiSchemas.js).
+ * - Responses use `{ ok, data|items }`; errors are ApiError codes answered
+ *   by middleware/errors.js.
+ * - Reads use `.lean()`; updates run schema validators.
+ * - Passwords are hashed with services/auth.js and never returned
+ *   (`passwordHash` is `select: false` on the model).
+ * - Every write reports the account before / after to the audit log
+ *   (services/audit.js), without its password hash.
+ * - Write errors are forwarded with `next(err)`: middleware/errors.js
+ *   answers validation errors / malformed ids with 400 and a duplicate
+ *   email with 409.
+ * =====================================================================
+ */
+
+import { User } from "../models/User.js";
+import Profile from "../models/Profile.js";
+import { ApiError } from "../services/apiErrors.js";
+import { forgetProfile } from "../services/profiles.js";
+import { hashPassword, MIN_PASSWORD_LENGTH } from "../services/auth.js";
+import { auditChange } from "../services/audit.js";
+
+/**
+ * Password policy check shared by create/update.
+ * @param {unknown} password
+ * @throws {ApiError} weak_password (with the `minLength`)
+ */
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiError("weak_password", { minLength: MIN_PASSWORD_LENGTH });
+  }
+}
+
+/**
+ * Audit snapshot of an account: never the password hash (a password
+ * change shows up as the `tokenVersion` bump).
+ * @param {object|null} user - Plain account object.
+ * @returns {object|null}
+ */
+function userState(user) {
+  if (!user) return null;
+  const { passwordHash: _hash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * GET /api/users
+ * Lists all accounts, most recent first.
+ *
+ * Response
+ * - 200 { ok:true, items: User[] }
+ */
+export async function listUsers(req, res, next) {
+  try {
+    const items = await User.find().sort({ createdAt: -1 }).lean();
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/users/:id
+ * One account with the profiles it owns.
+ *
+ * Response
+ * - 200 { ok:true, data: User & { profiles: Profile[] } }
+ * - 404 not_found
+ */
+export async function getUser(req, res, next) {
+  try {
+    const user = await User.findById(req.params.id).lean();
+    if (!user) throw new ApiError("not_found");
+    const profiles = await Profile.find({ user: user._id }, { favorites: 0 }).sort({ key: 1 }).lean();
+    res.json({ ok: true, data: { ...user, profiles } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/users
+ * Creates an account.
+ *
+ * Body: { name: string, email: string, password: string, role?: "member"|"admin" }
+ * Response
+ * - 201 { ok:true, data: User }
+ * - 400 weak_password { minLength }
+ */
+export async function createUser(req, res, next) {
+  try {
+    const { name, email, password, role } = req.body || {};
+    checkPassword(password);
+    const user = await User.create({ name, email, role, passwordHash: await hashPassword(password) });
+    const data = user.toObject();
+    auditChange(req, { entity: "user", entityId: user._id, action: "create", before: null, after: userState(data) });
+    res.status(201).json({ ok: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/users/:id
+ * Updates name, email, role and/or password. A new password or role revokes
+ * the account's existing sessions.
+ *
+ * Body: { name?: string, email?: string, role?: "member"|"admin", password?: string }
+ * Response
+ * - 200 { ok:true, data: User }
+ * - 400 weak_password { minLength }
+ * - 404 not_found
+ */
+export async function updateUser(req, res, next) {
+  try {
+    const $set = {};
+    const update = { $set };
+    const { name, email, role, password } = req.body || {};
+    if (name !== undefined) $set.name = name;
+    if (email !== undefined) $set.email = email;
+    if (role !== undefined) $set.role = role;
+    if (password !== undefined) {
+      checkPassword(password);
+      $set.passwordHash = await hashPassword(password);
+    }
+    if (role !== undefined || password !== undefined) update.$inc = { tokenVersion: 1 };
+
+    const before = await User.findById(req.params.id).lean();
+    if (!before) throw new ApiError("not_found");
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true }).lean();
+    if (!user) throw new ApiError("not_found");
+    auditChange(req, { entity: "user", entityId: user._id, action: "update", before: userState(before), after: userState(user) });
+    res.json({ ok: true, data: user });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/users/:id
+ * Removes an account. Its profiles are kept (with their favorites and
+ * GOTY picks) but become unowned.
+ *
+ * Response
+ * - 204 No Content
+ * - 404 not_found
+ */
+export async function deleteUser(req, res, next) {
+  try {
+    const user = await User.findByIdAndDelete(req.params.id).lean();
+    if (!user) throw new ApiError("not_found");
+
+    const owned = await Profile.find({ user: user._id }, { key: 1 }).lean();
+    await Profile.updateMany({ user: user._id }, { $set: { user: null } });
+    // MongoDB (shell) equivalent:
+    // db.profiles.updateMany({ user: ObjectId("<id>") }, { $set: { user: null } })
+    owned.forEach(p => forgetProfile(p.key));
+
+    auditChange(req, { entity: "user", entityId: user._id, action: "delete", before: userState(user), after: null });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
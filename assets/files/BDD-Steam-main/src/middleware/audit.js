@@ -0,0 +1,40 @@
+// src/middleware/audit.js
+
+/**
+ * =====================================================================
+ * Audit trail middleware
+ * ---------------------------------------------------------------------
+ * Mounted on /api after the session middleware. For POST / PUT / PATCH /
+ * DELETE requests it writes the audit entries (services/audit.js) once the
+ * response is sent with a 2xx/3xx status: the changes the handler reported
+ * with auditChange(), or one entry naming the route otherwise. Failed
+ * requests changed nothing and are not logged.
+ *
+ * Writing happens after the response, so it never delays or fails the
+ * request; a failed insert is logged.
+ * =====================================================================
+ */
+
+import { writeAudit } from "../services/audit.js";
+import { routeLabel } from "./metrics.js";
+
+const MUTATING = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+/**
+ * Routes that change nothing worth auditing (reads sent as POST, session
+ * handling), matched on the route pattern.
+ */
+const NOT_WRITES = new Set([
+  "/api/games/search", "/api/games/facets", "/api/games/recommendations", "/api/games/compare", "/api/games/agg",
+  "/api/auth/login", "/api/auth/logout",
+]);
+
+/** @type {import("express").RequestHandler} */
+export function auditTrail(req, res, next) {
+  if (!MUTATING.has(req.method)) return next();
+  res.on("finish", () => {
+    if (res.statusCode >= 400 || NOT_WRITES.has(routeLabel(req))) return;
+    writeAudit(req, res).catch(err => console.error(`audit: ${req.method} ${req.originalUrl} not recorded:`, err));
+  });
+  next();
+}
@@ -0,0 +1,134 @@
+// src/middleware/auth.js
+
+/**
+ * =====================================================================
+ * Authentication & authorization middlewares
+ * ---------------------------------------------------------------------
+ * Chain
+ * - `authenticate` runs on every /api request (see src/app.js). It never
+ *   rejects: it only sets `req.user` ({ _id, name, email, role }) when a
+ *   valid, non-revoked token is present.
+ * - Routes then opt into the guards below:
+ *     requireAuth                 -> 401 unauthorized without a session
+ *     requireRole("admin", ...)   -> 403 forbidden for other roles
+ *     requireProfileAccess(pick)  -> 403 unless the profile is owned by the
+ *                                    caller or the caller is admin (unowned
+ *                                    profiles, e.g. the seeded defaults, are
+ *                                    admin-only until one is assigned)
+ *     blockChildProfile(pick)     -> 403 when the request acts as a "child"
+ *                                    profile or one under a safety policy,
+ *                                    400 when it names no known profile
+ *                                    (used by POST /api/games/agg)
+ *
+ * Rejections are ApiErrors passed to `next`, answered by
+ * middleware/errors.js like every other API error.
+ *
+ * `pick(req)` returns the profile key the request acts on, e.g.
+ * `(req) => req.body.profile` or `(req) => req.params.key`, or a promise
+ * of it (e.g. the owner of the collection in the route).
+ * =====================================================================
+ */
+
+import { User } from "../models/User.js";
+import { ApiError } from "../services/apiErrors.js";
+import { getProfile } from "../services/profiles.js";
+import { policyKeyFor } from "../services/safetyPolicies.js";
+import { tokenFromRequest, verifyToken } from "../services/auth.js";
+
+/**
+ * Resolve the session token (if any) to `req.user`.
+ */
+export async function authenticate(req, _res, next) {
+  req.user = null;
+  try {
+    const claims = verifyToken(tokenFromRequest(req));
+    if (!claims) return next();
+
+    const user = await User.findById(claims.sub, { name: 1, email: 1, role: 1, tokenVersion: 1 }).lean();
+    // MongoDB (shell) equivalent:
+    // db.users.findOne({ _id: ObjectId("<sub>") }, { name: 1, email: 1, role: 1, tokenVersion: 1 })
+    if (user && (user.tokenVersion || 0) === claims.tv) {
+      req.user = { _id: user._id, name: user.name, email: user.email, role: user.role };
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Reject anonymous requests with 401.
+ */
+export function requireAuth(req, _res, next) {
+  if (!req.user) return next(new ApiError("unauthorized"));
+  next();
+}
+
+/**
+ * Allow only the given account roles (implies requireAuth).
+ * @param {...string} roles
+ */
+export function requireRole(...roles) {
+  return (req, _res, next) => {
+    if (!req.user) return next(new ApiError("unauthorized"));
+    if (!roles.includes(req.user.role)) return next(new ApiError("forbidden"));
+    next();
+  };
+}
+
+/**
+ * The ownership rule of requireProfileAccess, for handlers that degrade
+ * instead of rejecting: admins may use any profile, other accounts the
+ * profiles they own (and unknown keys), anonymous callers none.
+ *
+ * @param {{ _id: unknown, role: string }|null|undefined} user - `req.user`.
+ * @param {unknown} key - Profile key.
+ * @returns {Promise<boolean>}
+ */
+export async function hasProfileAccess(user, key) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  const profile = await getProfile(key);
+  return !profile || String(profile.user || "") === String(user._id);
+}
+
+/**
+ * Allow writes on a profile only to its owner and to admins. Unowned
+ * profiles (the seeded defaults, or those of a deleted account) are
+ * admin-only until an admin assigns them (`PATCH /api/profiles/:key`
+ * with `{ user }`).
+ * Unknown profiles fall through so the handler can answer 400/404.
+ *
+ * @param {(req: import("express").Request) => unknown} pick - Profile key getter (may be async).
+ */
+export function requireProfileAccess(pick) {
+  return async (req, _res, next) => {
+    try {
+      if (!req.user) throw new ApiError("unauthorized");
+      if (!(await hasProfileAccess(req.user, await pick(req)))) throw new ApiError("forbidden");
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Reject requests made on behalf of a "child" profile, or of any profile
+ * browsing under a content-safety policy (raw aggregations would bypass it).
+ * The request must name a known profile: without one there is nothing to
+ * check the restriction against.
+ * @param {(req: import("express").Request) => unknown} pick - Profile key getter.
+ */
+export function blockChildProfile(pick) {
+  return async (req, _res, next) => {
+    try {
+      const profile = await getProfile(await pick(req));
+      if (!profile) throw new ApiError("invalid_profile");
+      if (policyKeyFor(profile)) throw new ApiError("profile_forbidden");
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
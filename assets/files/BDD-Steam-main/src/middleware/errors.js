@@ -0,0 +1,68 @@
+// src/middleware/errors.js
+
+/**
+ * =====================================================================
+ * Central API error handling
+ * ---------------------------------------------------------------------
+ * Mounted last on /api (see src/app.js):
+ *   apiNotFound   -> 404 not_found for unknown /api routes (instead of
+ *                    Express' HTML page)
+ *   errorHandler  -> every error a handler throws or passes to `next`,
+ *                    answered with the JSON envelope
+ *                    `{ ok:false, error:<code>, ...extra }`
+ *
+ * Mapping (codes and statuses: services/apiErrors.js)
+ * - ApiError                  -> its code / status / extra fields
+ * - PipelineViolation         -> 400 { error, path, detail } (raw aggregation policy)
+ * - body-parser JSON failure  -> 400 invalid_json, 413 payload_too_large
+ * - Mongoose ValidationError  -> 400 validation_error { details }
+ * - Mongoose CastError        -> 400 invalid_id on `_id`, else validation_error { details }
+ * - duplicate key (11000)     -> 409 duplicate { detail }
+ * - anything else             -> 500 server_error, logged with the route
+ * =====================================================================
+ */
+
+import { ApiError } from "../services/apiErrors.js";
+import { PipelineViolation } from "../services/aggregationPolicy.js";
+
+/**
+ * Translate an error into an ApiError (or keep a PipelineViolation).
+ *
+ * @param {any} err
+ * @returns {ApiError|PipelineViolation|null} null when the error is unexpected.
+ */
+function toApiError(err) {
+  if (err instanceof ApiError || err instanceof PipelineViolation) return err;
+  if (err?.type === "entity.parse.failed") return new ApiError("invalid_json");
+  if (err?.type === "entity.too.large") return new ApiError("payload_too_large");
+  if (err?.name === "ValidationError" && err.errors) {
+    const details = Object.fromEntries(Object.entries(err.errors).map(([k, v]) => [k, v.message]));
+    return new ApiError("validation_error", { details });
+  }
+  if (err?.name === "CastError") {
+    return err.path === "_id" ? new ApiError("invalid_id") : new ApiError("validation_error", { details: { [err.path]: err.message } });
+  }
+  if (err?.code === 11000) return new ApiError("duplicate", { detail: err.keyValue });
+  return null;
+}
+
+/**
+ * 404 for /api paths no router answered.
+ */
+export function apiNotFound(_req, _res, next) {
+  next(new ApiError("not_found"));
+}
+
+/**
+ * Express error middleware (4 arguments) for /api.
+ */
+export function errorHandler(err, req, res, _next) {
+  const known = toApiError(err);
+  if (!known) {
+    console.error(`${req.method} ${req.originalUrl} error:`, err);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+  const status = known instanceof PipelineViolation ? 400 : known.status;
+  if (status >= 500) console.error(`${req.method} ${req.originalUrl} error:`, err);
+  res.status(status).json({ ok: false, ...known.toJSON() });
+}
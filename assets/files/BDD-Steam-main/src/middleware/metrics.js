@@ -0,0 +1,54 @@
+// src/middleware/metrics.js
+
+/**
+ * =====================================================================
+ * Request metrics middleware
+ * ---------------------------------------------------------------------
+ * Mounted on /api before the routers: counts every API response and
+ * records its latency (services/metrics.js) once it is sent.
+ *
+ * The route label is the matched Express pattern ("/api/games/:id/prices").
+ * `req.baseUrl` cannot be trusted once the response finishes (a router
+ * resets it when a handler passes an error on), so the mount prefix is
+ * rebuilt from the URL: its path minus as many segments as the route
+ * pattern has. Requests no route matched (404s, bodies rejected by the
+ * JSON parser...) are labelled "unmatched".
+ * =====================================================================
+ */
+
+import { observeRequest, requestStarted } from "../services/metrics.js";
+
+/**
+ * "/api/games/123/prices" matched by "/:id/prices" -> "/api/games/:id/prices".
+ * Also the `route` of audit entries (middleware/audit.js).
+ * @param {import("express").Request} req
+ */
+export function routeLabel(req) {
+  if (typeof req.route?.path !== "string") return "unmatched";
+  const pattern = req.route.path === "/" ? "" : req.route.path;
+  const segments = req.originalUrl.split("?")[0].split("/").filter(Boolean);
+  const depth = pattern.split("/").filter(Boolean).length;
+  return `/${segments.slice(0, segments.length - depth).join("/")}${pattern}`;
+}
+
+/** @type {import("express").RequestHandler} */
+export function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  requestStarted();
+
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    observeRequest({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  };
+  // "close" covers clients that hang up before the response is complete.
+  res.on("finish", finish);
+  res.on("close", finish);
+  next();
+}
@@ -0,0 +1,25 @@
+// src/middleware/requestId.js
+
+/**
+ * =====================================================================
+ * Request ids
+ * ---------------------------------------------------------------------
+ * Gives every request an id: the caller's X-Request-Id when it looks sane
+ * (a proxy may set one), otherwise a random UUID. It is stored as `req.id`,
+ * echoed in the X-Request-Id response header and recorded with every
+ * audit entry (services/audit.js), so a log line, a response and an audit
+ * entry can be matched.
+ * =====================================================================
+ */
+
+import crypto from "node:crypto";
+
+const VALID_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/** @type {import("express").RequestHandler} */
+export function requestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
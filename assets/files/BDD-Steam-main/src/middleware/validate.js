@@ -0,0 +1,35 @@
+// src/middleware/validate.js
+
+/**
+ * =====================================================================
+ * Request validation middleware
+ * ---------------------------------------------------------------------
+ * validateRequest(spec) checks `req.params`, `req.query` and `req.body`
+ * against the schemas of a route spec (services/apiSchemas.js) and
+ * forwards a 400 `validation_error` with field-level details:
+ *
+ *   { ok:false, error:"validation_error",
+ *     details: { "body.filters.priceMin": "must be number", "query.limit": "must be <= 30" } }
+ *
+ * The request is left untouched: handlers keep normalizing their inputs.
+ * =====================================================================
+ */
+
+import { ApiError } from "../services/apiErrors.js";
+import { validateSchema } from "../services/schemaValidation.js";
+
+/**
+ * @param {{ params?: object, query?: object, body?: object }} spec - Route spec.
+ * @returns {import("express").RequestHandler}
+ */
+export function validateRequest(spec) {
+  return (req, _res, next) => {
+    const details = {
+      ...(spec.params ? validateSchema(spec.params, req.params, { path: "params", coerce: true }) : {}),
+      ...(spec.query ? validateSchema(spec.query, req.query, { path: "query", coerce: true }) : {}),
+      ...(spec.body ? validateSchema(spec.body, req.body ?? {}, { path: "body" }) : {}),
+    };
+    if (Object.keys(details).length) return next(new ApiError("validation_error", { details }));
+    next();
+  };
+}
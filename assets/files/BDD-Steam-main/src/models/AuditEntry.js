@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * AuditEntry model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - Append-only log of API writes (collection "audit_log"): who did what,
+ *   acting as which profile, through which route, with the before/after
+ *   state of the changed entity when the handler reported it.
+ * - Written by the audit middleware (middleware/audit.js) once a mutating
+ *   request succeeded; read by GET /api/audit.
+ *
+ * Append-only
+ * - Update / delete / replace operations on this model throw. Entries are
+ *   only ever inserted (services/audit.js).
+ *
+ * Notes
+ * - `entity` names the kind of thing changed ("goty", "game", or the API
+ *   resource of the route when the handler did not report a change) and
+ *   `entityId` its id ("<profile>:<year>" for a GOTY ballot, the appid for
+ *   a game).
+ * - `diff` lists the changed paths: { path, before, after }.
+ * - Request bodies are never stored (passwords, tokens).
+ * =====================================================================
+ */
+const AuditEntrySchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+
+    /** X-Request-Id of the request (middleware/requestId.js). */
+    requestId: { type: String, required: true },
+
+    /** Signed-in user, null for anonymous writes. */
+    actor: {
+      type: new mongoose.Schema(
+        { user: mongoose.Schema.Types.ObjectId, name: String, email: String, role: String },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    /** Profile key the request acted as (body.profile, :key, ...). */
+    profile: { type: String, default: null },
+
+    method: { type: String, required: true },
+    /** Express route pattern ("/api/games/goty/set"). */
+    route: { type: String, required: true },
+    status: Number,
+
+    entity: { type: String, required: true },
+    entityId: { type: String, default: null },
+    /** "create" | "update" | "delete" | "restore" | the HTTP method. */
+    action: { type: String, required: true },
+
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    diff: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  {
+    collection: "audit_log",
+    versionKey: false,
+  }
+);
+
+AuditEntrySchema.index({ at: -1 });
+AuditEntrySchema.index({ entity: 1, entityId: 1, at: -1 });
+AuditEntrySchema.index({ profile: 1, at: -1 });
+AuditEntrySchema.index({ "actor.email": 1, at: -1 });
+AuditEntrySchema.index({ requestId: 1 });
+
+/** Refuse every write but inserts. */
+const WRITE_OPS = [
+  "updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete",
+];
+AuditEntrySchema.pre(WRITE_OPS, function () {
+  throw new Error("audit_log is append-only");
+});
+AuditEntrySchema.pre("save", function () {
+  if (!this.isNew) throw new Error("audit_log is append-only");
+});
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.AuditEntry || mongoose.model("AuditEntry", AuditEntrySchema);
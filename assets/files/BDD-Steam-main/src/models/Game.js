@@ -24,8 +24,22 @@ import mongoose from "mongoose";
  * - Indexes are created to accelerate common queries/sorts (by appid, name,
  *   scores, recommendations, price, platforms, genres, languages).
  * - `appid` is unique+sparse to guard against duplicates when provided.
+ * - Soft delete: admins (/api/admin/games) set `deleted_at` instead of
+ *   removing the document. Every find / findOne / countDocuments /
+ *   distinct / aggregate on this model skips deleted games unless the
+ *   query opts in with `.setOptions({ withDeleted: true })` (aggregate:
+ *   `.option({ withDeleted: true })`), see the hooks below.
  * ================================================================
  */
+/** Who made an admin change (copied from req.user, see middleware/auth.js). */
+const ActorSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    email: String,
+  },
+  { _id: false }
+);
+
 const GameSchema = new mongoose.Schema(
   {
     /**
@@ -39,10 +53,23 @@ const GameSchema = new mongoose.Schema(
     name: String,
 
     /**
-     * Release date as a string (kept as-is from source dataset).
-     * - Consider normalizing to Date for range queries if needed.
+     * Release date (UTC midnight), normalized by the ingestion CLI
+     * (npm run ingest). Documents imported before it may still hold the
+     * raw dataset string ("Oct 21, 2008"); pipelines accept both.
      */
-    release_date: String,
+    release_date: Date,
+
+    /** Raw release text when it is not a date ("Coming soon", "TBA"). */
+    release_date_text: String,
+
+    /**
+     * Derived from release_date (services/releaseDates.js), null when
+     * unknown. Used by the releasedFrom / releasedTo / year filters and the
+     * date sorts; documents imported before they existed are filled by
+     * `npm run backfill:release-dates`.
+     */
+    release_ts: Date,
+    release_year: Number,
 
     /**
      * Price in default currency units.
@@ -51,6 +78,24 @@ const GameSchema = new mongoose.Schema(
      */
     price: Number,
 
+    /**
+     * Derived from the price_history collection (services/priceHistory.js),
+     * refreshed whenever a price point is recorded:
+     * - min / max / avg over every recorded price, `points` = their count
+     * - `recent`: the last PRICE_RECENT_POINTS prices (card sparkline)
+     * - `deal`: "all_time_low" | "below_avg" | null (the "deals" category)
+     */
+    price_stats: {
+      min: Number,
+      max: Number,
+      avg: Number,
+      points: Number,
+      recent: [Number],
+      since: Date,
+      changed_at: Date,
+      deal: String,
+    },
+
     /** Platform availability flags used by platform filters. */
     windows: Boolean,
     mac: Boolean,
@@ -93,6 +138,26 @@ const GameSchema = new mongoose.Schema(
      */
     favorite: Boolean,
 
+    /**
+     * Ingestion bookkeeping (src/services/ingest.js): hash of the last
+     * ingested record (change detection) and when it was written.
+     */
+    ingest_hash: String,
+    ingested_at: Date,
+
+    /**
+     * Admin edits (src/controllers/adminGamesController.js): who created /
+     * last changed / soft-deleted the game and when. `curated_fields` lists
+     * the fields an admin fixed by hand; later ingest runs leave them alone.
+     */
+    created_at: Date,
+    created_by: ActorSchema,
+    updated_at: Date,
+    updated_by: ActorSchema,
+    deleted_at: Date,
+    deleted_by: ActorSchema,
+    curated_fields: [String],
+
     // Keep compatibility with extra fields from the dataset:
     // Any additional keys present in source documents will be preserved
     // because schema uses { strict:false } (see schema options below).
@@ -105,28 +170,42 @@ const GameSchema = new mongoose.Schema(
      * Switch to true or "throw" if you want to enforce a closed schema.
      */
     strict: false,
+    /**
+     * Queries keep conditions on those undeclared fields too (`tags.<tag>`,
+     * `required_age`...). The global strictQuery (config/db.js) would
+     * silently drop them from Game.find() / exists() filters.
+     */
+    strictQuery: false,
   }
 );
 
 /* =============================== Indexes =============================== *
  * These indexes support common API queries and sorts used by the frontend.
  * Note: Ensure your MongoDB instance has resources to build these.
+ * To check which one a query uses, call POST /api/games/search?explain=1
+ * (or open the explain drawer in the UI with ?dev=1).
  */
 
 /** Unique (when present) identifier to prevent duplicate entries by appid. */
 GameSchema.index({ appid: 1 }, { unique: true, sparse: true });
 
+/**
+ * Sort indexes: each sort key followed by the `appid` tie-breaker of the
+ * keyset cursors (buildCursorSort in src/routes/games.js), so a page seeks
+ * to its cursor and reads `limit + 1` keys in either direction.
+ */
+
 /** Speeds up name lookup and sorting A–Z / Z–A. */
-GameSchema.index({ name: 1 });
+GameSchema.index({ name: 1, appid: 1 });
 
 /** Optimizes sorting by highest user score first. */
-GameSchema.index({ user_score: -1 });
+GameSchema.index({ user_score: -1, appid: -1 });
 
 /** Optimizes sorting by most recommended/popular first. */
 GameSchema.index({ recommendations: -1 });
 
 /** Enables efficient price range filters and price-based sorting. */
-GameSchema.index({ price: 1 });
+GameSchema.index({ price: 1, appid: 1 });
 
 /**
  * Compound index for platform filters (windows/mac/linux).
@@ -140,6 +219,52 @@ GameSchema.index({ genres: 1 });
 /** Accelerates filtering by supported language(s). */
 GameSchema.index({ supported_languages: 1 });
 
+/** Date range filters (releasedFrom / releasedTo) and chronological sorts. */
+GameSchema.index({ release_ts: -1, appid: -1 });
+
+/** Release year filter, years facet and the GOTY typeahead. */
+GameSchema.index({ release_year: 1 });
+
+/** "deals" category. */
+GameSchema.index({ "price_stats.deal": 1 });
+
+/**
+ * Soft delete: the `deleted_at: null` filter every read adds (see below)
+ * and the admin listing of deleted games. Not sparse: a sparse index
+ * leaves out the live games (no `deleted_at` field), so it cannot serve
+ * `deleted_at: null`.
+ */
+GameSchema.index({ deleted_at: 1 });
+
+/* ============================ Soft delete ============================= */
+
+/** Stages that must stay first in a pipeline (no $match may precede them). */
+const LEADING_STAGES = ["$geoNear", "$collStats", "$indexStats", "$search", "$searchMeta", "$documents"];
+
+/**
+ * Reads skip soft-deleted games. `deleted_at: null` also matches games that
+ * never had the field. The `withDeleted` option is consumed here so it is
+ * never sent to MongoDB.
+ */
+GameSchema.pre(["find", "findOne", "countDocuments", "distinct"], function () {
+  const { withDeleted } = this.getOptions();
+  if (withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+  this.where({ deleted_at: null });
+});
+
+GameSchema.pre("aggregate", function () {
+  if (this.options.withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+  const first = Object.keys(this.pipeline()[0] || {})[0];
+  if (LEADING_STAGES.includes(first)) return;
+  this.pipeline().unshift({ $match: { deleted_at: null } });
+});
+
 /**
  * Model export:
  * - Reuse existing model if it was already compiled (helps in dev/hot reload)
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * GameCollection model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - A named, ordered list of games kept by one profile ("Couch co-op",
+ *   "To play 2026", ...), with a free-text note per entry. Favorites stay
+ *   the flat per-profile list on models/Profile.js.
+ *
+ * How this model is used
+ * - /api/collections (src/routes/collections.js) exposes CRUD, entry
+ *   edits and the read-only share link.
+ * - POST /api/games/search accepts a collection id as `filters.category`;
+ *   src/services/collections.js resolves it to the ordered appids
+ *   buildMatch filters on.
+ * - Entry order is the array order (`entries[0]` first).
+ *
+ * Schema options
+ * - collection: "collections", timestamps: true, versionKey: false.
+ * =====================================================================
+ */
+
+/** Upper bound of entries per collection. */
+export const MAX_COLLECTION_ENTRIES = 1000;
+
+const EntrySchema = new mongoose.Schema(
+  {
+    /** Steam appid (string, as on games). */
+    appid: { type: String, required: true, trim: true },
+
+    /** Free-text note shown on the card ("play with Sam", "wait for a sale"). */
+    note: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const GameCollectionSchema = new mongoose.Schema(
+  {
+    /** Owning profile key (models/Profile.js). */
+    profile: { type: String, required: true, trim: true, lowercase: true, index: true },
+
+    /** Display name, unique per profile. */
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+
+    description: { type: String, trim: true, maxlength: 500, default: "" },
+
+    /** Games in display order. */
+    entries: {
+      type: [EntrySchema],
+      default: [],
+      validate: {
+        validator: (v) => v.length <= MAX_COLLECTION_ENTRIES,
+        message: `at most ${MAX_COLLECTION_ENTRIES} entries`,
+      },
+    },
+
+    /**
+     * Token of the read-only share link (`/shared/<token>`), or null when
+     * the collection is not shared. Revoking sets it back to null.
+     */
+    shareToken: { type: String, default: null },
+  },
+  {
+    collection: "collections",
+    timestamps: true,   // adds createdAt, updatedAt
+    versionKey: false,  // omit "__v"
+  }
+);
+
+/**
+ * Indexes
+ * - { profile, name } unique: no two collections with the same name per profile.
+ * - { shareToken } unique for shared collections only (partial: many nulls).
+ */
+GameCollectionSchema.index({ profile: 1, name: 1 }, { unique: true });
+GameCollectionSchema.index(
+  { shareToken: 1 },
+  { unique: true, partialFilterExpression: { shareToken: { $type: "string" } } }
+);
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.GameCollection || mongoose.model("GameCollection", GameCollectionSchema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * GameNeighbors model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - Precomputed "more like this" list for one game, so
+ *   GET /api/games/:id/similar answers with one indexed read instead of
+ *   scoring a candidate pool on every request.
+ *
+ * How this model is used
+ * - Written by the batch job (npm run neighbors, src/cli/compute-neighbors.js)
+ *   and by the endpoint itself after a live computation.
+ * - Lists are stored WITHOUT safety filtering; the endpoint filters the
+ *   neighbors with the profile's safety policy at read time.
+ * - A list is stale when the game was re-ingested after `computedAt`
+ *   (Game.ingested_at), or when SIMILARITY_VERSION changed.
+ * =====================================================================
+ */
+const NeighborSchema = new mongoose.Schema(
+  {
+    appid: { type: String, required: true },
+    /** Similarity score (see services/similarGames.js). */
+    score: { type: Number, required: true },
+    /** Short reasons ("3 shared tags", "same developer Valve", ...). */
+    reasons: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const GameNeighborsSchema = new mongoose.Schema(
+  {
+    /** Game the list belongs to (Steam appid). */
+    appid: { type: String, required: true, unique: true },
+
+    /** Best neighbors first. */
+    neighbors: { type: [NeighborSchema], default: [] },
+
+    computedAt: { type: Date, required: true },
+
+    /** Scoring version the list was computed with. */
+    version: { type: Number, required: true },
+  },
+  {
+    collection: "game_neighbors",
+    versionKey: false,
+  }
+);
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.GameNeighbors || mongoose.model("GameNeighbors", GameNeighborsSchema);
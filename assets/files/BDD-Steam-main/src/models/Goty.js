@@ -5,16 +5,22 @@ import mongoose from "mongoose";
  * Goty model (Mongoose)
  * ---------------------------------------------------------------------
  * Purpose
- * - Stores one "Game of the Year" (GOTY) assignment per (profile, year).
- * - Enforced uniqueness guarantees that each profile can have at most
- *   one GOTY for a given calendar year.
+ * - Stores a ranked "Game of the Year" (GOTY) ballot per (profile, year):
+ *   up to GOTY_RANKS picks, rank 1 being the winner.
+ * - Enforced uniqueness guarantees one game per (profile, year, rank) and
+ *   that a game appears at most once on a ballot.
  *
  * How this model is used
  * - Consumed by backend endpoints like:
- *     POST /api/games/goty/set    -> create or replace a GOTY for (profile, year)
- *     POST /api/games/goty/unset  -> remove a GOTY by {year, profile} or {appid, profile}
+ *     POST /api/games/goty/set    -> create or replace the pick at (profile, year, rank)
+ *     POST /api/games/goty/unset  -> remove a pick, or a whole year's ballot
+ *     GET  /api/games/goty/{timeline,compare,leaderboard,export}
+ *                                 -> read views (src/services/goty.js)
  * - The frontend calls those endpoints from the GOTY modal/typeahead and
  *   shows/removes the badge on game cards accordingly.
+ * - `profile` holds a Profile key (see models/Profile.js). Valid keys live
+ *   in the "profiles" collection, so the router checks them instead of a
+ *   schema enum.
  *
  * Schema options
  * - collection: "gotys"   -> explicit MongoDB collection name.
@@ -23,20 +29,22 @@ import mongoose from "mongoose";
  * =====================================================================
  */
 
+/** Picks per ballot (rank 1..GOTY_RANKS). */
+export const GOTY_RANKS = 3;
+
 /**
- * Per-profile GOTY assignments.
- * Exactly one (appid) per (profile, year).
+ * Per-profile GOTY ballots.
+ * Exactly one (appid) per (profile, year, rank).
  */
 const GotySchema = new mongoose.Schema(
   {
     /**
-     * Owner of the GOTY pick.
-     * Limited to supported frontend personas. Indexed for fast lookups.
+     * Owner of the GOTY pick (Profile key).
+     * Validated against the profiles collection by the router. Indexed for fast lookups.
      */
     profile: {
       type: String,
       required: true,
-      enum: ["kid", "person1", "person2"],
       index: true,
     },
 
@@ -51,6 +59,13 @@ const GotySchema = new mongoose.Schema(
      * Indexed for quick reverse lookups (what year(s) for this game/profile?).
      */
     appid: { type: String, required: true, index: true },
+
+    /**
+     * Place on the year's ballot: 1 = Game of the Year, 2 and 3 = runners-up.
+     * Picks stored before ballots existed are migrated to 1
+     * (see ensureGotyBallots in src/services/goty.js).
+     */
+    rank: { type: Number, required: true, min: 1, max: GOTY_RANKS, default: 1 },
   },
   {
     collection: "gotys",
@@ -60,10 +75,12 @@ const GotySchema = new mongoose.Schema(
 );
 
 /**
- * Enforce uniqueness of one GOTY per (profile, year).
- * Example: ("person1", 2023) can only point to a single appid.
+ * Enforce uniqueness of one pick per (profile, year, rank), and of a game
+ * per ballot.
+ * Example: ("person1", 2023, 1) can only point to a single appid.
  */
-GotySchema.index({ profile: 1, year: 1 }, { unique: true });
+GotySchema.index({ profile: 1, year: 1, rank: 1 }, { unique: true });
+GotySchema.index({ profile: 1, year: 1, appid: 1 }, { unique: true });
 
 /**
  * Secondary compound index:
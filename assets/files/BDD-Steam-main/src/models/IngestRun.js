@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * IngestRun model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - One document per dataset ingestion (src/cli/ingest.js), holding the
+ *   change report: how many games were added / updated / removed and
+ *   which rows were rejected.
+ *
+ * Notes
+ * - Appid lists and rejects are capped (REPORT_LIST_LIMIT in
+ *   services/ingest.js) to stay far below the 16 MB document limit; the
+ *   CLI's --report option writes the complete lists to a file.
+ * - Dry runs are not recorded.
+ * =====================================================================
+ */
+const IngestRunSchema = new mongoose.Schema(
+  {
+    /** Source file and detected/forced format. */
+    file: { type: String, required: true },
+    format: { type: String, enum: ["json", "ndjson", "csv"], required: true },
+
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, required: true },
+
+    /** Whether games missing from the dump were deleted (--prune). */
+    pruned: { type: Boolean, default: false },
+
+    /** { read, valid, rejected, added, updated, unchanged, removed } */
+    totals: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    /** Appids per change kind (capped). */
+    added: { type: [String], default: [] },
+    updated: { type: [String], default: [] },
+    removed: { type: [String], default: [] },
+
+    /** Rejected rows (capped): { row, appid, errors: [string] } */
+    rejects: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  {
+    collection: "ingest_runs",
+    versionKey: false,
+  }
+);
+
+IngestRunSchema.index({ startedAt: -1 });
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.IngestRun || mongoose.model("IngestRun", IngestRunSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * PriceHistory model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - One document per observed price of a game: Game.price only holds the
+ *   latest value and is overwritten by every import.
+ *
+ * How this model is used
+ * - Written by the ingestion step (services/ingest.js) whenever a game is
+ *   added with a price or its price changes, and by
+ *   `npm run backfill:prices` for catalogs imported before it existed.
+ * - services/priceHistory.js derives `Game.price_stats` (min / max / avg,
+ *   recent points for the card sparkline, deal flag) from this collection.
+ * - GET /api/games/:id/prices returns a game's series.
+ *
+ * Schema options
+ * - collection: "price_history", versionKey: false (append-only).
+ * =====================================================================
+ */
+const PriceHistorySchema = new mongoose.Schema(
+  {
+    /** Steam appid (string, as on games). */
+    appid: { type: String, required: true, trim: true },
+
+    /** Observed price in default currency units (0 = free). */
+    price: { type: Number, required: true, min: 0 },
+
+    /**
+     * When the price was observed: the ingestion time, or the dump date
+     * given with `npm run ingest -- <file> --as-of <date>`.
+     */
+    at: { type: Date, required: true },
+
+    /** What recorded the point. */
+    source: { type: String, enum: ["ingest", "backfill", "admin"], default: "ingest" },
+  },
+  {
+    collection: "price_history",
+    versionKey: false,
+  }
+);
+
+/** A game's series in time order. */
+PriceHistorySchema.index({ appid: 1, at: 1 });
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.PriceHistory || mongoose.model("PriceHistory", PriceHistorySchema);
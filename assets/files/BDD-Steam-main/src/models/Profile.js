@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+
+/** Upper bound of games in one profile's price watch list. */
+export const MAX_WATCHLIST = 500;
+
+/** Upper bound of appids accepted in one favorites payload. */
+export const MAX_FAVORITES = 5000;
+
+/**
+ * =====================================================================
+ * Profile model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - A browsing persona ("kid", "person1", ...) owned by a User account.
+ *   One account (a household) can own several profiles.
+ * - Replaces the hardcoded ["kid","person1","person2"] list: the frontend
+ *   profile switcher, the GOTY routes and the safety policies all read
+ *   profiles from this collection.
+ *
+ * How this model is used
+ * - /api/profiles (src/routes/profiles.js) exposes CRUD, favorites and
+ *   the price watch list.
+ * - src/services/profiles.js resolves a profile key to its document; its
+ *   role and `safetyPolicy` decide the content-safety policy applied to
+ *   every game query (src/services/safetyPolicies.js).
+ * - GOTY picks stay in the "gotys" collection, keyed by `profile` (= key).
+ *
+ * Schema options
+ * - collection: "profiles", timestamps: true, versionKey: false.
+ * =====================================================================
+ */
+const ProfileSchema = new mongoose.Schema(
+  {
+    /**
+     * Stable public identifier, sent by the frontend as `filters.profile`
+     * and stored on GOTY picks. Slug-like, unique.
+     */
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: /^[a-z0-9_-]{2,32}$/,
+    },
+
+    /** Display name in the profile switcher. */
+    name: { type: String, required: true, trim: true },
+
+    /**
+     * "child" profiles always browse under a safety policy (their own pick
+     * or the default one) and cannot run raw aggregations; "adult" profiles
+     * see the full catalog unless they pick a policy.
+     */
+    role: { type: String, required: true, enum: ["child", "adult"], default: "adult" },
+
+    /**
+     * Content-safety policy key (models/SafetyPolicy.js) this profile
+     * browses under. null: "child" profiles get the default policy,
+     * "adult" profiles are unrestricted.
+     */
+    safetyPolicy: { type: String, trim: true, lowercase: true, default: null },
+
+    /**
+     * Owning account (optional: the seeded default profiles are shared
+     * until an account claims them).
+     */
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+
+    /** Favorite Steam appids (strings), most recent last. */
+    favorites: { type: [String], default: [] },
+
+    /**
+     * Set once the browser's legacy localStorage favorites were imported,
+     * so the one-shot migration never runs twice for the same profile.
+     */
+    favoritesImportedAt: { type: Date, default: null },
+
+    /**
+     * Price watch list: games whose price the profile follows, with an
+     * optional target price. GET /api/profiles/:key/watchlist flags
+     * entries at/below target or on a deal (see services/priceHistory.js).
+     */
+    watchlist: {
+      type: [
+        {
+          _id: false,
+          appid: { type: String, required: true, trim: true },
+          targetPrice: { type: Number, min: 0, default: null },
+          addedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (list) => list.length <= MAX_WATCHLIST,
+        message: `a watch list holds at most ${MAX_WATCHLIST} games`,
+      },
+    },
+  },
+  {
+    collection: "profiles",
+    timestamps: true,   // adds createdAt, updatedAt
+    versionKey: false,  // omit "__v"
+  }
+);
+
+/**
+ * Profiles created on first startup when the collection is empty, matching
+ * the personas the app shipped with.
+ */
+ProfileSchema.statics.DEFAULTS = [
+  { key: "kid", name: "Kid", role: "child" },
+  { key: "person1", name: "Person 1", role: "adult" },
+  { key: "person2", name: "Person 2", role: "adult" },
+];
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.Profile || mongoose.model("Profile", ProfileSchema);
@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * SafetyPolicy model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - A named content-safety policy ("under-10", "under-16", ...) holding
+ *   the blocked tags, blocked terms and age threshold that used to be
+ *   hardcoded in getKidSafetyFilter (routes/games.js) and in the
+ *   frontend's BAD_GENRES list.
+ *
+ * How this model is used
+ * - Each profile picks one (`Profile.safetyPolicy`); "child" profiles
+ *   without a pick get DEFAULT_KEY.
+ * - src/services/safetyPolicies.js compiles a policy into rules, then into
+ *   the server $match (search, facets, recommendations, similar games) and
+ *   the rules the frontend guard evaluates (GET /api/safety-policies/:key).
+ * - Edited through the admin routes in src/routes/safetyPolicies.js.
+ * - seed/safety-fixtures.json lists known-unsafe games every policy must
+ *   block; check them with `npm run check:safety`.
+ *
+ * Schema options
+ * - collection: "safety_policies", timestamps: true, versionKey: false.
+ * =====================================================================
+ */
+
+/** Trimmed, non-empty strings. */
+const termList = { type: [{ type: String, trim: true }], default: [] };
+
+const SafetyPolicySchema = new mongoose.Schema(
+  {
+    /** Stable identifier referenced by profiles (slug, unique). */
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: /^[a-z0-9_-]{2,32}$/,
+    },
+
+    /** Display name in the profile editor. */
+    name: { type: String, required: true, trim: true },
+
+    description: { type: String, default: "" },
+
+    /**
+     * Blocked tags: matched as keys of the `tags` object, as values of
+     * `genres` / `categories` and inside `steamspy_tags`.
+     */
+    tags: termList,
+
+    /**
+     * Minimum vote count for a blocked `tags` key to count (0 = any
+     * presence). Lets a policy ignore a tag only a handful of users applied.
+     */
+    tagMinVotes: { type: Number, min: 0, default: 0 },
+
+    /** Blocked terms, matched accent- and case-insensitively as substrings. */
+    terms: {
+      name: termList,
+      developers: termList,
+      publishers: termList,
+    },
+
+    /**
+     * Games whose `required_age` is at least this are blocked
+     * (null = no age check).
+     */
+    ageLimit: { type: Number, min: 0, max: 99, default: null },
+  },
+  {
+    collection: "safety_policies",
+    timestamps: true,   // adds createdAt, updatedAt
+    versionKey: false,  // omit "__v"
+  }
+);
+
+/** Policy applied to "child" profiles that did not pick one. */
+SafetyPolicySchema.statics.DEFAULT_KEY = "under-10";
+
+/* ---- Default policies (seeded when the collection is empty) ---- */
+
+/** Explicit adult content, blocked by every default policy. */
+const ADULT_TAGS = [
+  "Sexual Content", "Nudity", "Mature", "Adult", "NSFW",
+  "Hentai", "Porn", "Erotic", "XXX", "Ecchi", "Loli",
+];
+
+const ADULT_TITLE_WORDS = [
+  "Hentai", "Porn", "Sex", "Nude", "Nudity", "Erotic", "XXX", "NSFW",
+  "Loli", "Ecchi", "Waifu",
+  // Specific examples known to be adult-themed in some datasets
+  "Funbag", "Meltys", "NEKOMIMI", "Unlock Me", "Deep Space Waifu",
+  "Tower of Five Hearts", "K Station", "Kara no Shojo",
+];
+
+const ADULT_DEVELOPERS = [
+  "NSFW", "Hentai", "Adult", "Erotic",
+  "Waffle", "MangaGamer", "TsukiWare",
+  "Remtairy", "Kagura Games", "Neko Climax",
+  "Maya Games", "Perpetual FX Creative",
+];
+
+const ADULT_PUBLISHERS = ["MangaGamer", "Kagura Games", "Maya Games", "Remtairy", "Neko Climax"];
+
+/**
+ * Defaults created on first startup. "under-10" is the filter the kid
+ * profile always had; "under-16" only keeps the explicit content and gore
+ * out.
+ */
+SafetyPolicySchema.statics.DEFAULTS = [
+  {
+    key: "under-10",
+    name: "Under 10",
+    description: "No adult content, violence, romance or visual novels.",
+    tags: [
+      ...ADULT_TAGS,
+      // Soft signals that often accompany adult content
+      "Dating Sim", "Romance", "Anime",
+      // Violence
+      "Violent", "Gore", "Blood", "Brutal",
+      // Often adult-heavy genre in this dataset
+      "Visual Novel",
+    ],
+    tagMinVotes: 0,
+    terms: {
+      name: [...ADULT_TITLE_WORDS, "Gore", "Violent"],
+      developers: ADULT_DEVELOPERS,
+      publishers: ADULT_PUBLISHERS,
+    },
+    ageLimit: 10,
+  },
+  {
+    key: "under-16",
+    name: "Under 16",
+    description: "No adult content or gore.",
+    tags: [...ADULT_TAGS, "Gore"],
+    tagMinVotes: 0,
+    terms: {
+      name: [...ADULT_TITLE_WORDS, "Gore"],
+      developers: ADULT_DEVELOPERS,
+      publishers: ADULT_PUBLISHERS,
+    },
+    ageLimit: 16,
+  },
+];
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.SafetyPolicy || mongoose.model("SafetyPolicy", SafetyPolicySchema);
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+/**
+ * =====================================================================
+ * SavedSearch model (Mongoose)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - A named search kept by one profile and re-run from the sidebar of the
+ *   browser ("Co-op under 10€", "Indie 2024 by score").
+ *
+ * How this model is used
+ * - /api/saved-searches (src/routes/savedSearches.js) lists, saves and
+ *   deletes them.
+ * - `query` is the URL query string the frontend already keeps its filter
+ *   and sort state in ("genre=Action&sort=price-asc"); re-running a saved
+ *   search restores that state exactly like opening a shared link. The
+ *   profile is never part of it: a search always runs under the profile
+ *   (and safety policy) active when it is opened.
+ * - `kind` keeps other kinds of saved queries apart from browser searches
+ *   in the same collection: "aggregation" entries are the named pipelines
+ *   of the query builder (/query), kept in `pipeline` instead of `query`.
+ *
+ * Schema options
+ * - collection: "saved_searches", timestamps: true, versionKey: false.
+ * =====================================================================
+ */
+
+/** Kinds of saved queries. */
+export const SAVED_SEARCH_KINDS = ["search", "aggregation"];
+
+/** Upper bound of saved searches per profile and kind. */
+export const MAX_SAVED_SEARCHES = 50;
+
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    /** Owning profile key (models/Profile.js). */
+    profile: { type: String, required: true, trim: true, lowercase: true },
+
+    kind: { type: String, enum: SAVED_SEARCH_KINDS, default: "search" },
+
+    /** Display name, unique per profile and kind. */
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+
+    /** URL query string of the search, without the leading "?". */
+    query: { type: String, trim: true, maxlength: 2000, default: "" },
+
+    /**
+     * "aggregation" kind: JSON text of the pipeline. Stored as text because
+     * its stage keys ("$match", ...) are not valid update paths.
+     */
+    pipeline: { type: String, maxlength: 20000 },
+  },
+  {
+    collection: "saved_searches",
+    timestamps: true,   // adds createdAt, updatedAt
+    versionKey: false,  // omit "__v"
+  }
+);
+
+/**
+ * Indexes
+ * - { profile, kind, name } unique: saving under an existing name replaces it.
+ */
+SavedSearchSchema.index({ profile: 1, kind: 1, name: 1 }, { unique: true });
+
+/**
+ * Model export:
+ * - Reuse the compiled model if it exists (useful in dev/hot-reload)
+ *   to avoid OverwriteModelError.
+ */
+export default mongoose.models.SavedSearch || mongoose.model("SavedSearch", SavedSearchSchema);
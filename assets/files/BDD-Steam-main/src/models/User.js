@@ -6,6 +6,12 @@ import mongoose from "mongoose";
  * ---------------------------------------------------------------------
  * Purpose
  * - Represents an application user with a display name and a unique email.
+ * - An account owns one or more browsing profiles (models/Profile.js,
+ *   `Profile.user`), e.g. a household with "kid" and "person1".
+ * - Carries the login credentials (scrypt hash, see services/auth.js) and
+ *   the account role checked by middleware/auth.js:
+ *     • "member": may write favorites/GOTY of its own profiles and run /agg.
+ *     • "admin" : everything, including account management.
  *
  * How it fits in the app
  * - Typical usage in controllers/services for creating and looking up users:
@@ -37,14 +43,38 @@ const userSchema = new mongoose.Schema(
      * - Trimmed and normalized to lower-case before saving
      * - `unique: true` -> creates a unique index at the DB level
      */
-    email: { type: String, required: true, trim: true, lowercase: true, unique: true }
+    email: { type: String, required: true, trim: true, lowercase: true, unique: true },
+
+    /**
+     * Account role used for authorization.
+     */
+    role: { type: String, enum: ["member", "admin"], default: "member" },
+
+    /**
+     * scrypt password hash ("scrypt$N$salt$hash").
+     * - `select: false` keeps it out of every query unless explicitly
+     *   requested with `.select("+passwordHash")`.
+     */
+    passwordHash: { type: String, default: null, select: false },
+
+    /**
+     * Incremented on logout / password change; tokens signed with an older
+     * version are rejected, which makes stateless tokens revocable.
+     */
+    tokenVersion: { type: Number, default: 0 }
   },
   {
     /**
      * Adds `createdAt` and `updatedAt` Date fields automatically.
      * Useful for auditing and sorting.
      */
-    timestamps: true
+    timestamps: true,
+
+    /**
+     * Never serialize the password hash, even when it was selected.
+     */
+    toObject: { transform: (_doc, ret) => { delete ret.passwordHash; return ret; } },
+    toJSON: { transform: (_doc, ret) => { delete ret.passwordHash; return ret; } }
   }
 );
 
@@ -53,4 +83,4 @@ const userSchema = new mongoose.Schema(
  * - Third argument "users" sets the explicit MongoDB collection name.
  * - If you omit it, Mongoose would default to the pluralized model name.
  */
-export const User = mongoose.model("User", userSchema, "users");
+export const User = mongoose.models.User || mongoose.model("User", userSchema, "users");
@@ -0,0 +1,25 @@
+// src/routes/adminGames.js
+// Express router for the admin game editor. Thin wiring only: the handlers
+// live in src/controllers/adminGamesController.js. Mounted under
+// /api/admin/games; every route is admin-only and validated against
+// ADMIN_GAMES_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as games from "../controllers/adminGamesController.js";
+import { requireRole } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { ADMIN_GAMES_API as API } from "../services/apiSchemas.js";
+
+const router = Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", validateRequest(API.list), games.listGames);
+router.post("/", validateRequest(API.create), games.createGame);
+router.patch("/", validateRequest(API.bulkUpdate), games.bulkUpdateGames);
+router.get("/:appid", validateRequest(API.get), games.getGame);
+router.patch("/:appid", validateRequest(API.update), games.updateGame);
+router.delete("/:appid", validateRequest(API.remove), games.deleteGame);
+router.post("/:appid/restore", validateRequest(API.restore), games.restoreGame);
+
+export default router;
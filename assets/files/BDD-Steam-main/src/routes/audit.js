@@ -0,0 +1,23 @@
+// src/routes/audit.js
+// Audit log of API writes (services/audit.js), mounted under /api/audit:
+//   GET /api/audit?entity=&entityId=&profile=&actor=&route=&requestId=&from=&to=&before=&limit=
+//     -> 200 { ok:true, items, nextBefore }
+// Signed-in users only; non-admins get the GOTY entries, without emails.
+
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { AUDIT_API } from "../services/apiSchemas.js";
+import { listAudit } from "../services/audit.js";
+
+const router = Router();
+
+router.get("/", requireAuth, validateRequest(AUDIT_API.list), async (req, res, next) => {
+  try {
+    res.json({ ok: true, ...(await listAudit(req.query, { viewer: req.user })) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,18 @@
+// src/routes/auth.js
+// Express router for the session layer (login / logout / current user).
+// Thin wiring only: the handlers live in src/controllers/authController.js.
+// Mounted under /api/auth and validated against AUTH_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as auth from "../controllers/authController.js";
+import { requireAuth } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { AUTH_API as API } from "../services/apiSchemas.js";
+
+const router = Router();
+
+router.post("/login", validateRequest(API.login), auth.login);
+router.post("/logout", requireAuth, auth.logout);
+router.get("/me", auth.me);
+
+export default router;
@@ -0,0 +1,38 @@
+// src/routes/collections.js
+// Express router for per-profile game collections (wishlists) and their
+// read-only share links.
+// Thin wiring only: the handlers live in src/controllers/collectionsController.js.
+// Mounted under /api/collections. Every route but the share view needs a
+// session with access to the owning profile (see src/middleware/auth.js)
+// and every route is validated against COLLECTIONS_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as collections from "../controllers/collectionsController.js";
+import { requireProfileAccess } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { COLLECTIONS_API as API } from "../services/apiSchemas.js";
+import { profileOfCollection } from "../services/collections.js";
+
+const router = Router();
+
+/** Owning profile of the collection in the route. */
+const canUseCollection = requireProfileAccess((req) => profileOfCollection(req.params.id));
+
+/* Public, read-only (must come before "/:id") */
+router.get("/shared/:token", validateRequest(API.shared), collections.getSharedCollection);
+
+router.get("/", requireProfileAccess((req) => req.query.profile), validateRequest(API.list), collections.listCollections);
+router.post("/", requireProfileAccess((req) => (req.body || {}).profile), validateRequest(API.create), collections.createCollection);
+router.get("/:id", canUseCollection, validateRequest(API.get), collections.getCollection);
+router.patch("/:id", canUseCollection, validateRequest(API.update), collections.updateCollection);
+router.delete("/:id", canUseCollection, validateRequest(API.remove), collections.deleteCollection);
+
+/* Entries (ordering + notes) */
+router.put("/:id/entries/:appid", canUseCollection, validateRequest(API.putEntry), collections.putEntry);
+router.delete("/:id/entries/:appid", canUseCollection, validateRequest(API.removeEntry), collections.removeEntry);
+
+/* Share link */
+router.post("/:id/share", canUseCollection, validateRequest(API.share), collections.shareCollection);
+router.delete("/:id/share", canUseCollection, validateRequest(API.unshare), collections.unshareCollection);
+
+export default router;
@@ -1,158 +1,47 @@
 // src/routes/games.js
 // Express router that powers all game search, distinct lists, GOTY integration,
-// recommendations, raw aggregation execution (with guardrails), and single-item fetches.
+// recommendations, raw aggregation execution (with guardrails), statistics presets,
+// and single-item fetches.
 // This module interacts with MongoDB through the Mongoose models Game and Goty.
+// Every route validates its request against its spec in services/apiSchemas.js
+// (400 validation_error with field details) and forwards failures to the
+// central error middleware (middleware/errors.js) as typed ApiErrors.
 
 import { Router } from "express";
 import mongoose from "mongoose";
 import Game from "../models/Game.js";
 import Goty from "../models/Goty.js";
+import Profile from "../models/Profile.js";
+import { searchGames, highlightGame } from "../services/searchIndex.js";
+import { getAllowedProfiles, getProfileRole } from "../services/profiles.js";
+import { getProfileSafetyRules, safetyMatch } from "../services/safetyPolicies.js";
+import { requireRole, requireProfileAccess, blockChildProfile, hasProfileAccess } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { ApiError } from "../services/apiErrors.js";
+import { GAMES_API, STATS_API } from "../services/apiSchemas.js";
+import {
+  validatePipeline, capResults, resolveResultLimit, resolveMaxTime,
+} from "../services/aggregationPolicy.js";
+import { explainAggregate } from "../services/explain.js";
+import { STATS_PRESETS, presetParams, runStatsPreset } from "../services/statsPresets.js";
+import { releaseBound } from "../services/releaseDates.js";
+import { recommend, RECO_FIELDS } from "../services/recommendations.js";
+import {
+  computeNeighbors, getStoredNeighbors, saveNeighbors, NEIGHBORS_STORED, SIMILAR_FIELDS,
+} from "../services/similarGames.js";
+import { toDiacriticRegex } from "../services/textPatterns.js";
+import {
+  gotyTimeline, gotyComparison, gotyLeaderboard, gotyExportRows, toCsv, EXPORT_COLUMNS, ballotSnapshot,
+} from "../services/goty.js";
+import { auditChange } from "../services/audit.js";
+import {
+  isCollectionId, resolveCollectionFilter, collectionOrderStages,
+} from "../services/collections.js";
+import { getPriceSeries, dealsMatch, watchlistAppids } from "../services/priceHistory.js";
+import { readCache, writeCache, sendCached, invalidateCache, syncCatalogVersion } from "../services/cache.js";
 
 const router = Router();
 
-/* -------------------------------------------------------------------------- */
-/* Utils: diacritic-insensitive regex                                         */
-/* -------------------------------------------------------------------------- */
-
-/**
- * Escape RegExp metacharacters to safely embed arbitrary text inside regexes.
- * @param {string} s - Raw user text or term.
- * @returns {string} - Escaped string that can be safely used inside new RegExp().
- */
-function escapeRegExp(s) {
-  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
-/**
- * Mapping from a base Latin letter to a string of common diacritic variants.
- * Used to build accent-insensitive character classes for search inputs.
- */
-const DIACRITIC_MAP = {
-  a: "aàáâäãåāăą",
-  c: "cçćčĉ",
-  d: "dďđ",
-  e: "eèéêëēĕėę",
-  g: "gğĝ",
-  h: "hĥȟ",
-  i: "iìíîïīĭį",
-  l: "lĺļľł",
-  n: "nñńňņ",
-  o: "oòóôöõōŏő",
-  r: "rŕŗř",
-  s: "sßśšşș",
-  t: "tţťț",
-  u: "uùúûüūŭůű",
-  y: "yýÿŷ",
-  z: "zźżž",
-};
-
-/**
- * Convert a plain string to a diacritic-insensitive regex pattern.
- * Example: "cafe" -> "[cç][aàáâäãåāăą]f[eèéêëēĕėę]"
- * - Letters with known diacritics become character classes.
- * - Other characters are escaped literally.
- * @param {string} source - Input text (e.g., search term).
- * @returns {string} - Regex pattern string (not a RegExp object).
- */
-function toDiacriticRegex(source) {
-  const chars = String(source).split("");
-  const out = chars.map((ch) => {
-    const low = ch.toLowerCase();
-    if (DIACRITIC_MAP[low]) {
-      const cls = DIACRITIC_MAP[low].split("").map(escapeRegExp).join("");
-      return `[${cls}]`;
-    }
-    return escapeRegExp(ch);
-  });
-  return out.join("");
-}
-
-/* -------------------------------------------------------------------------- */
-/* Helper: Kid-safety exclusion conditions (OBJECT TAGS FIX)                  */
-/* -------------------------------------------------------------------------- */
-
-/**
- * Build a MongoDB condition that excludes adult/violent content for the "kid" profile.
- *
- * IMPORTANT SHAPE NOTE:
- * - `tags` are stored as an OBJECT (e.g. { "Nudity": 100, "Violent": 50, ... }),
- *   not as an array. We therefore check tag PRESENCE via dotted-path `$exists:true`.
- *
- * Coverage:
- * - Excludes bad words across categories/genres (arrays of strings).
- * - Excludes when any bad tag exists as a key in `tags` object.
- * - Excludes when `steamspy_tags` (string or array) matches bad terms.
- * - Excludes titles/developers/publishers containing problematic terms (regex).
- * - Excludes by explicit age rating (required_age >= 18).
- *
- * Returned shape:
- * - `{ $nor: [ ...conditions... ] }` so ANY of these signals will exclude a game.
- *
- * @returns {import("mongodb").Filter<unknown>} MongoDB NOR-based filter.
- */
-function getKidSafetyFilter() {
-  const badTags = [
-    // Explicit adult content
-    "Sexual Content", "Nudity", "Mature", "Adult", "NSFW",
-    "Hentai", "Porn", "Erotic", "XXX", "Ecchi", "Loli",
-    // Soft signals that often accompany adult content
-    "Dating Sim", "Romance", "Anime",
-    // Violence
-    "Violent", "Gore", "Blood", "Brutal",
-    // Often adult-heavy genre in this dataset
-    "Visual Novel",
-  ];
-
-  const norConditions = [];
-
-  // CATEGORIES / GENRES (arrays of strings)
-  norConditions.push({ categories: { $in: badTags } });
-  norConditions.push({ genres: { $in: badTags } });
-
-  // TAGS (object): exclude if any bad tag is present as a key
-  badTags.forEach(tag => {
-    norConditions.push({ [`tags.${tag}`]: { $exists: true } });
-  });
-
-  // STEAMSPY_TAGS (string or array) — handle both equality and regex match
-  const rxBadTags = new RegExp(badTags.map(w => toDiacriticRegex(w)).join("|"), "i");
-  norConditions.push({ steamspy_tags: { $in: badTags } });
-  norConditions.push({ steamspy_tags: rxBadTags });
-
-  // GAME TITLE (fuzzy)
-  const badTitleWords = [
-    "Hentai", "Porn", "Sex", "Nude", "Nudity", "Erotic", "XXX", "NSFW",
-    "Loli", "Ecchi", "Waifu", "Gore", "Violent",
-    // Specific examples known to be adult-themed in some datasets
-    "Funbag", "Meltys", "NEKOMIMI", "Unlock Me", "Deep Space Waifu",
-    "Tower of Five Hearts", "K Station", "Kara no Shojo"
-  ];
-  const rxBadName = new RegExp(badTitleWords.map(w => toDiacriticRegex(w)).join("|"), "i");
-  norConditions.push({ name: rxBadName });
-
-  // DEVELOPERS (array) — exclude by literal membership or fuzzy regex
-  const badDevTerms = [
-    "NSFW", "Hentai", "Adult", "Erotic",
-    "Waffle", "MangaGamer", "TsukiWare",
-    "Remtairy", "Kagura Games", "Neko Climax",
-    "Maya Games", "Perpetual FX Creative"
-  ];
-  const rxBadDev = new RegExp(badDevTerms.map(w => toDiacriticRegex(w)).join("|"), "i");
-  norConditions.push({ developers: { $in: badDevTerms } });
-  norConditions.push({ developers: rxBadDev });
-
-  // PUBLISHERS (array)
-  const badPubTerms = ["MangaGamer", "Kagura Games", "Maya Games", "Remtairy", "Neko Climax"];
-  const rxBadPub = new RegExp(badPubTerms.map(w => toDiacriticRegex(w)).join("|"), "i");
-  norConditions.push({ publishers: { $in: badPubTerms } });
-  norConditions.push({ publishers: rxBadPub });
-
-  // AGE RATING (numeric)
-  norConditions.push({ required_age: { $gte: 18 } });
-
-  return { $nor: norConditions };
-}
-
 /* -------------------------------------------------------------------------- */
 /* Helper: Extract favorite-derived characteristics for recommendations       */
 /* -------------------------------------------------------------------------- */
@@ -162,10 +51,11 @@ function getKidSafetyFilter() {
  * - Top genres / languages / developers / categories (by frequency)
  * - Price stats (average, min, max)
  *
- * For the "kid" profile, the analysis itself is restricted to kid-safe favorites.
+ * For profiles under a safety policy, the analysis itself is restricted to
+ * the favorites the policy allows.
  *
  * @param {Array<string>} appids - Favorite Steam app IDs (strings or coercible).
- * @param {string} [profile="person1"] - Active profile id; affects kid-safe filtering.
+ * @param {object[]|null} [safety=null] - Safety rules of the active profile (`f.safety`).
  * @returns {Promise<{
  *   topGenres: string[],
  *   topLanguages: string[],
@@ -176,13 +66,13 @@ function getKidSafetyFilter() {
  *   maxPrice: number|null
  * } | null>}
  */
-async function getFavoriteCharacteristics(appids, profile = "person1") {
+async function getFavoriteCharacteristics(appids, safety = null) {
   if (!Array.isArray(appids) || appids.length === 0) return null;
 
   const query = { appid: { $in: appids.map(String) } };
-  // For kid profile: ensure even the favorites inspected are kid-safe
-  if (String(profile) === "kid") {
-    Object.assign(query, getKidSafetyFilter());
+  // Restricted profiles: ensure even the favorites inspected pass the policy
+  if (safety) {
+    Object.assign(query, safetyMatch(safety));
   }
 
   const favorites = await Game.find(query)
@@ -190,7 +80,7 @@ async function getFavoriteCharacteristics(appids, profile = "person1") {
     .lean();
   // MongoDB (shell) equivalent of the query above:
   // db.games.find(
-  //   { appid: { $in: ["<id1>","<id2>", "..."] }, /* + getKidSafetyFilter() if profile==="kid" */ },
+  //   { appid: { $in: ["<id1>","<id2>", "..."] }, /* + safetyMatch(safety) for restricted profiles */ },
   //   { genres: 1, supported_languages: 1, developers: 1, categories: 1, price: 1 }
   // )
 
@@ -223,16 +113,83 @@ async function getFavoriteCharacteristics(appids, profile = "person1") {
   return { topGenres, topLanguages, topDevelopers, topCategories, avgPrice, minPrice, maxPrice };
 }
 
+/* -------------------------------------------------------------------------- */
+/* Helper: resolve free-text search through the in-process index              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Run `filters.search` through the search index and attach the ranked hits
+ * as `searchHits` (consumed by buildMatch and the relevance ranking).
+ * - Any client-provided `searchHits` is discarded.
+ * - If the index cannot be used (no token, build failure), the filters are
+ *   returned without hits and buildMatch falls back to the regex search.
+ *
+ * @param {Record<string, any>} filters - Raw filters from the client.
+ * @returns {Promise<Record<string, any>>} A shallow copy with `searchHits` set or removed.
+ */
+async function resolveTextSearch(filters = {}) {
+  const { searchHits: _ignored, ...rest } = filters || {};
+  const text = String(rest.search || "").trim();
+  if (!text) return rest;
+
+  try {
+    const hits = await searchGames(text);
+    return hits ? { ...rest, searchHits: hits } : rest;
+  } catch (e) {
+    console.error("search index unavailable, falling back to regex:", e);
+    return rest;
+  }
+}
+
+/**
+ * Server-side resolution of a client filter payload, run by every route
+ * before buildMatch:
+ * - `role`: looked up from the profiles collection for `filters.profile`
+ *   (never trusted from the client; null for unknown profiles).
+ * - `safety`: compiled rules of the profile's content-safety policy, or
+ *   null when unrestricted (see services/safetyPolicies.js).
+ * - `searchHits`: see resolveTextSearch.
+ * - `collection`: when `category` is a collection id, its ordered appids
+ *   and notes (see services/collections.js) if `user` may use the profile
+ *   (hasProfileAccess, the rule of the collection routes), empty lists
+ *   otherwise; client-sent values are dropped.
+ * - `watchlist`: for the "watchlist" category, the profile's watched appids
+ *   (see services/priceHistory.js); client-sent values are dropped.
+ *
+ * @param {Record<string, any>} filters - Raw filters (body or query string).
+ * @param {object|null} [user] - `req.user` of the request.
+ * @returns {Promise<Record<string, any>>} Resolved copy.
+ */
+async function resolveFilters(filters = {}, user = null) {
+  const resolved = await resolveTextSearch(filters);
+  resolved.role = await getProfileRole(resolved.profile);
+  resolved.safety = await getProfileSafetyRules(resolved.profile);
+  delete resolved.collection;
+  if (isCollectionId(resolved.category)) {
+    resolved.collection = await hasProfileAccess(user, resolved.profile)
+      ? await resolveCollectionFilter(resolved.category, resolved.profile)
+      : { id: resolved.category, appids: [], notes: [] };
+  }
+  delete resolved.watchlist;
+  if (resolved.category === "watchlist") resolved.watchlist = await watchlistAppids(resolved.profile);
+  return resolved;
+}
+
 /* -------------------------------------------------------------------------- */
 /* Utils: translate frontend filters to a MongoDB $match                      */
 /* -------------------------------------------------------------------------- */
 
 /**
  * Convert the filter object sent by the frontend into a MongoDB condition.
- * - Applies text search (accent-insensitive) across name/developers/genres.
- * - Applies category presets (favorites/best/recommendations placeholder).
- * - Applies platform/genre/language/developer/multiplayer/price constraints.
- * - If profile === "kid", injects the kid-safety exclusion block.
+ * - Applies text search: ranked appids from the search index when
+ *   `f.searchHits` was resolved (see resolveTextSearch), otherwise an
+ *   accent-insensitive regex across name/developers/genres.
+ * - Applies category presets (favorites/best/deals/watchlist/recommendations
+ *   placeholder), or a collection id (`f.collection`, resolved by resolveFilters).
+ * - Applies platform/genre/language/developer/multiplayer/release date/price
+ *   constraints.
+ * - If the profile browses under a safety policy (`f.safety`, see
+ *   resolveFilters), injects the policy's exclusion block.
  *
  * NOTE: "recommendations" is handled elsewhere; here we only avoid filtering it out.
  *
@@ -242,8 +199,11 @@ async function getFavoriteCharacteristics(appids, profile = "person1") {
 function buildMatch(f = {}) {
   const and = [];
 
-  // Text search across several fields, accent-insensitive using our char-class builder
-  if (f.search && String(f.search).trim()) {
+  // Text search: index hits when available (indexable $in on appid) ...
+  if (f.searchHits) {
+    and.push({ appid: { $in: f.searchHits.appids } });
+  } else if (f.search && String(f.search).trim()) {
+    // ... else fall back to the accent-insensitive regex (no index use)
     const pattern = toDiacriticRegex(String(f.search).trim());
     const rx = new RegExp(pattern, "i");
     and.push({ $or: [{ name: rx }, { developers: rx }, { genres: rx }] });
@@ -260,11 +220,22 @@ function buildMatch(f = {}) {
     case "best":
       and.push({ user_score: { $gte: 80 } });
       break;
+    case "deals":
+      // Latest price at an all-time low or below the historical average
+      // (flag derived from price_history, see services/priceHistory.js)
+      and.push(dealsMatch());
+      break;
+    case "watchlist":
+      // The profile's price watch list (resolved by resolveFilters)
+      and.push({ appid: { $in: f.watchlist || [] } });
+      break;
     case "recommendations":
       // Scoring-based; handled in a separate pipeline
       break;
     // "goty" is filtered after a $lookup joins GOTY data (see gotyJoinStages)
     default:
+      // Collection id: its games only (an unresolvable id matches nothing)
+      if (f.collection) and.push({ appid: { $in: f.collection.appids } });
       break;
   }
 
@@ -296,14 +267,25 @@ function buildMatch(f = {}) {
     and.push({ $or: [{ developers: dev }, { developers: devPattern }] });
   }
 
+  // Release date: exact year and/or range ("YYYY", "YYYY-MM", "YYYY-MM-DD";
+  // bounds are inclusive of the whole period given). Uses release_ts /
+  // release_year (see services/releaseDates.js); invalid values are ignored.
+  const year = Number(f.year);
+  if (f.year != null && f.year !== "" && Number.isInteger(year)) and.push({ release_year: year });
+  const from = releaseBound(f.releasedFrom);
+  const to = releaseBound(f.releasedTo, { end: true });
+  if (from || to) {
+    and.push({ release_ts: { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) } });
+  }
+
   // Price bounds (always enforced; the frontend provides defaults)
   const min = f.priceMin != null ? Number(f.priceMin) : 0;
   const max = f.priceMax != null ? Number(f.priceMax) : 999999;
   and.push({ price: { $gte: min, $lte: max } });
 
-  // Kid profile: apply global exclusions
-  if (String(f.profile) === "kid") {
-    and.push(getKidSafetyFilter());
+  // Restricted profile: apply its safety policy
+  if (f.safety) {
+    and.push(safetyMatch(f.safety));
   }
 
   if (!and.length) return {};
@@ -319,9 +301,9 @@ function buildMatch(f = {}) {
  * - Requires at least one overlapping genre with the favorite-derived profile,
  *   falling back to categories if no genres are available.
  * - Excludes already-favorited appids.
- * - Applies platform and kid-safety constraints as needed.
+ * - Applies platform and safety-policy constraints as needed.
  *
- * @param {Record<string, any>} f - Filters with at least `appids` and `profile`.
+ * @param {Record<string, any>} f - Resolved filters with at least `appids` and `safety`.
  * @returns {Promise<import("mongodb").Filter<unknown> | null>} - A match filter,
  *          or null when we cannot produce meaningful recommendations (no favorites).
  */
@@ -329,18 +311,18 @@ async function buildRecommendationMatch(f = {}) {
   const and = [];
 
   const favAppids = Array.isArray(f.appids) && f.appids.length ? f.appids : [];
-  const profile = String(f.profile || "person1");
+  const restricted = Boolean(f.safety);
   if (!favAppids.length) return null;
 
-  // Kid safety first to prune the pool early
-  if (profile === "kid") {
-    and.push(getKidSafetyFilter());
+  // Safety policy first to prune the pool early
+  if (restricted) {
+    and.push(safetyMatch(f.safety));
   }
 
-  const characteristics = await getFavoriteCharacteristics(favAppids, profile);
+  const characteristics = await getFavoriteCharacteristics(favAppids, f.safety);
   if (!characteristics) {
-    // With kid profile, we can still return a basic safety-only match (very broad)
-    if (profile === "kid") return { $and: and };
+    // With a restricted profile, we can still return a basic safety-only match (very broad)
+    if (restricted) return { $and: and };
     return null;
   }
 
@@ -487,6 +469,11 @@ async function buildRecommendationScoring(favAppids, characteristics) {
 /**
  * Translate a sort key into a MongoDB sort object.
  * For recommendation queries, score takes precedence, then rating, then name.
+ * "relevance" over index hits is ranked in process (rankByRelevance); in a
+ * pipeline there is no `relevance` field (no search, or the regex
+ * fallback), so every game ties and name order applies;
+ * "collection" on `collection_position` (collectionOrderStages), i.e. the
+ * order of the collection's entries.
  *
  * @param {string} [sortKey="name-asc"] - Frontend sort key.
  * @param {boolean} [isRecommendation=false] - If true, sort by recommendationScore.
@@ -501,9 +488,11 @@ function buildSort(sortKey = "name-asc", isRecommendation = false) {
     "name-desc": { name: -1 },
     "price-asc": { price: 1 },
     "price-desc":{ price: -1 },
-    "date-desc": { release_date_parsed: -1 },
-    "date-asc":  { release_date_parsed: 1 },
+    "date-desc": { release_ts: -1 },
+    "date-asc":  { release_ts: 1 },
     "rating-desc": { user_score: -1 },
+    "relevance": { relevance: -1, name: 1 },
+    "collection": { collection_position: 1, name: 1 },
   }[sortKey] || { name: 1 });
 }
 
@@ -528,7 +517,8 @@ function buildProjectList(reqProjection) {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Add a left-join to the per-profile GOTY collection and expose `goty_year`.
+ * Add a left-join to the per-profile GOTY collection and expose `goty_year`
+ * and `goty_rank` (place on that year's ballot, 1 = winner).
  * This is used both to display a badge in results and to filter the GOTY tab.
  *
  * @param {string} [profile="person1"] - Active profile id.
@@ -549,12 +539,14 @@ function gotyJoinStages(profile = "person1") {
   //           }
   //         }
   //       },
-  //       { $project: { _id: 0, year: 1 } },
+  //       { $sort: { rank: 1 } },
+  //       { $project: { _id: 0, year: 1, rank: 1 } },
   //       { $limit: 1 }
   //     ],
   //     as: "gotyP"
   // } },
-  // { $addFields: { goty_year: { $ifNull: [ { $arrayElemAt: ["$gotyP.year", 0] }, null ] } } },
+  // { $addFields: { goty_year: { $ifNull: [ { $arrayElemAt: ["$gotyP.year", 0] }, null ] },
+  //                 goty_rank: { $ifNull: [ { $arrayElemAt: ["$gotyP.rank", 0] }, null ] } } },
   // { $project: { gotyP: 0 } }
   return [
     {
@@ -572,36 +564,321 @@ function gotyJoinStages(profile = "person1") {
               },
             },
           },
-          { $project: { _id: 0, year: 1 } },
+          { $sort: { rank: 1 } },
+          { $project: { _id: 0, year: 1, rank: 1 } },
           { $limit: 1 },
         ],
         as: "gotyP",
       },
     },
-    { $addFields: { goty_year: { $ifNull: [{ $arrayElemAt: ["$gotyP.year", 0] }, null] } } },
+    {
+      $addFields: {
+        goty_year: { $ifNull: [{ $arrayElemAt: ["$gotyP.year", 0] }, null] },
+        goty_rank: { $ifNull: [{ $arrayElemAt: ["$gotyP.rank", 0] }, null] },
+      },
+    },
     { $project: { gotyP: 0 } },
   ];
 }
 
+/**
+ * GOTY tab-specific filter, to run AFTER gotyJoinStages (needs goty_year).
+ * - With `gotyYear`: only that year's pick; otherwise any GOTY pick.
+ *
+ * @param {Record<string, any>} filters - Filters with `category` / `gotyYear`.
+ * @returns {import("mongodb").Document[]} Zero or one $match stage.
+ */
+function gotyFilterStages(filters = {}) {
+  if (filters.category !== "goty") return [];
+  if (filters.gotyYear) return [{ $match: { goty_year: Number(filters.gotyYear) } }];
+  return [{ $match: { goty_year: { $ne: null } } }];
+}
+
+/* -------------------------------------------------------------------------- */
+/* Helper: text collation                                                     */
+/* -------------------------------------------------------------------------- */
+
+/** 'es' locale with strength:1 ignores case and accents. */
+const TEXT_COLLATION = { locale: "es", strength: 1, caseLevel: false };
+
+/**
+ * Whether an aggregation over these filters should run with TEXT_COLLATION:
+ * true when the user provided text terms that are matched by equality/regex
+ * (developer, or a search the index could not resolve).
+ *
+ * @param {Record<string, any>} filters - Resolved filters.
+ * @returns {boolean}
+ */
+function needsTextCollation(filters = {}) {
+  return Boolean(
+    (!filters.searchHits && String(filters.search || "").trim()) ||
+    String(filters.developer || "").trim()
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* Helper: relevance order of index hits                                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * `sort: "relevance"` over index hits is ranked in process, in one pass:
+ * relevanceCandidatesPipeline returns every hit the other filters leave
+ * (so `total` is exact), rankByRelevance orders them by index score,
+ * sliceRanked cuts the requested page and loadRankedPage loads only that
+ * page with its projection. MongoDB never evaluates scores per row.
+ *
+ * The order is buildCursorSort("relevance") (score desc, name asc, appid
+ * asc) and rows carry the same `__sortKey`, so cursors work as for the
+ * other sorts.
+ */
+
+/**
+ * Every game the filters leave (GOTY tab join/filter included), reduced to
+ * the relevance sort keys.
+ *
+ * @param {Record<string, any>} filters - Resolved filters with `searchHits`.
+ * @returns {import("mongodb").Document[]} Aggregation pipeline.
+ */
+function relevanceCandidatesPipeline(filters) {
+  const $match = buildMatch(filters);
+  // MongoDB (shell) equivalent:
+  // db.games.aggregate([
+  //   { $match: { $and: [{ appid: { $in: [<every hit>] } }, <other filters>] } },
+  //   /* GOTY tab only: GOTY join + { $match: { goty_year: ... } } */
+  //   { $project: { _id: 0, appid: 1, name: 1 } }
+  // ])
+  return [
+    Object.keys($match).length ? { $match } : null,
+    ...(filters.category === "goty" ? gotyJoinStages(String(filters.profile || "person1")) : []),
+    ...gotyFilterStages(filters),
+    { $project: { _id: 0, appid: 1, name: 1 } },
+  ].filter(Boolean);
+}
+
+/**
+ * Compare two relevance `__sortKey`s ([score, name, appid]); null / missing
+ * names sort first, as in BSON order.
+ *
+ * @param {unknown[]} a
+ * @param {unknown[]} b
+ * @returns {number}
+ */
+function compareRelevanceKeys(a, b) {
+  const asc = (x, y) => (x === y ? 0 : x == null ? -1 : y == null ? 1 : x < y ? -1 : 1);
+  return asc(b[0], a[0]) || asc(a[1], b[1]) || asc(String(a[2]), String(b[2]));
+}
+
+/**
+ * Candidates in relevance order, each with its `__sortKey`.
+ *
+ * @param {{ appid:string, name?:string }[]} rows - relevanceCandidatesPipeline output.
+ * @param {{ appids: string[], scores: number[] }} hits
+ * @returns {{ appid:string, __sortKey: unknown[] }[]}
+ */
+function rankByRelevance(rows, hits) {
+  const scoreOf = new Map(hits.appids.map((appid, i) => [appid, hits.scores[i]]));
+  return rows
+    .map(r => ({ appid: String(r.appid), __sortKey: [scoreOf.get(String(r.appid)) ?? 0, r.name ?? null, String(r.appid)] }))
+    .sort((a, b) => compareRelevanceKeys(a.__sortKey, b.__sortKey));
+}
+
+/**
+ * The page of a ranked list, as buildSearchPipeline would return it:
+ * `size + 1` rows in scan order (reversed for `before` / `last`).
+ *
+ * @param {{ __sortKey: unknown[] }[]} ranked
+ * @param {{ size:number, page:number, after?:unknown[]|null, before?:unknown[]|null, last?:boolean }} opts
+ * @returns {{ appid:string, __sortKey: unknown[] }[]}
+ */
+function sliceRanked(ranked, { size, page, after = null, before = null, last = false }) {
+  if (after) {
+    const from = ranked.findIndex(r => compareRelevanceKeys(r.__sortKey, after) > 0);
+    return from < 0 ? [] : ranked.slice(from, from + size + 1);
+  }
+  if (before || last) {
+    const end = before ? ranked.findIndex(r => compareRelevanceKeys(r.__sortKey, before) >= 0) : -1;
+    const to = end < 0 ? ranked.length : end;
+    return ranked.slice(Math.max(0, to - size - 1), to).reverse();
+  }
+  const skip = (Math.max(1, Number(page)) - 1) * size;
+  return ranked.slice(skip, skip + size + 1);
+}
+
+/**
+ * Load a ranked page with the requested projection and the GOTY join,
+ * keeping the slice order and `__sortKey`.
+ *
+ * @param {{ appid:string, __sortKey: unknown[] }[]} slice - From sliceRanked.
+ * @param {{ profile:string, projection?: Record<string, 0|1> }} opts
+ * @returns {Promise<object[]>}
+ */
+async function loadRankedPage(slice, { profile, projection }) {
+  if (!slice.length) return [];
+  const $project = { ...buildProjectList(projection) };
+  if (Object.entries($project).some(([k, v]) => k !== "_id" && v)) $project.__appid = 1;
+
+  const docs = await Game.aggregate([
+    { $match: { appid: { $in: slice.map(r => r.appid) } } },
+    { $addFields: { __appid: "$appid" } },
+    ...gotyJoinStages(profile),
+    { $project },
+  ]);
+  // MongoDB (shell) equivalent:
+  // db.games.aggregate([{ $match: { appid: { $in: [<page appids>] } } }, { $addFields: { __appid: "$appid" } },
+  //                     /* GOTY join */, { $project: <project> }])
+
+  const byAppid = new Map(docs.map(({ __appid, ...d }) => [String(__appid), d]));
+  return slice.filter(r => byAppid.has(r.appid)).map(r => ({ ...byAppid.get(r.appid), __sortKey: r.__sortKey }));
+}
+
+/* -------------------------------------------------------------------------- */
+/* Helper: opaque keyset cursors                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Sort used for keyset pagination: the requested sort plus `appid` as a
+ * final tie-breaker, so that the order is total and stable across pages
+ * (games sharing a price/name/score no longer drift between pages).
+ * The tie-breaker follows the direction of the last key, so the
+ * { <key>: 1, appid: 1 } indexes of models/Game.js serve both directions.
+ *
+ * @param {string} sortKey - Frontend sort key (see buildSort).
+ * @param {boolean} isRecommendation - Recommendation flavor.
+ * @returns {Record<string, 1|-1>} $sort document ending with appid.
+ */
+function buildCursorSort(sortKey, isRecommendation) {
+  const spec = buildSort(sortKey, isRecommendation);
+  if ("appid" in spec) return spec;
+  const dirs = Object.values(spec);
+  return { ...spec, appid: dirs[dirs.length - 1] };
+}
+
+/**
+ * Encode the sort-key values of a boundary document into an opaque cursor.
+ * Dates are tagged so they survive the JSON round-trip.
+ *
+ * @param {string} sortKey - Sort the cursor belongs to (checked on decode).
+ * @param {unknown[]} values - One value per key of buildCursorSort().
+ * @returns {string} base64url string.
+ */
+function encodeCursor(sortKey, values) {
+  const v = values.map(x => (x instanceof Date ? { $date: x.toISOString() } : x));
+  return Buffer.from(JSON.stringify({ s: sortKey, v })).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ *
+ * @param {string} cursor - Opaque cursor from a previous response.
+ * @param {string} sortKey - Current sort; cursors are not portable across sorts.
+ * @param {number} arity - Expected number of values.
+ * @returns {unknown[]} Sort-key values.
+ * @throws {ApiError} invalid_cursor when malformed or issued for another sort.
+ */
+function decodeCursor(cursor, sortKey, arity) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new ApiError("invalid_cursor");
+  }
+  if (!parsed || parsed.s !== sortKey || !Array.isArray(parsed.v) || parsed.v.length !== arity) {
+    throw new ApiError("invalid_cursor");
+  }
+  return parsed.v.map(x => (x && typeof x === "object" && "$date" in x ? new Date(x.$date) : x));
+}
+
+/**
+ * Build the keyset $match that selects documents strictly after (or before)
+ * the cursor position in the given sort order:
+ *   (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... (direction-aware per key)
+ *
+ * Every branch is a plain field predicate (equality prefix + one range), the
+ * shape the compound sort indexes can serve, so a deep page seeks to the
+ * cursor instead of scanning from the start.
+ *
+ * Null / missing values sort first in BSON order (as $sort does, and as
+ * `__sortKey` records them with $ifNull), but range operators never match
+ * them, so they are spelled out:
+ * - "greater than null" is `{ k: { $ne: null } }`;
+ * - "less than v" also takes `{ k: null }`;
+ * - "less than null" matches nothing (the branch is dropped);
+ * - equality on null (`{ k: null }`) already covers missing fields.
+ *
+ * @param {Record<string, 1|-1>} sortSpec - Output of buildCursorSort.
+ * @param {unknown[]} values - Decoded cursor values.
+ * @param {"after"|"before"} direction
+ * @returns {import("mongodb").Document} A $match stage.
+ */
+function buildCursorMatch(sortSpec, values, direction) {
+  const keys = Object.keys(sortSpec);
+
+  /** Condition "strictly beyond v" on one key, or null when nothing is. */
+  const beyond = (k, v, greater) => {
+    if (greater) return v === null ? { [k]: { $ne: null } } : { [k]: { $gt: v } };
+    if (v === null) return null;
+    return { $or: [{ [k]: { $lt: v } }, { [k]: null }] };
+  };
+
+  const branches = keys.map((k, i) => {
+    const greater = (sortSpec[k] === 1) === (direction === "after");
+    const range = beyond(k, values[i], greater);
+    if (!range) return null;
+    const prefix = keys.slice(0, i).map((p, j) => ({ [p]: values[j] }));
+    return prefix.length ? { $and: [...prefix, range] } : range;
+  }).filter(Boolean);
+
+  // MongoDB (shell) equivalent (sort { price: 1, appid: 1 }, after [9.99, "620"]):
+  // { $match: { $or: [ { price: { $gt: 9.99 } }, { $and: [ { price: 9.99 }, { appid: { $gt: "620" } } ] } ] } }
+  return { $match: branches.length ? { $or: branches } : { _id: null } };
+}
+
+/**
+ * Resolved filters as a cache key part (services/cache.js). The text index
+ * hits are left out (they follow from `search`); everything else that
+ * shapes the answer stays in: profile, role, safety rules, and the
+ * favorites / collection / watch list appids, so editing any of them
+ * simply misses the cache.
+ * Totals are cached per filter key ("totals" namespace), so deep pagination
+ * does not recount the whole result set on every page.
+ *
+ * @param {Record<string, any>} filters - Resolved filters.
+ * @returns {Record<string, any>}
+ */
+function cacheableFilters(filters) {
+  const { searchHits: _hits, ...rest } = filters || {};
+  return rest;
+}
+
 /* -------------------------------------------------------------------------- */
 /* Pipeline builder: search/favorites/recommendations/GOTY + pagination       */
 /* -------------------------------------------------------------------------- */
 
 /**
  * Assemble a complete aggregation pipeline that:
- * - Parses and adds a sortable `release_date_parsed` (from string).
  * - Applies $match (standard or recommendation-specific).
+ * - Adds `collection_position` / `collection_note` for collection views.
  * - Adds recommendation scoring (if applicable).
- * - Joins GOTY and optionally filters to GOTY-only view.
- * - Uses $facet to return both `items` and `total` on the first page.
+ * - Joins GOTY on the page's rows (on every matched row first for the
+ *   GOTY tab, which filters to GOTY picks).
+ * - Pages with a keyset cursor (`after`/`before`/`last`) or, for legacy
+ *   page jumps, $skip; fetches `limit + 1` rows to detect another page.
+ * - Adds `__sortKey` (the sort values of each row) so the route can mint
+ *   cursors; the route strips it before responding.
+ * - With `withTotal`, wraps the page in a $facet next to a `$count`.
  *
  * @param {Object} options
- * @param {Record<string, any>} options.filters
+ * @param {Record<string, any>} options.filters - Resolved filters.
  * @param {string} options.sort
- * @param {number} options.page
+ * @param {number} options.page - Used for $skip only when no cursor is given.
  * @param {number} options.limit
  * @param {Record<string, 0|1>} options.projection
+ * @param {unknown[]|null} [options.after] - Decoded cursor values.
+ * @param {unknown[]|null} [options.before] - Decoded cursor values.
+ * @param {boolean} [options.last] - Fetch the final page (reverse scan).
+ * @param {boolean} [options.withTotal] - Also compute the total count.
  * @returns {Promise<import("mongodb").Document[]>} Aggregation pipeline array.
+ *   Output rows: one `{ items, total }` document when withTotal, else the items.
  */
 async function buildSearchPipeline({
   filters = {},
@@ -609,8 +886,12 @@ async function buildSearchPipeline({
   page = 1,
   limit = 40,
   projection,
+  after = null,
+  before = null,
+  last = false,
+  withTotal = false,
 } = {}) {
-  const skip = (Math.max(1, Number(page)) - 1) * Math.max(1, Number(limit));
+  const size = Math.max(1, Number(limit));
   const profile = String(filters.profile || "person1");
   const isRecommendation = filters.category === "recommendations";
 
@@ -621,23 +902,14 @@ async function buildSearchPipeline({
   if (isRecommendation) {
     // Recommendation flavor: match + scoring based on favorites-derived profile
     const favAppids = Array.isArray(filters.appids) && filters.appids.length ? filters.appids : [];
-    characteristics = favAppids.length ? await getFavoriteCharacteristics(favAppids, profile) : null;
+    characteristics = favAppids.length ? await getFavoriteCharacteristics(favAppids, filters.safety) : null;
     $match = await buildRecommendationMatch(filters);
 
     if (!$match) {
-      // Return an empty facet structure when we cannot provide recs
-      return [
-        { $match: { _id: null } },
-        {
-          $facet: {
-            items: [],
-            meta: [{ $count: "total" }],
-          },
-        },
-        { $unwind: { path: "$meta", preserveNullAndEmptyArrays: true } },
-        { $addFields: { total: 0 } },
-        { $project: { meta: 0 } },
-      ];
+      // Nothing to recommend: keep the output shape, with no rows
+      return withTotal
+        ? [{ $match: { _id: null } }, { $facet: { items: [] } }, { $addFields: { total: 0 } }]
+        : [{ $match: { _id: null } }];
     }
 
     scoringStages = await buildRecommendationScoring(filters.appids, characteristics);
@@ -645,64 +917,64 @@ async function buildSearchPipeline({
     $match = buildMatch(filters);
   }
 
-  const $sort = buildSort(sort, isRecommendation);
-  const $project = buildProjectList(projection);
+  const sortSpec = buildCursorSort(sort, isRecommendation);
+  const reversed = Boolean(before || last);
+  const $sort = reversed
+    ? Object.fromEntries(Object.entries(sortSpec).map(([k, d]) => [k, -d]))
+    : sortSpec;
+
+  // Make sure the cursor values survive inclusion projections
+  const $project = { ...buildProjectList(projection) };
+  const isInclusion = Object.entries($project).some(([k, v]) => k !== "_id" && v);
+  if (isInclusion) $project.__sortKey = 1;
+
+  // The GOTY join runs per document: only the GOTY tab, which filters on
+  // goty_year, needs it before paging; other views join the page's rows only.
+  const joinFirst = filters.category === "goty";
 
   const base = [
-    // Normalize `release_date` (string) into a Date for server-side sorting
-    {
-      $addFields: {
-        release_date_parsed: {
-          $dateFromString: {
-            dateString: "$release_date",
-            format: "%b %d, %Y",
-            onError: null,
-            onNull: null,
-          },
-        },
-      },
-    },
     Object.keys($match).length ? { $match } : null,
+    ...collectionOrderStages(filters.collection),
     ...scoringStages,
-    ...gotyJoinStages(profile),
+    ...(joinFirst ? gotyJoinStages(profile) : []),
   ].filter(Boolean);
 
   // GOTY tab-specific filter (after join so we have goty_year)
-  const postMatch = [];
-  if (filters.category === "goty") {
-    if (filters.gotyYear) {
-      postMatch.push({ $match: { goty_year: Number(filters.gotyYear) } });
-    } else {
-      postMatch.push({ $match: { goty_year: { $ne: null } } });
-    }
-  }
+  const postMatch = gotyFilterStages(filters);
+
+  const cursor = after || before;
+  const skip = !cursor && !last ? (Math.max(1, Number(page)) - 1) * size : 0;
+
+  const pageStages = [
+    cursor ? buildCursorMatch(sortSpec, cursor, after ? "after" : "before") : null,
+    { $sort },
+    skip ? { $skip: skip } : null,
+    { $limit: size + 1 },
+    ...(joinFirst ? [] : gotyJoinStages(profile)),
+    { $addFields: { __sortKey: Object.keys(sortSpec).map(k => ({ $ifNull: [`$${k}`, null] })) } },
+    { $project },
+  ].filter(Boolean);
 
   // MongoDB (shell) when this pipeline runs later:
   // db.games.aggregate(
   //   [ ...base, ...postMatch,
-  //     { $facet: {
-  //         items: [ { $sort: <sort> }, { $skip: <skip> }, { $limit: <limit> }, { $project: <project> } ],
-  //         meta: [ { $count: "total" } ]
-  //       }
-  //     },
-  //     { $unwind: { path: "$meta", preserveNullAndEmptyArrays: true } },
-  //     { $addFields: { total: { $ifNull: ["$meta.total", 0] } } },
-  //     { $project: { meta: 0 } }
-  //   ],
+  //     /* after/before cursor */ { $match: { $or: [ { name: { $gt: "<v1>" } },
+  //                                  { $and: [ { name: "<v1>" }, { appid: { $gt: "<v2>" } } ] } ] } },
+  //     { $sort: <sort + appid> }, { $limit: <limit + 1> },
+  //     /* GOTY join of the page's rows (before the $match on the GOTY tab) */
+  //     { $addFields: { __sortKey: [ "$name", "$appid" ] } }, { $project: <project> }
+  //   ],   // optionally wrapped in { $facet: { items: [...], meta: [ { $count: "total" } ] } }
   //   { allowDiskUse: true /* and optionally collation, see router.post("/search") */ }
   // )
 
+  if (!withTotal) return [...base, ...postMatch, ...pageStages];
+
   return [
     ...base,
     ...postMatch,
     {
       $facet: {
-        items: [
-          { $sort: $sort },
-          { $skip: skip },
-          { $limit: Math.max(1, Number(limit)) },
-          { $project: $project },
-        ],
+        items: pageStages,
         meta: [{ $count: "total" }],
       },
     },
@@ -712,6 +984,38 @@ async function buildSearchPipeline({
   ];
 }
 
+/* -------------------------------------------------------------------------- */
+/* Explain mode (shared by /search and /agg)                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Explain mode requested? `?explain=1|true|full` or `{ explain: true }` in the body.
+ * `?explain=full` also returns MongoDB's complete explain document.
+ *
+ * @param {import("express").Request} req
+ * @returns {false|"summary"|"full"}
+ */
+function explainMode(req) {
+  const q = String(req.query.explain || "").toLowerCase();
+  if (q === "full") return "full";
+  if (q === "1" || q === "true" || (req.body && req.body.explain === true)) return "summary";
+  return false;
+}
+
+/**
+ * Guard for explain mode. Query plans disclose index and collection layout,
+ * so a plan needs a signed-in account and the raw explain document
+ * (`?explain=full`) an admin. Requests without explain pass through.
+ *
+ * @type {import("express").RequestHandler}
+ */
+function requireExplainAccess(req, res, next) {
+  const mode = explainMode(req);
+  if (!mode) return next();
+  const roles = mode === "full" ? ["admin"] : ["member", "admin"];
+  return requireRole(...roles)(req, res, next);
+}
+
 /* -------------------------------------------------------------------------- */
 /* POST /api/games/search - Main search endpoint                              */
 /* -------------------------------------------------------------------------- */
@@ -722,94 +1026,100 @@ async function buildSearchPipeline({
  * - Standard filter-based search
  * - Favorites (by appids) and GOTY filtering
  * - Recommendations (genre/category overlap + scoring)
- * - Pagination and optional total counting (only on page 1 by default)
+ * - Full-text search through the in-process index (ranked, typo-tolerant)
+ * - Keyset (cursor) pagination, with legacy page/$skip as a fallback
+ * - Totals computed once per filter key and then served from the cache
+ * - Whole responses cached per normalized request (filters + profile, sort,
+ *   cursor); ETag / If-None-Match answers 304 when nothing changed
  *
  * Request body:
  * {
  *   filters: {...},       // see buildMatch/buildRecommendationMatch
- *   sort: "name-asc"|..., // see buildSort
- *   page: 1,              // 1-based
+ *   sort: "name-asc"|"relevance"|..., // see buildSort
  *   limit: 40,
+ *   after?: string,       // nextCursor of a previous response
+ *   before?: string,      // prevCursor of a previous response
+ *   last?: boolean,       // jump to the final page
+ *   page: 1,              // 1-based; only used ($skip) when no cursor is given
  *   projection: {...},    // optional field projection
- *   withTotal: true|false // usually true for first page only
+ *   withTotal: true|false, // default true (cheap once cached)
+ *   explain?: true        // or ?explain=1 / ?explain=full, see below
  * }
  *
+ * Explain mode (signed-in accounts only, `?explain=full` admins only): the
+ * page query is not executed for rows; instead the response is { ok, explain:{ winningPlan, indexesUsed, collectionScan,
+ * docsExamined, keysExamined, nReturned, executionTimeMillis, wallTimeMillis,
+ * stages, raw? }, pipeline, collation } (see services/explain.js). The total
+ * count ($facet) is left out so the plan reflects the page query itself.
+ *
  * Response:
- * { ok, page, limit, total|null, hasMore, items: [...] }
+ * { ok, page, limit, total|null, hasMore, nextCursor|null, prevCursor|null, items: [...] }
+ * `page` is an echo of the client's estimate: with cursors the server does
+ * not know page numbers.
+ * When a text search matched through the index, each item also carries
+ * `relevance` and `highlights: { name: [[start,end],...], developers: [[...],...] }`.
+ * 401 unauthorized / 403 forbidden when explain is asked for without the role.
  */
-router.post("/search", async (req, res) => {
+router.post("/search", validateRequest(GAMES_API.search), requireExplainAccess, async (req, res, next) => {
   try {
     const {
-      filters = {},
-      sort,
+      filters: rawFilters = {},
+      sort = "name-asc",
       page = 1,
       limit = 40,
       projection,
-      withTotal = page === 1, // optimization: count only on the first page
+      after,
+      before,
+      last = false,
+      withTotal = true,
     } = req.body || {};
 
-    const skip = (Math.max(1, Number(page)) - 1) * Math.max(1, Number(limit));
-    const profile = String(filters.profile || "person1");
+    const filters = await resolveFilters(rawFilters, req.user);
+    const explain = explainMode(req);
+    const size = Math.max(1, Number(limit));
     const isRecommendation = filters.category === "recommendations";
 
-    // Build either the full $facet pipeline or a light version (no $count)
-    const pipeline = withTotal
-      ? await buildSearchPipeline({ filters, sort, page, limit, projection })
-      : await (async () => {
-          let $match;
-          let scoringStages = [];
-          let characteristics = null;
-
-          if (isRecommendation) {
-            const favAppids = Array.isArray(filters.appids) && filters.appids.length ? filters.appids : [];
-            characteristics = favAppids.length ? await getFavoriteCharacteristics(favAppids, profile) : null;
-            $match = await buildRecommendationMatch(filters);
-            if (!$match) return [{ $match: { _id: null } }];
-            scoringStages = await buildRecommendationScoring(filters.appids, characteristics);
-          } else {
-            $match = buildMatch(filters);
-          }
-
-          return [
-            {
-              $addFields: {
-                release_date_parsed: {
-                  $dateFromString: {
-                    dateString: "$release_date",
-                    format: "%b %d, %Y",
-                    onError: null,
-                    onNull: null,
-                  },
-                },
-              },
-            },
-            ...(Object.keys($match).length ? [{ $match }] : []),
-            ...scoringStages,
-            ...gotyJoinStages(profile),
-            ...(() => {
-              if (filters.category !== "goty") return [];
-              if (filters.gotyYear) return [{ $match: { goty_year: Number(filters.gotyYear) } }];
-              return [{ $match: { goty_year: { $ne: null } } }];
-            })(),
-            { $sort: buildSort(sort, isRecommendation) },
-            { $skip: skip },
-            { $limit: Math.max(1, Number(limit)) },
-            { $project: buildProjectList(projection) },
-          ];
-        })();
+    // Decode cursors against the current sort (a stale cursor is a client error)
+    const sortSpec = buildCursorSort(sort, isRecommendation);
+    const arity = Object.keys(sortSpec).length;
+    const afterValues = after ? decodeCursor(after, sort, arity) : null;
+    const beforeValues = !after && before ? decodeCursor(before, sort, arity) : null;
+
+    // Same request answered recently (explain runs are never cached)
+    await syncCatalogVersion();
+    const cacheKey = explain ? null : {
+      filters: cacheableFilters(filters), sort, page: Number(page), limit: size, projection,
+      after, before, last: Boolean(last), withTotal,
+    };
+    const cached = cacheKey && await readCache("search", cacheKey);
+    if (cached) return sendCached(req, res, cached);
+
+    // Count only when the total for this filter key is not cached yet
+    const totalsKey = { filters: cacheableFilters(filters) };
+    const cachedTotal = explain ? null : await readCache("totals", totalsKey);
+    let total = cachedTotal ? cachedTotal.body : null;
+    const needTotal = withTotal && total == null && !explain;
+
+    // Relevance order of index hits: one query for the candidates, ranked
+    // and paged in process (see relevanceCandidatesPipeline)
+    const byRelevance = sort === "relevance" && Boolean(filters.searchHits) && !isRecommendation;
+    const pipeline = byRelevance
+      ? relevanceCandidatesPipeline(filters)
+      : await buildSearchPipeline({
+        filters, sort, page, limit: size, projection,
+        after: afterValues, before: beforeValues, last: Boolean(last),
+        withTotal: needTotal,
+      });
 
     // AllowDiskUse supports large sorts; collation improves text matching
     let agg = Game.aggregate(pipeline).allowDiskUse(true);
     // MongoDB (shell) equivalent:
     // db.games.aggregate(pipeline, { allowDiskUse: true })
 
-    // Apply a locale collation when user provided text terms (case/diacritic-insensitive)
-    if (
-      (filters && String(filters.search || "").trim()) ||
-      (filters && String(filters.developer || "").trim())
-    ) {
-      // 'es' locale with strength:1 ignores case and accents.
-      agg = agg.collation({ locale: "es", strength: 1, caseLevel: false });
+    // Apply a locale collation when user provided text terms (case/diacritic-insensitive).
+    // Index-resolved searches match on appid and don't need it.
+    if (needsTextCollation(filters)) {
+      agg = agg.collation(TEXT_COLLATION);
       // MongoDB (shell) equivalent (when collation applies):
       // db.games.aggregate(pipeline, {
       //   allowDiskUse: true,
@@ -817,35 +1127,81 @@ router.post("/search", async (req, res) => {
       // })
     }
 
-    const out = await agg;
+    if (explain) {
+      const plan = await explainAggregate(agg, { includeRaw: explain === "full" });
+      return res.json({
+        ok: true,
+        explain: plan,
+        pipeline,
+        collation: needsTextCollation(filters) ? TEXT_COLLATION : null,
+      });
+    }
 
-    let items = [];
-    let total = null;
+    const out = await agg;
 
-    if (withTotal) {
+    let rows;
+    if (byRelevance) {
+      const ranked = rankByRelevance(out, filters.searchHits);
+      if (needTotal) {
+        total = ranked.length;
+        await writeCache("totals", totalsKey, total);
+      }
+      const slice = sliceRanked(ranked, { size, page, after: afterValues, before: beforeValues, last: Boolean(last) });
+      rows = await loadRankedPage(slice, { profile: String(filters.profile || "person1"), projection });
+    } else if (needTotal) {
       const bucket = out[0] || {};
-      items = bucket.items || [];
+      rows = bucket.items || [];
       total = typeof bucket.total === "number" ? bucket.total : 0;
+      await writeCache("totals", totalsKey, total);
     } else {
-      items = out || [];
+      rows = out || [];
+    }
+    if (!withTotal) total = null;
+
+    // One extra row tells us whether another page exists in scan direction
+    const reversed = Boolean(beforeValues || last);
+    const hasExtra = rows.length > size;
+    rows = rows.slice(0, size);
+    if (reversed) rows.reverse();
+
+    const cursorOf = (row) => (row ? encodeCursor(sort, row.__sortKey) : null);
+    const first = rows[0];
+    const lastRow = rows[rows.length - 1];
+    const startedMidway = Boolean(afterValues) || (!beforeValues && !last && Number(page) > 1);
+
+    const nextCursor = reversed
+      ? (beforeValues ? cursorOf(lastRow) : null)
+      : (hasExtra ? cursorOf(lastRow) : null);
+    const prevCursor = reversed
+      ? (hasExtra ? cursorOf(first) : null)
+      : (startedMidway ? cursorOf(first) : null);
+
+    let items = rows.map(({ __sortKey, ...g }) => g);
+
+    // Attach the index score and match spans so the UI can bold the matched
+    // terms (`__sortKey` always ends with the appid, see buildCursorSort)
+    if (filters.searchHits) {
+      const { appids, scores, tokens } = filters.searchHits;
+      const scoreOf = new Map(appids.map((appid, i) => [appid, scores[i]]));
+      items = items.map((g, i) => {
+        const key = rows[i].__sortKey;
+        return { ...g, relevance: scoreOf.get(String(key[key.length - 1])) ?? 0, highlights: highlightGame(g, tokens) };
+      });
     }
 
-    // Infer hasMore either from total (when available) or page size
-    const hasMore = total != null
-      ? (skip + items.length) < total
-      : (items.length === Math.max(1, Number(limit)));
-
-    res.json({
+    const body = {
       ok: true,
       page: Number(page),
-      limit: Number(limit),
+      limit: size,
       total,
-      hasMore,
+      hasMore: nextCursor != null,
+      nextCursor,
+      prevCursor,
       items,
-    });
+    };
+    sendCached(req, res, await writeCache("search", cacheKey, body));
   } catch (err) {
-    console.error("POST /api/games/search error:", err);
-    res.status(500).json({ ok: false, error: "server_error" });
+    next(err);
   }
 });
 
@@ -860,7 +1216,7 @@ router.post("/search", async (req, res) => {
  * - Trims/coerces to string, removes empties, groups by value, sorts A→Z.
  *
  * @param {"genres"|"supported_languages"|"developers"} field - Array field name.
- * @param {Record<string, any>} filters - Filter context (e.g., profile, kid-safety).
+ * @param {Record<string, any>} filters - Resolved filter context (e.g., profile safety rules).
  * @returns {import("mongodb").Document[]} Aggregation pipeline stages.
  */
 function buildDistinctPipeline(field, filters = {}) {
@@ -884,241 +1240,775 @@ function buildDistinctPipeline(field, filters = {}) {
   ].filter(Boolean);
 }
 
+/**
+ * Distinct values of a field under the request's filters, through the
+ * response cache ("distinct" namespace).
+ *
+ * @param {"genres"|"supported_languages"|"developers"} field
+ * @param {Record<string, any>} query - `req.query` (profile and filters).
+ * @param {object|null} user - `req.user` (see resolveFilters).
+ * @returns {Promise<import("../services/cache.js").CacheEntry>}
+ */
+async function distinctValues(field, query, user) {
+  await syncCatalogVersion();
+  const filters = await resolveFilters(query, user);
+  const key = { field, filters: cacheableFilters(filters) };
+  const cached = await readCache("distinct", key);
+  if (cached) return cached;
+
+  const rows = await Game.aggregate(buildDistinctPipeline(field, filters));
+  // MongoDB (shell) equivalent:
+  // db.games.aggregate(pipeline)
+  return writeCache("distinct", key, { ok: true, items: rows.map(r => r.value) });
+}
+
 /** GET /api/games/distinct/genres — list of genres relevant to current filters. */
-router.get("/distinct/genres", async (req, res) => {
+router.get("/distinct/genres", validateRequest(GAMES_API.distinctGenres), async (req, res, next) => {
   try {
-    const pipeline = buildDistinctPipeline("genres", req.query);
-    const rows = await Game.aggregate(pipeline);
-    // MongoDB (shell) equivalent:
-    // db.games.aggregate(pipeline)
-    res.json({ ok: true, items: rows.map(r => r.value) });
-  } catch (e) {
-    console.error("distinct genres error:", e);
-    res.status(500).json({ ok: false, error: "server_error" });
+    sendCached(req, res, await distinctValues("genres", req.query, req.user));
+  } catch (err) {
+    next(err);
   }
 });
 
 /** GET /api/games/distinct/languages — list of languages relevant to current filters. */
-router.get("/distinct/languages", async (req, res) => {
+router.get("/distinct/languages", validateRequest(GAMES_API.distinctLanguages), async (req, res, next) => {
   try {
-    const pipeline = buildDistinctPipeline("supported_languages", req.query);
-    const rows = await Game.aggregate(pipeline);
-    // MongoDB (shell) equivalent:
-    // db.games.aggregate(pipeline)
-    res.json({ ok: true, items: rows.map(r => r.value) });
-  } catch (e) {
-    console.error("distinct languages error:", e);
-    res.status(500).json({ ok: false, error: "server_error" });
+    sendCached(req, res, await distinctValues("supported_languages", req.query, req.user));
+  } catch (err) {
+    next(err);
   }
 });
 
 /** GET /api/games/distinct/developers — list of developers relevant to current filters. */
-router.get("/distinct/developers", async (req, res) => {
+router.get("/distinct/developers", validateRequest(GAMES_API.distinctDevelopers), async (req, res, next) => {
+  try {
+    sendCached(req, res, await distinctValues("developers", req.query, req.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/games/facets - Counts per filter value (faceted navigation)      */
+/* -------------------------------------------------------------------------- */
+
+/** Price buckets (lower bounds, in currency units) used by the price facet. */
+const PRICE_BUCKETS = [0, 0.01, 5, 10, 20, 30, 50];
+
+/** Cap on the developer facet (the client select shows at most 500 entries). */
+const DEVELOPER_FACET_LIMIT = 500;
+
+/**
+ * Facet definitions.
+ * - `exclude`: filter keys removed when computing THIS facet, so each list
+ *   shows what selecting another value of the same facet would yield.
+ * - `stages`: aggregation tail producing the facet rows.
+ */
+const FACETS = {
+  genres: {
+    exclude: ["genre"],
+    stages: () => valueCountStages("genres"),
+  },
+  languages: {
+    exclude: ["language"],
+    stages: () => valueCountStages("supported_languages"),
+  },
+  developers: {
+    exclude: ["developer"],
+    stages: () => valueCountStages("developers", DEVELOPER_FACET_LIMIT),
+  },
+  platforms: {
+    exclude: ["platforms", "windows", "mac", "linux"],
+    stages: () => [
+      {
+        $group: {
+          _id: null,
+          windows: { $sum: { $cond: [{ $eq: ["$windows", true] }, 1, 0] } },
+          mac: { $sum: { $cond: [{ $eq: ["$mac", true] }, 1, 0] } },
+          linux: { $sum: { $cond: [{ $eq: ["$linux", true] }, 1, 0] } },
+        },
+      },
+      { $project: { _id: 0 } },
+    ],
+  },
+  price: {
+    exclude: ["priceMin", "priceMax"],
+    stages: () => [
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: PRICE_BUCKETS,
+          default: "more",
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ],
+  },
+  years: {
+    exclude: ["year", "releasedFrom", "releasedTo"],
+    stages: () => [
+      {
+        $group: {
+          _id: "$release_year",
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { _id: -1 } },
+      { $project: { _id: 0, value: "$_id", count: 1 } },
+    ],
+  },
+};
+
+/**
+ * Aggregation tail that counts documents per value of an array field.
+ * Rows are sorted by count (desc) then value, and optionally capped.
+ *
+ * @param {string} field - Array field name (e.g. "genres").
+ * @param {number} [limit] - Optional maximum number of rows.
+ * @returns {import("mongodb").Document[]}
+ */
+function valueCountStages(field, limit) {
+  return [
+    { $unwind: { path: `$${field}`, preserveNullAndEmptyArrays: false } },
+    { $group: { _id: { $trim: { input: { $toString: `$${field}` } } }, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: "" } } },
+    { $sort: { count: -1, _id: 1 } },
+    limit ? { $limit: limit } : null,
+    { $project: { _id: 0, value: "$_id", count: 1 } },
+  ].filter(Boolean);
+}
+
+/**
+ * Build the pipeline of a single facet: the search $match WITHOUT the
+ * facet's own filter keys (the safety policy and all other filters still apply),
+ * the GOTY join when the GOTY tab is active, then the facet tail.
+ *
+ * @param {keyof typeof FACETS} name - Facet name.
+ * @param {Record<string, any>} filters - Resolved filters.
+ * @returns {import("mongodb").Document[]}
+ */
+function buildFacetPipeline(name, filters = {}) {
+  const def = FACETS[name];
+  const scoped = { ...filters };
+  def.exclude.forEach(k => { delete scoped[k]; });
+
+  const $match = buildMatch(scoped);
+  // MongoDB (shell) equivalent, e.g. for the genres facet:
+  // db.games.aggregate([
+  //   { $match: <buildMatch(filters without "genre")> },
+  //   { $unwind: "$genres" },
+  //   { $group: { _id: { $trim: { input: { $toString: "$genres" } } }, count: { $sum: 1 } } },
+  //   { $match: { _id: { $ne: "" } } },
+  //   { $sort: { count: -1, _id: 1 } },
+  //   { $project: { _id: 0, value: "$_id", count: 1 } }
+  // ])
+  return [
+    Object.keys($match).length ? { $match } : null,
+    ...(scoped.category === "goty" ? [...gotyJoinStages(scoped.profile), ...gotyFilterStages(scoped)] : []),
+    ...def.stages(),
+  ].filter(Boolean);
+}
+
+/**
+ * POST /api/games/facets
+ * Faceted counts for the filter UI. Takes the same `filters` payload as
+ * /search and returns, for each facet, the number of games per value with
+ * that facet's own filter left out (so the genre list never offers a genre
+ * leading to zero results under the other active filters).
+ * The kid profile's safety filter applies to every facet.
+ *
+ * Request body: { filters: {...} }   // see buildMatch
+ *
+ * Response:
+ * {
+ *   ok: true,
+ *   facets: {
+ *     genres|languages|developers: [{ value, count }],   // by count desc
+ *     platforms: { windows, mac, linux },
+ *     price: [{ from, to|null, count }],                 // to:null = open-ended
+ *     years: [{ value, count }]                          // newest first
+ *   }
+ * }
+ */
+router.post("/facets", validateRequest(GAMES_API.facets), async (req, res, next) => {
   try {
-    const pipeline = buildDistinctPipeline("developers", req.query);
-    const rows = await Game.aggregate(pipeline);
+    const filters = await resolveFilters((req.body || {}).filters || {}, req.user);
+
+    const names = Object.keys(FACETS);
+    const results = await Promise.all(names.map((name) => {
+      let agg = Game.aggregate(buildFacetPipeline(name, filters)).allowDiskUse(true);
+      if (needsTextCollation(filters)) agg = agg.collation(TEXT_COLLATION);
+      return agg;
+    }));
+    const raw = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+    const facets = {
+      genres: raw.genres,
+      languages: raw.languages,
+      developers: raw.developers,
+      platforms: raw.platforms[0] || { windows: 0, mac: 0, linux: 0 },
+      price: raw.price.map(b => {
+        if (b._id === "more") return { from: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], to: null, count: b.count };
+        const i = PRICE_BUCKETS.indexOf(b._id);
+        return { from: b._id, to: PRICE_BUCKETS[i + 1], count: b.count };
+      }),
+      years: raw.years,
+    };
+
+    res.json({ ok: true, facets });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/games/recommendations - Explainable recommendations              */
+/* -------------------------------------------------------------------------- */
+
+/** Candidates pre-ranked in MongoDB before the explainable re-scoring. */
+const RECO_POOL_SIZE = 400;
+const RECO_DEFAULT_LIMIT = 24;
+const RECO_MAX_LIMIT = 60;
+
+/** Display fields returned with each recommendation (cards in filters.js). */
+const RECO_DISPLAY_FIELDS = [
+  "header_image", "windows", "mac", "linux", "metacritic_score", "recommendations",
+  "achievements", "release_date", "release_ts", "release_date_text", "website", "screenshots",
+];
+
+/**
+ * POST /api/games/recommendations
+ * Recommendations with a per-game score breakdown, tag cosine similarity,
+ * diversity re-ranking and "because you liked X" groups
+ * (see services/recommendations.js).
+ *
+ * Request body:
+ * {
+ *   profile: "person1",
+ *   appids?: ["620", ...],          // favorites; default: the profile's stored favorites
+ *   filters?: { platforms: {...} }, // same platform filter as /search
+ *   limit?: 24,                     // max 60
+ *   diversity?: { maxPerDeveloper: 2, decay: 0.75 } | false
+ * }
+ *
+ * Response:
+ * {
+ *   ok: true,
+ *   items: [{ ...game, recommendation: {
+ *     score: 93, similarity: 0.72,
+ *     breakdown: [{ kind:"genre", label:"shared genre Roguelike", points:30 }, ...],
+ *     because: { appid, name, similarity } | null } }],
+ *   groups: [{ because: { appid, name } | null, appids: [...] }]
+ * }
+ * With no (policy-allowed) favorites: { ok:true, items:[], groups:[], reason:"no_favorites" }.
+ */
+router.post("/recommendations", validateRequest(GAMES_API.recommendations), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const profile = String(body.profile || "").trim();
+
+    let appids = Array.isArray(body.appids) ? body.appids.map(String).filter(Boolean) : null;
+    if (!appids) {
+      const doc = profile ? await Profile.findOne({ key: profile.toLowerCase() }, { favorites: 1 }).lean() : null;
+      // MongoDB (shell) equivalent:
+      // db.profiles.findOne({ key: "<profile>" }, { favorites: 1 })
+      appids = doc ? doc.favorites : [];
+    }
+
+    const limit = Math.min(RECO_MAX_LIMIT, Math.max(1, Number(body.limit) || RECO_DEFAULT_LIMIT));
+    const diversity = body.diversity === false ? false : {
+      ...(Number(body.diversity?.maxPerDeveloper) >= 1 ? { maxPerDeveloper: Math.floor(body.diversity.maxPerDeveloper) } : {}),
+      ...(Number(body.diversity?.decay) > 0 && Number(body.diversity?.decay) <= 1 ? { decay: Number(body.diversity.decay) } : {}),
+    };
+
+    const filters = await resolveFilters({ ...(body.filters || {}), profile, appids, category: "recommendations" });
+    const $match = appids.length ? await buildRecommendationMatch(filters) : null;
+    if (!$match) return res.json({ ok: true, items: [], groups: [], reason: "no_favorites" });
+
+    // Favorites as seen by this profile (filtered by its safety policy, if any)
+    const favQuery = { appid: { $in: appids } };
+    if (filters.safety) Object.assign(favQuery, safetyMatch(filters.safety));
+    const favorites = await Game.find(favQuery)
+      .select(RECO_FIELDS.join(" "))
+      .lean();
     // MongoDB (shell) equivalent:
-    // db.games.aggregate(pipeline)
-    res.json({ ok: true, items: rows.map(r => r.value) });
-  } catch (e) {
-    console.error("distinct developers error:", e);
-    res.status(500).json({ ok: false, error: "server_error" });
+    // db.games.find({ appid: { $in: [...] } }, { appid: 1, name: 1, genres: 1, tags: 1, ... })
+
+    // Candidate pool: the existing weighted scoring pre-ranks, the service explains
+    const characteristics = await getFavoriteCharacteristics(appids, filters.safety);
+    const projection = Object.fromEntries([...RECO_FIELDS, ...RECO_DISPLAY_FIELDS].map(f => [f, 1]));
+    const candidates = await Game.aggregate([
+      { $match },
+      ...(await buildRecommendationScoring(appids, characteristics)),
+      { $sort: { recommendationScore: -1, user_score: -1, appid: 1 } },
+      { $limit: RECO_POOL_SIZE },
+      { $project: { _id: 0, ...projection } },
+    ]).allowDiskUse(true);
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([
+    //   { $match: <buildRecommendationMatch> },
+    //   { $addFields: { genreScore: ..., recommendationScore: ... } },
+    //   { $sort: { recommendationScore: -1, user_score: -1, appid: 1 } },
+    //   { $limit: 400 },
+    //   { $project: { appid: 1, name: 1, genres: 1, tags: 1, ... } }
+    // ], { allowDiskUse: true })
+
+    const { items, groups } = recommend(favorites, candidates, { limit, diversity });
+    res.json({ ok: true, items, groups });
+  } catch (err) {
+    next(err);
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/* POST /api/games/compare - Pinned games side by side                        */
+/* -------------------------------------------------------------------------- */
+
+/** Games one comparison can hold (the frontend's compare tray). */
+const COMPARE_MAX = 4;
+
+/** Fields the /compare view diffs. */
+const COMPARE_FIELDS = [
+  "appid", "name", "header_image", "price", "price_stats", "user_score", "metacritic_score",
+  "positive", "negative", "recommendations", "windows", "mac", "linux", "supported_languages",
+  "genres", "tags", "developers", "release_ts", "release_date", "release_date_text", "goty_year", "goty_rank",
+];
+
+/**
+ * POST /api/games/compare
+ * Body: { profile, appids: ["620", "400", ...] }   // 1..4, tray order
+ * The pinned documents in one round trip, through buildMatch's `appids`
+ * filter (so the profile's safety policy applies as in any search).
+ *
+ * Response:
+ *  - 200 { ok:true, items:[...], missing:[appid...] }
+ *    `items` follow the request order; `missing` lists appids that are
+ *    unknown, deleted or blocked for the profile.
+ */
+router.post("/compare", validateRequest(GAMES_API.compare), async (req, res, next) => {
+  try {
+    const profile = String(req.body.profile || "").trim();
+    const appids = Array.from(new Set(req.body.appids.map(String))).slice(0, COMPARE_MAX);
+
+    const filters = await resolveFilters({ profile, appids });
+    const docs = await Game.aggregate([
+      { $match: buildMatch(filters) },
+      ...gotyJoinStages(profile),
+      { $project: { _id: 0, ...Object.fromEntries(COMPARE_FIELDS.map(f => [f, 1])) } },
+    ]);
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([
+    //   { $match: { $and: [{ appid: { $in: ["620", "400"] } }, { price: { $gte: 0, $lte: 999999 } }, /* safety */] } },
+    //   { $lookup: { from: "gotys", ... } }, { $addFields: { goty_year: ..., goty_rank: ... } },
+    //   { $project: { _id: 0, appid: 1, name: 1, price: 1, user_score: 1, tags: 1, ... } }
+    // ])
+
+    const byAppid = new Map(docs.map(d => [String(d.appid), d]));
+    res.json({
+      ok: true,
+      items: appids.filter(id => byAppid.has(id)).map(id => byAppid.get(id)),
+      missing: appids.filter(id => !byAppid.has(id)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/games/stats[/:preset] - Statistics dashboard                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * GET /api/games/stats
+ * The presets the dashboard can draw (services/statsPresets.js).
+ *
+ * Response:
+ *  - 200 { ok:true, items:[{ name, title, description, chart, params }] }
+ */
+router.get("/stats", validateRequest(STATS_API.presets), (_req, res) => {
+  res.json({
+    ok: true,
+    items: Object.entries(STATS_PRESETS).map(([name, { title, description, chart, params }]) => ({
+      name, title, description, chart, params,
+    })),
+  });
+});
+
+/**
+ * GET /api/games/stats/<preset>?profile=kid&<params>
+ * One preset, aggregated over the games the profile may see (its safety
+ * policy is the first $match). Cached per { preset, params, safety rules }
+ * in the "stats" namespace, dropped with the other catalog entries.
+ *
+ * Response:
+ *  - 200 { ok:true, preset, params, data }   (+ ETag; 304 on If-None-Match)
+ */
+Object.values(STATS_API).filter(spec => spec.preset).forEach(spec => {
+  router.get(`/stats/${spec.preset}`, validateRequest(spec), async (req, res, next) => {
+    try {
+      await syncCatalogVersion();
+      const safety = await getProfileSafetyRules(req.query.profile);
+      const key = { preset: spec.preset, params: presetParams(spec.preset, req.query), safety };
+      const cached = await readCache("stats", key);
+      if (cached) return sendCached(req, res, cached);
+
+      const result = await runStatsPreset(spec.preset, req.query, { safety });
+      // MongoDB (shell) equivalent:
+      // db.games.aggregate([{ $match: <safetyMatch> }, ...<preset stages>], { allowDiskUse: true, maxTimeMS: 10000 })
+      sendCached(req, res, await writeCache("stats", key, { ok: true, ...result }));
+    } catch (err) {
+      next(err);
+    }
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/games/fields - Game schema fields (aggregation query builder)     */
+/* -------------------------------------------------------------------------- */
+
+/** Schema paths the query builder does not offer (bookkeeping only). */
+const HIDDEN_FIELDS = new Set(["__v", "ingest_hash"]);
+
+/** Mongoose schema type -> field type shown by the query builder. */
+const FIELD_TYPES = { String: "string", Number: "number", Date: "date", Boolean: "boolean", ObjectId: "objectId", Embedded: "object" };
+
+/**
+ * GET /api/games/fields
+ * The fields of the Game schema, for the field autocompletion of the
+ * aggregation query builder (array fields carry the type of their items).
+ *
+ * Response:
+ *  - 200 { ok:true, items:[{ path, type, items? }] } sorted by path
+ */
+router.get("/fields", validateRequest(GAMES_API.fields), (_req, res) => {
+  const items = [];
+  Game.schema.eachPath((path, type) => {
+    if (HIDDEN_FIELDS.has(path)) return;
+    const field = { path, type: type.instance === "Array" ? "array" : FIELD_TYPES[type.instance] || "mixed" };
+    if (type.instance === "Array" && type.caster) field.items = FIELD_TYPES[type.caster.instance] || "mixed";
+    items.push(field);
+  });
+  items.sort((a, b) => a.path.localeCompare(b.path));
+  res.json({ ok: true, items });
+});
+
 /* -------------------------------------------------------------------------- */
 /* GET /api/games/:id - Fetch a single game by Mongo _id or Steam appid       */
 /* -------------------------------------------------------------------------- */
 
 /**
- * GET /api/games/:id
+ * GET /api/games/:id?profile=kid
  * Resolve a single game document by:
  * 1) MongoDB ObjectId (if :id is a valid ObjectId), else
  * 2) Steam appid (string equality on Game.appid).
+ * - With `profile`: restricted profiles get 404 for games their safety
+ *   policy blocks, and `goty` lists the profile's ballot places of the game
+ *   (the /game/:appid page of the frontend).
  *
  * Response:
- *  - 200 { ok:true, data:<document> }
+ *  - 200 { ok:true, data:<document>, goty?:[{ year, rank }] }
  *  - 404 { ok:false, error:"not_found" }
- *  - 500 { ok:false, error:"server_error" }
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateRequest(GAMES_API.game), async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    if (mongoose.isValidObjectId(id)) {
-      const g = await Game.findById(id).lean();
-      // MongoDB (shell) equivalent:
-      // db.games.findOne({ _id: ObjectId("<id>") })
-      if (g) return res.json({ ok: true, data: g });
+    const g = await findGame(req.params.id);
+    if (!g) throw new ApiError("not_found");
+    if (req.query.profile === undefined) return res.json({ ok: true, data: g });
+
+    const profile = String(req.query.profile).trim();
+    const safety = await getProfileSafetyRules(profile);
+    if (safety && !(await Game.exists({ appid: g.appid, ...safetyMatch(safety) }))) {
+      throw new ApiError("not_found");
     }
+    const goty = await Goty.find({ profile, appid: String(g.appid) }, { _id: 0, year: 1, rank: 1 }).sort({ year: -1 }).lean();
+    // MongoDB (shell) equivalent:
+    // db.gotys.find({ profile: "<profile>", appid: "<appid>" }, { _id: 0, year: 1, rank: 1 }).sort({ year: -1 })
+    res.json({ ok: true, data: g, goty });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const g2 = await Game.findOne({ appid: String(id) }).lean();
+/**
+ * Resolve a game by MongoDB ObjectId, else by Steam appid.
+ *
+ * @param {string} id - ObjectId string or appid.
+ * @param {string|null} [select=null] - Mongoose projection string.
+ * @returns {Promise<object|null>} Lean document.
+ */
+async function findGame(id, select = null) {
+  if (mongoose.isValidObjectId(id)) {
+    const g = await Game.findById(id, select).lean();
     // MongoDB (shell) equivalent:
-    // db.games.findOne({ appid: "<appid>" })
-    if (!g2) return res.status(404).json({ ok: false, error: "not_found" });
+    // db.games.findOne({ _id: ObjectId("<id>") })
+    if (g) return g;
+  }
+  const g = await Game.findOne({ appid: String(id) }, select).lean();
+  // MongoDB (shell) equivalent:
+  // db.games.findOne({ appid: "<appid>" })
+  return g;
+}
 
-    res.json({ ok: true, data: g2 });
-  } catch (e) {
-    console.error("GET /api/games/:id error:", e);
-    res.status(500).json({ ok: false, error: "server_error" });
+/* -------------------------------------------------------------------------- */
+/* GET /api/games/:id/similar - "More like this"                              */
+/* -------------------------------------------------------------------------- */
+
+const SIMILAR_DEFAULT_LIMIT = 12;
+const SIMILAR_MAX_LIMIT = 30;
+
+/** Card fields returned with each similar game. */
+const SIMILAR_DISPLAY = "appid name header_image price genres user_score release_ts release_date windows mac linux";
+
+/**
+ * GET /api/games/:id/similar?profile=kid&limit=12
+ * Games similar to one game (tags, genres/categories, developer/publisher,
+ * price band, platforms; see services/similarGames.js).
+ * - Served from the precomputed `game_neighbors` list when fresh
+ *   (`npm run neighbors` refreshes them); otherwise computed live and stored.
+ * - Restricted profiles get 404 for games their safety policy blocks; the
+ *   neighbors go through the same policy and, when too few survive, the
+ *   list is recomputed live over allowed games only.
+ *
+ * Response:
+ *  - 200 { ok:true, appid, source:"precomputed"|"live",
+ *          items:[{ ...game, similarity:{ score, reasons:[...] } }] }
+ *  - 404 { ok:false, error:"not_found" }
+ */
+router.get("/:id/similar", validateRequest(GAMES_API.similar), async (req, res, next) => {
+  try {
+    const game = await findGame(req.params.id, [...SIMILAR_FIELDS, "ingested_at"].join(" "));
+    if (!game) throw new ApiError("not_found");
+
+    const limit = Math.min(SIMILAR_MAX_LIMIT, Math.max(1, Number(req.query.limit) || SIMILAR_DEFAULT_LIMIT));
+    const safety = await getProfileSafetyRules(req.query.profile);
+    const safeFilter = safety ? safetyMatch(safety) : null;
+    if (safeFilter && !(await Game.exists({ appid: game.appid, ...safeFilter }))) {
+      throw new ApiError("not_found");
+    }
+
+    let source = "precomputed";
+    let neighbors = (await getStoredNeighbors(game))?.neighbors;
+    if (!neighbors) {
+      neighbors = await computeNeighbors(game);
+      await saveNeighbors(game.appid, neighbors);
+      source = "live";
+    }
+
+    /** Load display docs for a neighbor list (policy-filtered when needed), in list order. */
+    const load = async (list) => {
+      const query = { appid: { $in: list.map(n => n.appid) }, ...(safeFilter || {}) };
+      const docs = await Game.find(query).select(SIMILAR_DISPLAY).lean();
+      // MongoDB (shell) equivalent:
+      // db.games.find({ appid: { $in: [...] }, /* + safetyMatch(safety) for restricted profiles */ }, { appid: 1, name: 1, ... })
+      const byAppid = new Map(docs.map(d => [String(d.appid), d]));
+      return list
+        .filter(n => byAppid.has(n.appid))
+        .map(n => ({ ...byAppid.get(n.appid), similarity: { score: n.score, reasons: n.reasons } }));
+    };
+
+    let items = await load(neighbors.slice(0, safeFilter ? NEIGHBORS_STORED : limit));
+    if (safeFilter && items.length < limit && neighbors.length >= NEIGHBORS_STORED) {
+      items = await load(await computeNeighbors(game, { extraMatch: safeFilter, limit }));
+      source = "live";
+    }
+
+    res.json({ ok: true, appid: String(game.appid), source, items: items.slice(0, limit) });
+  } catch (err) {
+    next(err);
   }
 });
 
 /* -------------------------------------------------------------------------- */
-/* RAW aggregation endpoint (guarded)                                         */
+/* GET /api/games/:id/prices - Price history                                  */
 /* -------------------------------------------------------------------------- */
 
 /**
- * Whitelist of allowed aggregation stages to reduce the attack surface.
- * Disallows JS execution stages/operators.
+ * GET /api/games/:id/prices?profile=kid
+ * The game's recorded prices, oldest first, with the derived stats.
+ * History is written by `npm run ingest` on every price change (see
+ * services/priceHistory.js); games imported before it have no points until
+ * `npm run backfill:prices` runs.
+ * - Restricted profiles get 404 for games their safety policy blocks.
+ *
+ * Response:
+ *  - 200 { ok:true, appid, price, items:[{ price, at, source }],
+ *          stats:{ min, max, avg, points, recent, since, changed_at, deal }|null }
+ *  - 404 { ok:false, error:"not_found" }
  */
-const ALLOWED_STAGES = new Set([
-  "$match", "$project", "$sort", "$limit", "$skip",
-  "$unwind", "$group", "$lookup", "$addFields", "$set",
-  "$facet", "$count", "$sample", "$sortByCount",
-  "$unset", "$replaceRoot", "$replaceWith",
-  "$setWindowFields"
-]);
+router.get("/:id/prices", validateRequest(GAMES_API.prices), async (req, res, next) => {
+  try {
+    const game = await findGame(req.params.id, "appid price price_stats");
+    if (!game) throw new ApiError("not_found");
+
+    const safety = await getProfileSafetyRules(req.query.profile);
+    if (safety && !(await Game.exists({ appid: game.appid, ...safetyMatch(safety) }))) {
+      throw new ApiError("not_found");
+    }
 
-/** Forbidden operators due to arbitrary code execution risk. */
-const FORBIDDEN_KEYS = ["$where", "$function", "$accumulator"];
+    const items = await getPriceSeries(game.appid);
+    res.json({ ok: true, appid: String(game.appid), price: game.price ?? null, items, stats: game.price_stats || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* RAW aggregation endpoint (guarded)                                         */
+/* -------------------------------------------------------------------------- */
 
 /**
  * Extract a pipeline array from a mongo shell-like command string.
  * Example input: 'db.games.aggregate([ { "$match": {} } ])'
  * @param {string} cmd - Raw command text.
  * @returns {Array} - Parsed pipeline array.
- * @throws {SyntaxError} - If it cannot detect/parse the array.
+ * @throws {ApiError} syntax_error - If it cannot detect/parse the array.
  */
 function parseCommandToPipeline(cmd) {
   const m = String(cmd).match(/aggregate\s*\(\s*(\[.*\])\s*\)/s);
-  if (!m) throw new SyntaxError("bad_aggregate_syntax");
-  return JSON.parse(m[1]);
+  if (!m) throw new ApiError("syntax_error", { detail: "bad_aggregate_syntax" });
+  try {
+    return JSON.parse(m[1]);
+  } catch (e) {
+    throw new ApiError("syntax_error", { detail: e.message });
+  }
 }
 
+/** Profile a raw aggregation runs for (required). */
+const aggProfile = (req) => (req.body && req.body.profile) || req.query.profile;
+
 /**
- * Validate a pipeline:
- * - Ensures it is an array of single-operator objects (one key per stage).
- * - Ensures each stage operator is whitelisted.
- * - Recursively rejects any use of FORBIDDEN_KEYS inside stage payloads.
- *
- * @param {Array<Record<string, any>>} pipeline - Aggregation pipeline.
- * @throws {Error} - On structural violations or forbidden usage.
+ * Raw aggregation: signed-in accounts only, on a profile the account may
+ * use, never as a restricted ("child" / safety policy) profile.
  */
-function validatePipeline(pipeline) {
-  if (!Array.isArray(pipeline)) throw new Error("pipeline_must_be_array");
-
-  const scan = (node) => {
-    if (node && typeof node === "object") {
-      for (const k of Object.keys(node)) {
-        if (FORBIDDEN_KEYS.includes(k)) {
-          throw new Error(`forbidden_operator: ${k}`);
-        }
-        scan(node[k]);
-      }
-    }
-  };
-
-  for (const stage of pipeline) {
-    if (!stage || typeof stage !== "object") throw new Error("stage_must_be_object");
-    const keys = Object.keys(stage);
-    if (keys.length !== 1) throw new Error("one_operator_per_stage");
-    const op = keys[0];
-    if (!ALLOWED_STAGES.has(op)) throw new Error(`stage_not_allowed: ${op}`);
-    scan(stage[op]);
-  }
-}
+const AGG_GUARDS = [
+  requireRole("member", "admin"),
+  requireExplainAccess,
+  requireProfileAccess(aggProfile),
+  blockChildProfile(aggProfile),
+];
 
 /**
  * POST /api/games/agg
  * Execute a custom aggregation against the games collection.
  *
  * Security controls:
- * - Only a safe subset of stages is allowed (ALLOWED_STAGES).
- * - Pipelines are validated to reject $where/$function/$accumulator.
- * - Optional timeouts and allowDiskUse are applied to the operation.
+ * - Signed-in accounts only (member/admin), on behalf of a profile the
+ *   account owns (any profile for admins) and never a "child" profile or
+ *   one under a safety policy. `profile` (body or query string) is
+ *   required: a call without it is rejected, not run unrestricted.
+ * - The pipeline must pass the policy in services/aggregationPolicy.js:
+ *   stage allowlist, $lookup `from` allowlist, no $out/$merge or JS
+ *   operators at any depth, caps on stages / nesting / expression depth.
+ * - A trailing $limit is always appended and maxTimeMS is clamped.
  *
  * Request body:
  * {
  *   pipeline?: Array,                 // direct JSON pipeline
  *   command?: string,                 // or a shell-like string with aggregate([...])
  *   allowDiskUse?: boolean = true,
- *   maxTimeMS?: number = 5000
+ *   maxTimeMS?: number = 5000,        // clamped to AGG_POLICY.maxTimeMS
+ *   limit?: number = 100,             // trailing $limit, clamped to AGG_POLICY.maxLimit
+ *   explain?: boolean,                // or ?explain=1|full: return the query plan instead of rows
+ *   profile: string                   // profile the query runs for (or ?profile=)
  * }
  *
  * Response:
- * { ok:true, items:[...] } on success.
- * { ok:false, error:<reason> } on validation/syntax errors (HTTP 400).
+ * { ok:true, items:[...], limit, truncated } on success.
+ * { ok:true, explain:{ winningPlan, indexesUsed, docsExamined, ... }, pipeline:[...] }
+ *   in explain mode (see services/explain.js; `explain.raw` with ?explain=full,
+ *   admins only).
+ * { ok:false, error:<code>, path:"pipeline[1].$lookup.from", detail } on
+ *   policy violations (HTTP 400); { ok:false, error:"syntax_error", detail }
+ *   on bad JSON; { ok:false, error:"aggregation_error", detail } when
+ *   MongoDB rejects the pipeline.
+ * 401 unauthorized / 403 forbidden | profile_forbidden / 400 invalid_profile
+ * (missing or unknown profile) from the guards.
  */
-router.post("/agg", async (req, res) => {
+router.post("/agg", AGG_GUARDS, validateRequest(GAMES_API.agg), async (req, res, next) => {
   try {
-    const { pipeline, command, allowDiskUse = true, maxTimeMS = 5000 } = req.body || {};
+    const { pipeline, command, allowDiskUse = true, maxTimeMS, limit } = req.body || {};
+    const explain = explainMode(req);
     const pipe = pipeline ? pipeline : parseCommandToPipeline(command);
 
     validatePipeline(pipe);
 
-    const cursor = Game.aggregate(pipe, { allowDiskUse }).option({ maxTimeMS });
+    const cap = resolveResultLimit(limit);
+    const capped = capResults(pipe, cap);
+    const agg = Game.aggregate(capped, { allowDiskUse: Boolean(allowDiskUse) })
+      .option({ maxTimeMS: resolveMaxTime(maxTimeMS) });
     // MongoDB (shell) equivalent:
-    // db.games.aggregate(pipe, { allowDiskUse: true, maxTimeMS: 5000 })
-    const items = await cursor.exec();
+    // db.games.aggregate([...pipe, { $limit: 100 }], { allowDiskUse: true, maxTimeMS: 5000 })
 
-    res.json({ ok: true, items });
-  } catch (e) {
-    console.error("RAW AGG error:", e);
-    const msg = e instanceof SyntaxError ? "syntax_error" : e.message || "server_error";
-    res.status(400).json({ ok: false, error: msg });
+    if (explain) {
+      const plan = await explainAggregate(agg, { includeRaw: explain === "full" });
+      return res.json({ ok: true, explain: plan, pipeline: capped });
+    }
+
+    const items = await agg.exec();
+    res.json({ ok: true, items, limit: cap, truncated: items.length >= cap });
+  } catch (err) {
+    // Operator/stage errors raised by the server are the caller's pipeline
+    if (err?.name === "MongoServerError") return next(new ApiError("aggregation_error", { detail: err.message }));
+    next(err);
   }
 });
 
 /* -------------------------------------------------------------------------- */
-/* GOTY endpoints (SET/UNSET with upsert & validation)                        */
+/* GOTY endpoints (ranked ballots: SET/UNSET with upsert & validation)        */
 /* -------------------------------------------------------------------------- */
 
-/**
- * Resolve allowed profiles from the Goty schema enum dynamically.
- * This helps keep the router aligned with the model without hardcoding values.
- */
-function getAllowedProfiles() {
-  // Mongoose may expose enum values under `options.enum` or `enumValues`
-  const path = Goty?.schema?.path?.("profile");
-  const enumA = path?.options?.enum;
-  const enumB = path?.enumValues;
-  const list = Array.isArray(enumA) && enumA.length ? enumA : (Array.isArray(enumB) && enumB.length ? enumB : null);
-  // Fallback (kept for backwards-compatibility if the schema lacks enum)
-  return Array.isArray(list) && list.length ? list.map(String) : ["kid", "person1", "person2"];
-}
+/** GOTY writes need a session with write access to `body.profile`. */
+const GOTY_WRITE_GUARD = requireProfileAccess((req) => req.body && req.body.profile);
 
 /**
  * POST /api/games/goty/set
- * Create or replace the GOTY for a (profile, year) pair. This uses an UPSERT to
- * avoid duplicate-key errors against the unique compound index (profile, year).
+ * Create or replace the pick at (profile, year, rank) of a year's ballot.
+ * This uses an UPSERT to avoid duplicate-key errors against the unique
+ * compound index (profile, year, rank). A game already on that ballot at
+ * another rank is moved, not duplicated.
  *
- * Body: { appid: string, year: number, profile: string }
+ * Body: { appid: string, year: number, profile: string, rank?: 1|2|3 (default 1) }
+ *       (schema: GAMES_API.gotySet)
  * Success: { ok:true, goty:{...} }
+ * Errors: 400 validation_error | invalid_profile; 404 game_not_found;
+ *         400 year_mismatch { releaseYear } when the game's release_year is
+ *         known and differs from `year`.
  */
-router.post("/goty/set", async (req, res, next) => {
+router.post("/goty/set", GOTY_WRITE_GUARD, validateRequest(GAMES_API.gotySet), async (req, res, next) => {
   try {
-    let { appid, year, profile } = req.body || {};
+    let { appid, year, profile, rank } = req.body;
 
-    // Basic normalization
-    appid = String(appid || "").trim();
-    const y = Number(year);
-    profile = String(profile || "").trim();
+    // Normalization (types are checked by the schema)
+    appid = String(appid).trim();
+    const y = year;
+    const r = rank === undefined ? 1 : rank;
+    profile = profile.trim();
 
-    // Basic validation before hitting Mongoose validators
-    if (!appid) return res.status(400).json({ ok: false, error: "missing_appid" });
-    if (!Number.isInteger(y)) return res.status(400).json({ ok: false, error: "invalid_year" });
+    const allowed = await getAllowedProfiles(); // from the profiles collection
+    if (!allowed.includes(profile)) throw new ApiError("invalid_profile", { allowed });
 
-    const allowed = getAllowedProfiles();
-    if (!allowed.includes(profile)) {
-      // Early feedback if the profile is not in the enum (or fallback list)
-      return res.status(400).json({ ok: false, error: "invalid_profile", allowed });
+    // A GOTY must have been released that year (when its release year is known)
+    const game = await Game.findOne({ appid }, { release_year: 1 }).lean();
+    // MongoDB (shell) equivalent:
+    // db.games.findOne({ appid: "<appid>" }, { release_year: 1 })
+    if (!game) throw new ApiError("game_not_found");
+    if (game.release_year != null && game.release_year !== y) {
+      throw new ApiError("year_mismatch", { releaseYear: game.release_year });
     }
 
-    // Upsert to guarantee a single GOTY per (profile,year)
+    const before = await ballotSnapshot(profile, y);
+
+    // Moving a game to another rank: free its current spot on the ballot
+    await Goty.deleteOne({ profile, year: y, appid, rank: { $ne: r } });
+    // MongoDB (shell) equivalent:
+    // db.gotys.deleteOne({ profile: "<profile>", year: <year>, appid: "<appid>", rank: { $ne: <rank> } })
+
+    // Upsert to guarantee a single pick per (profile,year,rank)
     const doc = await Goty.findOneAndUpdate(
-      { profile, year: y },
-      { $set: { appid, profile, year: y } },
+      { profile, year: y, rank: r },
+      { $set: { appid, profile, year: y, rank: r } },
       {
         upsert: true,
         new: true,
@@ -1129,55 +2019,175 @@ router.post("/goty/set", async (req, res, next) => {
     ).lean();
     // MongoDB (shell) equivalent:
     // db.gotys.updateOne(
-    //   { profile: "<profile>", year: <year> },
-    //   { $set: { appid: "<appid>", profile: "<profile>", year: <year> } },
+    //   { profile: "<profile>", year: <year>, rank: <rank> },
+    //   { $set: { appid: "<appid>", profile: "<profile>", year: <year>, rank: <rank> } },
     //   { upsert: true }
     // )
 
+    await invalidateCache("search", "totals"); // the GOTY tab depends on the gotys collection
+    auditChange(req, { entity: "goty", entityId: `${profile}:${y}`, action: "set", profile, before, after: await ballotSnapshot(profile, y) });
     return res.json({ ok: true, goty: doc });
   } catch (err) {
     // Friendly duplicate-key handling just in case (rare due to upsert)
-    if (err && err.code === 11000) {
-      return res.status(409).json({ ok: false, error: "duplicate_goty", detail: err.keyValue });
-    }
+    if (err && err.code === 11000) return next(new ApiError("duplicate_goty", { detail: err.keyValue }));
     next(err);
   }
 });
 
 /**
  * POST /api/games/goty/unset
- * Remove the GOTY record by (profile + year) OR (profile + appid).
+ * Remove picks of a profile:
+ * - { appid [, year] }  -> that game's pick(s)
+ * - { year, rank }      -> one place of the year's ballot
+ * - { year }            -> the whole year's ballot
  *
- * Body: { profile: string, year?: number, appid?: string }
- * Success: { ok:true, removed:{...} }
+ * Body: { profile: string, year?: number, appid?: string, rank?: number }
+ *       (schema: GAMES_API.gotyUnset; `appid` or `year` is required)
+ * Success: { ok:true, removed:[...] }
+ * Errors: 400 validation_error | invalid_profile; 404 not_found
  */
-router.post("/goty/unset", async (req, res, next) => {
+router.post("/goty/unset", GOTY_WRITE_GUARD, validateRequest(GAMES_API.gotyUnset), async (req, res, next) => {
   try {
-    let { year, appid, profile } = req.body || {};
-    profile = String(profile || "").trim();
-    const y = year !== undefined ? Number(year) : undefined;
+    let { year: y, appid, profile, rank: r } = req.body;
+    profile = profile.trim();
     appid = appid !== undefined ? String(appid).trim() : undefined;
 
-    const allowed = getAllowedProfiles();
-    if (!allowed.includes(profile)) {
-      return res.status(400).json({ ok: false, error: "invalid_profile", allowed });
-    }
-    if (y === undefined && !appid) {
-      return res.status(400).json({ ok: false, error: "missing_selector" });
-    }
-    if (y !== undefined && !Number.isInteger(y)) {
-      return res.status(400).json({ ok: false, error: "invalid_year" });
-    }
+    const allowed = await getAllowedProfiles(); // from the profiles collection
+    if (!allowed.includes(profile)) throw new ApiError("invalid_profile", { allowed });
 
     const filter = { profile };
     if (appid) filter.appid = appid;
     if (y !== undefined) filter.year = y;
+    if (r !== undefined) filter.rank = r;
 
-    const out = await Goty.findOneAndDelete(filter).lean();
+    const removed = await Goty.find(filter).lean();
+    if (!removed.length) throw new ApiError("not_found");
+    const years = Array.from(new Set(removed.map(d => d.year)));
+    const before = await Promise.all(years.map(year => ballotSnapshot(profile, year)));
+    await Goty.deleteMany({ _id: { $in: removed.map(d => d._id) } });
     // MongoDB (shell) equivalent:
-    // db.gotys.findOneAndDelete(<filter>)
-    if (!out) return res.status(404).json({ ok: false, error: "not_found" });
-    return res.json({ ok: true, removed: out });
+    // db.gotys.deleteMany(<filter>)
+    await invalidateCache("search", "totals");
+    for (const [i, year] of years.entries()) {
+      auditChange(req, { entity: "goty", entityId: `${profile}:${year}`, action: "unset", profile, before: before[i], after: await ballotSnapshot(profile, year) });
+    }
+    return res.json({ ok: true, removed });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GOTY read views (timeline, comparison, leaderboard, export)                */
+/* -------------------------------------------------------------------------- */
+
+const LEADERBOARD_DEFAULT_LIMIT = 20;
+const LEADERBOARD_MAX_LIMIT = 100;
+
+/**
+ * Comma-separated (or repeated) profile keys from a query parameter,
+ * validated against the profiles collection.
+ *
+ * @param {unknown} value - `req.query.profiles`.
+ * @returns {Promise<{ keys: string[]|null, invalid: string[], allowed: string[] }>}
+ *   `keys` is null when the parameter is absent.
+ */
+async function parseProfileList(value) {
+  const allowed = await getAllowedProfiles();
+  if (value === undefined || value === "") return { keys: null, invalid: [], allowed };
+  const keys = Array.from(new Set([].concat(value).flatMap(v => String(v).split(",")).map(k => k.trim()).filter(Boolean)));
+  return { keys, invalid: keys.filter(k => !allowed.includes(k)), allowed };
+}
+
+/**
+ * GET /api/games/goty/timeline?profile=person1
+ * A profile's ballots, newest year first (filtered by its own safety policy).
+ *
+ * Success: { ok:true, profile, years:[{ year, picks:[{ rank, appid, name, header_image }] }] }
+ * Errors: 400 validation_error | invalid_profile
+ */
+router.get("/goty/timeline", validateRequest(GAMES_API.gotyTimeline), async (req, res, next) => {
+  try {
+    const profile = String(req.query.profile).trim();
+    const allowed = await getAllowedProfiles();
+    if (!allowed.includes(profile)) throw new ApiError("invalid_profile", { allowed });
+
+    const years = await gotyTimeline(profile, { safety: await getProfileSafetyRules(profile) });
+    res.json({ ok: true, profile, years });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/games/goty/compare?profiles=person1,person2&profile=<viewer>
+ * "Which years do we agree on": per year, each profile's ballot, whether
+ * every compared profile picked the same winner, and games on several
+ * ballots. `profiles` defaults to every profile; picks the viewer's safety
+ * policy blocks are left out.
+ *
+ * Success: { ok:true, profiles, years:[...], summary:{ years, comparable, agreed } }
+ * Errors: 400 validation_error | invalid_profile { invalid } | too_few_profiles
+ */
+router.get("/goty/compare", validateRequest(GAMES_API.gotyCompare), async (req, res, next) => {
+  try {
+    const { keys, invalid, allowed } = await parseProfileList(req.query.profiles);
+    if (invalid.length) throw new ApiError("invalid_profile", { invalid });
+    const profiles = keys || allowed;
+    if (profiles.length < 2) throw new ApiError("too_few_profiles");
+
+    const data = await gotyComparison(profiles, { safety: await getProfileSafetyRules(req.query.profile) });
+    res.json({ ok: true, profiles, ...data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/games/goty/leaderboard?year=2023&profiles=a,b&limit=20&profile=<viewer>
+ * Most-picked games across profiles; ballot places score 3/2/1 points.
+ *
+ * Success: { ok:true, items:[{ appid, name, header_image, points, picks, wins, profiles, years }] }
+ * Errors: 400 validation_error | invalid_profile { invalid }
+ */
+router.get("/goty/leaderboard", validateRequest(GAMES_API.gotyLeaderboard), async (req, res, next) => {
+  try {
+    const year = req.query.year ? Number(req.query.year) : null;
+
+    const { keys, invalid } = await parseProfileList(req.query.profiles);
+    if (invalid.length) throw new ApiError("invalid_profile", { invalid });
+
+    const limit = Math.min(LEADERBOARD_MAX_LIMIT, Math.max(1, Number(req.query.limit) || LEADERBOARD_DEFAULT_LIMIT));
+    const items = await gotyLeaderboard({
+      year, profiles: keys, limit, safety: await getProfileSafetyRules(req.query.profile),
+    });
+    res.json({ ok: true, items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/games/goty/export?profile=person1&format=csv|json
+ * Download of the ballots as a file (all profiles when `profile` is
+ * omitted). With a profile, its own safety policy applies.
+ *
+ * Success: JSON { ok:true, columns, items:[{ profile, year, rank, appid, name, release_year, picked_at }] }
+ *          or text/csv with the same columns.
+ * Errors: 400 validation_error | invalid_profile
+ */
+router.get("/goty/export", validateRequest(GAMES_API.gotyExport), async (req, res, next) => {
+  try {
+    const format = String(req.query.format || "json");
+
+    const profile = req.query.profile ? String(req.query.profile).trim() : null;
+    if (profile && !(await getAllowedProfiles()).includes(profile)) throw new ApiError("invalid_profile");
+
+    const rows = await gotyExportRows(profile, { safety: profile ? await getProfileSafetyRules(profile) : null });
+    const filename = `goty-${profile || "all"}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "csv") return res.type("text/csv").send(toCsv(rows, EXPORT_COLUMNS));
+    res.json({ ok: true, columns: EXPORT_COLUMNS, items: rows });
   } catch (err) {
     next(err);
   }
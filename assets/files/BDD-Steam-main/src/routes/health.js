@@ -0,0 +1,34 @@
+// src/routes/health.js
+// Operational endpoints, mounted under /api before the session middleware so
+// probes and scrapers never hit the users collection:
+//   GET /api/health   liveness  -> 200 { ok:true, status:"ok", uptime }
+//   GET /api/ready    readiness -> 200 when MongoDB is connected, else 503 not_ready
+//   GET /api/metrics  Prometheus text format (services/metrics.js)
+
+import { Router } from "express";
+import { liveness, readiness } from "../services/health.js";
+import { renderMetrics } from "../services/metrics.js";
+import { ApiError } from "../services/apiErrors.js";
+
+const router = Router();
+
+router.get("/health", (_req, res) => {
+  res.json({ ok: true, ...liveness() });
+});
+
+// Answered here rather than through the error middleware, which logs every
+// 5xx: a probe polling a draining instance is not an error.
+router.get("/ready", (_req, res) => {
+  const { ready, mongo, shuttingDown } = readiness();
+  if (!ready) {
+    const err = new ApiError("not_ready", { mongo, shuttingDown });
+    return res.status(err.status).json({ ok: false, ...err.toJSON() });
+  }
+  res.json({ ok: true, status: "ready", mongo });
+});
+
+router.get("/metrics", (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+export default router;
@@ -0,0 +1,41 @@
+// src/routes/profiles.js
+// Express router for browsing profiles, their server-side favorites and
+// their price watch lists.
+// Thin wiring only: the handlers live in src/controllers/profilesController.js.
+// Mounted under /api/profiles; profiles are addressed by their `key`.
+// Reads are public; writes need a session and access to the profile
+// (see src/middleware/auth.js). Every route is validated against
+// PROFILES_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as profiles from "../controllers/profilesController.js";
+import { requireAuth, requireProfileAccess } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { PROFILES_API as API } from "../services/apiSchemas.js";
+
+const router = Router();
+
+/** Profile key of the current route. */
+const routeProfile = (req) => req.params.key;
+const canWrite = requireProfileAccess(routeProfile);
+
+router.get("/", validateRequest(API.list), profiles.listProfiles);
+router.post("/", requireAuth, validateRequest(API.create), profiles.createProfile);
+router.get("/:key", validateRequest(API.get), profiles.getProfile);
+router.patch("/:key", canWrite, validateRequest(API.update), profiles.updateProfile);
+router.delete("/:key", canWrite, validateRequest(API.remove), profiles.deleteProfile);
+router.get("/:key/safety-policy", validateRequest(API.safetyPolicy), profiles.getSafetyPolicyOf);
+
+/* Favorites (replaces the browser-only localStorage list) */
+router.get("/:key/favorites", validateRequest(API.favorites), profiles.getFavorites);
+router.put("/:key/favorites", canWrite, validateRequest(API.replaceFavorites), profiles.replaceFavorites);
+router.post("/:key/favorites/import", canWrite, validateRequest(API.importFavorites), profiles.importFavorites);
+router.put("/:key/favorites/:appid", canWrite, validateRequest(API.addFavorite), profiles.addFavorite);
+router.delete("/:key/favorites/:appid", canWrite, validateRequest(API.removeFavorite), profiles.removeFavorite);
+
+/* Price watch list */
+router.get("/:key/watchlist", validateRequest(API.watchlist), profiles.getWatchlist);
+router.put("/:key/watchlist/:appid", canWrite, validateRequest(API.putWatch), profiles.putWatch);
+router.delete("/:key/watchlist/:appid", canWrite, validateRequest(API.removeWatch), profiles.removeWatch);
+
+export default router;
@@ -0,0 +1,24 @@
+// src/routes/safetyPolicies.js
+// Express router for content-safety policies. Thin wiring only: the handlers
+// live in src/controllers/safetyPoliciesController.js. Mounted under
+// /api/safety-policies. Reads are public (profile editor, frontend guard);
+// writes are admin-only. Every route is validated against
+// SAFETY_POLICIES_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as policies from "../controllers/safetyPoliciesController.js";
+import { requireRole } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { SAFETY_POLICIES_API as API } from "../services/apiSchemas.js";
+
+const router = Router();
+
+const adminOnly = requireRole("admin");
+
+router.get("/", policies.listPolicies);
+router.get("/:key", validateRequest(API.get), policies.getPolicy);
+router.post("/", adminOnly, validateRequest(API.create), policies.createPolicy);
+router.patch("/:key", adminOnly, validateRequest(API.update), policies.updatePolicy);
+router.delete("/:key", adminOnly, validateRequest(API.remove), policies.deletePolicy);
+
+export default router;
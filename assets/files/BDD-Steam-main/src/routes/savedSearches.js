@@ -0,0 +1,23 @@
+// src/routes/savedSearches.js
+// Express router for named saved searches per profile.
+// Thin wiring only: the handlers live in src/controllers/savedSearchesController.js.
+// Mounted under /api/saved-searches. Every route needs a session with access
+// to the owning profile (see src/middleware/auth.js) and is validated
+// against SAVED_SEARCHES_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as searches from "../controllers/savedSearchesController.js";
+import { requireProfileAccess } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { SAVED_SEARCHES_API as API } from "../services/apiSchemas.js";
+
+const router = Router();
+
+/** Owning profile of the saved search in the route. */
+const canUseSavedSearch = requireProfileAccess((req) => searches.profileOfSavedSearch(req.params.id));
+
+router.get("/", requireProfileAccess((req) => req.query.profile), validateRequest(API.list), searches.listSavedSearches);
+router.post("/", requireProfileAccess((req) => (req.body || {}).profile), validateRequest(API.save), searches.saveSearch);
+router.delete("/:id", canUseSavedSearch, validateRequest(API.remove), searches.deleteSavedSearch);
+
+export default router;
@@ -0,0 +1,23 @@
+// src/routes/users.js
+// Express router for user accounts. Thin wiring only: the handlers live in
+// src/controllers/usersController.js. Mounted under /api/users.
+// Account management is admin-only; users see themselves via /api/auth/me.
+// Every route is validated against USERS_API (services/apiSchemas.js).
+
+import { Router } from "express";
+import * as users from "../controllers/usersController.js";
+import { requireRole } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validate.js";
+import { USERS_API as API } from "../services/apiSchemas.js";
+
+const router = Router();
+
+router.use(requireRole("admin"));
+
+router.get("/", users.listUsers);
+router.get("/:id", validateRequest(API.get), users.getUser);
+router.post("/", validateRequest(API.create), users.createUser);
+router.patch("/:id", validateRequest(API.update), users.updateUser);
+router.delete("/:id", validateRequest(API.remove), users.deleteUser);
+
+export default router;
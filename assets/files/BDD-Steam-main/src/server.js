@@ -5,23 +5,26 @@
  * HTTP Server bootstrap (Express + MongoDB)
  * ---------------------------------------------------------------------
  * What this file does
- * - Loads environment variables (.env) and initializes an Express app.
- * - Wires common middlewares (CORS, JSON body parsing, logging).
- * - Mounts API routes under /api/games.
- * - Serves the frontend (static files from /public) and provides an SPA
- *   fallback so client-side routing works on hard refresh.
- * - Connects to MongoDB before starting to listen for HTTP traffic.
+ * - Loads environment variables (.env) and builds the Express app with
+ *   `createApp()` (src/app.js: middlewares, API routers, static frontend,
+ *   SPA fallback).
+ * - Connects to MongoDB, seeds the default profiles / admin account, then
+ *   starts listening for HTTP traffic.
  *
  * Key integration points
  * - `connectDB(URI)` opens the default Mongoose connection. If the URI is
  *   missing/invalid, startup fails fast.
- * - The frontend expects index.html at the root (/) and static assets from /public.
- * - The games API lives under /api/games (see src/routes/games.js).
- *
- * Important ordering note
- * - The wildcard SPA fallback (`app.get("*", ...)`) will handle ANY non-API
- *   path before routes defined after it. If you want `/health` to return JSON,
- *   define it BEFORE the wildcard, or rename it to `/api/health`.
+ * - API surface: /api/games, /api/auth (login/logout/me), /api/users,
+ *   /api/profiles, /api/safety-policies, /api/collections,
+ *   /api/saved-searches, /api/admin/games and /api/audit, described at /api/docs (OpenAPI). Errors go through
+ *   one middleware with typed codes (middleware/errors.js). See src/app.js
+ *   for the mount order.
+ * - AUTH_SECRET signs session tokens; ADMIN_EMAIL / ADMIN_PASSWORD create
+ *   the first admin account (see src/services/auth.js).
+ * - Probes: GET /api/health (liveness), /api/ready (MongoDB state),
+ *   /api/metrics (Prometheus). MongoDB command timings are fed to the
+ *   metrics from the driver's command monitoring events.
+ * - SIGTERM / SIGINT: graceful shutdown (see the bottom of this file).
  *
  * Security & ops (recommendations)
  * - CORS is currently open (`cors()` with defaults). Restrict `origin` in prod.
@@ -30,105 +33,20 @@
  * =====================================================================
  */
 
-import express from "express";
 import dotenv from "dotenv";
-import cors from "cors";
-import morgan from "morgan";
-import path from "node:path";
-import { fileURLToPath } from "node:url";
 
-import { connectDB } from "./config/db.js";
-import gamesRouter from "./routes/games.js";
+import { connectDB, disconnectDB } from "./config/db.js";
+import { createApp } from "./app.js";
+import { beginShutdown } from "./services/health.js";
+import { observeMongoCommands } from "./services/metrics.js";
+import { ensureDefaultProfiles } from "./services/profiles.js";
+import { ensureDefaultSafetyPolicies } from "./services/safetyPolicies.js";
+import { ensureGotyBallots } from "./services/goty.js";
+import { ensureAdminUser } from "./services/auth.js";
 
 dotenv.config(); // Loads .env into process.env early (PORT, HOST, MONGODB_URI, ...)
 
-/* -------------------------------------------------------------------------- */
-/* ESM __filename / __dirname shims                                           */
-/* -------------------------------------------------------------------------- */
-/**
- * In ES modules, __filename/__dirname are not defined. We derive them from
- * import.meta.url in order to resolve the /public folder reliably regardless
- * of where the process is started from.
- */
-const __filename = fileURLToPath(import.meta.url);
-const __dirname  = path.dirname(__filename);
-
-const app = express();
-
-/* -------------------------------------------------------------------------- */
-/* Global middlewares                                                         */
-/* -------------------------------------------------------------------------- */
-/**
- * CORS: with no options, this allows all origins. In production, restrict:
- *   app.use(cors({ origin: ["https://your.app"], credentials: true }));
- */
-app.use(cors());
-
-/**
- * Body parser for JSON requests. Limit can be tuned if large payloads are expected:
- *   app.use(express.json({ limit: "1mb" }));
- */
-app.use(express.json());
-
-/**
- * HTTP request logger. "dev" format is concise for development.
- * For production, consider "combined" or a JSON logger (pino/winston).
- */
-app.use(morgan("dev"));
-
-/* -------------------------------------------------------------------------- */
-/* API routes                                                                 */
-/* -------------------------------------------------------------------------- */
-/**
- * Mount the games REST API under /api/games.
- * All handlers are defined in src/routes/games.js.
- */
-app.use("/api/games", gamesRouter);
-
-/* -------------------------------------------------------------------------- */
-/* Static assets + SPA fallback                                               */
-/* -------------------------------------------------------------------------- */
-/**
- * Serve the compiled/static frontend files from /public at the app root.
- * Requests for /css/*, /js/*, images, etc. are handled here.
- */
-const publicDir = path.join(__dirname, "../public");
-app.use(express.static(publicDir));
-
-/**
- * Landing page:
- * - Serves the main HTML (SPA entry point) at "/".
- */
-app.get("/", (_req, res) => {
-  res.sendFile(path.join(publicDir, "index.html"));
-});
-
-/**
- * SPA fallback:
- * - For any non-API route (i.e., NOT starting with "/api/"), send index.html.
- * - This enables client-side routing to handle the path.
- *
- * ⚠️ Route ordering caveat:
- * - Because this catches essentially all non-API GETs, any route you want to
- *   return JSON/HTML (like /health) MUST be defined BEFORE this handler,
- *   or moved under /api/*.
- */
-app.get("*", (req, res, next) => {
-  if (req.path.startsWith("/api/")) return next();
-  res.sendFile(path.join(publicDir, "index.html"));
-});
-
-/* -------------------------------------------------------------------------- */
-/* Health check (currently shadowed by SPA fallback due to ordering)          */
-/* -------------------------------------------------------------------------- */
-/**
- * Healthcheck endpoint for uptime/load balancers.
- * NOTE: As written, this will NOT be reached because the SPA fallback above
- * will serve index.html for "/health". To make /health work:
- *   - Move this block ABOVE the wildcard fallback, or
- *   - Change the path to "/api/health".
- */
-app.get("/health", (_req, res) => res.json({ status: "ok" }));
+const app = createApp();
 
 /* -------------------------------------------------------------------------- */
 /* Startup: read env, connect DB, then listen                                 */
@@ -149,15 +67,31 @@ const HOST = process.env.HOST || "0.0.0.0";
  */
 const URI  = process.env.MONGODB_URI;
 
+/**
+ * Upper bound for draining in-flight requests on shutdown before the
+ * process exits anyway (orchestrators usually SIGKILL after ~30s).
+ */
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10_000;
+
+/** @type {import("node:http").Server | null} */
+let server = null;
+
 /**
  * Boot sequence:
  * 1) Connect to MongoDB. If it fails, exit with code 1.
- * 2) Start the HTTP server only after the DB is ready (avoids serving 500s
+ * 2) Seed the default profiles / safety policies if their collections are
+ *    empty, and the admin account from ADMIN_EMAIL / ADMIN_PASSWORD if none
+ *    exists; migrate legacy GOTY picks to ranked ballots.
+ * 3) Start the HTTP server only after the DB is ready (avoids serving 500s
  *    during warmup).
  */
 connectDB(URI)
+  .then((conn) => {
+    observeMongoCommands(conn.getClient());
+    return Promise.all([ensureDefaultProfiles(), ensureDefaultSafetyPolicies(), ensureAdminUser(), ensureGotyBallots()]);
+  })
   .then(() => {
-    app.listen(PORT, HOST, () => {
+    server = app.listen(PORT, HOST, () => {
       console.log(`site running at http://${HOST}:${PORT}`);
     });
   })
@@ -166,3 +100,46 @@ connectDB(URI)
     process.exit(1);
   });
 
+/* -------------------------------------------------------------------------- */
+/* Graceful shutdown                                                          */
+/* -------------------------------------------------------------------------- */
+/**
+ * On SIGTERM (orchestrators) or SIGINT (Ctrl+C):
+ * 1) /api/ready starts answering 503 so load balancers stop routing here.
+ * 2) The server stops accepting connections; idle keep-alive sockets are
+ *    closed and in-flight requests finish.
+ * 3) The Mongoose connection is closed, then the process exits 0.
+ * If draining takes longer than SHUTDOWN_TIMEOUT_MS the process exits 1.
+ * A second signal during shutdown is ignored.
+ */
+let stopping = false;
+
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`${signal} received, shutting down`);
+  beginShutdown();
+
+  setTimeout(() => {
+    console.error(`shutdown timed out after ${SHUTDOWN_TIMEOUT_MS}ms`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    if (server) {
+      await new Promise((resolve, reject) => {
+        server.close((err) => (err ? reject(err) : resolve()));
+        server.closeIdleConnections();
+      });
+      console.log("http server closed");
+    }
+    await disconnectDB();
+    process.exit(0);
+  } catch (e) {
+    console.error("shutdown failed", e);
+    process.exit(1);
+  }
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
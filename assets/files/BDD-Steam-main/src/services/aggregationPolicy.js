@@ -0,0 +1,212 @@
+// src/services/aggregationPolicy.js
+
+/**
+ * =====================================================================
+ * Policy layer for user-supplied aggregation pipelines (POST /api/games/agg)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Validates a pipeline against AGG_POLICY before it reaches MongoDB:
+ *     • stage allowlist (top level and inside $facet / $lookup pipelines)
+ *     • $lookup `from` restricted to an allowlist of collections, so the
+ *       console cannot read users/profiles. "games" is left out: a joined
+ *       pipeline skips the Game model's soft-delete filter and would
+ *       return deleted games
+ *     • $out / $merge and JS operators ($where, $function, $accumulator)
+ *       rejected anywhere, including sub-pipelines
+ *     • caps on stages per pipeline, sub-pipeline nesting and expression depth
+ * - Appends a trailing $limit (capResults) so a query can never return an
+ *   unbounded number of documents. The cap counts documents, not bytes: a
+ *   $group that $push-es "$$ROOT" still fits in one result document, which
+ *   MongoDB itself bounds at 16 MB (BSON limit), and maxTimeMS bounds the
+ *   work spent building it.
+ *
+ * Error shape
+ * - Violations throw PipelineViolation with a snake_case `code` and a JSON
+ *   path to the offending node, e.g.
+ *     { code: "lookup_collection_not_allowed",
+ *       path: "pipeline[1].$lookup.from", detail: "users" }
+ *   which the router returns as `{ ok:false, error: code, path, detail }`.
+ *
+ * The browser imports this module too (src/app.js serves it as
+ * /js/shared/aggregationPolicy.js for the query builder): keep it free of
+ * imports and Node APIs.
+ * =====================================================================
+ */
+
+/**
+ * Limits applied to every /agg request.
+ * - allowedStages: stages accepted at any level.
+ * - lookupCollections: collections a $lookup may join.
+ * - maxStages: stages per (sub-)pipeline.
+ * - maxNesting: sub-pipeline levels ($facet / $lookup.pipeline) below the root.
+ * - maxDepth: object/array nesting inside one stage.
+ * - defaultLimit / maxLimit: trailing $limit (request `limit` is clamped).
+ * - maxTimeMS: upper bound for the request's maxTimeMS.
+ */
+export const AGG_POLICY = Object.freeze({
+  allowedStages: new Set([
+    "$match", "$project", "$sort", "$limit", "$skip",
+    "$unwind", "$group", "$lookup", "$addFields", "$set",
+    "$facet", "$count", "$sample", "$sortByCount",
+    "$unset", "$replaceRoot", "$replaceWith",
+    "$setWindowFields",
+  ]),
+  forbiddenKeys: new Set(["$where", "$function", "$accumulator", "$out", "$merge"]),
+  lookupCollections: new Set(["gotys"]),
+  maxStages: 25,
+  maxNesting: 2,
+  maxDepth: 16,
+  defaultLimit: 100,
+  maxLimit: 1000,
+  maxTimeMS: 10000,
+});
+
+/**
+ * A policy violation, located by a JSON path into the submitted pipeline.
+ */
+export class PipelineViolation extends Error {
+  /**
+   * @param {string} code - snake_case reason (returned as `error`).
+   * @param {string} path - JSON path of the offending node.
+   * @param {unknown} [detail] - Offending value (operator, collection, count...).
+   */
+  constructor(code, path, detail) {
+    super(`${code} at ${path}`);
+    this.name = "PipelineViolation";
+    this.code = code;
+    this.path = path;
+    this.detail = detail;
+  }
+
+  /** Body fields for the 400 response. */
+  toJSON() {
+    return { error: this.code, path: this.path, detail: this.detail };
+  }
+}
+
+/** Append a key to a JSON path ("a.b", "a[0]"). */
+const at = (path, key) => (typeof key === "number" ? `${path}[${key}]` : `${path}.${key}`);
+
+/**
+ * Walk a stage payload: reject forbidden operators and excessive depth,
+ * and validate any $lookup/$facet sub-pipeline found on the way.
+ */
+function scanNode(node, path, depth, nesting, policy) {
+  if (depth > policy.maxDepth) throw new PipelineViolation("max_depth_exceeded", path, policy.maxDepth);
+  if (!node || typeof node !== "object") return;
+
+  if (Array.isArray(node)) {
+    node.forEach((v, i) => scanNode(v, at(path, i), depth + 1, nesting, policy));
+    return;
+  }
+  for (const k of Object.keys(node)) {
+    if (policy.forbiddenKeys.has(k)) throw new PipelineViolation("forbidden_operator", at(path, k), k);
+    scanNode(node[k], at(path, k), depth + 1, nesting, policy);
+  }
+}
+
+/**
+ * Validate one (sub-)pipeline.
+ *
+ * @param {unknown} pipeline
+ * @param {string} path - JSON path of the pipeline array.
+ * @param {number} nesting - 0 for the root pipeline.
+ * @param {typeof AGG_POLICY} policy
+ */
+function checkPipeline(pipeline, path, nesting, policy) {
+  if (!Array.isArray(pipeline)) throw new PipelineViolation("pipeline_must_be_array", path);
+  if (nesting > policy.maxNesting) throw new PipelineViolation("max_nesting_exceeded", path, policy.maxNesting);
+  if (pipeline.length > policy.maxStages) {
+    throw new PipelineViolation("too_many_stages", path, { max: policy.maxStages, got: pipeline.length });
+  }
+
+  pipeline.forEach((stage, i) => {
+    const stagePath = at(path, i);
+    if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+      throw new PipelineViolation("stage_must_be_object", stagePath);
+    }
+    const keys = Object.keys(stage);
+    if (keys.length !== 1) throw new PipelineViolation("one_operator_per_stage", stagePath, keys);
+
+    const op = keys[0];
+    const opPath = at(stagePath, op);
+    if (policy.forbiddenKeys.has(op)) throw new PipelineViolation("forbidden_operator", opPath, op);
+    if (!policy.allowedStages.has(op)) throw new PipelineViolation("stage_not_allowed", opPath, op);
+
+    const body = stage[op];
+
+    if (op === "$lookup") {
+      const spec = body && typeof body === "object" ? body : {};
+      if (typeof spec.from !== "string" || !policy.lookupCollections.has(spec.from)) {
+        throw new PipelineViolation("lookup_collection_not_allowed", at(opPath, "from"), spec.from ?? null);
+      }
+      if (spec.pipeline !== undefined) {
+        checkPipeline(spec.pipeline, at(opPath, "pipeline"), nesting + 1, policy);
+      }
+      const { pipeline: _sub, ...rest } = spec;
+      scanNode(rest, opPath, 1, nesting, policy);
+      return;
+    }
+
+    if (op === "$facet") {
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        throw new PipelineViolation("facet_must_be_object", opPath);
+      }
+      for (const [name, sub] of Object.entries(body)) {
+        checkPipeline(sub, at(opPath, name), nesting + 1, policy);
+      }
+      return;
+    }
+
+    scanNode(body, opPath, 1, nesting, policy);
+  });
+}
+
+/**
+ * Validate a user-supplied pipeline against the policy.
+ *
+ * @param {unknown} pipeline
+ * @param {typeof AGG_POLICY} [policy=AGG_POLICY]
+ * @throws {PipelineViolation}
+ */
+export function validatePipeline(pipeline, policy = AGG_POLICY) {
+  checkPipeline(pipeline, "pipeline", 0, policy);
+}
+
+/**
+ * Clamp a requested result limit to the policy bounds.
+ * @param {unknown} limit
+ * @param {typeof AGG_POLICY} [policy=AGG_POLICY]
+ * @returns {number}
+ */
+export function resolveResultLimit(limit, policy = AGG_POLICY) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return policy.defaultLimit;
+  return Math.min(Math.floor(n), policy.maxLimit);
+}
+
+/**
+ * Return a copy of a validated pipeline with a forced trailing $limit.
+ * A trailing $limit after a smaller user $limit is a no-op, so it is
+ * always appended rather than merged. It caps the number of documents
+ * only; the size of each one is bounded by MongoDB's 16 MB document limit.
+ *
+ * @param {Array<object>} pipeline
+ * @param {number} limit - Already clamped (see resolveResultLimit).
+ * @returns {Array<object>}
+ */
+export function capResults(pipeline, limit) {
+  return [...pipeline, { $limit: limit }];
+}
+
+/**
+ * Clamp a requested maxTimeMS to the policy bound.
+ * @param {unknown} ms
+ * @param {typeof AGG_POLICY} [policy=AGG_POLICY]
+ * @returns {number}
+ */
+export function resolveMaxTime(ms, policy = AGG_POLICY) {
+  const n = Number(ms);
+  if (!Number.isFinite(n) || n <= 0) return Math.min(5000, policy.maxTimeMS);
+  return Math.min(Math.floor(n), policy.maxTimeMS);
+}
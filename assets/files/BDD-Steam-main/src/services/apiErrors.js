@@ -0,0 +1,77 @@
+// src/services/apiErrors.js
+
+/**
+ * =====================================================================
+ * Typed API errors
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - ERROR_CODES: every `error` code the API answers with, its HTTP status
+ *   and a one-line meaning (also published in the OpenAPI document).
+ * - ApiError: thrown (or passed to `next`) by route handlers; the central
+ *   error middleware (middleware/errors.js) turns it into
+ *   `{ ok:false, error:<code>, ...extra }` with the code's status.
+ *
+ * Raw-aggregation policy violations keep their own class and codes
+ * (PipelineViolation, services/aggregationPolicy.js); they are answered
+ * with 400 by the same middleware.
+ * =====================================================================
+ */
+
+/** @type {Record<string, { status:number, description:string }>} */
+export const ERROR_CODES = {
+  validation_error: { status: 400, description: "The request does not match its schema; `details` maps each field path to a message." },
+  invalid_json: { status: 400, description: "The request body is not valid JSON." },
+  invalid_id: { status: 400, description: "An id in the request is malformed." },
+  invalid_cursor: { status: 400, description: "The pagination cursor is malformed or was issued for another sort." },
+  invalid_profile: { status: 400, description: "Unknown profile key; `allowed` or `invalid` lists the keys." },
+  too_few_profiles: { status: 400, description: "A comparison needs at least two profiles." },
+  unknown_safety_policy: { status: 400, description: "No safety policy has this key." },
+  invalid_appids: { status: 400, description: "`appids` must be a list of appids (strings or numbers)." },
+  invalid_target_price: { status: 400, description: "`targetPrice` must be a number >= 0, or null." },
+  invalid_order: { status: 400, description: "`order` must list every appid of the collection exactly once." },
+  too_many_entries: { status: 400, description: "The collection is full; `max` is the limit." },
+  missing_credentials: { status: 400, description: "Both `email` and `password` are required." },
+  weak_password: { status: 400, description: "The password is too short; `minLength` is the minimum." },
+  year_mismatch: { status: 400, description: "The game was not released that year; `releaseYear` is its release year." },
+  syntax_error: { status: 400, description: "The aggregate command could not be parsed." },
+  aggregation_error: { status: 400, description: "MongoDB rejected the pipeline; `detail` holds its message." },
+  unauthorized: { status: 401, description: "Sign in first." },
+  invalid_credentials: { status: 401, description: "Wrong email or password." },
+  forbidden: { status: 403, description: "The account may not do this." },
+  profile_forbidden: { status: 403, description: "The profile belongs to another account or is restricted." },
+  not_found: { status: 404, description: "No such resource." },
+  game_not_found: { status: 404, description: "No game with this appid." },
+  duplicate: { status: 409, description: "A unique key already exists; `detail` holds the key." },
+  duplicate_goty: { status: 409, description: "That ballot place is already taken." },
+  watchlist_full: { status: 409, description: "The watch list is full; `max` is the limit." },
+  policy_in_use: { status: 409, description: "The policy is the default one or profiles pick it; `profiles` lists them." },
+  payload_too_large: { status: 413, description: "The request body is too large." },
+  server_error: { status: 500, description: "Unexpected failure (logged server-side)." },
+  not_ready: { status: 503, description: "MongoDB is not connected or the server is shutting down; `mongo` is the connection state." },
+};
+
+/**
+ * An error answered with a known code.
+ *
+ * @example
+ *   throw new ApiError("invalid_profile", { allowed });
+ *   // -> 400 { ok:false, error:"invalid_profile", allowed:[...] }
+ */
+export class ApiError extends Error {
+  /**
+   * @param {keyof typeof ERROR_CODES} code
+   * @param {Record<string, unknown>} [extra] - Extra response fields (details, detail, allowed...).
+   */
+  constructor(code, extra = {}) {
+    super(code);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = ERROR_CODES[code]?.status || 500;
+    this.extra = extra;
+  }
+
+  /** Body fields of the error response. */
+  toJSON() {
+    return { error: this.code, ...this.extra };
+  }
+}
@@ -0,0 +1,1178 @@
+// src/services/apiSchemas.js
+
+/**
+ * =====================================================================
+ * Request/response schemas of the games API
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - GAMES_API: one spec per route of src/routes/games.js:
+ *     { method, path, summary, auth?, params?, query?, body?, response?, errors?, cached? }
+ *   `params` / `query` / `body` are JSON Schemas (services/schemaValidation.js)
+ *   checked by validateRequest (middleware/validate.js) before the handler
+ *   runs; `errors` lists the codes the route may answer with
+ *   (services/apiErrors.js).
+ * - ADMIN_GAMES_API: the admin game editor (src/routes/adminGames.js).
+ * - AUDIT_API / SAVED_SEARCHES_API: src/routes/audit.js and
+ *   src/routes/savedSearches.js.
+ * - AUTH_API / USERS_API / PROFILES_API / COLLECTIONS_API /
+ *   SAFETY_POLICIES_API: the account, profile, collection and safety
+ *   policy routes (src/routes/auth.js, users.js, profiles.js,
+ *   collections.js, safetyPolicies.js).
+ * - STATS_API: the statistics presets served by src/routes/games.js, one
+ *   spec per preset (its `params` become the query schema).
+ * - OPS_API: the operational routes of src/routes/health.js (no input).
+ * - The same specs generate the OpenAPI document (services/openapi.js,
+ *   GET /api/docs), so the docs cannot drift from what is enforced.
+ *
+ * Conventions
+ * - Unknown top-level body fields are rejected; filter objects stay open
+ *   (the frontend may send UI-only keys) but known keys are type-checked.
+ * - Optional values the UI sends as "" (year, gotyYear, multiplayer) accept it.
+ * =====================================================================
+ */
+
+import { GOTY_RANKS } from "../models/Goty.js";
+import { MAX_COLLECTION_ENTRIES } from "../models/GameCollection.js";
+import { MAX_FAVORITES } from "../models/Profile.js";
+import { SAVED_SEARCH_KINDS } from "../models/SavedSearch.js";
+import { AGG_POLICY } from "./aggregationPolicy.js";
+import { STATS_PRESETS } from "./statsPresets.js";
+
+/* -------------------------------------------------------------------------- */
+/* Shared pieces                                                              */
+/* -------------------------------------------------------------------------- */
+
+const profileKey = { type: "string", maxLength: 32, description: "Profile key; its safety policy applies." };
+const appid = { type: ["string", "integer"], description: "Steam appid." };
+const year = { type: "integer", minimum: 1970, maximum: 2100 };
+const optionalYear = { type: ["integer", "string"], pattern: "^(\\d{4})?$", description: "Year, or \"\" for none." };
+const dateBound = {
+  type: "string",
+  pattern: "^(\\d{4}(-\\d{2}(-\\d{2})?)?)?$",
+  description: "\"YYYY\", \"YYYY-MM\" or \"YYYY-MM-DD\" (inclusive of the whole period).",
+};
+const gameId = { type: "object", required: ["id"], properties: { id: { type: "string", description: "Steam appid or MongoDB ObjectId." } } };
+/** Page sizes the handler clamps (larger values are served at the cap, not rejected). */
+const clampedLimit = (max, dflt) => ({ type: "integer", minimum: 1, default: dflt, description: `Clamped to ${max}.` });
+const profilesCsv = { type: "string", description: "Comma-separated profile keys." };
+
+/** Filters sent by the frontend (see buildMatch in src/routes/games.js). */
+export const FILTERS_SCHEMA = {
+  type: "object",
+  description: "Search filters; unknown keys are ignored.",
+  properties: {
+    search: { type: "string", maxLength: 200 },
+    category: {
+      type: "string",
+      description: "\"all\", \"favorites\", \"best\", \"deals\", \"watchlist\", \"recommendations\", \"goty\" or a collection id.",
+    },
+    platforms: {
+      type: "object",
+      properties: { windows: { type: "boolean" }, mac: { type: "boolean" }, linux: { type: "boolean" } },
+    },
+    genre: { type: "string" },
+    language: { type: "string" },
+    developer: { type: "string" },
+    multiplayer: { type: "string", enum: ["", "single", "multi"] },
+    year: optionalYear,
+    releasedFrom: dateBound,
+    releasedTo: dateBound,
+    priceMin: { type: "number", minimum: 0 },
+    priceMax: { type: "number", minimum: 0 },
+    gotyYear: optionalYear,
+    profile: profileKey,
+    appids: { type: "array", items: appid, maxItems: 5000 },
+  },
+};
+
+/** The same filters as query-string parameters (GET /distinct/*). */
+const FILTERS_QUERY = {
+  type: "object",
+  properties: {
+    ...Object.fromEntries(Object.entries(FILTERS_SCHEMA.properties).filter(([k]) => k !== "platforms" && k !== "appids")),
+    windows: { type: "string", enum: ["0", "1"] },
+    mac: { type: "string", enum: ["0", "1"] },
+    linux: { type: "string", enum: ["0", "1"] },
+  },
+};
+
+/** Sort keys of buildSort. */
+export const SORT_KEYS = [
+  "name-asc", "name-desc", "price-asc", "price-desc", "date-desc", "date-asc",
+  "rating-desc", "relevance", "collection",
+];
+
+const projection = {
+  type: "object",
+  additionalProperties: { type: "integer", enum: [0, 1] },
+  description: "Field inclusion/exclusion map, e.g. { name: 1, price: 1 }.",
+};
+
+const itemsResponse = (description) => ({
+  type: "object",
+  properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "object" }, description } },
+});
+
+/* -------------------------------------------------------------------------- */
+/* Routes                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/** Routes answered through the response cache (ETag, 304 on If-None-Match). */
+const CACHED_NOTE = "Answers carry an ETag; send it back as If-None-Match to get 304 Not Modified while the result is unchanged.";
+
+const distinctRoute = (kind) => ({
+  method: "get",
+  path: `/api/games/distinct/${kind}`,
+  summary: `Distinct ${kind} under the given filters (A→Z).`,
+  description: CACHED_NOTE,
+  cached: true,
+  query: FILTERS_QUERY,
+  response: { type: "object", properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "string" } } } },
+});
+
+/** @type {Record<string, object>} */
+export const GAMES_API = {
+  search: {
+    method: "post",
+    path: "/api/games/search",
+    summary: "Search games with filters, sort and keyset pagination.",
+    description: CACHED_NOTE,
+    cached: true,
+    query: { type: "object", properties: { explain: { type: "string", enum: ["1", "true", "full"] } } },
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        filters: FILTERS_SCHEMA,
+        sort: { type: "string", enum: SORT_KEYS, default: "name-asc" },
+        page: { type: "integer", minimum: 1, default: 1 },
+        limit: { type: "integer", minimum: 1, maximum: 200, default: 40 },
+        after: { type: "string", description: "`nextCursor` of a previous response." },
+        before: { type: "string", description: "`prevCursor` of a previous response." },
+        last: { type: "boolean", description: "Jump to the final page." },
+        projection,
+        withTotal: { type: "boolean", default: true },
+        explain: { type: "boolean", description: "Return the query plan instead of rows (signed-in accounts; `?explain=full` admins only)." },
+      },
+    },
+    response: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        page: { type: "integer" },
+        limit: { type: "integer" },
+        total: { type: ["integer", "null"] },
+        hasMore: { type: "boolean" },
+        nextCursor: { type: ["string", "null"] },
+        prevCursor: { type: ["string", "null"] },
+        items: { type: "array", items: { type: "object" } },
+      },
+    },
+    errors: ["validation_error", "invalid_cursor", "unauthorized", "forbidden"],
+  },
+
+  distinctGenres: distinctRoute("genres"),
+  distinctLanguages: distinctRoute("languages"),
+  distinctDevelopers: distinctRoute("developers"),
+
+  facets: {
+    method: "post",
+    path: "/api/games/facets",
+    summary: "Per-value counts for the filter selects (each facet ignores its own filter).",
+    body: { type: "object", additionalProperties: false, properties: { filters: FILTERS_SCHEMA } },
+    response: { type: "object", properties: { ok: { type: "boolean" }, facets: { type: "object" } } },
+    errors: ["validation_error"],
+  },
+
+  recommendations: {
+    method: "post",
+    path: "/api/games/recommendations",
+    summary: "Explainable recommendations grouped by favorite.",
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        profile: profileKey,
+        appids: { type: "array", items: appid, maxItems: 5000, description: "Favorites; default: the profile's stored favorites." },
+        filters: FILTERS_SCHEMA,
+        limit: clampedLimit(60, 24),
+        diversity: {
+          anyOf: [
+            { type: "boolean", enum: [false] },
+            {
+              type: "object",
+              additionalProperties: false,
+              properties: { maxPerDeveloper: { type: "integer", minimum: 1 }, decay: { type: "number", minimum: 0, maximum: 1 } },
+            },
+          ],
+        },
+      },
+    },
+    response: {
+      type: "object",
+      properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "object" } }, groups: { type: "array", items: { type: "object" } } },
+    },
+    errors: ["validation_error"],
+  },
+
+  compare: {
+    method: "post",
+    path: "/api/games/compare",
+    summary: "Up to 4 games side by side (compare tray), in request order.",
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["appids"],
+      properties: {
+        profile: profileKey,
+        appids: { type: "array", items: appid, minItems: 1, maxItems: 4 },
+      },
+    },
+    response: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        items: { type: "array", items: { type: "object" } },
+        missing: { type: "array", items: { type: "string" }, description: "Unknown, deleted or blocked for the profile." },
+      },
+    },
+    errors: ["validation_error"],
+  },
+
+  game: {
+    method: "get",
+    path: "/api/games/:id",
+    summary: "One game by appid or ObjectId; with `profile`, checked against its safety policy and with its GOTY places.",
+    params: gameId,
+    query: { type: "object", properties: { profile: profileKey } },
+    response: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        data: { type: "object" },
+        goty: { type: "array", items: { type: "object", properties: { year, rank: { type: "integer" } } }, description: "Only with `profile`." },
+      },
+    },
+    errors: ["validation_error", "not_found"],
+  },
+
+  similar: {
+    method: "get",
+    path: "/api/games/:id/similar",
+    summary: "\"More like this\": precomputed (or live) neighbors of a game.",
+    params: gameId,
+    query: { type: "object", properties: { profile: profileKey, limit: clampedLimit(30, 12) } },
+    response: itemsResponse("Games with `similarity: { score, reasons }`."),
+    errors: ["validation_error", "not_found"],
+  },
+
+  prices: {
+    method: "get",
+    path: "/api/games/:id/prices",
+    summary: "Recorded price series of a game with its derived stats.",
+    params: gameId,
+    query: { type: "object", properties: { profile: profileKey } },
+    response: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        appid: { type: "string" },
+        price: { type: ["number", "null"] },
+        items: { type: "array", items: { type: "object" }, description: "{ price, at, source }, oldest first." },
+        stats: { type: ["object", "null"] },
+      },
+    },
+    errors: ["validation_error", "not_found"],
+  },
+
+  fields: {
+    method: "get",
+    path: "/api/games/fields",
+    summary: "Fields of the Game schema (field autocompletion of the aggregation query builder).",
+    response: itemsResponse("{ path, type, items? } sorted by path; `items` is the item type of array fields."),
+    errors: [],
+  },
+
+  agg: {
+    method: "post",
+    path: "/api/games/agg",
+    summary: "Run a raw aggregation on games under the aggregation policy (signed-in, non-restricted profiles).",
+    auth: true,
+    query: { type: "object", properties: { explain: { type: "string", enum: ["1", "true", "full"] }, profile: profileKey } },
+    body: {
+      type: "object",
+      additionalProperties: false,
+      anyOf: [{ required: ["pipeline"] }, { required: ["command"] }],
+      properties: {
+        pipeline: { type: "array", items: { type: "object" }, maxItems: AGG_POLICY.maxStages },
+        command: { type: "string", maxLength: 20000, description: "Shell-like `db.games.aggregate([...])`." },
+        allowDiskUse: { type: "boolean", default: true },
+        maxTimeMS: { type: "integer", minimum: 1, description: `Clamped to ${AGG_POLICY.maxTimeMS}.` },
+        limit: { type: "integer", minimum: 1, description: `Trailing $limit, clamped to ${AGG_POLICY.maxLimit}.` },
+        explain: { type: "boolean" },
+        profile: profileKey,
+      },
+    },
+    response: {
+      type: "object",
+      properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "object" } }, limit: { type: "integer" }, truncated: { type: "boolean" } },
+    },
+    errors: ["validation_error", "syntax_error", "aggregation_error", "invalid_profile", "unauthorized", "forbidden", "profile_forbidden"],
+    description: "`profile` (body or `?profile=`) is required: a missing or unknown profile answers 400 invalid_profile. Policy violations answer 400 with `{ error, path, detail }` (see services/aggregationPolicy.js).",
+  },
+
+  gotySet: {
+    method: "post",
+    path: "/api/games/goty/set",
+    summary: "Set a place (1 = GOTY) of a profile's ballot for a year.",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["appid", "year", "profile"],
+      properties: {
+        appid: { ...appid, minLength: 1 },
+        year,
+        profile: profileKey,
+        rank: { type: "integer", minimum: 1, maximum: GOTY_RANKS, default: 1 },
+      },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, goty: { type: "object" } } },
+    errors: ["validation_error", "invalid_profile", "game_not_found", "year_mismatch", "duplicate_goty", "unauthorized", "forbidden"],
+  },
+
+  gotyUnset: {
+    method: "post",
+    path: "/api/games/goty/unset",
+    summary: "Remove picks: a game's, one ballot place, or a whole year.",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["profile"],
+      anyOf: [{ required: ["appid"] }, { required: ["year"] }],
+      properties: {
+        profile: profileKey,
+        appid,
+        year,
+        rank: { type: "integer", minimum: 1, maximum: GOTY_RANKS },
+      },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, removed: { type: "array", items: { type: "object" } } } },
+    errors: ["validation_error", "invalid_profile", "not_found", "unauthorized", "forbidden"],
+  },
+
+  gotyTimeline: {
+    method: "get",
+    path: "/api/games/goty/timeline",
+    summary: "A profile's ballots, newest year first.",
+    query: { type: "object", required: ["profile"], properties: { profile: profileKey } },
+    response: { type: "object", properties: { ok: { type: "boolean" }, profile: { type: "string" }, years: { type: "array", items: { type: "object" } } } },
+    errors: ["validation_error", "invalid_profile"],
+  },
+
+  gotyCompare: {
+    method: "get",
+    path: "/api/games/goty/compare",
+    summary: "Per-year ballots of several profiles and the years their winners agree.",
+    query: { type: "object", properties: { profiles: profilesCsv, profile: profileKey } },
+    response: { type: "object", properties: { ok: { type: "boolean" }, profiles: { type: "array", items: { type: "string" } }, years: { type: "array", items: { type: "object" } }, summary: { type: "object" } } },
+    errors: ["validation_error", "invalid_profile", "too_few_profiles"],
+  },
+
+  gotyLeaderboard: {
+    method: "get",
+    path: "/api/games/goty/leaderboard",
+    summary: "Most-picked games across profiles (3/2/1 points per place).",
+    query: { type: "object", properties: { year, profiles: profilesCsv, limit: clampedLimit(100, 20), profile: profileKey } },
+    response: itemsResponse("{ appid, name, header_image, points, picks, wins, profiles, years }"),
+    errors: ["validation_error", "invalid_profile"],
+  },
+
+  gotyExport: {
+    method: "get",
+    path: "/api/games/goty/export",
+    summary: "Download ballots as JSON or CSV (all profiles without `profile`).",
+    query: { type: "object", properties: { profile: profileKey, format: { type: "string", enum: ["json", "csv"], default: "json" } } },
+    response: itemsResponse("{ profile, year, rank, appid, name, release_year, picked_at }"),
+    errors: ["validation_error", "invalid_profile"],
+  },
+};
+
+/* -------------------------------------------------------------------------- */
+/* Admin game editor                                                          */
+/* -------------------------------------------------------------------------- */
+
+const stringList = { type: "array", maxItems: 200, items: { type: "string", minLength: 1, maxLength: 200 } };
+
+/** Game fields an admin may set (src/controllers/adminGamesController.js). */
+export const GAME_EDIT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 300 },
+    release_date: {
+      type: ["string", "null"],
+      maxLength: 40,
+      description: "\"YYYY-MM-DD\" or the dataset's \"Oct 21, 2008\"; other text (\"Coming soon\") is kept as release_date_text. null clears it.",
+    },
+    price: { type: "number", minimum: 0, maximum: 100000, description: "Changes are recorded in the price history (source \"admin\")." },
+    windows: { type: "boolean" },
+    mac: { type: "boolean" },
+    linux: { type: "boolean" },
+    developers: stringList,
+    publishers: stringList,
+    genres: stringList,
+    categories: stringList,
+    supported_languages: stringList,
+    header_image: { type: "string", maxLength: 2000, pattern: "^(https?://|/)" },
+    user_score: { type: "number", minimum: 0, maximum: 100 },
+    recommendations: { type: "integer", minimum: 0 },
+  },
+};
+
+const adminAppid = { type: "object", required: ["appid"], properties: { appid: { type: "string", pattern: "^[A-Za-z0-9_-]{1,32}$" } } };
+const adminGameResponse = { type: "object", properties: { ok: { type: "boolean" }, data: { type: "object" } } };
+const ADMIN_ERRORS = ["validation_error", "unauthorized", "forbidden"];
+
+/** Admin CRUD on games (admins only). */
+export const ADMIN_GAMES_API = {
+  list: {
+    method: "get",
+    path: "/api/admin/games",
+    summary: "Games by name, including soft-deleted ones on request.",
+    auth: true,
+    query: {
+      type: "object",
+      properties: {
+        q: { type: "string", maxLength: 100, description: "Appid, or part of the name." },
+        deleted: { type: "string", enum: ["exclude", "include", "only"], default: "exclude" },
+        page: { type: "integer", minimum: 1, default: 1 },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 50 },
+      },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, page: { type: "integer" }, limit: { type: "integer" }, total: { type: "integer" }, items: { type: "array", items: { type: "object" } } } },
+    errors: ADMIN_ERRORS,
+  },
+
+  get: {
+    method: "get",
+    path: "/api/admin/games/:appid",
+    summary: "One game, deleted or not, with its audit fields.",
+    auth: true,
+    params: adminAppid,
+    response: adminGameResponse,
+    errors: [...ADMIN_ERRORS, "game_not_found"],
+  },
+
+  create: {
+    method: "post",
+    path: "/api/admin/games",
+    summary: "Add a game missing from the dump.",
+    auth: true,
+    body: {
+      ...GAME_EDIT_SCHEMA,
+      required: ["appid", "name"],
+      properties: { appid: adminAppid.properties.appid, ...GAME_EDIT_SCHEMA.properties },
+    },
+    response: adminGameResponse,
+    errors: [...ADMIN_ERRORS, "duplicate"],
+  },
+
+  update: {
+    method: "patch",
+    path: "/api/admin/games/:appid",
+    summary: "Fix fields of a game; they are kept by later ingest runs.",
+    auth: true,
+    params: adminAppid,
+    body: GAME_EDIT_SCHEMA,
+    response: adminGameResponse,
+    errors: [...ADMIN_ERRORS, "game_not_found"],
+  },
+
+  bulkUpdate: {
+    method: "patch",
+    path: "/api/admin/games",
+    summary: "Set the same fields on many games.",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["appids", "set"],
+      properties: {
+        appids: { type: "array", minItems: 1, maxItems: 500, items: adminAppid.properties.appid },
+        set: GAME_EDIT_SCHEMA,
+      },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, matched: { type: "integer" }, modified: { type: "integer" }, missing: { type: "array", items: { type: "string" } } } },
+    errors: ADMIN_ERRORS,
+  },
+
+  remove: {
+    method: "delete",
+    path: "/api/admin/games/:appid",
+    summary: "Soft-delete a game (hidden everywhere, restorable).",
+    auth: true,
+    params: adminAppid,
+    response: adminGameResponse,
+    errors: [...ADMIN_ERRORS, "game_not_found"],
+  },
+
+  restore: {
+    method: "post",
+    path: "/api/admin/games/:appid/restore",
+    summary: "Undo a soft delete.",
+    auth: true,
+    params: adminAppid,
+    response: adminGameResponse,
+    errors: [...ADMIN_ERRORS, "game_not_found"],
+  },
+};
+
+/** Audit log (src/routes/audit.js). */
+export const AUDIT_API = {
+  list: {
+    method: "get",
+    path: "/api/audit",
+    summary: "Recorded API writes, newest first. Non-admins only see GOTY entries, without emails.",
+    auth: true,
+    query: {
+      type: "object",
+      properties: {
+        entity: { type: "string", maxLength: 40, description: "\"goty\", \"game\", \"profiles\", ..." },
+        entityId: { type: "string", maxLength: 120, description: "E.g. \"<profile>:<year>\" for a GOTY ballot, an appid for a game." },
+        profile: profileKey,
+        actor: { type: "string", maxLength: 200, description: "Email of the acting user (admins only)." },
+        route: { type: "string", maxLength: 200, description: "Route pattern, e.g. \"/api/admin/games/:appid\"." },
+        requestId: { type: "string", maxLength: 128 },
+        from: dateBound,
+        to: dateBound,
+        before: { type: "string", pattern: "^[a-f0-9]{24}$", description: "`nextBefore` of the previous page." },
+        limit: clampedLimit(200, 50),
+      },
+    },
+    response: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        items: { type: "array", items: { type: "object" } },
+        nextBefore: { type: ["string", "null"] },
+      },
+    },
+    errors: ["validation_error", "unauthorized"],
+  },
+};
+
+const savedSearchKind = { type: "string", enum: SAVED_SEARCH_KINDS, default: "search" };
+const savedSearchResponse = { type: "object", properties: { ok: { type: "boolean" }, data: { type: "object" } } };
+
+/** Named searches per profile (src/routes/savedSearches.js). */
+export const SAVED_SEARCHES_API = {
+  list: {
+    method: "get",
+    path: "/api/saved-searches",
+    summary: "A profile's saved searches, by name.",
+    auth: true,
+    query: {
+      type: "object",
+      required: ["profile"],
+      properties: { profile: profileKey, kind: savedSearchKind },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "object" } } } },
+    errors: ["validation_error", "invalid_profile", "unauthorized", "forbidden"],
+  },
+
+  save: {
+    method: "post",
+    path: "/api/saved-searches",
+    summary: "Save a search under a name (replaces the profile's search of that name).",
+    description: "Policy violations of an aggregation `pipeline` answer 400 with `{ error, path, detail }` (see services/aggregationPolicy.js).",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["profile", "name"],
+      properties: {
+        profile: profileKey,
+        kind: savedSearchKind,
+        name: { type: "string", minLength: 1, maxLength: 80, pattern: "\\S" },
+        query: { type: "string", maxLength: 2000, description: "URL query string of the browser state, e.g. \"genre=Action&sort=price-asc\"." },
+        pipeline: {
+          type: "array",
+          items: { type: "object" },
+          minItems: 1,
+          maxItems: AGG_POLICY.maxStages,
+          description: "Required with kind \"aggregation\": the pipeline, checked against the aggregation policy.",
+        },
+      },
+    },
+    response: savedSearchResponse,
+    errors: ["validation_error", "invalid_profile", "unauthorized", "forbidden"],
+  },
+
+  remove: {
+    method: "delete",
+    path: "/api/saved-searches/:id",
+    summary: "Delete a saved search.",
+    auth: true,
+    params: { type: "object", required: ["id"], properties: { id: { type: "string", pattern: "^[a-f0-9]{24}$" } } },
+    response: { type: "null", description: "204 No Content." },
+    errors: ["validation_error", "unauthorized", "forbidden", "not_found"],
+  },
+};
+
+/* -------------------------------------------------------------------------- */
+/* Accounts, profiles, collections and safety policies                        */
+/* -------------------------------------------------------------------------- */
+
+const objectId = { type: "string", pattern: "^[a-f0-9]{24}$" };
+const idParam = { type: "object", required: ["id"], properties: { id: objectId } };
+const routeKey = { type: "string", minLength: 1, maxLength: 32, description: "Profile key." };
+const keyParam = { type: "object", required: ["key"], properties: { key: routeKey } };
+const slugKey = { type: "string", pattern: "^[A-Za-z0-9_-]{2,32}$", description: "Stored lower-case." };
+const routeAppid = { type: "string", pattern: "^[A-Za-z0-9_-]{1,32}$", description: "Steam appid." };
+const keyAppidParams = { type: "object", required: ["key", "appid"], properties: { key: routeKey, appid: routeAppid } };
+const dataResponse = { type: "object", properties: { ok: { type: "boolean" }, data: { type: "object" } } };
+const noContent = { type: "null", description: "204 No Content." };
+
+/** Session routes (src/routes/auth.js). */
+export const AUTH_API = {
+  login: {
+    method: "post",
+    path: "/api/auth/login",
+    summary: "Sign in: returns a bearer token and sets the session cookie.",
+    description: "Wrong email and wrong password both answer `invalid_credentials`.",
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        email: { type: "string", maxLength: 254 },
+        password: { type: "string", maxLength: 1024 },
+      },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, token: { type: "string" }, user: { type: "object" } } },
+    errors: ["validation_error", "missing_credentials", "invalid_credentials"],
+  },
+
+  logout: {
+    method: "post",
+    path: "/api/auth/logout",
+    summary: "Revoke every session of the account and clear the cookie.",
+    auth: true,
+    response: { type: "object", properties: { ok: { type: "boolean" } } },
+    errors: ["unauthorized"],
+  },
+
+  me: {
+    method: "get",
+    path: "/api/auth/me",
+    summary: "The signed-in account and the profiles it owns (`user: null` when anonymous).",
+    response: { type: "object", properties: { ok: { type: "boolean" }, user: { type: ["object", "null"] } } },
+    errors: [],
+  },
+};
+
+const userFields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  email: { type: "string", maxLength: 254, pattern: "^[^@\\s]+@[^@\\s]+$" },
+  role: { type: "string", enum: ["member", "admin"], default: "member" },
+  password: { type: "string", maxLength: 1024, description: "Too short a password answers `weak_password` with its `minLength`." },
+};
+const USER_ERRORS = ["validation_error", "unauthorized", "forbidden"];
+
+/** Account management (src/routes/users.js, admins only). */
+export const USERS_API = {
+  list: {
+    method: "get",
+    path: "/api/users",
+    summary: "Accounts, most recent first.",
+    auth: true,
+    response: itemsResponse("Accounts, without password hashes."),
+    errors: USER_ERRORS,
+  },
+
+  get: {
+    method: "get",
+    path: "/api/users/:id",
+    summary: "One account with the profiles it owns.",
+    auth: true,
+    params: idParam,
+    response: dataResponse,
+    errors: [...USER_ERRORS, "not_found"],
+  },
+
+  create: {
+    method: "post",
+    path: "/api/users",
+    summary: "Create an account.",
+    auth: true,
+    body: { type: "object", additionalProperties: false, required: ["name", "email", "password"], properties: userFields },
+    response: dataResponse,
+    errors: [...USER_ERRORS, "weak_password", "duplicate"],
+  },
+
+  update: {
+    method: "patch",
+    path: "/api/users/:id",
+    summary: "Change name, email, role or password; a new role or password revokes the account's sessions.",
+    auth: true,
+    params: idParam,
+    body: { type: "object", additionalProperties: false, properties: userFields },
+    response: dataResponse,
+    errors: [...USER_ERRORS, "weak_password", "not_found", "duplicate"],
+  },
+
+  remove: {
+    method: "delete",
+    path: "/api/users/:id",
+    summary: "Delete an account; its profiles are kept, unowned.",
+    auth: true,
+    params: idParam,
+    response: noContent,
+    errors: [...USER_ERRORS, "not_found"],
+  },
+};
+
+const profileFields = {
+  name: { type: "string", minLength: 1, maxLength: 80 },
+  role: { type: "string", enum: ["child", "adult"], default: "adult" },
+  safetyPolicy: { type: ["string", "null"], maxLength: 32, description: "Safety policy key; null or \"\" clears the pick." },
+  user: { anyOf: [objectId, { type: "null" }], description: "Owning account (admins only; members own what they create)." },
+};
+const appidList = {
+  type: "object",
+  additionalProperties: false,
+  required: ["appids"],
+  properties: { appids: { type: "array", maxItems: MAX_FAVORITES, items: { type: ["string", "integer"] } } },
+};
+const favoritesResponse = { type: "object", properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "string" } } } };
+const PROFILE_WRITE_ERRORS = ["validation_error", "unauthorized", "forbidden", "not_found"];
+
+/** Profiles, their favorites and watch lists (src/routes/profiles.js). */
+export const PROFILES_API = {
+  list: {
+    method: "get",
+    path: "/api/profiles",
+    summary: "Profiles (without favorites), optionally those of one account.",
+    query: { type: "object", properties: { user: objectId } },
+    response: itemsResponse("{ key, name, role, safetyPolicy, user, favoritesCount }"),
+    errors: ["validation_error"],
+  },
+
+  get: {
+    method: "get",
+    path: "/api/profiles/:key",
+    summary: "One profile.",
+    params: keyParam,
+    response: dataResponse,
+    errors: ["validation_error", "not_found"],
+  },
+
+  create: {
+    method: "post",
+    path: "/api/profiles",
+    summary: "Create a profile.",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["key", "name"],
+      properties: { key: slugKey, ...profileFields },
+    },
+    response: dataResponse,
+    errors: ["validation_error", "unauthorized", "unknown_safety_policy", "duplicate"],
+  },
+
+  update: {
+    method: "patch",
+    path: "/api/profiles/:key",
+    summary: "Change name, role, safety policy or owner (the key is immutable).",
+    auth: true,
+    params: keyParam,
+    body: { type: "object", additionalProperties: false, properties: profileFields },
+    response: dataResponse,
+    errors: [...PROFILE_WRITE_ERRORS, "unknown_safety_policy"],
+  },
+
+  remove: {
+    method: "delete",
+    path: "/api/profiles/:key",
+    summary: "Delete a profile with its GOTY picks, collections and saved searches.",
+    auth: true,
+    params: keyParam,
+    response: noContent,
+    errors: PROFILE_WRITE_ERRORS,
+  },
+
+  safetyPolicy: {
+    method: "get",
+    path: "/api/profiles/:key/safety-policy",
+    summary: "The safety policy a profile browses under, with its compiled rules.",
+    params: keyParam,
+    response: { type: "object", properties: { ok: { type: "boolean" }, data: { type: ["object", "null"] }, rules: { type: "array", items: { type: "object" } } } },
+    errors: ["validation_error", "not_found"],
+  },
+
+  favorites: {
+    method: "get",
+    path: "/api/profiles/:key/favorites",
+    summary: "Favorite appids, and whether the localStorage import already ran.",
+    params: keyParam,
+    response: { type: "object", properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "string" } }, imported: { type: "boolean" } } },
+    errors: ["validation_error", "not_found"],
+  },
+
+  replaceFavorites: {
+    method: "put",
+    path: "/api/profiles/:key/favorites",
+    summary: "Replace the whole favorites list.",
+    auth: true,
+    params: keyParam,
+    body: appidList,
+    response: favoritesResponse,
+    errors: [...PROFILE_WRITE_ERRORS, "invalid_appids"],
+  },
+
+  importFavorites: {
+    method: "post",
+    path: "/api/profiles/:key/favorites/import",
+    summary: "One-shot merge of the favorites the browser kept in localStorage.",
+    auth: true,
+    params: keyParam,
+    body: appidList,
+    response: { type: "object", properties: { ok: { type: "boolean" }, imported: { type: "integer" }, alreadyImported: { type: "boolean" }, items: { type: "array", items: { type: "string" } } } },
+    errors: [...PROFILE_WRITE_ERRORS, "invalid_appids"],
+  },
+
+  addFavorite: {
+    method: "put",
+    path: "/api/profiles/:key/favorites/:appid",
+    summary: "Add a favorite (idempotent).",
+    auth: true,
+    params: keyAppidParams,
+    response: favoritesResponse,
+    errors: PROFILE_WRITE_ERRORS,
+  },
+
+  removeFavorite: {
+    method: "delete",
+    path: "/api/profiles/:key/favorites/:appid",
+    summary: "Remove a favorite (idempotent).",
+    auth: true,
+    params: keyAppidParams,
+    response: favoritesResponse,
+    errors: PROFILE_WRITE_ERRORS,
+  },
+
+  watchlist: {
+    method: "get",
+    path: "/api/profiles/:key/watchlist",
+    summary: "Watched games with their price stats and alert, under the profile's safety policy.",
+    params: keyParam,
+    response: itemsResponse("{ appid, targetPrice, addedAt, game, alert: \"target\"|\"all_time_low\"|\"below_avg\"|null }"),
+    errors: ["validation_error", "not_found"],
+  },
+
+  putWatch: {
+    method: "put",
+    path: "/api/profiles/:key/watchlist/:appid",
+    summary: "Watch a game or change its target price (idempotent).",
+    auth: true,
+    params: keyAppidParams,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: { targetPrice: { type: ["number", "null"], minimum: 0, description: "null: alert on deals only." } },
+    },
+    response: { type: "object", properties: { ok: { type: "boolean" }, entry: { type: "object" } } },
+    errors: [...PROFILE_WRITE_ERRORS, "invalid_target_price", "game_not_found", "watchlist_full"],
+  },
+
+  removeWatch: {
+    method: "delete",
+    path: "/api/profiles/:key/watchlist/:appid",
+    summary: "Stop watching a game (idempotent).",
+    auth: true,
+    params: keyAppidParams,
+    response: { type: "object", properties: { ok: { type: "boolean" }, appids: { type: "array", items: { type: "string" } } } },
+    errors: PROFILE_WRITE_ERRORS,
+  },
+};
+
+const collectionName = { type: "string", minLength: 1, maxLength: 80, pattern: "\\S" };
+const collectionDescription = { type: "string", maxLength: 500 };
+const entryNote = { type: "string", maxLength: 1000 };
+const idAppidParams = { type: "object", required: ["id", "appid"], properties: { id: objectId, appid: routeAppid } };
+const COLLECTION_ERRORS = ["validation_error", "unauthorized", "forbidden", "not_found"];
+
+/** Per-profile collections and their share links (src/routes/collections.js). */
+export const COLLECTIONS_API = {
+  list: {
+    method: "get",
+    path: "/api/collections",
+    summary: "A profile's collections, without their entries.",
+    auth: true,
+    query: { type: "object", required: ["profile"], properties: { profile: profileKey } },
+    response: itemsResponse("{ _id, profile, name, description, shareToken, entriesCount, updatedAt }"),
+    errors: ["validation_error", "invalid_profile", "unauthorized", "forbidden"],
+  },
+
+  create: {
+    method: "post",
+    path: "/api/collections",
+    summary: "Create a collection, optionally with entries.",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["profile", "name"],
+      properties: {
+        profile: profileKey,
+        name: collectionName,
+        description: collectionDescription,
+        entries: {
+          type: "array",
+          maxItems: MAX_COLLECTION_ENTRIES,
+          items: { type: "object", additionalProperties: false, required: ["appid"], properties: { appid, note: entryNote } },
+        },
+      },
+    },
+    response: dataResponse,
+    errors: ["validation_error", "invalid_profile", "unauthorized", "forbidden", "duplicate"],
+  },
+
+  get: {
+    method: "get",
+    path: "/api/collections/:id",
+    summary: "One collection with its entries.",
+    auth: true,
+    params: idParam,
+    response: dataResponse,
+    errors: COLLECTION_ERRORS,
+  },
+
+  update: {
+    method: "patch",
+    path: "/api/collections/:id",
+    summary: "Rename, edit the description or reorder the entries.",
+    auth: true,
+    params: idParam,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        name: collectionName,
+        description: collectionDescription,
+        order: {
+          type: "array",
+          maxItems: MAX_COLLECTION_ENTRIES,
+          items: { type: "string" },
+          description: "Every appid of the collection exactly once, in the new order.",
+        },
+      },
+    },
+    response: dataResponse,
+    errors: [...COLLECTION_ERRORS, "invalid_order", "duplicate"],
+  },
+
+  remove: {
+    method: "delete",
+    path: "/api/collections/:id",
+    summary: "Delete a collection.",
+    auth: true,
+    params: idParam,
+    response: noContent,
+    errors: COLLECTION_ERRORS,
+  },
+
+  putEntry: {
+    method: "put",
+    path: "/api/collections/:id/entries/:appid",
+    summary: "Add a game, or change its note or position (idempotent).",
+    auth: true,
+    params: idAppidParams,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: { note: entryNote, position: { type: "integer", description: "0-based; clamped to the list." } },
+    },
+    response: dataResponse,
+    errors: [...COLLECTION_ERRORS, "too_many_entries", "game_not_found"],
+  },
+
+  removeEntry: {
+    method: "delete",
+    path: "/api/collections/:id/entries/:appid",
+    summary: "Remove a game (idempotent).",
+    auth: true,
+    params: idAppidParams,
+    response: dataResponse,
+    errors: COLLECTION_ERRORS,
+  },
+
+  share: {
+    method: "post",
+    path: "/api/collections/:id/share",
+    summary: "Create the read-only share link (kept if one exists).",
+    auth: true,
+    params: idParam,
+    response: { type: "object", properties: { ok: { type: "boolean" }, shareToken: { type: "string" }, url: { type: "string" } } },
+    errors: COLLECTION_ERRORS,
+  },
+
+  unshare: {
+    method: "delete",
+    path: "/api/collections/:id/share",
+    summary: "Revoke the share link.",
+    auth: true,
+    params: idParam,
+    response: { type: "object", properties: { ok: { type: "boolean" }, shareToken: { type: "null" }, url: { type: "null" } } },
+    errors: COLLECTION_ERRORS,
+  },
+
+  shared: {
+    method: "get",
+    path: "/api/collections/shared/:token",
+    summary: "Public view of a shared collection; games the viewer's safety policy blocks are left out.",
+    params: { type: "object", required: ["token"], properties: { token: { type: "string", maxLength: 64 } } },
+    query: { type: "object", properties: { profile: profileKey } },
+    response: { type: "object", properties: { ok: { type: "boolean" }, data: { type: "object" }, items: { type: "array", items: { type: "object" } } } },
+    errors: ["validation_error", "not_found"],
+  },
+};
+
+const termList = { type: "array", maxItems: 500, items: { type: "string", minLength: 1, maxLength: 200 } };
+const policyFields = {
+  name: { type: "string", minLength: 1, maxLength: 80 },
+  description: { type: "string", maxLength: 1000 },
+  tags: termList,
+  tagMinVotes: { type: "integer", minimum: 0 },
+  terms: {
+    type: "object",
+    additionalProperties: false,
+    properties: { name: termList, developers: termList, publishers: termList },
+    description: "Lists left out keep their stored value.",
+  },
+  ageLimit: { type: ["integer", "null"], minimum: 0, maximum: 99 },
+};
+const policyKeyParam = { type: "object", required: ["key"], properties: { key: { type: "string", minLength: 1, maxLength: 32 } } };
+const POLICY_ERRORS = ["validation_error", "unauthorized", "forbidden"];
+
+/** Content-safety policies (src/routes/safetyPolicies.js; writes are admin-only). */
+export const SAFETY_POLICIES_API = {
+  list: {
+    method: "get",
+    path: "/api/safety-policies",
+    summary: "Every policy, by key, and the key \"child\" profiles default to.",
+    response: { type: "object", properties: { ok: { type: "boolean" }, items: { type: "array", items: { type: "object" } }, defaultKey: { type: "string" } } },
+    errors: [],
+  },
+
+  get: {
+    method: "get",
+    path: "/api/safety-policies/:key",
+    summary: "One policy with its compiled rules.",
+    params: policyKeyParam,
+    response: { type: "object", properties: { ok: { type: "boolean" }, data: { type: "object" }, rules: { type: "array", items: { type: "object" } } } },
+    errors: ["validation_error", "not_found"],
+  },
+
+  create: {
+    method: "post",
+    path: "/api/safety-policies",
+    summary: "Create a policy.",
+    auth: true,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      required: ["key", "name"],
+      properties: { key: slugKey, ...policyFields },
+    },
+    response: dataResponse,
+    errors: [...POLICY_ERRORS, "duplicate"],
+  },
+
+  update: {
+    method: "patch",
+    path: "/api/safety-policies/:key",
+    summary: "Edit a policy (the key is immutable). Run `npm run check:safety` afterwards.",
+    auth: true,
+    params: policyKeyParam,
+    body: { type: "object", additionalProperties: false, properties: policyFields },
+    response: dataResponse,
+    errors: [...POLICY_ERRORS, "not_found"],
+  },
+
+  remove: {
+    method: "delete",
+    path: "/api/safety-policies/:key",
+    summary: "Delete a policy no profile picks (never the default one).",
+    auth: true,
+    params: policyKeyParam,
+    response: noContent,
+    errors: [...POLICY_ERRORS, "not_found", "policy_in_use"],
+  },
+};
+
+const statsResponse = {
+  type: "object",
+  properties: {
+    ok: { type: "boolean" },
+    preset: { type: "string" },
+    params: { type: "object", description: "Parameters used (defaults filled in)." },
+    data: { type: "object", description: "Chart-ready data; its shape depends on the preset's `chart`." },
+  },
+};
+
+/** Statistics dashboard: the preset list, then one route per preset (services/statsPresets.js). */
+export const STATS_API = {
+  presets: {
+    method: "get",
+    path: "/api/games/stats",
+    summary: "Statistics presets with their chart kind and parameters.",
+    response: itemsResponse("{ name, title, description, chart, params } (params: JSON Schema properties)."),
+    errors: [],
+  },
+  ...Object.fromEntries(Object.entries(STATS_PRESETS).map(([name, preset]) => [
+    name.replace(/-(\w)/g, (_, c) => c.toUpperCase()),
+    {
+      method: "get",
+      path: `/api/games/stats/${name}`,
+      preset: name,
+      summary: `${preset.title} (statistics preset).`,
+      description: `${preset.description} Restricted profiles only aggregate the games their safety policy allows.`,
+      query: { type: "object", properties: { profile: profileKey, ...preset.params } },
+      response: statsResponse,
+      errors: ["validation_error"],
+      cached: true,
+    },
+  ])),
+};
+
+/** Operational endpoints (src/routes/health.js). */
+export const OPS_API = {
+  health: {
+    method: "get",
+    path: "/api/health",
+    summary: "Liveness: the process is up (does not touch MongoDB).",
+    response: { type: "object", properties: { ok: { type: "boolean" }, status: { type: "string", enum: ["ok"] }, uptime: { type: "integer", description: "Seconds." } } },
+    errors: [],
+  },
+
+  ready: {
+    method: "get",
+    path: "/api/ready",
+    summary: "Readiness: MongoDB is connected and the server is not shutting down.",
+    response: { type: "object", properties: { ok: { type: "boolean" }, status: { type: "string", enum: ["ready"] }, mongo: { type: "string" } } },
+    errors: ["not_ready"],
+  },
+
+  metrics: {
+    method: "get",
+    path: "/api/metrics",
+    summary: "Request counts, latency histograms per route and MongoDB command timings.",
+    contentType: "text/plain; version=0.0.4",
+    response: { type: "string", description: "Prometheus text exposition format." },
+    errors: [],
+  },
+};
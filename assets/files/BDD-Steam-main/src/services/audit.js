@@ -0,0 +1,202 @@
+// src/services/audit.js
+
+/**
+ * =====================================================================
+ * Audit log of API writes
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - auditChange(req, change): called by handlers to report what they
+ *   changed ({ entity, entityId, action, profile?, before, after }).
+ * - writeAudit(req, res): called by middleware/audit.js when a mutating
+ *   request (POST / PUT / PATCH / DELETE) succeeded. Inserts one entry per
+ *   reported change, or a single entry naming the route's resource when
+ *   the handler reported nothing, so every write leaves a trace.
+ * - diffOf(before, after): changed paths, `{ path, before, after }`.
+ * - listAudit(filters, { viewer }): GET /api/audit, newest first.
+ *
+ * Visibility
+ * - Admins see every entry. Other signed-in users only see GOTY entries
+ *   (ballots are public through the timeline anyway), without emails.
+ * =====================================================================
+ */
+
+import mongoose from "mongoose";
+import AuditEntry from "../models/AuditEntry.js";
+import { routeLabel } from "../middleware/metrics.js";
+import { releaseBound } from "./releaseDates.js";
+
+/** Paths never reported in a diff. */
+const DIFF_IGNORED = new Set(["_id", "updatedAt", "createdAt", "updated_at", "updated_by"]);
+
+/** Entries per page of GET /api/audit. */
+export const AUDIT_MAX_LIMIT = 200;
+
+/**
+ * Report a change made by the current request (written once the response
+ * succeeded; dropped on errors).
+ *
+ * @param {import("express").Request} req
+ * @param {{ entity:string, entityId?:string|null, action:string, profile?:string|null, before?:object|null, after?:object|null }} change
+ */
+export function auditChange(req, change) {
+  (req.audit ||= []).push(change);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Diffs                                                                      */
+/* -------------------------------------------------------------------------- */
+
+/** Plain objects are walked; arrays, dates and scalars are leaves. */
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date)
+  && !(v?._bsontype);
+
+/** Leaf values by dotted path. */
+function flatten(value, prefix = "", out = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  for (const [k, v] of Object.entries(value)) {
+    if (DIFF_IGNORED.has(k)) continue;
+    flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  }
+  return out;
+}
+
+/** JSON form used to compare leaves (dates, ObjectIds and arrays included). */
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Changed paths between two states of an entity.
+ *
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {{ path:string, before:any, after:any }[]}
+ */
+export function diffOf(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  return Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+    .sort()
+    .filter(path => !same(a[path], b[path]))
+    .map(path => ({ path, before: a[path] ?? null, after: b[path] ?? null }));
+}
+
+/* -------------------------------------------------------------------------- */
+/* Writing                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Values of the route's `:params`, read back from the URL (req.params is
+ * not reliable once the router is done).
+ * @param {string} route - routeLabel() pattern.
+ * @param {string} url - req.originalUrl.
+ */
+function routeParams(route, url) {
+  const names = route.split("/");
+  const values = url.split("?")[0].split("/");
+  return Object.fromEntries(names.map((n, i) => [n, values[i]]).filter(([n]) => n.startsWith(":"))
+    .map(([n, v]) => [n.slice(1), decodeURIComponent(v || "")]));
+}
+
+/**
+ * Entries for a finished mutating request.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {object[]}
+ */
+export function auditEntriesOf(req, res) {
+  const route = routeLabel(req);
+  const params = routeParams(route, req.originalUrl);
+  const segments = route.split("/").filter(Boolean); // ["api", "profiles", ":key", ...]
+  const resource = segments[1] === "admin" ? segments[2] : segments[1];
+  const firstParam = Object.values(params)[0] ?? null;
+
+  const base = {
+    at: new Date(),
+    requestId: req.id || "unknown",
+    actor: req.user ? { user: req.user._id, name: req.user.name, email: req.user.email, role: req.user.role } : null,
+    profile: req.body?.profile ?? (resource === "profiles" ? params.key : null) ?? req.query?.profile ?? null,
+    method: req.method,
+    route,
+    status: res.statusCode,
+  };
+
+  const changes = req.audit?.length
+    ? req.audit
+    : [{ entity: resource || "unknown", entityId: firstParam, action: req.method.toLowerCase() }];
+
+  return changes.map(({ entity, entityId = null, action, profile, before = null, after = null }) => ({
+    ...base,
+    ...(profile !== undefined ? { profile } : {}),
+    entity,
+    entityId: entityId == null ? null : String(entityId),
+    action,
+    before,
+    after,
+    diff: before || after ? diffOf(before, after) : [],
+  }));
+}
+
+/**
+ * Insert the entries of a finished request.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+export async function writeAudit(req, res) {
+  await AuditEntry.insertMany(auditEntriesOf(req, res));
+  // MongoDB (shell) equivalent:
+  // db.audit_log.insertMany([{ at, requestId, actor, profile, method, route, entity, entityId, action, before, after, diff }])
+}
+
+/* -------------------------------------------------------------------------- */
+/* Reading                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Audit entries, newest first.
+ *
+ * @param {{ entity?:string, entityId?:string, profile?:string, actor?:string, route?:string,
+ *           requestId?:string, from?:string, to?:string, before?:string, limit?:number }} filters
+ *   `from` / `to`: "YYYY[-MM[-DD]]" (whole period); `before`: `nextBefore`
+ *   of the previous page (an entry id; ids grow with insertion order).
+ * @param {{ viewer: { role:string } }} opts
+ * @returns {Promise<{ items:object[], nextBefore:string|null }>}
+ */
+export async function listAudit(filters, { viewer }) {
+  const isAdmin = viewer?.role === "admin";
+  const limit = Math.min(AUDIT_MAX_LIMIT, Math.max(1, Number(filters.limit) || 50));
+
+  const query = {};
+  if (filters.entity) query.entity = filters.entity;
+  if (!isAdmin) {
+    if (query.entity && query.entity !== "goty") return { items: [], nextBefore: null };
+    query.entity = "goty";
+  }
+  if (filters.entityId) query.entityId = filters.entityId;
+  if (filters.profile) query.profile = filters.profile;
+  if (filters.actor && isAdmin) query["actor.email"] = String(filters.actor).trim().toLowerCase();
+  if (filters.route) query.route = filters.route;
+  if (filters.requestId) query.requestId = filters.requestId;
+
+  const at = {};
+  const from = releaseBound(filters.from);
+  const to = releaseBound(filters.to, { end: true });
+  if (from) at.$gte = from;
+  if (to) at.$lt = to;
+  if (Object.keys(at).length) query.at = at;
+  if (filters.before && mongoose.isValidObjectId(filters.before)) query._id = { $lt: new mongoose.Types.ObjectId(filters.before) };
+
+  const rows = await AuditEntry.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+  // MongoDB (shell) equivalent:
+  // db.audit_log.find({ entity, entityId, profile, "actor.email": ..., at: { $gte, $lt }, _id: { $lt: <before> } })
+  //   .sort({ _id: -1 }).limit(limit + 1)
+  const items = rows.slice(0, limit).map(r => (isAdmin || !r.actor ? r : { ...r, actor: { name: r.actor.name, role: r.actor.role } }));
+  return {
+    items,
+    nextBefore: rows.length > limit ? String(items[items.length - 1]._id) : null,
+  };
+}
@@ -0,0 +1,216 @@
+// src/services/auth.js
+
+/**
+ * =====================================================================
+ * Authentication primitives (no third-party dependencies)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Password hashing with Node's scrypt (salted, constant-time compare).
+ * - Compact HS256 JSON Web Tokens (sign/verify) for stateless sessions.
+ * - Reads the token from `Authorization: Bearer <jwt>` or the httpOnly
+ *   session cookie set by POST /api/auth/login.
+ * - Seeds an admin account from ADMIN_EMAIL / ADMIN_PASSWORD on startup.
+ *
+ * Logout / revocation
+ * - Tokens carry the user's `tokenVersion` (claim `tv`). Logging out or
+ *   changing a password bumps the version, which invalidates every token
+ *   issued before (see middleware/auth.js).
+ *
+ * Configuration (env)
+ * - AUTH_SECRET      : HMAC key for tokens. When missing, a random key is
+ *                      generated per process (sessions do not survive a
+ *                      restart) and a warning is logged.
+ * - AUTH_TTL_SECONDS : token lifetime, default 7 days.
+ * =====================================================================
+ */
+
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { User } from "../models/User.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+/** Name of the httpOnly cookie carrying the session token. */
+export const AUTH_COOKIE = "sid";
+
+/** scrypt parameters; stored alongside each hash so they can evolve. */
+const SCRYPT_N = 16384;
+const SCRYPT_KEYLEN = 64;
+
+/** Minimum accepted password length. */
+export const MIN_PASSWORD_LENGTH = 8;
+
+let generatedSecret = null;
+
+/**
+ * HMAC key used to sign tokens.
+ * @returns {string}
+ */
+function getAuthSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+    console.warn("AUTH_SECRET is not set: using a random per-process secret");
+  }
+  return generatedSecret;
+}
+
+/**
+ * Token lifetime in seconds.
+ * @returns {number}
+ */
+export function getTokenTtl() {
+  const ttl = Number(process.env.AUTH_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 7 * 24 * 3600;
+}
+
+/* -------------------------------------------------------------------------- */
+/* Passwords                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Hash a password as "scrypt$<N>$<salt b64>$<hash b64>".
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT_KEYLEN, { N: SCRYPT_N });
+  return `scrypt$${SCRYPT_N}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time).
+ * @param {string} password
+ * @param {string|null|undefined} stored
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 4 || parts[0] !== "scrypt") return false;
+  const N = Number(parts[1]);
+  const salt = Buffer.from(parts[2], "base64");
+  const expected = Buffer.from(parts[3], "base64");
+  const actual = await scrypt(String(password), salt, expected.length, { N });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Tokens (JWT, HS256)                                                        */
+/* -------------------------------------------------------------------------- */
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+/**
+ * Sign a session token for a user.
+ * @param {{ _id: any, role: string, tokenVersion?: number }} user
+ * @returns {string} Compact JWT.
+ */
+export function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({
+    sub: String(user._id),
+    role: user.role,
+    tv: user.tokenVersion || 0,
+    iat: now,
+    exp: now + getTokenTtl(),
+  }));
+  const sig = crypto.createHmac("sha256", getAuthSecret()).update(`${header}.${payload}`).digest("base64url");
+  return `${header}.${payload}.${sig}`;
+}
+
+/**
+ * Verify a token's signature and expiry.
+ * @param {string} token
+ * @returns {{ sub:string, role:string, tv:number, iat:number, exp:number }|null}
+ *   The claims, or null when the token is malformed, forged or expired.
+ */
+export function verifyToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, sig] = parts;
+
+  const expected = crypto.createHmac("sha256", getAuthSecret()).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const head = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    if (head.alg !== "HS256") return null;
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.sub || !Number.isFinite(claims.exp)) return null;
+    if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract the raw token from a request (Bearer header first, then cookie).
+ * @param {import("express").Request} req
+ * @returns {string|null}
+ */
+export function tokenFromRequest(req) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim() || null;
+
+  const cookies = String(req.headers.cookie || "").split(";");
+  for (const c of cookies) {
+    const i = c.indexOf("=");
+    if (i > 0 && c.slice(0, i).trim() === AUTH_COOKIE) {
+      return decodeURIComponent(c.slice(i + 1).trim()) || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Serialize the session cookie. An empty token clears it.
+ * @param {string} token
+ * @param {{ secure?: boolean }} [opts]
+ * @returns {string} Set-Cookie header value.
+ */
+export function sessionCookie(token, { secure = false } = {}) {
+  const maxAge = token ? getTokenTtl() : 0;
+  return [
+    `${AUTH_COOKIE}=${encodeURIComponent(token || "")}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAge}`,
+    secure ? "Secure" : null,
+  ].filter(Boolean).join("; ");
+}
+
+/* -------------------------------------------------------------------------- */
+/* Bootstrap                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Create the initial admin account from ADMIN_EMAIL / ADMIN_PASSWORD when no
+ * admin exists yet. Safe to call on every startup; does nothing when the
+ * variables are unset.
+ *
+ * @returns {Promise<boolean>} true when an admin was created.
+ */
+export async function ensureAdminUser() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) return false;
+
+  const exists = await User.exists({ role: "admin" });
+  if (exists) return false;
+
+  await User.create({
+    name: process.env.ADMIN_NAME || "Admin",
+    email,
+    role: "admin",
+    passwordHash: await hashPassword(password),
+  });
+  // MongoDB (shell) equivalent:
+  // db.users.insertOne({ name: "Admin", email: "<email>", role: "admin", passwordHash: "scrypt$..." })
+  console.log(`seeded admin account ${email}`);
+  return true;
+}
@@ -0,0 +1,239 @@
+// src/services/cache.js
+
+/**
+ * =====================================================================
+ * Response cache (search, distinct values, totals, statistics)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Caches computed API bodies under `<namespace>:<sha1 of the key parts>`,
+ *   where the key parts are the normalized request: resolved filters
+ *   (profile, its safety rules, favorites / collection / watch list appids
+ *   included), sort and pagination. Anything that changes the answer
+ *   changes the key, so most writes need no explicit invalidation.
+ * - Each entry carries a weak ETag; sendCached() answers 304 when the
+ *   client's If-None-Match matches (GET and POST alike).
+ * - Invalidation for what the key cannot see:
+ *     GOTY writes       -> invalidateCache("search", "totals")
+ *     admin game edits  -> invalidateCache(...CATALOG_NAMESPACES)
+ *     `npm run ingest`  -> runs in another process, so it cannot reach this
+ *                          cache: the server polls the latest IngestRun
+ *                          through syncCatalogVersion() and drops the
+ *                          catalog namespaces when a new run finished.
+ *
+ * Backends
+ * - MemoryCacheStore (default): per process, TTL per entry, oldest entry
+ *   evicted when full.
+ * - createApp({ cacheStore }) installs any other object implementing the
+ *   CacheStore interface below, through setCacheStore().
+ * =====================================================================
+ */
+
+import crypto from "node:crypto";
+import IngestRun from "../models/IngestRun.js";
+import { invalidateSearchIndex } from "./searchIndex.js";
+import { observeCache } from "./metrics.js";
+
+/** Time to live per namespace. */
+export const CACHE_TTL_MS = {
+  search: 60 * 1000,
+  totals: 60 * 1000,
+  distinct: 5 * 60 * 1000,
+  stats: 5 * 60 * 1000,
+};
+
+/** Namespaces computed from the games collection. */
+export const CATALOG_NAMESPACES = ["search", "totals", "distinct", "stats"];
+
+/** How often the server looks for a new ingest run. */
+const CATALOG_CHECK_MS = 15 * 1000;
+
+/**
+ * @typedef {object} CacheStore
+ * @property {(key: string) => Promise<any>} get - Value, or undefined when missing/expired.
+ * @property {(key: string, value: any, ttlMs: number) => Promise<void>} set
+ * @property {(prefix: string) => Promise<number>} clear - Delete every key starting with prefix; returns the count.
+ */
+
+/* -------------------------------------------------------------------------- */
+/* In-memory backend                                                          */
+/* -------------------------------------------------------------------------- */
+
+/** @implements {CacheStore} */
+export class MemoryCacheStore {
+  /** @param {{ maxEntries?: number }} [opts] */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    /** @type {Map<string, { value:any, expires:number }>} */
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const hit = this.entries.get(key);
+    if (!hit) return undefined;
+    if (Date.now() > hit.expires) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return hit.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key); // re-insert at the end: eviction goes oldest first
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expires: Date.now() + ttlMs });
+  }
+
+  async clear(prefix) {
+    let n = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) { this.entries.delete(key); n += 1; }
+    }
+    return n;
+  }
+}
+
+/** @type {CacheStore} */
+let STORE = new MemoryCacheStore();
+
+/**
+ * Swap the backend (call before serving requests).
+ * @param {CacheStore} store
+ */
+export function setCacheStore(store) {
+  STORE = store;
+}
+
+/* -------------------------------------------------------------------------- */
+/* Keys and ETags                                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * JSON with sorted object keys, so equal payloads give equal strings
+ * (also the ingest content hash, services/ingest.js).
+ */
+export function stableStringify(v) {
+  if (v instanceof Date) return JSON.stringify(v.toISOString());
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("base64url");
+
+const storeKey = (namespace, parts) => `${namespace}:${sha1(stableStringify(parts))}`;
+
+/** Weak ETag of a JSON body. */
+export const etagOf = (body) => `W/"${sha1(JSON.stringify(body))}"`;
+
+/**
+ * Whether an If-None-Match header lists the ETag (weak comparison).
+ * @param {string|undefined} header
+ * @param {string} etag
+ */
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  const bare = (t) => t.trim().replace(/^W\//, "");
+  return header.split(",").some(t => t.trim() === "*" || bare(t) === bare(etag));
+}
+
+/* -------------------------------------------------------------------------- */
+/* Read / write / invalidate                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {{ body:any, etag:string, hit:boolean }} CacheEntry
+ */
+
+/**
+ * Cached body for a key.
+ *
+ * @param {string} namespace - "search" | "totals" | "distinct" | "stats".
+ * @param {object} parts - Normalized request (hashed into the key).
+ * @returns {Promise<CacheEntry|null>}
+ */
+export async function readCache(namespace, parts) {
+  const entry = await STORE.get(storeKey(namespace, parts));
+  observeCache(namespace, Boolean(entry));
+  return entry ? { ...entry, hit: true } : null;
+}
+
+/**
+ * Store a body (TTL from CACHE_TTL_MS) and return it as an entry.
+ *
+ * @param {string} namespace
+ * @param {object} parts
+ * @param {any} body
+ * @returns {Promise<CacheEntry>}
+ */
+export async function writeCache(namespace, parts, body) {
+  const entry = { body, etag: etagOf(body) };
+  await STORE.set(storeKey(namespace, parts), entry, CACHE_TTL_MS[namespace] || 60 * 1000);
+  return { ...entry, hit: false };
+}
+
+/**
+ * Drop every entry of the given namespaces.
+ * @param {...string} namespaces
+ */
+export async function invalidateCache(...namespaces) {
+  await Promise.all(namespaces.map(ns => STORE.clear(`${ns}:`)));
+}
+
+/**
+ * Answer with a cached entry: ETag + `Cache-Control: private, no-cache`
+ * (clients revalidate every time; the body is profile-specific), then 304
+ * when If-None-Match matches, else the JSON body. `X-Cache` says whether
+ * the body came from the cache.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {CacheEntry} entry
+ */
+export function sendCached(req, res, entry) {
+  res.set({ ETag: entry.etag, "Cache-Control": "private, no-cache", "X-Cache": entry.hit ? "HIT" : "MISS" });
+  if (matchesEtag(req.get("If-None-Match"), entry.etag)) return res.status(304).end();
+  return res.json(entry.body);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Catalog freshness (ingest runs from the CLI)                               */
+/* -------------------------------------------------------------------------- */
+
+let catalogVersion = null;   // finishedAt of the latest ingest run seen
+let catalogCheckedAt = 0;
+let catalogCheck = null;
+
+/**
+ * Invalidate the catalog namespaces (and the search index) when an ingest
+ * run finished since the last look. Checks at most every CATALOG_CHECK_MS;
+ * call before reading catalog entries.
+ *
+ * @returns {Promise<void>}
+ */
+export async function syncCatalogVersion() {
+  if (Date.now() - catalogCheckedAt < CATALOG_CHECK_MS) return;
+  catalogCheck ||= (async () => {
+    try {
+      const last = await IngestRun.findOne({}, { finishedAt: 1 }).sort({ startedAt: -1 }).lean();
+      // MongoDB (shell) equivalent:
+      // db.ingest_runs.find({}, { finishedAt: 1 }).sort({ startedAt: -1 }).limit(1)
+      const version = last ? new Date(last.finishedAt).getTime() : 0;
+      if (catalogVersion !== null && version !== catalogVersion) {
+        await invalidateCache(...CATALOG_NAMESPACES);
+        invalidateSearchIndex();
+      }
+      catalogVersion = version;
+    } catch (err) {
+      // Entries still expire with their TTL; try again on the next interval
+      console.error("cache: ingest run check failed", err);
+    } finally {
+      catalogCheckedAt = Date.now();
+      catalogCheck = null;
+    }
+  })();
+  return catalogCheck;
+}
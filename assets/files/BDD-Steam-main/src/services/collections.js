@@ -0,0 +1,132 @@
+// src/services/collections.js
+
+/**
+ * =====================================================================
+ * Game collections: search integration and share links
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - resolveCollectionFilter(id, profile): turns a collection id sent as
+ *   `filters.category` into the ordered appids/notes buildMatch and
+ *   collectionOrderStages use. A collection only resolves for the profile
+ *   that owns it; anything else resolves to an empty list (no results),
+ *   never to the whole catalog.
+ * - collectionOrderStages(resolved): adds `collection_position` (sort
+ *   "collection") and `collection_note` to each game row.
+ * - collectionGames(collection, opts): the games of a shared collection,
+ *   in collection order, under the viewer's safety policy.
+ * - newShareToken(): unguessable token for the read-only share link.
+ * - profileOfCollection(id): owning profile key, for the route guards.
+ * =====================================================================
+ */
+
+import crypto from "node:crypto";
+import Game from "../models/Game.js";
+import GameCollection from "../models/GameCollection.js";
+import { safetyMatch } from "./safetyPolicies.js";
+
+/** Collection ids are ObjectId hex strings; category presets never are. */
+const COLLECTION_ID_RX = /^[a-f0-9]{24}$/i;
+
+/**
+ * Is this `filters.category` value a collection id?
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isCollectionId(value) {
+  return typeof value === "string" && COLLECTION_ID_RX.test(value);
+}
+
+/**
+ * @returns {string} URL-safe random token (128 bits).
+ */
+export function newShareToken() {
+  return crypto.randomBytes(16).toString("base64url");
+}
+
+/**
+ * Key of the profile owning a collection (used by requireProfileAccess on
+ * /api/collections/:id routes).
+ *
+ * @param {unknown} id
+ * @returns {Promise<string|null>} null for malformed or unknown ids.
+ */
+export async function profileOfCollection(id) {
+  if (!isCollectionId(id)) return null;
+  const doc = await GameCollection.findById(id, { profile: 1 }).lean();
+  // MongoDB (shell) equivalent:
+  // db.collections.findOne({ _id: ObjectId("<id>") }, { profile: 1 })
+  return doc ? doc.profile : null;
+}
+
+/**
+ * Resolve a collection id for a search made as `profile`.
+ *
+ * @param {string} id - Collection id (see isCollectionId).
+ * @param {unknown} profile - Profile key of the search.
+ * @returns {Promise<{ id: string, appids: string[], notes: string[] }>}
+ *   Empty lists when the collection does not exist or belongs to another profile.
+ */
+export async function resolveCollectionFilter(id, profile) {
+  const doc = await GameCollection.findOne(
+    { _id: id, profile: String(profile || "").trim().toLowerCase() },
+    { "entries.appid": 1, "entries.note": 1 }
+  ).lean();
+  // MongoDB (shell) equivalent:
+  // db.collections.findOne({ _id: ObjectId("<id>"), profile: "<profile>" }, { "entries.appid": 1, "entries.note": 1 })
+  const entries = doc ? doc.entries || [] : [];
+  return { id, appids: entries.map(e => e.appid), notes: entries.map(e => e.note || "") };
+}
+
+/**
+ * Stages adding `collection_position` (0-based entry index) and
+ * `collection_note` to rows of a collection view.
+ *
+ * @param {{ appids: string[], notes: string[] } | undefined} resolved
+ * @returns {import("mongodb").Document[]} Zero or one $addFields stage.
+ */
+export function collectionOrderStages(resolved) {
+  if (!resolved) return [];
+  // MongoDB (shell) equivalent:
+  // { $addFields: {
+  //     collection_position: { $indexOfArray: [[<appids>], "$appid"] },
+  //     collection_note: { $arrayElemAt: [[<notes>], { $indexOfArray: [[<appids>], "$appid"] }] }
+  // } }
+  const position = { $indexOfArray: [resolved.appids, "$appid"] };
+  return [
+    {
+      $addFields: {
+        collection_position: position,
+        collection_note: { $arrayElemAt: [resolved.notes, position] },
+      },
+    },
+  ];
+}
+
+/**
+ * Games of a collection in entry order, with `collection_note`, dropping
+ * games the viewer's safety policy blocks (and entries missing from the
+ * catalog).
+ *
+ * @param {{ entries: { appid: string, note?: string }[] }} collection
+ * @param {{ safety?: object[]|null, projection?: Record<string, 0|1> }} [opts]
+ * @returns {Promise<object[]>}
+ */
+export async function collectionGames(collection, { safety = null, projection = null } = {}) {
+  const entries = collection.entries || [];
+  if (!entries.length) return [];
+  const resolved = { appids: entries.map(e => e.appid), notes: entries.map(e => e.note || "") };
+
+  const rows = await Game.aggregate([
+    { $match: { appid: { $in: resolved.appids }, ...safetyMatch(safety) } },
+    ...collectionOrderStages(resolved),
+    { $sort: { collection_position: 1 } },
+    ...(projection ? [{ $project: { ...projection, collection_position: 1, collection_note: 1 } }] : []),
+  ]);
+  // MongoDB (shell) equivalent:
+  // db.games.aggregate([
+  //   { $match: { appid: { $in: [<appids>] }, /* + safetyMatch(safety) */ } },
+  //   { $addFields: { collection_position: ..., collection_note: ... } },
+  //   { $sort: { collection_position: 1 } }, { $project: { ... } }
+  // ])
+  return rows;
+}
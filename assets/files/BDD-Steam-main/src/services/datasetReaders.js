@@ -0,0 +1,273 @@
+// src/services/datasetReaders.js
+
+/**
+ * =====================================================================
+ * Streaming readers for Steam dataset dumps (JSON / NDJSON / CSV)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Turns a large file into an async stream of plain records without
+ *   loading it in memory, so multi-GB dumps can be ingested:
+ *     • JSON array          [ {...}, {...} ]
+ *     • JSON object by id   { "20200": {...}, "655370": {...} }  (the key
+ *                           becomes `appid` when the record has none)
+ *     • NDJSON / JSON Lines one document per line
+ *     • CSV (RFC 4180)      header row; quoted fields may contain commas,
+ *                           doubled quotes and newlines
+ * - Each yielded item is { row, record } or { row, error }: `row` is the
+ *   1-based position in the file (record index for JSON, line for NDJSON,
+ *   data row for CSV) so rejects can be reported precisely.
+ *
+ * No third-party parser: JSON containers are split with a small scanner
+ * that tracks string/escape state and bracket depth, then each element is
+ * handed to JSON.parse.
+ * =====================================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+/** Formats understood by readDataset. */
+export const DATASET_FORMATS = ["json", "ndjson", "csv"];
+
+/**
+ * Guess a format from the file extension.
+ * @param {string} file
+ * @returns {"json"|"ndjson"|"csv"|null}
+ */
+export function detectFormat(file) {
+  const ext = path.extname(String(file)).toLowerCase();
+  if (ext === ".json") return "json";
+  if (ext === ".ndjson" || ext === ".jsonl") return "ndjson";
+  if (ext === ".csv") return "csv";
+  return null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* JSON (array or object keyed by appid)                                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Stream the elements of a top-level JSON array or the entries of a
+ * top-level JSON object.
+ *
+ * @param {string} file
+ * @returns {AsyncGenerator<{row:number, record?:object, error?:string}>}
+ */
+async function* readJson(file) {
+  const stream = fs.createReadStream(file, { encoding: "utf8", highWaterMark: 1 << 20 });
+
+  let container = null;  // "[" or "{", then "done"
+  let depth = 0;         // depth inside the top-level container
+  let inString = false;
+  let escaped = false;
+  let buf = "";          // text of the current element (or "key": value)
+  let row = 0;
+
+  /** Parse one buffered element. */
+  const flush = () => {
+    const text = buf.trim();
+    buf = "";
+    if (!text) return null;
+    row += 1;
+    try {
+      if (container === "[") return { row, record: JSON.parse(text) };
+      // Object entry: "key": value
+      const entry = JSON.parse(`{${text}}`);
+      const [key, value] = Object.entries(entry)[0] || [];
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return { row, error: "entry_must_be_object" };
+      }
+      return { row, record: value.appid == null ? { appid: key, ...value } : value };
+    } catch (e) {
+      return { row, error: `invalid_json: ${e.message}` };
+    }
+  };
+
+  for await (const chunk of stream) {
+    let start = 0; // first char of `chunk` not yet copied into `buf`
+
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (container === null) {
+        if (ch === "[" || ch === "{") { container = ch; start = i + 1; }
+        else if (!/\s/.test(ch) && ch !== "\uFEFF") throw new Error("json_must_be_array_or_object");
+        continue;
+      }
+      if (container === "done") {
+        if (!/\s/.test(ch)) throw new Error("json_trailing_data");
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') { inString = true; continue; }
+      if (ch === "[" || ch === "{") { depth += 1; continue; }
+
+      const closesTop = (ch === "]" || ch === "}") && depth === 0;
+      if (ch === "]" || ch === "}") {
+        if (!closesTop) { depth -= 1; continue; }
+      }
+
+      if (closesTop || (ch === "," && depth === 0)) {
+        buf += chunk.slice(start, i);
+        start = i + 1;
+        const out = flush();
+        if (out) yield out;
+        if (closesTop) container = "done";
+      }
+    }
+
+    if (container !== null && container !== "done") buf += chunk.slice(start);
+  }
+
+  if (container !== null && container !== "done") throw new Error("json_truncated");
+}
+
+/* -------------------------------------------------------------------------- */
+/* NDJSON                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Stream one JSON document per non-empty line.
+ * @param {string} file
+ * @returns {AsyncGenerator<{row:number, record?:object, error?:string}>}
+ */
+async function* readNdjson(file) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+  let row = 0;
+  for await (const line of rl) {
+    row += 1;
+    const text = line.replace(/^\uFEFF/, "").trim();
+    if (!text) continue;
+    try {
+      yield { row, record: JSON.parse(text) };
+    } catch (e) {
+      yield { row, error: `invalid_json: ${e.message}` };
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* CSV                                                                        */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Header cell -> field name: "Release date" -> "release_date", "AppID" -> "appid".
+ * @param {string} h
+ * @returns {string}
+ */
+export function headerToField(h) {
+  return String(h)
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .replace(/^app_id$/, "appid");
+}
+
+/**
+ * Stream CSV rows as objects keyed by the (normalized) header row.
+ * Cells stay strings; typing happens in normalizeGame (services/ingest.js).
+ *
+ * @param {string} file
+ * @returns {AsyncGenerator<{row:number, record?:object, error?:string}>}
+ */
+async function* readCsv(file) {
+  const stream = fs.createReadStream(file, { encoding: "utf8", highWaterMark: 1 << 20 });
+
+  let header = null;
+  let row = 0;
+  let cells = [];
+  let cell = "";
+  let quoted = false;     // inside a quoted cell
+  let pendingQuote = false; // saw a quote inside a quoted cell (maybe "")
+
+  /** Build the record for the completed line. */
+  const emit = () => {
+    cells.push(cell);
+    cell = "";
+    const line = cells;
+    cells = [];
+    if (line.length === 1 && line[0] === "") return null; // blank line
+    if (!header) { header = line.map(headerToField); return null; }
+    row += 1;
+    if (line.length !== header.length) {
+      return { row, error: `column_count_mismatch: expected ${header.length}, got ${line.length}` };
+    }
+    const record = {};
+    header.forEach((h, i) => { if (h) record[h] = line[i]; });
+    return { row, record };
+  };
+
+  for await (const chunk of stream) {
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (quoted) {
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (ch === '"') { cell += '"'; continue; } // escaped quote
+          quoted = false;                             // closing quote, fall through
+        } else if (ch === '"') {
+          pendingQuote = true;
+          continue;
+        } else {
+          cell += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && cell === "") { quoted = true; continue; }
+      if (ch === ",") { cells.push(cell); cell = ""; continue; }
+      if (ch === "\r") continue;
+      if (ch === "\n") {
+        const out = emit();
+        if (out) yield out;
+        continue;
+      }
+      cell += ch;
+    }
+  }
+
+  if (pendingQuote) { quoted = false; pendingQuote = false; }
+  if (quoted) {
+    row += 1;
+    yield { row, error: "unterminated_quote" };
+    return;
+  }
+  if (cell !== "" || cells.length) {
+    const out = emit();
+    if (out) yield out;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Entry point                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Stream records from a dataset file.
+ *
+ * @param {string} file - Path to the dump.
+ * @param {"json"|"ndjson"|"csv"} [format] - Defaults to detectFormat(file).
+ * @returns {AsyncGenerator<{row:number, record?:object, error?:string}>}
+ * @throws {Error} "unknown_format" when the format cannot be determined.
+ */
+export function readDataset(file, format = detectFormat(file)) {
+  if (format === "json") return readJson(file);
+  if (format === "ndjson") return readNdjson(file);
+  if (format === "csv") return readCsv(file);
+  throw new Error("unknown_format");
+}
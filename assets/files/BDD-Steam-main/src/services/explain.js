@@ -0,0 +1,186 @@
+// src/services/explain.js
+
+/**
+ * =====================================================================
+ * Explain/profiling helpers for aggregation endpoints
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Runs a Mongoose Aggregate in explain("executionStats") mode and times it.
+ * - Condenses MongoDB's explain document into a short summary the UI can
+ *   show (developer drawer in filters.js):
+ *     winningPlan      "LIMIT > FETCH > IXSCAN(name_1)"
+ *     indexesUsed      ["name_1"]        (collectionScan: true when COLLSCAN)
+ *     docsExamined / keysExamined / nReturned
+ *     executionTimeMillis               (server) and wallTimeMillis (round trip)
+ *     stages           per-stage rows for the part not pushed into the query
+ *
+ * Explain document shapes handled
+ * - Fully pushed-down pipeline: top-level { queryPlanner, executionStats }.
+ * - Split pipeline: { stages: [ { $cursor: { queryPlanner, executionStats } },
+ *   { $group: ..., nReturned, executionTimeMillisEstimate }, ... ] }.
+ * - Sharded: { shards: { <name>: <one of the above> } } (first shard).
+ * - Slot-based engine plans keep the tree under `winningPlan.queryPlan`.
+ * =====================================================================
+ */
+
+/** Child links of a plan node (classic and SBE plans). */
+const CHILD_KEYS = ["inputStage", "inputStages", "outerStage", "innerStage", "thenStage", "elseStage"];
+
+/**
+ * Find the part of an explain document that describes the query layer.
+ * @param {any} raw
+ * @returns {{ queryPlanner?: any, executionStats?: any }|null}
+ */
+function cursorExplain(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (raw.queryPlanner) return raw;
+  if (Array.isArray(raw.stages) && raw.stages[0] && raw.stages[0].$cursor) return raw.stages[0].$cursor;
+  if (raw.shards && typeof raw.shards === "object") {
+    const first = Object.values(raw.shards)[0];
+    return cursorExplain(first);
+  }
+  return null;
+}
+
+/**
+ * Children of a plan node, flattened.
+ * @param {any} node
+ * @returns {any[]}
+ */
+function childrenOf(node) {
+  const out = [];
+  for (const k of CHILD_KEYS) {
+    const v = node[k];
+    if (Array.isArray(v)) out.push(...v);
+    else if (v && typeof v === "object") out.push(v);
+  }
+  return out;
+}
+
+/**
+ * Compact a plan tree to { stage, indexName?, direction?, children? }.
+ * @param {any} node
+ * @returns {object|null}
+ */
+function compactPlan(node) {
+  if (!node || typeof node !== "object") return null;
+  const out = { stage: node.stage };
+  if (node.indexName) out.indexName = node.indexName;
+  if (node.direction) out.direction = node.direction;
+  const children = childrenOf(node).map(compactPlan).filter(Boolean);
+  if (children.length) out.children = children;
+  return out;
+}
+
+/**
+ * One-line rendering of a compact plan: "LIMIT > FETCH > IXSCAN(name_1)".
+ * Branching plans (OR, joins) render children in brackets.
+ * @param {object|null} plan
+ * @returns {string}
+ */
+function planToString(plan) {
+  if (!plan) return "";
+  const label = plan.indexName ? `${plan.stage}(${plan.indexName})` : plan.stage;
+  const kids = plan.children || [];
+  if (!kids.length) return label;
+  if (kids.length === 1) return `${label} > ${planToString(kids[0])}`;
+  return `${label} > [${kids.map(planToString).join(" | ")}]`;
+}
+
+/**
+ * Collect index names and scan types used by a plan tree.
+ * @param {object|null} plan
+ * @param {{ indexes:Set<string>, collscan:boolean }} acc
+ */
+function collectScans(plan, acc) {
+  if (!plan) return acc;
+  if (plan.indexName) acc.indexes.add(plan.indexName);
+  if (plan.stage === "COLLSCAN") acc.collscan = true;
+  (plan.children || []).forEach(c => collectScans(c, acc));
+  return acc;
+}
+
+/**
+ * Summarize an explain("executionStats") document.
+ *
+ * @param {any} raw - Explain output (as returned by Aggregate#explain).
+ * @returns {{
+ *   winningPlan: string, plan: object|null,
+ *   indexesUsed: string[], collectionScan: boolean,
+ *   docsExamined: number|null, keysExamined: number|null, nReturned: number|null,
+ *   executionTimeMillis: number|null,
+ *   stages: { name:string, nReturned:number|null, executionTimeMillisEstimate:number|null }[]
+ * }}
+ */
+export function summarizeExplain(raw) {
+  const cursor = cursorExplain(raw) || {};
+  const planner = cursor.queryPlanner || {};
+  const winning = planner.winningPlan || null;
+  const plan = compactPlan(winning && winning.queryPlan ? winning.queryPlan : winning);
+  const scans = collectScans(plan, { indexes: new Set(), collscan: false });
+
+  const stats = cursor.executionStats || {};
+  let docsExamined = Number.isFinite(stats.totalDocsExamined) ? stats.totalDocsExamined : null;
+  let keysExamined = Number.isFinite(stats.totalKeysExamined) ? stats.totalKeysExamined : null;
+  let executionTimeMillis = Number.isFinite(stats.executionTimeMillis) ? stats.executionTimeMillis : null;
+  let nReturned = Number.isFinite(stats.nReturned) ? stats.nReturned : null;
+
+  // Stages that ran above the query layer ($group, $lookup, $facet, ...)
+  const stages = [];
+  const rawStages = Array.isArray(raw && raw.stages) ? raw.stages : [];
+  for (const st of rawStages.slice(1)) {
+    const name = Object.keys(st).find(k => k.startsWith("$")) || "?";
+    const row = {
+      name,
+      nReturned: Number.isFinite(st.nReturned) ? st.nReturned : null,
+      executionTimeMillisEstimate: Number.isFinite(st.executionTimeMillisEstimate) ? st.executionTimeMillisEstimate : null,
+    };
+    stages.push(row);
+
+    // $lookup reports its own scans (MongoDB >= 5)
+    if (Number.isFinite(st.totalDocsExamined)) docsExamined = (docsExamined || 0) + st.totalDocsExamined;
+    if (Number.isFinite(st.totalKeysExamined)) keysExamined = (keysExamined || 0) + st.totalKeysExamined;
+    if (st.indexesUsed && Array.isArray(st.indexesUsed)) st.indexesUsed.forEach(i => scans.indexes.add(`${name}:${i}`));
+    if (st.collectionScans > 0) scans.collscan = true;
+  }
+
+  // Split pipelines: the last stage estimate covers the whole pipeline
+  const lastStage = stages[stages.length - 1];
+  if (lastStage) {
+    if (lastStage.nReturned != null) nReturned = lastStage.nReturned;
+    if (lastStage.executionTimeMillisEstimate != null) {
+      executionTimeMillis = Math.max(executionTimeMillis || 0, lastStage.executionTimeMillisEstimate);
+    }
+  }
+
+  return {
+    winningPlan: planToString(plan),
+    plan,
+    indexesUsed: Array.from(scans.indexes),
+    collectionScan: scans.collscan,
+    docsExamined,
+    keysExamined,
+    nReturned,
+    executionTimeMillis,
+    stages,
+  };
+}
+
+/**
+ * Run an Aggregate in explain mode and summarize the result.
+ *
+ * @param {import("mongoose").Aggregate<any>} agg
+ * @param {{ includeRaw?: boolean }} [opts] - Also return MongoDB's full document.
+ * @returns {Promise<ReturnType<typeof summarizeExplain> & { wallTimeMillis:number, raw?:any }>}
+ */
+export async function explainAggregate(agg, { includeRaw = false } = {}) {
+  const t0 = process.hrtime.bigint();
+  const raw = await agg.explain("executionStats");
+  // MongoDB (shell) equivalent:
+  // db.games.explain("executionStats").aggregate(pipeline)
+  const wallTimeMillis = Number(process.hrtime.bigint() - t0) / 1e6;
+
+  const summary = { ...summarizeExplain(raw), wallTimeMillis: Math.round(wallTimeMillis * 100) / 100 };
+  if (includeRaw) summary.raw = raw;
+  return summary;
+}
@@ -0,0 +1,305 @@
+// src/services/goty.js
+
+/**
+ * =====================================================================
+ * GOTY ballots: migration and read views
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - ensureGotyBallots(): one-shot migration run at startup. Picks stored
+ *   before ranked ballots get rank 1, and the old unique (profile, year)
+ *   index is replaced by the model's (profile, year, rank) one.
+ * - Read views behind GET /api/games/goty/*:
+ *     gotyTimeline(profile)      -> a profile's ballots, newest year first
+ *     gotyComparison(profiles)   -> per year: each profile's ballot, whether
+ *                                   the winners agree, games on several ballots
+ *     gotyLeaderboard()          -> most-picked games across profiles
+ *     gotyExportRows(profile?)   -> flat rows for the JSON/CSV export
+ * - toCsv(rows, columns): RFC 4180 CSV text for the export.
+ * - ballotSnapshot(profile, year): a ballot as `{ "<rank>": { appid, name } }`,
+ *   the before / after state stored in the audit log for GOTY writes.
+ *
+ * Safety
+ * - Every view takes the viewer's compiled safety rules (`safety`, see
+ *   services/safetyPolicies.js); picks of games the policy blocks are
+ *   dropped in the games $lookup, so a restricted profile never sees them
+ *   through another profile's ballot.
+ * =====================================================================
+ */
+
+import Game from "../models/Game.js";
+import Goty from "../models/Goty.js";
+import { safetyMatch } from "./safetyPolicies.js";
+
+/** Leaderboard points per rank (rank 1 = GOTY). */
+export const BALLOT_POINTS = Object.freeze({ 1: 3, 2: 2, 3: 1 });
+
+/** Game fields joined onto picks. */
+const GAME_FIELDS = { _id: 0, name: 1, header_image: 1, release_year: 1 };
+
+/**
+ * Migrate legacy single-pick GOTYs to ranked ballots. Safe to call on
+ * every startup.
+ *
+ * @returns {Promise<number>} Number of picks migrated.
+ */
+export async function ensureGotyBallots() {
+  const { modifiedCount } = await Goty.updateMany({ rank: { $exists: false } }, { $set: { rank: 1 } });
+  // MongoDB (shell) equivalent:
+  // db.gotys.updateMany({ rank: { $exists: false } }, { $set: { rank: 1 } })
+  await Goty.syncIndexes(); // drops the legacy unique { profile, year } index
+  if (modifiedCount) console.log(`migrated ${modifiedCount} GOTY picks to ranked ballots`);
+  return modifiedCount;
+}
+
+/**
+ * Join each pick with its game (`game: { name, header_image, release_year }`).
+ * With safety rules, picks of blocked games are dropped; without, picks of
+ * games missing from the catalog (or soft-deleted) are kept with `game: null`.
+ *
+ * @param {object[]|null} safety - Viewer's compiled safety rules.
+ * @returns {import("mongodb").Document[]}
+ */
+function gameJoinStages(safety) {
+  // MongoDB (shell) equivalent inside an aggregate:
+  // { $lookup: { from: "games", let: { app: "$appid" }, pipeline: [
+  //     { $match: { $expr: { $eq: ["$appid", "$$app"] }, deleted_at: null } },
+  //     /* + { $match: safetyMatch(safety) } for restricted viewers */
+  //     { $project: { _id: 0, name: 1, header_image: 1, release_year: 1 } }
+  // ], as: "game" } },
+  // { $unwind: { path: "$game", preserveNullAndEmptyArrays: <no safety> } }
+  return [
+    {
+      $lookup: {
+        from: "games",
+        let: { app: "$appid" },
+        pipeline: [
+          // $lookup bypasses the Game model hooks: filter soft-deleted games here
+          { $match: { $expr: { $eq: ["$appid", "$$app"] }, deleted_at: null } },
+          ...(safety ? [{ $match: safetyMatch(safety) }] : []),
+          { $project: GAME_FIELDS },
+          { $limit: 1 },
+        ],
+        as: "game",
+      },
+    },
+    { $unwind: { path: "$game", preserveNullAndEmptyArrays: !safety } },
+  ];
+}
+
+/** Pick as returned by the views. */
+const pickOf = (p) => ({
+  rank: p.rank || 1,
+  appid: p.appid,
+  name: p.game ? p.game.name : null,
+  header_image: p.game ? p.game.header_image : null,
+});
+
+/**
+ * A profile's ballots, newest year first.
+ *
+ * @param {string} profile
+ * @param {{ safety?: object[]|null }} [opts]
+ * @returns {Promise<{ year:number, picks:{rank:number, appid:string, name:string|null, header_image:string|null}[] }[]>}
+ */
+export async function gotyTimeline(profile, { safety = null } = {}) {
+  const rows = await Goty.aggregate([
+    { $match: { profile } },
+    ...gameJoinStages(safety),
+    { $sort: { year: -1, rank: 1 } },
+    { $group: { _id: "$year", picks: { $push: { rank: "$rank", appid: "$appid", game: "$game" } } } },
+    { $sort: { _id: -1 } },
+  ]);
+  // MongoDB (shell) equivalent:
+  // db.gotys.aggregate([
+  //   { $match: { profile: "<profile>" } }, <game join>,
+  //   { $sort: { year: -1, rank: 1 } },
+  //   { $group: { _id: "$year", picks: { $push: { rank: "$rank", appid: "$appid", game: "$game" } } } },
+  //   { $sort: { _id: -1 } }
+  // ])
+  return rows.map(r => ({ year: r._id, picks: r.picks.map(pickOf) }));
+}
+
+/**
+ * Cross-profile view: for every year any of `profiles` voted, each
+ * profile's ballot, whether all of them picked the same winner, and the
+ * games that appear on more than one ballot.
+ *
+ * @param {string[]} profiles - At least two profile keys.
+ * @param {{ safety?: object[]|null }} [opts]
+ * @returns {Promise<{
+ *   years: { year:number, ballots:Record<string, object[]>, agreed:boolean,
+ *            winner:object|null, shared:{appid:string, name:string|null, profiles:string[]}[] }[],
+ *   summary: { years:number, comparable:number, agreed:number }
+ * }>}
+ *   `comparable` counts the years every profile voted in; only those can agree.
+ */
+export async function gotyComparison(profiles, { safety = null } = {}) {
+  const rows = await Goty.aggregate([
+    { $match: { profile: { $in: profiles } } },
+    ...gameJoinStages(safety),
+    { $sort: { year: -1, profile: 1, rank: 1 } },
+    {
+      $group: {
+        _id: "$year",
+        picks: { $push: { profile: "$profile", rank: "$rank", appid: "$appid", game: "$game" } },
+      },
+    },
+    { $sort: { _id: -1 } },
+  ]);
+  // MongoDB (shell) equivalent:
+  // db.gotys.aggregate([
+  //   { $match: { profile: { $in: ["person1", "person2"] } } }, <game join>,
+  //   { $group: { _id: "$year", picks: { $push: { profile: "$profile", rank: "$rank", appid: "$appid", game: "$game" } } } },
+  //   { $sort: { _id: -1 } }
+  // ])
+
+  const summary = { years: rows.length, comparable: 0, agreed: 0 };
+  const years = rows.map(r => {
+    const ballots = {};
+    const onBallots = new Map(); // appid -> { name, profiles:Set }
+    r.picks.forEach(p => {
+      (ballots[p.profile] ||= []).push(pickOf(p));
+      const entry = onBallots.get(p.appid) || { name: p.game ? p.game.name : null, profiles: new Set() };
+      entry.profiles.add(p.profile);
+      onBallots.set(p.appid, entry);
+    });
+
+    const winners = profiles.map(k => (ballots[k] || []).find(p => p.rank === 1));
+    const comparable = winners.every(Boolean);
+    const agreed = comparable && winners.every(w => w.appid === winners[0].appid);
+    if (comparable) summary.comparable += 1;
+    if (agreed) summary.agreed += 1;
+
+    const shared = Array.from(onBallots.entries())
+      .filter(([, e]) => e.profiles.size > 1)
+      .map(([appid, e]) => ({ appid, name: e.name, profiles: Array.from(e.profiles).sort() }))
+      .sort((a, b) => b.profiles.length - a.profiles.length);
+
+    return { year: r._id, ballots, agreed, winner: agreed ? winners[0] : null, shared };
+  });
+
+  return { years, summary };
+}
+
+/**
+ * Most-picked games across profiles. A pick scores BALLOT_POINTS[rank];
+ * ties are broken by number of ballots, then wins.
+ *
+ * @param {{ year?: number|null, profiles?: string[]|null, limit?: number, safety?: object[]|null }} [opts]
+ * @returns {Promise<{ appid:string, name:string|null, header_image:string|null,
+ *                     points:number, picks:number, wins:number, profiles:string[], years:number[] }[]>}
+ */
+export async function gotyLeaderboard({ year = null, profiles = null, limit = 20, safety = null } = {}) {
+  const match = {};
+  if (year != null) match.year = year;
+  if (profiles) match.profile = { $in: profiles };
+
+  const points = {
+    $switch: {
+      branches: Object.entries(BALLOT_POINTS).map(([rank, pts]) => ({ case: { $eq: ["$rank", Number(rank)] }, then: pts })),
+      default: 0,
+    },
+  };
+
+  const rows = await Goty.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$appid",
+        points: { $sum: points },
+        picks: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ["$rank", 1] }, 1, 0] } },
+        profiles: { $addToSet: "$profile" },
+        years: { $addToSet: "$year" },
+      },
+    },
+    { $set: { appid: "$_id" } },
+    ...gameJoinStages(safety),
+    { $sort: { points: -1, picks: -1, wins: -1, appid: 1 } },
+    { $limit: limit },
+  ]);
+  // MongoDB (shell) equivalent:
+  // db.gotys.aggregate([
+  //   { $match: { year: 2023 } },
+  //   { $group: { _id: "$appid", points: { $sum: { $switch: { branches: [{ case: { $eq: ["$rank", 1] }, then: 3 }, ...] } } },
+  //               picks: { $sum: 1 }, wins: { $sum: { $cond: [{ $eq: ["$rank", 1] }, 1, 0] } },
+  //               profiles: { $addToSet: "$profile" }, years: { $addToSet: "$year" } } },
+  //   <game join>, { $sort: { points: -1, picks: -1, wins: -1 } }, { $limit: 20 }
+  // ])
+
+  return rows.map(r => ({
+    appid: r._id,
+    name: r.game ? r.game.name : null,
+    header_image: r.game ? r.game.header_image : null,
+    points: r.points,
+    picks: r.picks,
+    wins: r.wins,
+    profiles: r.profiles.sort(),
+    years: r.years.sort((a, b) => b - a),
+  }));
+}
+
+/** Columns of the export, in CSV order. */
+export const EXPORT_COLUMNS = ["profile", "year", "rank", "appid", "name", "release_year", "picked_at"];
+
+/**
+ * Flat ballot rows for the export, ordered by profile, year (newest first)
+ * and rank.
+ *
+ * @param {string|null} profile - One profile, or null for every profile.
+ * @param {{ safety?: object[]|null }} [opts]
+ * @returns {Promise<Record<string, unknown>[]>}
+ */
+export async function gotyExportRows(profile, { safety = null } = {}) {
+  const rows = await Goty.aggregate([
+    { $match: profile ? { profile } : {} },
+    ...gameJoinStages(safety),
+    { $sort: { profile: 1, year: -1, rank: 1 } },
+  ]);
+  // MongoDB (shell) equivalent:
+  // db.gotys.aggregate([{ $match: { profile: "<profile>" } }, <game join>, { $sort: { profile: 1, year: -1, rank: 1 } }])
+  return rows.map(r => ({
+    profile: r.profile,
+    year: r.year,
+    rank: r.rank || 1,
+    appid: r.appid,
+    name: r.game ? r.game.name : null,
+    release_year: r.game ? r.game.release_year ?? null : null,
+    picked_at: r.updatedAt || r.createdAt || null,
+  }));
+}
+
+/**
+ * CSV text (RFC 4180: quoted when needed, CRLF line ends) with a header row.
+ *
+ * @param {Record<string, unknown>[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const s = v instanceof Date ? v.toISOString() : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+/**
+ * A year's ballot keyed by rank, with game names (audit log states; the
+ * names keep the entry readable if the game is renamed or removed later).
+ *
+ * @param {string} profile
+ * @param {number} year
+ * @returns {Promise<Record<string, { appid:string, name:string|null }>>}
+ */
+export async function ballotSnapshot(profile, year) {
+  const picks = await Goty.find({ profile, year }, { _id: 0, rank: 1, appid: 1 }).lean();
+  const games = await Game.find({ appid: { $in: picks.map(p => p.appid) } }, { _id: 0, appid: 1, name: 1 })
+    .setOptions({ withDeleted: true }).lean();
+  // MongoDB (shell) equivalent:
+  // db.gotys.find({ profile, year }, { rank: 1, appid: 1 })
+  // db.games.find({ appid: { $in: [...] } }, { appid: 1, name: 1 })
+  const names = new Map(games.map(g => [g.appid, g.name]));
+  return Object.fromEntries(picks.map(p => [String(p.rank ?? 1), { appid: p.appid, name: names.get(p.appid) ?? null }]));
+}
@@ -0,0 +1,37 @@
+// src/services/health.js
+
+/**
+ * =====================================================================
+ * Liveness / readiness (GET /api/health, GET /api/ready)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - liveness(): the process is up and serving; never touches MongoDB.
+ * - readiness(): whether to route traffic here. Ready when the MongoDB
+ *   connection opened by connectDB is "connected" and the server is not
+ *   shutting down.
+ * - beginShutdown(): called by server.js on SIGTERM / SIGINT so load
+ *   balancers see 503 on /api/ready while in-flight requests drain.
+ * =====================================================================
+ */
+
+import { dbState } from "../config/db.js";
+
+let shuttingDown = false;
+
+/** Mark the process as draining (readiness turns false for good). */
+export function beginShutdown() {
+  shuttingDown = true;
+}
+
+/** @returns {{ status:"ok", uptime:number }} uptime in seconds. */
+export function liveness() {
+  return { status: "ok", uptime: Math.round(process.uptime()) };
+}
+
+/**
+ * @returns {{ ready:boolean, mongo:string, shuttingDown:boolean }}
+ */
+export function readiness() {
+  const { state } = dbState();
+  return { ready: state === "connected" && !shuttingDown, mongo: state, shuttingDown };
+}
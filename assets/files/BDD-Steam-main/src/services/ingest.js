@@ -0,0 +1,360 @@
+// src/services/ingest.js
+
+/**
+ * =====================================================================
+ * Dataset ingestion: normalize, validate, upsert, report
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - normalizeGame(raw): turns one raw dump record (JSON/NDJSON/CSV) into a
+ *   Game-shaped document:
+ *     • appid           -> trimmed string (required)
+ *     • release_date    -> Date (UTC midnight) or null; the original text is
+ *                          kept in `release_date_text` when it isn't a date
+ *                          ("Coming soon", "To be announced", ...); the
+ *                          derived `release_ts` / `release_year` are set too
+ *     • price           -> number ("$19.99" -> 19.99, "Free" -> 0)
+ *     • supported_languages and other list fields -> string arrays
+ *       ("['English', 'French']", "English, French", ...)
+ *     • platform flags  -> booleans, counters/scores -> numbers
+ *     • tags given as "Indie,Casual" -> { Indie: 1, Casual: 1 }
+ * - ingestDataset(records, opts): validates every record against the Game
+ *   schema, upserts by appid in batches (never drops the collection) and
+ *   returns a change report: added / updated / unchanged / removed games
+ *   plus rejected rows with their reasons.
+ *
+ * Change detection
+ * - Each stored game carries `ingest_hash`, a hash of its normalized dump
+ *   record. A record whose appid is unknown is "added", a different hash
+ *   is "updated", the same hash is "unchanged" (not rewritten).
+ * - Games present in the collection but absent from the dump are
+ *   "removed": reported always, deleted only with `prune: true`.
+ * - Writes use $set, so fields the app adds to games are preserved.
+ * - Fields an admin corrected (`curated_fields`, /api/admin/games) are not
+ *   overwritten; soft-deleted games are updated but stay deleted.
+ *
+ * Price history
+ * - Added games with a price, and updated games whose price differs from
+ *   the stored one, get a point in `price_history` (services/priceHistory.js),
+ *   dated `asOf` (default: now) so older local dumps can be replayed in order.
+ * =====================================================================
+ */
+
+import crypto from "node:crypto";
+import Game from "../models/Game.js";
+import IngestRun from "../models/IngestRun.js";
+import { recordPricePoints } from "./priceHistory.js";
+import { stableStringify } from "./cache.js";
+import { parseReleaseDate, releaseFields } from "./releaseDates.js";
+
+/** Documents per bulkWrite. */
+const BATCH_SIZE = 500;
+
+/** Max appids / rejects kept per list in the stored IngestRun. */
+export const REPORT_LIST_LIMIT = 1000;
+
+/** Fields normalized to string arrays. */
+const LIST_FIELDS = [
+  "supported_languages", "full_audio_languages", "genres", "categories",
+  "developers", "publishers", "screenshots", "movies",
+];
+
+/** Fields normalized to booleans. */
+const BOOL_FIELDS = ["windows", "mac", "linux"];
+
+/** Fields normalized to numbers when given as text. */
+const NUMBER_FIELDS = [
+  "required_age", "dlc_count", "metacritic_score", "user_score", "positive", "negative",
+  "score_rank", "achievements", "recommendations", "average_playtime_forever",
+  "average_playtime_2weeks", "median_playtime_forever", "median_playtime_2weeks",
+  "peak_ccu", "discount",
+];
+
+/* -------------------------------------------------------------------------- */
+/* Field normalizers                                                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Parse a price: numbers pass through, "$19.99" / "19,99 €" / "Free".
+ * @param {unknown} v
+ * @returns {number|null|undefined} undefined when empty, null when invalid.
+ */
+export function parsePrice(v) {
+  if (v == null || v === "") return undefined;
+  if (typeof v === "number") return Number.isFinite(v) && v >= 0 ? v : null;
+  const s = String(v).trim();
+  if (!s) return undefined;
+  if (/^free( to play)?$/i.test(s)) return 0;
+  const cleaned = s.replace(/[^\d.,-]/g, "").replace(/,(\d{1,2})$/, ".$1").replace(/,/g, "");
+  const n = Number(cleaned);
+  return cleaned && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Normalize a list field: arrays, Python-style "['a', 'b']", JSON arrays
+ * or comma-separated text -> trimmed, non-empty, de-duplicated strings.
+ * @param {unknown} v
+ * @returns {string[]|undefined}
+ */
+export function toList(v) {
+  if (v == null || v === "") return undefined;
+  let items;
+  if (Array.isArray(v)) {
+    items = v;
+  } else {
+    const s = String(v).trim();
+    if (s.startsWith("[") && s.endsWith("]")) {
+      try {
+        items = JSON.parse(s);
+      } catch {
+        // Python repr: ['English', 'French'] (quotes may be ' or ")
+        items = s.slice(1, -1).match(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^,]+/g) || [];
+        items = items.map(x => x.trim().replace(/^['"]|['"]$/g, ""));
+      }
+    } else {
+      items = s.split(",");
+    }
+  }
+  const out = items.map(x => String(x ?? "").trim()).filter(Boolean);
+  return Array.from(new Set(out));
+}
+
+/**
+ * "True"/"false"/1/0/"yes" -> boolean; anything else -> undefined.
+ * @param {unknown} v
+ * @returns {boolean|undefined}
+ */
+function toBool(v) {
+  if (typeof v === "boolean") return v;
+  const s = String(v ?? "").trim().toLowerCase();
+  if (["true", "1", "yes", "y"].includes(s)) return true;
+  if (["false", "0", "no", "n"].includes(s)) return false;
+  return undefined;
+}
+
+/**
+ * Numeric text -> number; empty -> undefined; non-numeric -> null (invalid).
+ * @param {unknown} v
+ * @returns {number|null|undefined}
+ */
+function toNumber(v) {
+  if (v == null || v === "") return undefined;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const n = Number(String(v).trim().replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Normalize one raw record.
+ *
+ * @param {Record<string, any>} raw
+ * @returns {{ doc: Record<string, any>, errors: string[] }}
+ */
+export function normalizeGame(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { doc: {}, errors: ["record_must_be_object"] };
+  }
+
+  const doc = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (k === "_id" || k.startsWith("$") || k.includes(".")) continue; // never let a dump steer Mongo
+    if (v === "" || v === undefined) continue;
+    doc[k] = v;
+  }
+
+  const appid = String(raw.appid ?? raw.app_id ?? raw.steam_appid ?? "").trim();
+  if (!appid) errors.push("missing_appid");
+  doc.appid = appid;
+  delete doc.app_id;
+
+  if (typeof doc.name === "string") doc.name = doc.name.trim();
+
+  if ("release_date" in doc) {
+    const date = parseReleaseDate(doc.release_date);
+    if (!date) doc.release_date_text = String(doc.release_date?.date ?? doc.release_date).trim();
+    doc.release_date = date;
+    Object.assign(doc, releaseFields(date));
+  }
+
+  if ("price" in doc) {
+    const price = parsePrice(doc.price);
+    if (price === null) errors.push(`invalid_price: ${doc.price}`);
+    if (price === undefined) delete doc.price; else doc.price = price;
+  }
+
+  for (const f of LIST_FIELDS) {
+    if (!(f in doc)) continue;
+    const list = toList(doc[f]);
+    if (list === undefined) delete doc[f]; else doc[f] = list;
+  }
+
+  for (const f of BOOL_FIELDS) {
+    if (!(f in doc)) continue;
+    const b = toBool(doc[f]);
+    if (b === undefined) delete doc[f]; else doc[f] = b;
+  }
+
+  for (const f of NUMBER_FIELDS) {
+    if (!(f in doc)) continue;
+    const n = toNumber(doc[f]);
+    if (n === null) errors.push(`invalid_number: ${f}`);
+    if (n === undefined || n === null) delete doc[f]; else doc[f] = n;
+  }
+
+  if (typeof doc.tags === "string") {
+    doc.tags = Object.fromEntries((toList(doc.tags) || []).map(t => [t, 1]));
+  } else if (Array.isArray(doc.tags)) {
+    doc.tags = Object.fromEntries(toList(doc.tags).map(t => [t, 1]));
+  }
+
+  return { doc, errors };
+}
+
+/**
+ * Validate a normalized record against the Game schema (types, required).
+ * @param {Record<string, any>} doc
+ * @returns {{ value: Record<string, any>|null, errors: string[] }}
+ */
+function validateGame(doc) {
+  const game = new Game(doc);
+  const err = game.validateSync();
+  if (err) {
+    return { value: null, errors: Object.values(err.errors).map(e => `${e.path}: ${e.kind || e.message}`) };
+  }
+  const value = game.toObject({ depopulate: true, versionKey: false });
+  delete value._id;
+  return { value, errors: [] };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Ingestion                                                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Ingest a stream of records (see services/datasetReaders.js).
+ *
+ * @param {AsyncIterable<{row:number, record?:object, error?:string}>} records
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun=false] - Classify only, write nothing.
+ * @param {boolean} [opts.prune=false]  - Delete games missing from the dump.
+ * @param {Date} [opts.asOf] - Date of the dump, used for price history points (default: now).
+ * @param {(progress:{read:number}) => void} [opts.onProgress] - Called after each batch.
+ * @returns {Promise<{
+ *   totals: { read:number, valid:number, rejected:number, added:number, updated:number, unchanged:number, removed:number, priceChanges:number },
+ *   added: string[], updated: string[], removed: string[],
+ *   rejects: { row:number, appid:string|null, errors:string[] }[]
+ * }>}
+ */
+export async function ingestDataset(records, { dryRun = false, prune = false, asOf = null, onProgress } = {}) {
+  const report = {
+    totals: { read: 0, valid: 0, rejected: 0, added: 0, updated: 0, unchanged: 0, removed: 0, priceChanges: 0 },
+    added: [], updated: [], removed: [], rejects: [],
+  };
+  const seen = new Set();   // appids found in the dump (valid or rejected)
+  let batch = [];
+
+  const reject = (row, appid, errors) => {
+    report.totals.rejected += 1;
+    report.rejects.push({ row, appid: appid || null, errors });
+  };
+
+  const flushBatch = async () => {
+    if (!batch.length) return;
+    const ids = batch.map(b => b.value.appid);
+    // Soft-deleted games included: they stay deleted, but are not "added" again
+    const existing = await Game.find({ appid: { $in: ids } }, { appid: 1, ingest_hash: 1, price: 1, curated_fields: 1 })
+      .setOptions({ withDeleted: true })
+      .lean();
+    // MongoDB (shell) equivalent:
+    // db.games.find({ appid: { $in: [...] } }, { appid: 1, ingest_hash: 1, price: 1, curated_fields: 1 })
+    const hashes = new Map(existing.map(g => [String(g.appid), g.ingest_hash || null]));
+    const prices = new Map(existing.map(g => [String(g.appid), g.price ?? null]));
+    const curated = new Map(existing.map(g => [String(g.appid), g.curated_fields || []]));
+
+    const now = new Date();
+    const ops = [];
+    const pricePoints = [];
+    for (const { value, hash } of batch) {
+      const kind = !hashes.has(value.appid) ? "added" : hashes.get(value.appid) !== hash ? "updated" : "unchanged";
+      report.totals[kind] += 1;
+      if (kind === "unchanged") continue;
+      report[kind].push(value.appid);
+      // Fields an admin fixed by hand (/api/admin/games) keep their value
+      const fields = { ...value };
+      (curated.get(value.appid) || []).forEach(f => { if (f !== "appid") delete fields[f]; });
+      if (typeof fields.price === "number" && fields.price !== prices.get(value.appid)) {
+        pricePoints.push({ appid: value.appid, price: fields.price });
+      }
+      ops.push({
+        updateOne: {
+          filter: { appid: value.appid },
+          update: { $set: { ...fields, ingest_hash: hash, ingested_at: now } },
+          upsert: true,
+        },
+      });
+    }
+    if (ops.length && !dryRun) await Game.bulkWrite(ops, { ordered: false });
+    // MongoDB (shell) equivalent:
+    // db.games.bulkWrite([{ updateOne: { filter: { appid }, update: { $set: {...} }, upsert: true } }, ...])
+    report.totals.priceChanges += pricePoints.length;
+    if (pricePoints.length && !dryRun) await recordPricePoints(pricePoints, { source: "ingest", at: asOf || now });
+    batch = [];
+    if (onProgress) onProgress({ read: report.totals.read });
+  };
+
+  for await (const item of records) {
+    report.totals.read += 1;
+    if (item.error) { reject(item.row, null, [item.error]); continue; }
+
+    const { doc, errors } = normalizeGame(item.record);
+    const appid = doc.appid || null;
+    if (appid && seen.has(appid)) { reject(item.row, appid, ["duplicate_appid"]); continue; }
+    if (appid) seen.add(appid);
+    if (errors.length) { reject(item.row, appid, errors); continue; }
+
+    const { value, errors: schemaErrors } = validateGame(doc);
+    if (!value) { reject(item.row, appid, schemaErrors); continue; }
+
+    report.totals.valid += 1;
+    batch.push({ value, hash: crypto.createHash("sha1").update(stableStringify(value)).digest("hex") });
+    if (batch.length >= BATCH_SIZE) await flushBatch();
+  }
+  await flushBatch();
+
+  // Removed = stored games whose appid never appeared in this dump
+  for await (const g of Game.find({}, { appid: 1 }).setOptions({ withDeleted: true }).lean().cursor()) {
+    const id = String(g.appid);
+    if (!seen.has(id)) report.removed.push(id);
+  }
+  report.totals.removed = report.removed.length;
+
+  if (prune && !dryRun) {
+    for (let i = 0; i < report.removed.length; i += BATCH_SIZE) {
+      await Game.deleteMany({ appid: { $in: report.removed.slice(i, i + BATCH_SIZE) } });
+      // MongoDB (shell) equivalent:
+      // db.games.deleteMany({ appid: { $in: [...] } })
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Store a run's change report (lists capped to REPORT_LIST_LIMIT).
+ *
+ * @param {Awaited<ReturnType<typeof ingestDataset>>} report
+ * @param {{ file:string, format:string, startedAt:Date, finishedAt:Date, pruned:boolean }} meta
+ * @returns {Promise<object>} The stored IngestRun.
+ */
+export async function recordIngestRun(report, meta) {
+  const cap = (list) => list.slice(0, REPORT_LIST_LIMIT);
+  const run = await IngestRun.create({
+    ...meta,
+    totals: report.totals,
+    added: cap(report.added),
+    updated: cap(report.updated),
+    removed: cap(report.removed),
+    rejects: cap(report.rejects),
+  });
+  return run.toObject();
+}
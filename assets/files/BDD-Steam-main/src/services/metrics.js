@@ -0,0 +1,185 @@
+// src/services/metrics.js
+
+/**
+ * =====================================================================
+ * Prometheus metrics (GET /api/metrics)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Keeps in-process counters / histograms / gauges and renders them in
+ *   the Prometheus text exposition format (no client library needed).
+ * - observeRequest(): called by middleware/metrics.js once per API response.
+ * - observeMongoCommands(client): subscribes to the MongoDB driver's command
+ *   monitoring (connectDB enables it), timing every find / aggregate /
+ *   update / insert ... per collection.
+ *
+ * Series
+ *   http_requests_total{method,route,status}            counter
+ *   http_request_duration_seconds{method,route}         histogram
+ *   http_requests_in_flight                             gauge
+ *   mongodb_command_duration_seconds{command,collection} histogram
+ *   mongodb_command_errors_total{command,collection}    counter
+ *   mongodb_connection_state                            gauge (1 = connected)
+ *   cache_requests_total{namespace,result}              counter (hit | miss)
+ *   process_uptime_seconds, process_resident_memory_bytes,
+ *   nodejs_heap_used_bytes                              gauges
+ *
+ * `route` is the Express route pattern ("/api/games/:id/similar"), never
+ * the raw URL, so the number of series stays bounded; requests no route
+ * matched are counted as "unmatched".
+ * =====================================================================
+ */
+
+import { dbState } from "../config/db.js";
+
+/** Latency buckets (seconds) shared by the HTTP and MongoDB histograms. */
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/* -------------------------------------------------------------------------- */
+/* Registry                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/** @type {Map<string, { type:string, help:string, series:Map<string, any>, buckets?:number[] }>} */
+const REGISTRY = new Map();
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+/** Stable `{a="1",b="2"}` rendering of a label set ("" when empty). */
+function labelString(labels = {}) {
+  const parts = Object.keys(labels).sort().map(k => `${k}="${escapeLabel(labels[k])}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function metric(name, type, help, buckets) {
+  if (!REGISTRY.has(name)) REGISTRY.set(name, { type, help, series: new Map(), buckets });
+  return REGISTRY.get(name);
+}
+
+/** Add `value` to a counter series. */
+function inc(name, help, labels, value = 1) {
+  const m = metric(name, "counter", help);
+  const key = labelString(labels);
+  m.series.set(key, (m.series.get(key) || 0) + value);
+}
+
+/** Record one observation (seconds) in a histogram series. */
+function observe(name, help, labels, seconds) {
+  const m = metric(name, "histogram", help, LATENCY_BUCKETS);
+  const key = labelString(labels);
+  let s = m.series.get(key);
+  if (!s) {
+    s = { labels, counts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    m.series.set(key, s);
+  }
+  LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) s.counts[i] += 1; });
+  s.sum += seconds;
+  s.count += 1;
+}
+
+/* -------------------------------------------------------------------------- */
+/* HTTP                                                                       */
+/* -------------------------------------------------------------------------- */
+
+let inFlight = 0;
+
+/** Request started (see middleware/metrics.js). */
+export function requestStarted() {
+  inFlight += 1;
+}
+
+/**
+ * Request finished.
+ *
+ * @param {{ method:string, route:string, status:number, seconds:number }} r
+ */
+export function observeRequest({ method, route, status, seconds }) {
+  inFlight = Math.max(0, inFlight - 1);
+  inc("http_requests_total", "API requests by route and status.", { method, route, status });
+  observe("http_request_duration_seconds", "API request latency by route.", { method, route }, seconds);
+}
+
+/**
+ * Response cache lookup (services/cache.js).
+ *
+ * @param {string} namespace
+ * @param {boolean} hit
+ */
+export function observeCache(namespace, hit) {
+  inc("cache_requests_total", "Response cache lookups by namespace.", { namespace, result: hit ? "hit" : "miss" });
+}
+
+/* -------------------------------------------------------------------------- */
+/* MongoDB                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/** Commands worth timing (handshakes, pings and auth are left out). */
+const MONGO_COMMANDS = new Set([
+  "find", "aggregate", "count", "distinct", "getMore",
+  "insert", "update", "delete", "findAndModify", "createIndexes", "explain",
+]);
+
+/**
+ * Time MongoDB commands through the driver's command monitoring events.
+ * The client must be created with `monitorCommands: true` (see connectDB).
+ *
+ * @param {import("mongodb").MongoClient} client
+ */
+export function observeMongoCommands(client) {
+  const started = new Map(); // requestId -> { command, collection }
+
+  client.on("commandStarted", (e) => {
+    if (!MONGO_COMMANDS.has(e.commandName)) return;
+    const target = e.command?.[e.commandName];
+    started.set(e.requestId, {
+      command: e.commandName,
+      collection: typeof target === "string" ? target : e.command?.collection || "",
+    });
+  });
+
+  const finish = (e, failed) => {
+    const labels = started.get(e.requestId);
+    if (!labels) return;
+    started.delete(e.requestId);
+    observe("mongodb_command_duration_seconds", "MongoDB command latency by command and collection.", labels, e.duration / 1000);
+    if (failed) inc("mongodb_command_errors_total", "Failed MongoDB commands.", labels);
+  };
+  client.on("commandSucceeded", (e) => finish(e, false));
+  client.on("commandFailed", (e) => finish(e, true));
+}
+
+/* -------------------------------------------------------------------------- */
+/* Exposition                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * All metrics in the Prometheus text format (version 0.0.4).
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const mem = process.memoryUsage();
+  const gauges = [
+    ["http_requests_in_flight", "API requests being served.", inFlight],
+    ["mongodb_connection_state", "1 when the MongoDB connection is up.", dbState().state === "connected" ? 1 : 0],
+    ["process_uptime_seconds", "Process uptime.", Math.round(process.uptime())],
+    ["process_resident_memory_bytes", "Resident set size.", mem.rss],
+    ["nodejs_heap_used_bytes", "V8 heap in use.", mem.heapUsed],
+  ];
+
+  const lines = [];
+  for (const [name, help, value] of gauges) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`);
+  }
+
+  for (const [name, m] of REGISTRY) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [key, s] of m.series) {
+      if (m.type === "counter") {
+        lines.push(`${name}${key} ${s}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => lines.push(`${name}_bucket${labelString({ ...s.labels, le })} ${s.counts[i]}`));
+      lines.push(`${name}_bucket${labelString({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${name}_sum${key} ${s.sum}`, `${name}_count${key} ${s.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,160 @@
+// src/services/openapi.js
+
+/**
+ * =====================================================================
+ * OpenAPI document (GET /api/docs)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - buildOpenApiDocument(): an OpenAPI 3.1 document generated from the
+ *   route specs that validate requests (services/apiSchemas.js) and the
+ *   error code table (services/apiErrors.js). Nothing is written by hand,
+ *   so a schema change shows up in the docs as soon as it is enforced.
+ *
+ * Mapping
+ * - Express paths "/api/games/:id" -> "/api/games/{id}".
+ * - `params` / `query` schema properties -> parameters (in: path | query).
+ * - `body` -> requestBody (application/json); `response` -> 200
+ *   (application/json unless the spec sets `contentType`).
+ * - `errors` -> one response per HTTP status, listing its codes.
+ * - `auth: true` -> session cookie or bearer token security.
+ * - `cached: true` -> If-None-Match header and a 304 response.
+ * =====================================================================
+ */
+
+import { ERROR_CODES } from "./apiErrors.js";
+import {
+  ADMIN_GAMES_API, AUDIT_API, AUTH_API, COLLECTIONS_API, GAMES_API, OPS_API, PROFILES_API,
+  SAFETY_POLICIES_API, SAVED_SEARCHES_API, STATS_API, USERS_API,
+} from "./apiSchemas.js";
+import { AUTH_COOKIE } from "./auth.js";
+
+/** OpenAPI tag of a route path. */
+const tagOf = (path) => {
+  if (path.startsWith("/api/games/goty")) return "goty";
+  if (path.startsWith("/api/games/stats")) return "stats";
+  if (path.startsWith("/api/games")) return "games";
+  if (path.startsWith("/api/admin")) return "admin";
+  if (path.startsWith("/api/audit")) return "audit";
+  if (path.startsWith("/api/saved-searches")) return "saved-searches";
+  if (path.startsWith("/api/auth") || path.startsWith("/api/users")) return "accounts";
+  if (path.startsWith("/api/profiles")) return "profiles";
+  if (path.startsWith("/api/collections")) return "collections";
+  if (path.startsWith("/api/safety-policies")) return "safety-policies";
+  return "ops";
+};
+
+/** Specs of one router keyed by operationId: `prefix` + capitalized spec name. */
+const prefixed = (prefix, specs) =>
+  Object.fromEntries(Object.entries(specs).map(([k, v]) => [`${prefix}${k[0].toUpperCase()}${k.slice(1)}`, v]));
+
+/** Every documented route spec, keyed by operationId. */
+const ROUTE_SPECS = {
+  ...GAMES_API,
+  ...prefixed("adminGames", ADMIN_GAMES_API),
+  ...prefixed("audit", AUDIT_API),
+  ...prefixed("savedSearches", SAVED_SEARCHES_API),
+  ...prefixed("stats", STATS_API),
+  ...prefixed("auth", AUTH_API),
+  ...prefixed("users", USERS_API),
+  ...prefixed("profiles", PROFILES_API),
+  ...prefixed("collections", COLLECTIONS_API),
+  ...prefixed("safetyPolicies", SAFETY_POLICIES_API),
+  ...OPS_API,
+};
+
+/** Express ":param" segments to OpenAPI "{param}". */
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+
+/**
+ * Parameters of one location from an object schema.
+ * @param {object|undefined} schema
+ * @param {"path"|"query"} where
+ */
+function parametersOf(schema, where) {
+  if (!schema?.properties) return [];
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([name, s]) => ({
+    name,
+    in: where,
+    required: where === "path" || required.has(name),
+    ...(s.description ? { description: s.description } : {}),
+    schema: s,
+  }));
+}
+
+/**
+ * Error responses of a route, grouped by HTTP status.
+ * @param {string[]} codes
+ */
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of [...codes, "server_error"]) {
+    const status = String(ERROR_CODES[code]?.status || 500);
+    (byStatus[status] ||= []).push(code);
+  }
+  return Object.fromEntries(Object.entries(byStatus).map(([status, list]) => [status, {
+    description: list.map(c => `\`${c}\`: ${ERROR_CODES[c]?.description || ""}`).join("\n"),
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+  }]));
+}
+
+/**
+ * @param {{ title?: string, version?: string }} [info]
+ * @returns {object} OpenAPI 3.1 document.
+ */
+export function buildOpenApiDocument({ title = "Steam games API", version = "1.0.0" } = {}) {
+  const paths = {};
+  for (const [operationId, spec] of Object.entries(ROUTE_SPECS)) {
+    const path = toOpenApiPath(spec.path);
+    paths[path] ||= {};
+    paths[path][spec.method] = {
+      operationId,
+      summary: spec.summary,
+      ...(spec.description ? { description: spec.description } : {}),
+      tags: [tagOf(spec.path)],
+      parameters: [
+        ...parametersOf(spec.params, "path"),
+        ...parametersOf(spec.query, "query"),
+        ...(spec.cached ? [{ name: "If-None-Match", in: "header", required: false, schema: { type: "string" } }] : []),
+      ],
+      ...(spec.body ? { requestBody: { required: true, content: { "application/json": { schema: spec.body } } } } : {}),
+      responses: {
+        200: {
+          description: "Success",
+          content: { [spec.contentType || "application/json"]: { schema: spec.response || { type: "object" } } },
+        },
+        ...(spec.cached ? { 304: { description: "Not modified (the ETag still matches)." } } : {}),
+        ...errorResponses(spec.errors || []),
+      },
+      ...(spec.auth ? { security: [{ sessionCookie: [] }, { bearerToken: [] }] } : {}),
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title,
+      version,
+      description: "Errors answer `{ ok:false, error:<code>, ... }`; `validation_error` carries `details` (field path -> message).",
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["ok", "error"],
+          properties: {
+            ok: { type: "boolean", enum: [false] },
+            error: { type: "string", description: "Error code, listed per response status." },
+            details: { type: "object", additionalProperties: { type: "string" } },
+            detail: {},
+          },
+        },
+      },
+      securitySchemes: {
+        sessionCookie: { type: "apiKey", in: "cookie", name: AUTH_COOKIE },
+        bearerToken: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+}
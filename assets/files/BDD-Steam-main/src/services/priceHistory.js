@@ -0,0 +1,221 @@
+// src/services/priceHistory.js
+
+/**
+ * =====================================================================
+ * Price history: recording, derived stats, deals
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - recordPricePoints(points): appends observed prices to `price_history`
+ *   and refreshes the affected games' `price_stats`.
+ * - refreshPriceStats(appids): recomputes `Game.price_stats` from the
+ *   history (min / max / avg, count, last PRICE_RECENT_POINTS prices and
+ *   the deal flag). Cached answers are the caller's concern: admin edits
+ *   clear them, the CLIs run in another process (see services/cache.js).
+ * - getPriceSeries(appid): a game's full series for GET /api/games/:id/prices.
+ * - dealsMatch(): the "deals" category condition (see buildMatch).
+ * - watchlistAppids(profile) / watchlistItems(entries, opts): a profile's
+ *   price watch list, for the "watchlist" category and
+ *   GET /api/profiles/:key/watchlist (entries joined with current prices
+ *   and an alert flag).
+ *
+ * Deal rules (on the latest recorded price, with at least two points and
+ * some price movement, so a single import never flags everything)
+ * - "all_time_low": latest price <= every earlier price
+ * - "below_avg":    latest price below the average of all recorded prices
+ *
+ * Everything here reads MongoDB only: histories are built from the local
+ * dumps fed to `npm run ingest` (use --as-of to date an older dump), or
+ * seeded from the current prices with `npm run backfill:prices`.
+ * =====================================================================
+ */
+
+import Game from "../models/Game.js";
+import PriceHistory from "../models/PriceHistory.js";
+import Profile from "../models/Profile.js";
+import { safetyMatch } from "./safetyPolicies.js";
+
+/** Prices kept on the game for the card sparkline. */
+export const PRICE_RECENT_POINTS = 12;
+
+/** Appids per stats refresh aggregation. */
+const REFRESH_BATCH = 500;
+
+/** Deal flags, most notable first. */
+export const DEAL_KINDS = ["all_time_low", "below_avg"];
+
+/**
+ * Deal flag for a series summary.
+ *
+ * @param {{ current:number, min:number, max:number, avg:number, points:number }} s
+ * @returns {"all_time_low"|"below_avg"|null}
+ */
+export function dealOf(s) {
+  if (!s || s.points < 2 || !(s.max > s.min)) return null;
+  if (s.current <= s.min) return "all_time_low";
+  if (s.current < s.avg) return "below_avg";
+  return null;
+}
+
+/**
+ * Append price points and refresh the stats of the games concerned.
+ *
+ * @param {{ appid:string, price:number, at?:Date }[]} points
+ * @param {{ source?: "ingest"|"backfill"|"admin", at?: Date }} [opts]
+ *   `at` is the default observation time (now).
+ * @returns {Promise<number>} Number of points recorded.
+ */
+export async function recordPricePoints(points, { source = "ingest", at = new Date() } = {}) {
+  const docs = points
+    .filter(p => p && p.appid && Number.isFinite(Number(p.price)) && Number(p.price) >= 0)
+    .map(p => ({ appid: String(p.appid), price: Number(p.price), at: p.at || at, source }));
+  if (!docs.length) return 0;
+
+  await PriceHistory.insertMany(docs, { ordered: false });
+  // MongoDB (shell) equivalent:
+  // db.price_history.insertMany([{ appid: "<appid>", price: 9.99, at: ISODate("..."), source: "ingest" }, ...])
+  await refreshPriceStats(Array.from(new Set(docs.map(d => d.appid))));
+  return docs.length;
+}
+
+/**
+ * Recompute `price_stats` for the given games from their history.
+ *
+ * @param {string[]} appids
+ * @returns {Promise<number>} Number of games updated.
+ */
+export async function refreshPriceStats(appids) {
+  let updated = 0;
+  for (let i = 0; i < appids.length; i += REFRESH_BATCH) {
+    const ids = appids.slice(i, i + REFRESH_BATCH);
+    const rows = await PriceHistory.aggregate([
+      { $match: { appid: { $in: ids } } },
+      { $sort: { appid: 1, at: 1 } },
+      {
+        $group: {
+          _id: "$appid",
+          min: { $min: "$price" },
+          max: { $max: "$price" },
+          avg: { $avg: "$price" },
+          points: { $sum: 1 },
+          prices: { $push: "$price" },
+          since: { $first: "$at" },
+          changed_at: { $last: "$at" },
+        },
+      },
+    ]);
+    // MongoDB (shell) equivalent:
+    // db.price_history.aggregate([
+    //   { $match: { appid: { $in: [...] } } }, { $sort: { appid: 1, at: 1 } },
+    //   { $group: { _id: "$appid", min: { $min: "$price" }, max: { $max: "$price" }, avg: { $avg: "$price" },
+    //               points: { $sum: 1 }, prices: { $push: "$price" }, since: { $first: "$at" }, changed_at: { $last: "$at" } } }
+    // ])
+
+    const ops = rows.map(r => {
+      const current = r.prices[r.prices.length - 1];
+      const stats = {
+        min: r.min,
+        max: r.max,
+        avg: Math.round(r.avg * 100) / 100,
+        points: r.points,
+        recent: r.prices.slice(-PRICE_RECENT_POINTS),
+        since: r.since,
+        changed_at: r.changed_at,
+        deal: dealOf({ current, min: r.min, max: r.max, avg: r.avg, points: r.points }),
+      };
+      return { updateOne: { filter: { appid: r._id }, update: { $set: { price_stats: stats } } } };
+    });
+    if (ops.length) await Game.bulkWrite(ops, { ordered: false });
+    // MongoDB (shell) equivalent:
+    // db.games.bulkWrite([{ updateOne: { filter: { appid }, update: { $set: { price_stats: {...} } } } }, ...])
+    updated += ops.length;
+  }
+  return updated;
+}
+
+/**
+ * A game's recorded prices, oldest first.
+ *
+ * @param {string} appid
+ * @returns {Promise<{ price:number, at:Date, source:string }[]>}
+ */
+export async function getPriceSeries(appid) {
+  const items = await PriceHistory.find({ appid: String(appid) }, { _id: 0, price: 1, at: 1, source: 1 })
+    .sort({ at: 1 })
+    .lean();
+  // MongoDB (shell) equivalent:
+  // db.price_history.find({ appid: "<appid>" }, { _id: 0, price: 1, at: 1, source: 1 }).sort({ at: 1 })
+  return items;
+}
+
+/**
+ * "deals" category: games whose latest price is an all-time low or below
+ * their average (flag maintained by refreshPriceStats).
+ *
+ * @returns {import("mongodb").Filter<unknown>}
+ */
+export function dealsMatch() {
+  return { "price_stats.deal": { $in: DEAL_KINDS } };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Watch lists                                                                */
+/* -------------------------------------------------------------------------- */
+
+/** Game fields returned with each watch list entry. */
+const WATCH_FIELDS = { _id: 0, appid: 1, name: 1, header_image: 1, price: 1, price_stats: 1 };
+
+/**
+ * Appids on a profile's watch list ("watchlist" category).
+ *
+ * @param {unknown} profile - Profile key.
+ * @returns {Promise<string[]>} Empty for unknown profiles.
+ */
+export async function watchlistAppids(profile) {
+  const key = String(profile || "").trim().toLowerCase();
+  if (!key) return [];
+  const doc = await Profile.findOne({ key }, { "watchlist.appid": 1 }).lean();
+  // MongoDB (shell) equivalent:
+  // db.profiles.findOne({ key: "<key>" }, { "watchlist.appid": 1 })
+  return doc ? (doc.watchlist || []).map(w => w.appid) : [];
+}
+
+/**
+ * Why a watched game deserves attention now.
+ *
+ * @param {{ targetPrice?: number|null }} entry
+ * @param {{ price?: number, price_stats?: { deal?: string|null } }} game
+ * @returns {"target"|"all_time_low"|"below_avg"|null}
+ */
+export function watchAlert(entry, game) {
+  if (typeof game.price === "number" && entry.targetPrice != null && game.price <= entry.targetPrice) return "target";
+  return game.price_stats?.deal || null;
+}
+
+/**
+ * Watch list entries joined with the games' current price and stats, in
+ * list order. Games the viewer's safety policy blocks (or that left the
+ * catalog) are dropped.
+ *
+ * @param {{ appid:string, targetPrice?:number|null, addedAt?:Date }[]} entries
+ * @param {{ safety?: object[]|null }} [opts]
+ * @returns {Promise<object[]>} `{ appid, targetPrice, addedAt, game, alert }` rows.
+ */
+export async function watchlistItems(entries, { safety = null } = {}) {
+  if (!entries.length) return [];
+  const games = await Game.find({ appid: { $in: entries.map(e => e.appid) }, ...safetyMatch(safety) }, WATCH_FIELDS).lean();
+  // MongoDB (shell) equivalent:
+  // db.games.find({ appid: { $in: [...] }, /* + safetyMatch(safety) */ }, { appid: 1, name: 1, price: 1, price_stats: 1, ... })
+  const byAppid = new Map(games.map(g => [String(g.appid), g]));
+  return entries
+    .filter(e => byAppid.has(e.appid))
+    .map(e => {
+      const game = byAppid.get(e.appid);
+      return {
+        appid: e.appid,
+        targetPrice: e.targetPrice ?? null,
+        addedAt: e.addedAt || null,
+        game,
+        alert: watchAlert(e, game),
+      };
+    });
+}
@@ -0,0 +1,91 @@
+// src/services/profiles.js
+
+/**
+ * =====================================================================
+ * Profile lookups shared by the routers
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Seeds the default profiles on first startup (ensureDefaultProfiles).
+ * - Lists valid profile keys from the database (getAllowedProfiles).
+ * - Resolves a profile key to its document/role with a short-lived
+ *   in-memory cache, because every search request needs the role to
+ *   decide which content-safety policy applies.
+ *
+ * Cache invalidation
+ * - Profile writes (src/controllers/profilesController.js) call
+ *   `forgetProfile(key)`; entries also expire after PROFILE_TTL_MS.
+ * =====================================================================
+ */
+
+import Profile from "../models/Profile.js";
+
+/** How long a resolved profile is reused before hitting MongoDB again. */
+const PROFILE_TTL_MS = 30 * 1000;
+
+/** key -> { profile: object|null, at: number } */
+const PROFILE_CACHE = new Map();
+
+/**
+ * Create the default profiles (kid / person1 / person2) when the profiles
+ * collection is empty. Safe to call on every startup.
+ *
+ * @returns {Promise<number>} Number of profiles created.
+ */
+export async function ensureDefaultProfiles() {
+  const count = await Profile.estimatedDocumentCount();
+  if (count > 0) return 0;
+  const created = await Profile.insertMany(Profile.DEFAULTS);
+  // MongoDB (shell) equivalent:
+  // db.profiles.insertMany([{ key: "kid", name: "Kid", role: "child" }, ...])
+  console.log(`seeded ${created.length} default profiles`);
+  return created.length;
+}
+
+/**
+ * All profile keys currently defined.
+ * @returns {Promise<string[]>}
+ */
+export async function getAllowedProfiles() {
+  const keys = await Profile.distinct("key");
+  // MongoDB (shell) equivalent:
+  // db.profiles.distinct("key")
+  return keys.map(String).sort();
+}
+
+/**
+ * Resolve a profile key to its (lean) document, using the cache.
+ *
+ * @param {unknown} key - Profile key as sent by the client.
+ * @returns {Promise<object|null>} The profile, or null if unknown/empty.
+ */
+export async function getProfile(key) {
+  const k = String(key || "").trim().toLowerCase();
+  if (!k) return null;
+
+  const hit = PROFILE_CACHE.get(k);
+  if (hit && Date.now() - hit.at < PROFILE_TTL_MS) return hit.profile;
+
+  const profile = await Profile.findOne({ key: k }).lean();
+  // MongoDB (shell) equivalent:
+  // db.profiles.findOne({ key: "<key>" })
+  PROFILE_CACHE.set(k, { profile, at: Date.now() });
+  return profile;
+}
+
+/**
+ * Role of a profile ("child" | "adult"), or null when the key is unknown.
+ * @param {unknown} key
+ * @returns {Promise<"child"|"adult"|null>}
+ */
+export async function getProfileRole(key) {
+  const profile = await getProfile(key);
+  return profile ? profile.role : null;
+}
+
+/**
+ * Drop a profile from the cache after it was created, updated or deleted.
+ * @param {unknown} key
+ */
+export function forgetProfile(key) {
+  PROFILE_CACHE.delete(String(key || "").trim().toLowerCase());
+}
@@ -0,0 +1,355 @@
+// src/services/recommendations.js
+
+/**
+ * =====================================================================
+ * Explainable recommendations (scoring, similarity, diversity, grouping)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Builds a "taste profile" from the favorite games: weighted genres,
+ *   categories, developers, publishers, languages, a tag vector and the
+ *   usual price.
+ * - Scores candidate games against it and keeps the reason for every
+ *   point, e.g.
+ *     [{ kind:"genre", label:"shared genre Roguelike", points:30 },
+ *      { kind:"developer", label:"same developer Valve", points:15 }, ...]
+ * - Tag similarity is the cosine of the vote-weighted `tags` objects
+ *   ({ "Roguelike": 1200, "Pixel Graphics": 800 } -> unit vector).
+ * - Diversity re-ranking (greedy): each game already picked from the same
+ *   developer multiplies the next one's score by `decay`, and at most
+ *   `maxPerDeveloper` games per developer make the list, so one studio
+ *   cannot fill the page. The penalty shows up in the breakdown.
+ * - "Because you liked X": each recommendation is attached to the
+ *   favorite it is most similar to, and the list is grouped by it.
+ *
+ * Pure functions: the router (routes/games.js, POST /recommendations)
+ * fetches favorites and a pre-ranked candidate pool from MongoDB.
+ * =====================================================================
+ */
+
+/**
+ * Points per signal (max contribution in brackets).
+ * - genre       per shared genre among the favorites' top genres [3 genres]
+ * - category    per shared category among the top categories     [2 categories]
+ * - developer   a developer of a favorite                        [once]
+ * - publisher   a publisher of a favorite                        [once]
+ * - language    speaks the favorites' main language              [once]
+ * - tags        × tag cosine similarity (0..1)
+ * - price       × closeness to the favorites' average price (0..1)
+ * - rating      × user_score / 100
+ */
+export const RECO_WEIGHTS = Object.freeze({
+  genre: 30,
+  category: 10,
+  developer: 15,
+  publisher: 8,
+  language: 3,
+  tags: 40,
+  price: 10,
+  rating: 5,
+});
+
+/** Defaults for diversify(). */
+export const DIVERSITY_DEFAULTS = Object.freeze({ maxPerDeveloper: 2, decay: 0.75 });
+
+/** Game fields the scoring reads (projection for favorites and candidates). */
+export const RECO_FIELDS = [
+  "appid", "name", "genres", "categories", "developers", "publishers",
+  "supported_languages", "tags", "price", "user_score",
+];
+
+const TOP_GENRES = 5;
+const TOP_CATEGORIES = 3;
+const TOP_LANGUAGES = 1;
+const SHOWN_SHARED_TAGS = 3;
+
+/* -------------------------------------------------------------------------- */
+/* Vectors                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/** Array field as a list of trimmed strings. */
+const listOf = (v) => (Array.isArray(v) ? v.map(x => String(x).trim()).filter(Boolean) : []);
+
+/**
+ * Unit vector of a `tags` object (votes as weights). Arrays count as 1 per tag.
+ * @param {Record<string, number>|string[]|undefined} tags
+ * @returns {Map<string, number>}
+ */
+export function tagVector(tags) {
+  const entries = Array.isArray(tags)
+    ? tags.map(t => [String(t), 1])
+    : Object.entries(tags && typeof tags === "object" ? tags : {}).map(([t, w]) => [t, Number(w) || 0]);
+  const positive = entries.filter(([, w]) => w > 0);
+  const norm = Math.sqrt(positive.reduce((s, [, w]) => s + w * w, 0));
+  return new Map(norm ? positive.map(([t, w]) => [t, w / norm]) : []);
+}
+
+/**
+ * Cosine similarity of two unit vectors (see tagVector).
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number} 0..1
+ */
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [k, w] of small) dot += w * (large.get(k) || 0);
+  return Math.max(0, Math.min(1, dot));
+}
+
+/**
+ * Frequency map -> keys ordered by count (ties A–Z).
+ * @param {Map<string, number>} counts
+ * @returns {string[]}
+ */
+function ranked(counts) {
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([k]) => k);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Taste profile                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Summarize the favorites into the signals the scoring uses.
+ *
+ * @param {object[]} favorites - Favorite games (RECO_FIELDS).
+ * @returns {{
+ *   favorites: { appid:string, name:string, tags:Map<string,number>, genres:Set<string> }[],
+ *   topGenres: string[], topCategories: string[], topLanguages: string[],
+ *   developers: Set<string>, publishers: Set<string>,
+ *   tags: Map<string, number>, avgPrice: number|null
+ * }|null} null without favorites.
+ */
+export function buildTasteProfile(favorites = []) {
+  if (!favorites.length) return null;
+
+  const count = (map, values) => values.forEach(v => map.set(v, (map.get(v) || 0) + 1));
+  const genres = new Map();
+  const categories = new Map();
+  const languages = new Map();
+  const developers = new Set();
+  const publishers = new Set();
+  const summed = new Map();
+  const prices = [];
+
+  const favs = favorites.map(g => {
+    count(genres, listOf(g.genres));
+    count(categories, listOf(g.categories));
+    count(languages, listOf(g.supported_languages));
+    listOf(g.developers).forEach(d => developers.add(d));
+    listOf(g.publishers).forEach(p => publishers.add(p));
+    if (Number.isFinite(Number(g.price)) && g.price != null) prices.push(Number(g.price));
+
+    const tags = tagVector(g.tags);
+    for (const [t, w] of tags) summed.set(t, (summed.get(t) || 0) + w);
+    return { appid: String(g.appid), name: g.name || String(g.appid), tags, genres: new Set(listOf(g.genres)) };
+  });
+
+  // Sum of the favorites' unit vectors, renormalized
+  const norm = Math.sqrt(Array.from(summed.values()).reduce((s, w) => s + w * w, 0));
+  const tags = new Map(norm ? Array.from(summed, ([t, w]) => [t, w / norm]) : []);
+
+  return {
+    favorites: favs,
+    topGenres: ranked(genres).slice(0, TOP_GENRES),
+    topCategories: ranked(categories).slice(0, TOP_CATEGORIES),
+    topLanguages: ranked(languages).slice(0, TOP_LANGUAGES),
+    developers,
+    publishers,
+    tags,
+    avgPrice: prices.length ? prices.reduce((s, p) => s + p, 0) / prices.length : null,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Scoring                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Similarity of a candidate to one favorite: tag cosine, or genre overlap
+ * (Jaccard) when either side has no tags.
+ */
+function favoriteSimilarity(fav, tags, genres) {
+  if (fav.tags.size && tags.size) return cosineSimilarity(fav.tags, tags);
+  if (!fav.genres.size || !genres.size) return 0;
+  let shared = 0;
+  for (const g of genres) if (fav.genres.has(g)) shared += 1;
+  return shared / (fav.genres.size + genres.size - shared);
+}
+
+/**
+ * Score one candidate and explain every point.
+ *
+ * @param {object} game - Candidate (RECO_FIELDS).
+ * @param {NonNullable<ReturnType<typeof buildTasteProfile>>} taste
+ * @param {typeof RECO_WEIGHTS} [weights=RECO_WEIGHTS]
+ * @returns {{
+ *   score: number,
+ *   breakdown: { kind:string, label:string, points:number }[],
+ *   because: { appid:string, name:string, similarity:number }|null,
+ *   similarity: number
+ * }}
+ */
+export function scoreCandidate(game, taste, weights = RECO_WEIGHTS) {
+  const breakdown = [];
+  const add = (kind, label, points) => {
+    const p = Math.round(points);
+    if (p) breakdown.push({ kind, label, points: p });
+  };
+
+  const genres = new Set(listOf(game.genres));
+  taste.topGenres.filter(g => genres.has(g)).slice(0, 3)
+    .forEach(g => add("genre", `shared genre ${g}`, weights.genre));
+
+  const categories = new Set(listOf(game.categories));
+  taste.topCategories.filter(c => categories.has(c)).slice(0, 2)
+    .forEach(c => add("category", `shared feature ${c}`, weights.category));
+
+  const dev = listOf(game.developers).find(d => taste.developers.has(d));
+  if (dev) add("developer", `same developer ${dev}`, weights.developer);
+
+  const pub = listOf(game.publishers).find(p => taste.publishers.has(p) && p !== dev);
+  if (pub) add("publisher", `same publisher ${pub}`, weights.publisher);
+
+  const langs = new Set(listOf(game.supported_languages));
+  const lang = taste.topLanguages.find(l => langs.has(l));
+  if (lang) add("language", `available in ${lang}`, weights.language);
+
+  const tags = tagVector(game.tags);
+  const similarity = cosineSimilarity(taste.tags, tags);
+  if (similarity > 0) {
+    const shared = Array.from(tags.keys())
+      .filter(t => taste.tags.has(t))
+      .sort((a, b) => taste.tags.get(b) * tags.get(b) - taste.tags.get(a) * tags.get(a))
+      .slice(0, SHOWN_SHARED_TAGS);
+    add("tags", `tag similarity ${Math.round(similarity * 100)}% (${shared.join(", ")})`, weights.tags * similarity);
+  }
+
+  const price = Number(game.price);
+  if (taste.avgPrice != null && game.price != null && Number.isFinite(price)) {
+    const closeness = Math.max(0, 1 - Math.abs(price - taste.avgPrice) / Math.max(taste.avgPrice, 5));
+    add("price", `close to your usual price (${taste.avgPrice.toFixed(2)})`, weights.price * closeness);
+  }
+
+  const rating = Number(game.user_score);
+  if (Number.isFinite(rating) && rating > 0) add("rating", `rated ${rating}`, (weights.rating * Math.min(rating, 100)) / 100);
+
+  // Closest favorite -> "because you liked X"
+  let because = null;
+  for (const fav of taste.favorites) {
+    const s = favoriteSimilarity(fav, tags, genres);
+    if (s > 0 && (!because || s > because.similarity)) because = { appid: fav.appid, name: fav.name, similarity: s };
+  }
+  if (because) because.similarity = Math.round(because.similarity * 100) / 100;
+
+  return {
+    score: breakdown.reduce((s, b) => s + b.points, 0),
+    breakdown,
+    because,
+    similarity: Math.round(similarity * 100) / 100,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Diversity + grouping                                                       */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Greedy diversity re-rank. At each step the best remaining game wins,
+ * after multiplying its score by `decay` per already picked game sharing
+ * one of its developers; developers already at `maxPerDeveloper` are
+ * skipped. The applied penalty is appended to the breakdown.
+ *
+ * @template {{ game:object, score:number, breakdown:object[] }} T
+ * @param {T[]} scored
+ * @param {{ limit:number, maxPerDeveloper?:number, decay?:number }} opts
+ * @returns {T[]} At most `limit` items, in display order.
+ */
+export function diversify(scored, { limit, maxPerDeveloper = DIVERSITY_DEFAULTS.maxPerDeveloper, decay = DIVERSITY_DEFAULTS.decay }) {
+  const picked = [];
+  const perDev = new Map();
+  const pool = scored.slice();
+
+  const devsOf = (item) => listOf(item.game.developers);
+  const adjusted = (item) => {
+    const n = Math.max(0, ...devsOf(item).map(d => perDev.get(d) || 0));
+    return { n, value: item.score * decay ** n };
+  };
+
+  while (picked.length < limit && pool.length) {
+    let best = -1;
+    let bestValue = -Infinity;
+    let bestN = 0;
+    pool.forEach((item, i) => {
+      const { n, value } = adjusted(item);
+      if (n >= maxPerDeveloper) return;
+      if (value > bestValue) { best = i; bestValue = value; bestN = n; }
+    });
+    if (best < 0) break;
+
+    const [item] = pool.splice(best, 1);
+    const penalty = Math.round(bestValue - item.score);
+    if (penalty) {
+      const dev = devsOf(item).find(d => perDev.get(d) === bestN) || devsOf(item)[0];
+      item.breakdown.push({ kind: "diversity", label: `diversity: ${bestN} ${dev} game${bestN > 1 ? "s" : ""} above`, points: penalty });
+      item.score += penalty;
+    }
+    devsOf(item).forEach(d => perDev.set(d, (perDev.get(d) || 0) + 1));
+    picked.push(item);
+  }
+  return picked;
+}
+
+/**
+ * Group recommendations by the favorite that explains them, groups ordered
+ * by their best item. Items without a close favorite form a last group
+ * with `because: null`.
+ *
+ * @param {{ game:object, because:{appid:string,name:string}|null }[]} items
+ * @returns {{ because:{appid:string,name:string}|null, appids:string[] }[]}
+ */
+export function groupByBecause(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = item.because ? item.because.appid : "";
+    if (!groups.has(key)) {
+      groups.set(key, { because: item.because ? { appid: item.because.appid, name: item.because.name } : null, appids: [] });
+    }
+    groups.get(key).appids.push(String(item.game.appid));
+  }
+  const list = Array.from(groups.values());
+  return [...list.filter(g => g.because), ...list.filter(g => !g.because)];
+}
+
+/**
+ * Full pipeline: taste profile -> scores -> diversity -> groups.
+ *
+ * @param {object[]} favorites - Favorite games (RECO_FIELDS).
+ * @param {object[]} candidates - Candidate games (RECO_FIELDS + display fields).
+ * @param {{ limit?:number, diversity?: false|{ maxPerDeveloper?:number, decay?:number } }} [opts]
+ * @returns {{
+ *   items: (object & { recommendation: { score:number, breakdown:object[], because:object|null, similarity:number } })[],
+ *   groups: ReturnType<typeof groupByBecause>
+ * }}
+ */
+export function recommend(favorites, candidates, { limit = 24, diversity = {} } = {}) {
+  const taste = buildTasteProfile(favorites);
+  if (!taste) return { items: [], groups: [] };
+
+  const scored = candidates
+    .map(game => ({ game, ...scoreCandidate(game, taste) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || String(a.game.name || "").localeCompare(String(b.game.name || "")));
+
+  const ranked = diversity === false
+    ? scored.slice(0, limit)
+    : diversify(scored, { limit, ...diversity });
+
+  return {
+    items: ranked.map(({ game, score, breakdown, because, similarity }) => ({
+      ...game,
+      recommendation: { score, breakdown, because, similarity },
+    })),
+    groups: groupByBecause(ranked),
+  };
+}
@@ -0,0 +1,97 @@
+// src/services/releaseDates.js
+
+/**
+ * =====================================================================
+ * Release dates: parsing and the derived `release_ts` / `release_year`
+ * ---------------------------------------------------------------------
+ * Steam dumps spell release dates in several ways ("Oct 21, 2008",
+ * "21 Oct, 2008", "October 2008", ISO, a bare year, "Coming soon").
+ * Instead of parsing them in every pipeline, each game carries two
+ * derived, indexed fields:
+ *     release_ts    Date (UTC midnight) or null   -> range filters, sorts
+ *     release_year  Number or null                -> year filter, facets
+ *
+ * Who sets them
+ * - The ingestion CLI (services/ingest.js) for every record it writes.
+ * - src/cli/backfill-release-dates.js for documents imported before
+ *   these fields existed.
+ *
+ * Range helpers
+ * - releaseBound() turns the `releasedFrom` / `releasedTo` filter values
+ *   ("2015", "2015-06", "2015-06-30") into Date bounds for buildMatch.
+ * =====================================================================
+ */
+
+/** Month name prefixes (3 or 4 letters, lower case) to 0-based months. */
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11,
+};
+
+/**
+ * Parse the release date formats found in Steam dumps.
+ * "Oct 21, 2008" | "21 Oct, 2008" | "October 2008" | "2008-10-21" | "2008"
+ *
+ * @param {unknown} v
+ * @returns {Date|null} UTC midnight, or null when not a date.
+ */
+export function parseReleaseDate(v) {
+  if (v instanceof Date) return isNaN(v) ? null : v;
+  if (v && typeof v === "object" && typeof v.date === "string") v = v.date; // { coming_soon, date }
+  const s = String(v ?? "").trim().replace(/\s+/g, " ");
+  if (!s) return null;
+
+  const month = (name) => MONTHS[String(name).slice(0, 4).toLowerCase()] ?? MONTHS[String(name).slice(0, 3).toLowerCase()];
+  const make = (y, m, d) => {
+    const date = new Date(Date.UTC(Number(y), m, Number(d)));
+    return date.getUTCMonth() === m && date.getUTCFullYear() === Number(y) ? date : null;
+  };
+
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);                            // 2008-10-21[T...]
+  if (m) return make(m[1], Number(m[2]) - 1, m[3]);
+  m = s.match(/^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})$/);                // Oct 21, 2008
+  if (m && month(m[1]) != null) return make(m[3], month(m[1]), m[2]);
+  m = s.match(/^(\d{1,2}) ([A-Za-z]{3,9})\.?,? (\d{4})$/);                // 21 Oct, 2008
+  if (m && month(m[2]) != null) return make(m[3], month(m[2]), m[1]);
+  m = s.match(/^([A-Za-z]{3,9})\.?,? (\d{4})$/);                          // October 2008
+  if (m && month(m[1]) != null) return make(m[2], month(m[1]), 1);
+  m = s.match(/^(\d{4})$/);                                               // 2008
+  if (m) return make(m[1], 0, 1);
+  return null;
+}
+
+/**
+ * Derived fields for a release date value (Date, dump string or null).
+ *
+ * @param {unknown} value - `release_date` as stored or read from a dump.
+ * @returns {{ release_ts: Date|null, release_year: number|null }}
+ */
+export function releaseFields(value) {
+  const date = parseReleaseDate(value);
+  return { release_ts: date, release_year: date ? date.getUTCFullYear() : null };
+}
+
+/**
+ * Parse a `releasedFrom` / `releasedTo` filter value into a Date bound.
+ * Partial dates cover their whole period: with `end: true`, "2015" means
+ * "before 2016-01-01" and "2015-06" means "before 2015-07-01".
+ *
+ * @param {unknown} value - "YYYY", "YYYY-MM" or "YYYY-MM-DD".
+ * @param {{ end?: boolean }} [opts] - Upper bound (exclusive) instead of lower.
+ * @returns {Date|null} null when empty or not a date.
+ */
+export function releaseBound(value, { end = false } = {}) {
+  const m = String(value ?? "").trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!m) return null;
+  const y = Number(m[1]);
+  const mo = m[2] ? Number(m[2]) - 1 : null;
+  const d = m[3] ? Number(m[3]) : null;
+  if (mo != null && (mo < 0 || mo > 11)) return null;
+
+  let date;
+  if (d != null) date = new Date(Date.UTC(y, mo, d + (end ? 1 : 0)));
+  else if (mo != null) date = new Date(Date.UTC(y, mo + (end ? 1 : 0), 1));
+  else date = new Date(Date.UTC(y + (end ? 1 : 0), 0, 1));
+  if (d != null && new Date(Date.UTC(y, mo, d)).getUTCDate() !== d) return null;
+  return date;
+}
@@ -0,0 +1,217 @@
+// src/services/safetyPolicies.js
+
+/**
+ * =====================================================================
+ * Content-safety policies: lookup, compilation and evaluation
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - Seeds the default policies on first startup (ensureDefaultSafetyPolicies).
+ * - Resolves the policy a profile browses under (getProfileSafetyRules):
+ *   its own pick, DEFAULT_KEY for "child" profiles without one, nothing
+ *   for other profiles. A pick that no longer exists falls back to the
+ *   default policy (fail closed).
+ * - compileSafetyRules(policy) turns a policy into a flat, JSON-safe rule
+ *   list. The SAME list feeds
+ *     • safetyMatch(rules)          -> the server `$nor` condition
+ *     • findSafetyViolation(game)   -> the in-process check used by
+ *                                      `npm run check:safety` and the
+ *                                      frontend guard (safetyViolation.js,
+ *                                      re-exported here)
+ *     • GET /api/profiles/:key/safety-policy, which hands the rules to
+ *       that frontend guard
+ *   so the three can never disagree on what a policy blocks.
+ *
+ * Rule shapes
+ *   { field, op: "in",      values }   field value (or array element) is one of values
+ *   { field, op: "regex",   pattern }  case-insensitive, accent-insensitive substring
+ *   { field, op: "has_key", values, minVotes }  `tags` object has one of the keys
+ *   { field, op: "gte",     value }    numeric field >= value
+ *
+ * IMPORTANT SHAPE NOTE:
+ * - `tags` are stored as an OBJECT (e.g. { "Nudity": 100, "Violent": 50, ... }),
+ *   not as an array, hence `has_key` (dotted-path `$exists` / `$gte` in MongoDB).
+ *   Those paths are not declared on the Game schema, which therefore opts out
+ *   of strictQuery (models/Game.js) so Game.find() keeps the conditions.
+ *
+ * Cache invalidation
+ * - Policy writes (src/controllers/safetyPoliciesController.js) call
+ *   `forgetSafetyPolicy(key)`; entries also expire after POLICY_TTL_MS.
+ * =====================================================================
+ */
+
+import SafetyPolicy from "../models/SafetyPolicy.js";
+import { getProfile } from "./profiles.js";
+
+export { findSafetyViolation } from "./safetyViolation.js";
+import { toDiacriticRegex } from "./textPatterns.js";
+
+/** How long a loaded policy is reused before hitting MongoDB again. */
+const POLICY_TTL_MS = 30 * 1000;
+
+/** key -> { policy: object|null, at: number } */
+const POLICY_CACHE = new Map();
+
+/**
+ * Create the default policies (under-10 / under-16) when the collection is
+ * empty. Safe to call on every startup.
+ *
+ * @returns {Promise<number>} Number of policies created.
+ */
+export async function ensureDefaultSafetyPolicies() {
+  const count = await SafetyPolicy.estimatedDocumentCount();
+  if (count > 0) return 0;
+  const created = await SafetyPolicy.insertMany(SafetyPolicy.DEFAULTS);
+  // MongoDB (shell) equivalent:
+  // db.safety_policies.insertMany([{ key: "under-10", name: "Under 10", tags: [...], ... }, ...])
+  console.log(`seeded ${created.length} default safety policies`);
+  return created.length;
+}
+
+/**
+ * Load a policy by key, using the cache.
+ *
+ * @param {unknown} key
+ * @returns {Promise<object|null>} Lean policy, or null if unknown/empty.
+ */
+export async function getSafetyPolicy(key) {
+  const k = String(key || "").trim().toLowerCase();
+  if (!k) return null;
+
+  const hit = POLICY_CACHE.get(k);
+  if (hit && Date.now() - hit.at < POLICY_TTL_MS) return hit.policy;
+
+  const policy = await SafetyPolicy.findOne({ key: k }).lean();
+  // MongoDB (shell) equivalent:
+  // db.safety_policies.findOne({ key: "<key>" })
+  POLICY_CACHE.set(k, { policy, at: Date.now() });
+  return policy;
+}
+
+/**
+ * Drop a policy from the cache after it was created, updated or deleted.
+ * @param {unknown} key
+ */
+export function forgetSafetyPolicy(key) {
+  POLICY_CACHE.delete(String(key || "").trim().toLowerCase());
+}
+
+/**
+ * Key of the policy a profile document browses under, before lookup:
+ * its own pick, else DEFAULT_KEY for "child" profiles, else null.
+ *
+ * @param {{ role?: string, safetyPolicy?: string|null }|null} profile
+ * @returns {string|null}
+ */
+export function policyKeyFor(profile) {
+  if (!profile) return null;
+  if (profile.safetyPolicy) return profile.safetyPolicy;
+  return profile.role === "child" ? SafetyPolicy.DEFAULT_KEY : null;
+}
+
+/**
+ * Policy a profile browses under, or null when it is unrestricted.
+ * A pick that no longer exists falls back to the default policy, and a
+ * wiped collection to the built-in DEFAULTS entry, so a restricted profile
+ * is never left unfiltered.
+ *
+ * @param {unknown} profileKey - Profile key as sent by the client.
+ * @returns {Promise<object|null>}
+ */
+export async function getProfileSafetyPolicy(profileKey) {
+  const key = policyKeyFor(await getProfile(profileKey));
+  if (!key) return null;
+  return (await getSafetyPolicy(key))
+    || (await getSafetyPolicy(SafetyPolicy.DEFAULT_KEY))
+    || SafetyPolicy.DEFAULTS.find(p => p.key === SafetyPolicy.DEFAULT_KEY);
+}
+
+/**
+ * Compiled rules of the policy a profile browses under, or null when it
+ * is unrestricted.
+ *
+ * @param {unknown} profileKey
+ * @returns {Promise<object[]|null>}
+ */
+export async function getProfileSafetyRules(profileKey) {
+  const policy = await getProfileSafetyPolicy(profileKey);
+  return policy ? compileSafetyRules(policy) : null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* Compilation                                                                */
+/* -------------------------------------------------------------------------- */
+
+/** Trimmed, non-empty, unique strings. */
+const cleanList = (v) =>
+  Array.from(new Set((Array.isArray(v) ? v : []).map(x => String(x).trim()).filter(Boolean)));
+
+/** One accent-insensitive alternation pattern for a term list. */
+const termsPattern = (terms) => terms.map(t => toDiacriticRegex(t)).join("|");
+
+/**
+ * Compile a policy into rules (see the module header for the shapes).
+ *
+ * @param {object} policy - SafetyPolicy document (or DEFAULTS entry).
+ * @returns {object[]} JSON-safe rules; empty for an empty policy.
+ */
+export function compileSafetyRules(policy) {
+  const rules = [];
+  const tags = cleanList(policy.tags);
+  const terms = policy.terms || {};
+
+  if (tags.length) {
+    // CATEGORIES / GENRES (arrays of strings)
+    rules.push({ field: "categories", op: "in", values: tags });
+    rules.push({ field: "genres", op: "in", values: tags });
+
+    // TAGS (object): keys with "." or "$" cannot be addressed by a dotted path
+    const keys = tags.filter(t => !t.includes(".") && !t.startsWith("$"));
+    if (keys.length) rules.push({ field: "tags", op: "has_key", values: keys, minVotes: Number(policy.tagMinVotes) || 0 });
+
+    // STEAMSPY_TAGS (string or array) — handle both equality and regex match
+    rules.push({ field: "steamspy_tags", op: "in", values: tags });
+    rules.push({ field: "steamspy_tags", op: "regex", pattern: termsPattern(tags) });
+  }
+
+  // GAME TITLE (fuzzy)
+  const names = cleanList(terms.name);
+  if (names.length) rules.push({ field: "name", op: "regex", pattern: termsPattern(names) });
+
+  // DEVELOPERS / PUBLISHERS (arrays) — literal membership or fuzzy regex
+  ["developers", "publishers"].forEach(field => {
+    const list = cleanList(terms[field]);
+    if (!list.length) return;
+    rules.push({ field, op: "in", values: list });
+    rules.push({ field, op: "regex", pattern: termsPattern(list) });
+  });
+
+  // AGE RATING (numeric)
+  if (policy.ageLimit != null && Number.isFinite(Number(policy.ageLimit))) {
+    rules.push({ field: "required_age", op: "gte", value: Number(policy.ageLimit) });
+  }
+
+  return rules;
+}
+
+/**
+ * MongoDB condition excluding every game a rule matches.
+ *
+ * @param {object[]|null} rules - From compileSafetyRules.
+ * @returns {import("mongodb").Filter<unknown>} `{ $nor: [...] }`, or `{}` without rules.
+ */
+export function safetyMatch(rules) {
+  const nor = [];
+  (rules || []).forEach(r => {
+    if (r.op === "in") nor.push({ [r.field]: { $in: r.values } });
+    else if (r.op === "regex") nor.push({ [r.field]: new RegExp(r.pattern, "i") });
+    else if (r.op === "gte") nor.push({ [r.field]: { $gte: r.value } });
+    else if (r.op === "has_key") {
+      const cond = r.minVotes > 0 ? { $gte: r.minVotes } : { $exists: true };
+      r.values.forEach(k => nor.push({ [`${r.field}.${k}`]: cond }));
+    }
+  });
+  // MongoDB (shell) equivalent:
+  // { $nor: [ { genres: { $in: [...] } }, { "tags.Nudity": { $exists: true } }, { name: /hentai|porn|.../i },
+  //           ..., { required_age: { $gte: 10 } } ] }
+  return nor.length ? { $nor: nor } : {};
+}
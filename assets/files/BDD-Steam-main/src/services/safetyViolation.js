@@ -0,0 +1,49 @@
+// src/services/safetyViolation.js
+
+/**
+ * =====================================================================
+ * In-process evaluation of compiled safety rules
+ * ---------------------------------------------------------------------
+ * findSafetyViolation(game, rules) tells whether a game breaks one of the
+ * rules compileSafetyRules() produces (services/safetyPolicies.js), with
+ * MongoDB's matching semantics so it agrees with safetyMatch().
+ *
+ * The module has no dependencies: the server imports it and the frontend
+ * guard imports the very same file, served as
+ * /js/shared/safetyViolation.js (see app.js).
+ * =====================================================================
+ */
+
+/**
+ * First rule a game violates, evaluated in process with MongoDB's matching
+ * semantics (array fields match element-wise, comparisons need numbers).
+ * Fields missing from a (projected) game are skipped.
+ *
+ * @param {object} game
+ * @param {object[]|null} rules
+ * @returns {{ rule: object, value: unknown }|null} null when the game passes.
+ */
+export function findSafetyViolation(game, rules) {
+  for (const rule of rules || []) {
+    const raw = game ? game[rule.field] : undefined;
+    const values = Array.isArray(raw) ? raw : [raw];
+
+    if (rule.op === "in") {
+      const hit = values.find(v => typeof v === "string" && rule.values.includes(v));
+      if (hit !== undefined) return { rule, value: hit };
+    } else if (rule.op === "regex") {
+      const rx = new RegExp(rule.pattern, "i");
+      const hit = values.find(v => typeof v === "string" && rx.test(v));
+      if (hit !== undefined) return { rule, value: hit };
+    } else if (rule.op === "gte") {
+      const hit = values.find(v => typeof v === "number" && v >= rule.value);
+      if (hit !== undefined) return { rule, value: hit };
+    } else if (rule.op === "has_key" && raw && typeof raw === "object" && !Array.isArray(raw)) {
+      const hit = rule.values.find(k =>
+        Object.prototype.hasOwnProperty.call(raw, k) &&
+        (rule.minVotes > 0 ? typeof raw[k] === "number" && raw[k] >= rule.minVotes : true));
+      if (hit !== undefined) return { rule, value: hit };
+    }
+  }
+  return null;
+}
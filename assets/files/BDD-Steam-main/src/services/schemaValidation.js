@@ -0,0 +1,116 @@
+// src/services/schemaValidation.js
+
+/**
+ * =====================================================================
+ * Request schema validation (JSON Schema subset)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - validateSchema(schema, value, opts): checks a value against a schema
+ *   written in plain JSON Schema, the dialect OpenAPI 3.1 uses, so the
+ *   same objects validate requests (middleware/validate.js) and document
+ *   them (services/openapi.js).
+ * - Returns field-level details `{ "<path>": "<message>" }`; empty when valid.
+ *
+ * Supported keywords
+ *   type (string | array of: string, number, integer, boolean, object,
+ *   array, null), enum, minimum, maximum, minLength, maxLength, pattern,
+ *   items, minItems, maxItems, properties, required,
+ *   additionalProperties (false or a schema), anyOf.
+ *   `description`, `default`, `example` are documentation only.
+ *
+ * Query strings and path parameters are text: with `coerce: true`,
+ * "12" / "true" are checked as 12 / true where the schema wants a number
+ * or boolean (the request itself is not modified).
+ * =====================================================================
+ */
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+  null: (v) => v === null,
+};
+
+/** Append a key to a field path ("filters.year", "appids[2]"). */
+const at = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Text value -> number/boolean when the schema does not accept text.
+ * @param {unknown} value
+ * @param {string[]} types
+ */
+function coerceText(value, types) {
+  if (typeof value !== "string" || types.includes("string")) return value;
+  if ((types.includes("number") || types.includes("integer")) && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && ["true", "false", "1", "0"].includes(value)) return value === "true" || value === "1";
+  return value;
+}
+
+/** Recursive check; records the first failure per path in `errors`. */
+function check(schema, value, path, errors, coerce) {
+  if (value === undefined || !schema) return;
+  const field = path || "(root)";
+  const fail = (message) => { if (!(field in errors)) errors[field] = message; };
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && coerce) value = coerceText(value, types);
+  if (types && !types.some(t => TYPE_CHECKS[t](value))) return fail(`must be ${types.join(" or ")}`);
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, at(path, i), errors, coerce));
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors[at(path, key)] = "is required";
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) check(props[key], v, at(path, key), errors, coerce);
+      else if (schema.additionalProperties === false) errors[at(path, key)] = "is not allowed";
+      else if (TYPE_CHECKS.object(schema.additionalProperties)) check(schema.additionalProperties, v, at(path, key), errors, coerce);
+    }
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matches = schema.anyOf.some(alt => Object.keys(validateSchema(alt, value, { coerce })).length === 0);
+    if (!matches) {
+      const needs = schema.anyOf.flatMap(alt => alt.required || []);
+      fail(needs.length ? `needs one of: ${needs.join(", ")}` : "does not match any allowed form");
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema - JSON Schema (subset above).
+ * @param {unknown} value
+ * @param {{ path?: string, coerce?: boolean }} [opts]
+ *   `path` prefixes every reported field ("body", "query"...).
+ * @returns {Record<string, string>} Field path -> message; empty when valid.
+ */
+export function validateSchema(schema, value, { path = "", coerce = false } = {}) {
+  const errors = {};
+  check(schema, value, path, errors, coerce);
+  return errors;
+}
@@ -0,0 +1,336 @@
+// src/services/searchIndex.js
+
+/**
+ * =====================================================================
+ * In-process full-text search index (games)
+ * ---------------------------------------------------------------------
+ * Purpose
+ * - Replaces the "one big diacritic regex" search with an inverted index
+ *   kept in memory: token -> { docIndex -> field weight }.
+ * - Supports weighted fields, prefix matching, small typo tolerance and
+ *   returns the matched tokens so callers can highlight them.
+ *
+ * How it fits in the app
+ * - src/routes/games.js calls `searchGames(text)` before building the
+ *   aggregation pipeline. Every ranked appid is injected into the $match
+ *   (`appid: { $in: [...] }`), which lets MongoDB use the appid index, so
+ *   the other filters see all the hits. `sort: "relevance"` orders the
+ *   survivors by their score in process (see the route).
+ * - The index is built lazily from the games collection on first use and
+ *   rebuilt in the background every REFRESH_MS (or on `invalidateSearchIndex`).
+ *
+ * Scoring (per query term, summed over terms; every term must match)
+ * - Field weights: name (10) > developers (5) > genres (2) > tags (1).
+ * - Match quality: exact token 1.0, prefix 0.6, typo (Levenshtein) 0.4.
+ * - Small bonus when the title starts with / equals the whole query.
+ *
+ * Notes
+ * - Text is folded (lower-case, accents stripped) both at index and query
+ *   time, so "pokemon" matches "Pokémon".
+ * - `tags` are stored as an OBJECT in the dataset ({ "Roguelike": 120 }),
+ *   so we index its KEYS.
+ * =====================================================================
+ */
+
+import Game from "../models/Game.js";
+
+/** Relative importance of each indexed field. */
+export const FIELD_WEIGHTS = { name: 10, developers: 5, genres: 2, tags: 1 };
+
+/** Match quality multipliers. */
+const QUALITY = { exact: 1, prefix: 0.6, typo: 0.4 };
+
+/** Rebuild the index in the background when it gets older than this. */
+const REFRESH_MS = 10 * 60 * 1000;
+
+/** Upper bound of vocabulary tokens a single prefix term may expand to. */
+const MAX_PREFIX_EXPANSION = 200;
+
+/* -------------------------------------------------------------------------- */
+/* Text folding / tokenization                                                */
+/* -------------------------------------------------------------------------- */
+
+/** Letters that NFD does not decompose but users type without the accent. */
+const EXTRA_FOLDS = { "ß": "ss", "ł": "l", "đ": "d", "ø": "o", "æ": "ae", "œ": "oe" };
+
+/**
+ * Lower-case and strip diacritics from a string.
+ * @param {unknown} s - Any value (coerced to string).
+ * @returns {string} Folded text.
+ */
+export function foldText(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[ßłđøæœ]/g, (ch) => EXTRA_FOLDS[ch]);
+}
+
+/** Word characters (letters + digits, any script). */
+const WORD_RX = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into folded word tokens.
+ * @param {unknown} s - Raw text.
+ * @returns {string[]} Tokens (may contain duplicates).
+ */
+export function tokenize(s) {
+  return foldText(s).match(WORD_RX) || [];
+}
+
+/**
+ * Levenshtein distance with an early exit once `max` is exceeded.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance we care about.
+ * @returns {number} Distance, or max + 1 when it is larger than max.
+ */
+function boundedLevenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/* -------------------------------------------------------------------------- */
+/* Index state                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Current index snapshot (swapped atomically after each build).
+ * @type {null | {
+ *   docs: Array<{ appid: string, name: string }>,
+ *   postings: Map<string, Map<number, number>>,
+ *   vocab: string[],
+ *   byLength: Map<number, string[]>,
+ *   builtAt: number
+ * }}
+ */
+let INDEX = null;
+
+/** In-flight build promise (shared by concurrent callers). */
+let BUILDING = null;
+
+/**
+ * Build a fresh index snapshot by streaming the games collection.
+ * @returns {Promise<NonNullable<typeof INDEX>>}
+ */
+async function buildIndex() {
+  const docs = [];
+  const postings = new Map();
+
+  const add = (token, docIdx, weight) => {
+    let list = postings.get(token);
+    if (!list) postings.set(token, (list = new Map()));
+    // A token counts once per field; weights of different fields add up,
+    // so a token found in the name AND the tags outranks the name alone.
+    list.set(docIdx, (list.get(docIdx) || 0) + weight);
+  };
+
+  const cursor = Game.find({}, { appid: 1, name: 1, developers: 1, genres: 1, tags: 1 })
+    .lean()
+    .cursor();
+  // MongoDB (shell) equivalent:
+  // db.games.find({}, { appid: 1, name: 1, developers: 1, genres: 1, tags: 1 })
+
+  for await (const g of cursor) {
+    if (!g.appid) continue;
+    const docIdx = docs.length;
+    docs.push({ appid: String(g.appid), name: foldText(g.name) });
+
+    const fields = {
+      name: [g.name],
+      developers: Array.isArray(g.developers) ? g.developers : [],
+      genres: Array.isArray(g.genres) ? g.genres : [],
+      tags: g.tags && typeof g.tags === "object" ? Object.keys(g.tags) : [],
+    };
+    for (const [field, values] of Object.entries(fields)) {
+      const seen = new Set();
+      values.forEach((v) => tokenize(v).forEach((t) => seen.add(t)));
+      seen.forEach((t) => add(t, docIdx, FIELD_WEIGHTS[field]));
+    }
+  }
+
+  const vocab = Array.from(postings.keys()).sort();
+  const byLength = new Map();
+  vocab.forEach((t) => {
+    if (!byLength.has(t.length)) byLength.set(t.length, []);
+    byLength.get(t.length).push(t);
+  });
+
+  return { docs, postings, vocab, byLength, builtAt: Date.now() };
+}
+
+/**
+ * Return a ready index, building it on first use and refreshing it in the
+ * background once it is older than REFRESH_MS (stale results are served
+ * meanwhile).
+ * @returns {Promise<NonNullable<typeof INDEX>>}
+ */
+export async function ensureSearchIndex() {
+  const stale = INDEX && Date.now() - INDEX.builtAt > REFRESH_MS;
+  if (!INDEX || stale) {
+    if (!BUILDING) {
+      BUILDING = buildIndex()
+        .then((idx) => { INDEX = idx; return idx; })
+        .finally(() => { BUILDING = null; });
+    }
+    if (!INDEX) return BUILDING;
+  }
+  return INDEX;
+}
+
+/**
+ * Mark the index as stale so the next search triggers a rebuild
+ * (call after bulk writes to the games collection).
+ */
+export function invalidateSearchIndex() {
+  if (INDEX) INDEX.builtAt = 0;
+}
+
+/* -------------------------------------------------------------------------- */
+/* Querying                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Expand a single query term to vocabulary tokens with a quality factor.
+ * @param {NonNullable<typeof INDEX>} idx
+ * @param {string} term - Folded query token.
+ * @returns {Map<string, number>} token -> quality
+ */
+function expandTerm(idx, term) {
+  const out = new Map();
+  if (idx.postings.has(term)) out.set(term, QUALITY.exact);
+
+  // Prefix: binary search the sorted vocabulary, then walk forward
+  if (term.length >= 2) {
+    let lo = 0, hi = idx.vocab.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (idx.vocab[mid] < term) lo = mid + 1; else hi = mid;
+    }
+    for (let i = lo, n = 0; i < idx.vocab.length && n < MAX_PREFIX_EXPANSION; i++) {
+      const t = idx.vocab[i];
+      if (!t.startsWith(term)) break;
+      if (!out.has(t)) { out.set(t, QUALITY.prefix); n++; }
+    }
+  }
+
+  // Typos: 1 edit from 4 chars, 2 edits from 8 chars
+  if (term.length >= 4) {
+    const maxDist = term.length >= 8 ? 2 : 1;
+    for (let len = term.length - maxDist; len <= term.length + maxDist; len++) {
+      for (const t of idx.byLength.get(len) || []) {
+        if (out.has(t)) continue;
+        if (boundedLevenshtein(term, t, maxDist) <= maxDist) out.set(t, QUALITY.typo);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Rank games for a free-text query.
+ *
+ * @param {string} text - Raw user query.
+ * @returns {Promise<null | {
+ *   appids: string[],      // every matching game, ranked best-first
+ *   scores: number[],      // aligned with appids
+ *   total: number,         // number of matching games
+ *   tokens: string[]       // vocabulary tokens that matched (for highlighting)
+ * }>} null when the query has no searchable token.
+ */
+export async function searchGames(text) {
+  const terms = Array.from(new Set(tokenize(text)));
+  if (!terms.length) return null;
+
+  const idx = await ensureSearchIndex();
+  const matchedTokens = new Set();
+  let scores = null; // Map<docIdx, score>, intersected term by term
+
+  for (const term of terms) {
+    const termScores = new Map();
+    for (const [token, quality] of expandTerm(idx, term)) {
+      matchedTokens.add(token);
+      for (const [docIdx, weight] of idx.postings.get(token)) {
+        const contribution = quality * weight;
+        if (contribution > (termScores.get(docIdx) || 0)) termScores.set(docIdx, contribution);
+      }
+    }
+
+    if (!scores) {
+      scores = termScores;
+    } else {
+      const next = new Map();
+      for (const [docIdx, score] of scores) {
+        const add = termScores.get(docIdx);
+        if (add) next.set(docIdx, score + add);
+      }
+      scores = next;
+    }
+    if (!scores.size) break;
+  }
+
+  const phrase = foldText(String(text).trim());
+  const ranked = Array.from(scores || [], ([docIdx, score]) => {
+    const name = idx.docs[docIdx].name;
+    if (name === phrase) score += 20;
+    else if (name.startsWith(phrase)) score += 5;
+    return [docIdx, score];
+  }).sort((a, b) => b[1] - a[1]);
+
+  return {
+    appids: ranked.map(([docIdx]) => idx.docs[docIdx].appid),
+    scores: ranked.map(([, score]) => Math.round(score * 100) / 100),
+    total: ranked.length,
+    tokens: Array.from(matchedTokens),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Highlighting                                                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Compute [start, end) character ranges of matched words inside `value`.
+ * Offsets refer to the ORIGINAL (unfolded) string so the client can wrap
+ * them in <mark>/<b> directly.
+ *
+ * @param {unknown} value - Field value (string).
+ * @param {Set<string>} tokens - Matched vocabulary tokens.
+ * @returns {Array<[number, number]>}
+ */
+export function highlightRanges(value, tokens) {
+  const ranges = [];
+  const s = String(value ?? "");
+  for (const m of s.matchAll(WORD_RX)) {
+    if (tokens.has(foldText(m[0]))) ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Build the `highlights` object attached to each search result.
+ * Only fields present in the (projected) document are highlighted.
+ *
+ * @param {Record<string, any>} game - Result document.
+ * @param {string[]} tokens - Matched tokens from `searchGames`.
+ * @returns {{ name?: Array<[number, number]>, developers?: Array<Array<[number, number]>> }}
+ */
+export function highlightGame(game, tokens) {
+  const set = new Set(tokens);
+  const out = {};
+  if (typeof game.name === "string") out.name = highlightRanges(game.name, set);
+  if (Array.isArray(game.developers)) out.developers = game.developers.map((d) => highlightRanges(d, set));
+  return out;
+}
@@ -0,0 +1,253 @@
+// src/services/similarGames.js
+
+/**
+ * =====================================================================
+ * "More like this": per-game similarity and precomputed neighbor lists
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - similarity(base, other): score + human-readable reasons from
+ *     • tag overlap      cosine of the vote-weighted `tags` objects
+ *     • genres/categories Jaccard overlap
+ *     • same developer / publisher
+ *     • price band       same band as the base game (neighbor band: half)
+ *     • platforms        share of the base game's platforms also supported
+ * - computeNeighbors(game): pulls a candidate pool that shares at least a
+ *   genre, developer, publisher or top tag, scores it and keeps the best.
+ * - Precomputed lists live in `game_neighbors` (models/GameNeighbors.js):
+ *   getStoredNeighbors() returns a fresh list or null, refreshNeighbors()
+ *   is the batch job behind `npm run neighbors`.
+ *
+ * Safety policies are NOT applied here: stored lists are profile-independent
+ * and the router filters them (or passes `extraMatch`) for restricted profiles.
+ * =====================================================================
+ */
+
+import Game from "../models/Game.js";
+import GameNeighbors from "../models/GameNeighbors.js";
+import { tagVector, cosineSimilarity } from "./recommendations.js";
+
+/** Bump when the scoring changes: stored lists of older versions are stale. */
+export const SIMILARITY_VERSION = 1;
+
+/** Max points per signal. */
+export const SIMILAR_WEIGHTS = Object.freeze({
+  tags: 40,
+  genres: 20,
+  categories: 10,
+  developer: 12,
+  publisher: 6,
+  price: 6,
+  platforms: 6,
+});
+
+/** Neighbors stored per game (the endpoint serves a prefix). */
+export const NEIGHBORS_STORED = 50;
+
+/** Fields similarity() reads. */
+export const SIMILAR_FIELDS = [
+  "appid", "name", "tags", "genres", "categories", "developers", "publishers",
+  "price", "windows", "mac", "linux",
+];
+
+/** Candidates scored per game (most recommended first). */
+const POOL_SIZE = 300;
+
+/** Tags of the base game used to find candidates. */
+const CANDIDATE_TAGS = 5;
+
+/** Price band lower bounds (same cut points as the price facet). */
+const PRICE_BANDS = [0, 0.01, 5, 10, 20, 30, 50];
+
+const PLATFORMS = { windows: "Windows", mac: "macOS", linux: "Linux" };
+
+/** Array field as a set of trimmed strings. */
+const setOf = (v) => new Set(Array.isArray(v) ? v.map(x => String(x).trim()).filter(Boolean) : []);
+
+/**
+ * Shared values and Jaccard index of two sets.
+ * @returns {{ shared: string[], index: number }}
+ */
+function overlap(a, b) {
+  const shared = Array.from(a).filter(x => b.has(x));
+  const union = a.size + b.size - shared.length;
+  return { shared, index: union ? shared.length / union : 0 };
+}
+
+/**
+ * Index of the price band a price falls in, or null without a price.
+ * @param {unknown} price
+ * @returns {number|null}
+ */
+function priceBand(price) {
+  const p = Number(price);
+  if (price == null || !Number.isFinite(p)) return null;
+  let band = 0;
+  PRICE_BANDS.forEach((from, i) => { if (p >= from) band = i; });
+  return band;
+}
+
+/**
+ * Similarity of `other` to `base`, with the reasons behind the score.
+ *
+ * @param {object} base - Game (SIMILAR_FIELDS).
+ * @param {object} other - Game (SIMILAR_FIELDS).
+ * @param {typeof SIMILAR_WEIGHTS} [weights=SIMILAR_WEIGHTS]
+ * @returns {{ score: number, reasons: string[] }} score in 0..100.
+ */
+export function similarity(base, other, weights = SIMILAR_WEIGHTS) {
+  let score = 0;
+  const reasons = [];
+
+  const baseTags = tagVector(base.tags);
+  const otherTags = tagVector(other.tags);
+  const cos = cosineSimilarity(baseTags, otherTags);
+  if (cos > 0) {
+    const shared = Array.from(baseTags.keys()).filter(t => otherTags.has(t));
+    score += weights.tags * cos;
+    reasons.push(`${shared.length} shared tag${shared.length > 1 ? "s" : ""} (${shared.slice(0, 3).join(", ")})`);
+  }
+
+  const genres = overlap(setOf(base.genres), setOf(other.genres));
+  if (genres.shared.length) {
+    score += weights.genres * genres.index;
+    reasons.push(`shared genre${genres.shared.length > 1 ? "s" : ""} ${genres.shared.slice(0, 3).join(", ")}`);
+  }
+
+  const categories = overlap(setOf(base.categories), setOf(other.categories));
+  if (categories.shared.length) score += weights.categories * categories.index;
+
+  const dev = Array.from(setOf(base.developers)).find(d => setOf(other.developers).has(d));
+  if (dev) {
+    score += weights.developer;
+    reasons.push(`same developer ${dev}`);
+  }
+  const pub = Array.from(setOf(base.publishers)).find(p => setOf(other.publishers).has(p));
+  if (pub && pub !== dev) {
+    score += weights.publisher;
+    reasons.push(`same publisher ${pub}`);
+  }
+
+  const bandA = priceBand(base.price);
+  const bandB = priceBand(other.price);
+  if (bandA != null && bandB != null && Math.abs(bandA - bandB) <= 1) {
+    score += bandA === bandB ? weights.price : weights.price / 2;
+    if (bandA === bandB) reasons.push(Number(base.price) === 0 && Number(other.price) === 0 ? "also free" : "same price range");
+  }
+
+  const basePlatforms = Object.keys(PLATFORMS).filter(p => base[p] === true);
+  if (basePlatforms.length) {
+    const common = basePlatforms.filter(p => other[p] === true);
+    score += (weights.platforms * common.length) / basePlatforms.length;
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Candidate filter: other games sharing a genre, developer, publisher or
+ * one of the base game's top tags.
+ *
+ * @param {object} game - Base game (SIMILAR_FIELDS).
+ * @returns {import("mongodb").Filter<unknown>|null} null when nothing to match on.
+ */
+function candidateFilter(game) {
+  const or = [];
+  const genres = Array.from(setOf(game.genres));
+  const developers = Array.from(setOf(game.developers));
+  const publishers = Array.from(setOf(game.publishers));
+  if (genres.length) or.push({ genres: { $in: genres } });
+  if (developers.length) or.push({ developers: { $in: developers } });
+  if (publishers.length) or.push({ publishers: { $in: publishers } });
+
+  Array.from(tagVector(game.tags).entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CANDIDATE_TAGS)
+    .forEach(([t]) => or.push({ [`tags.${t}`]: { $exists: true } }));
+
+  return or.length ? { appid: { $ne: String(game.appid) }, $or: or } : null;
+}
+
+/**
+ * Score a candidate pool for `game` and return its best neighbors.
+ *
+ * @param {object} game - Base game (SIMILAR_FIELDS).
+ * @param {{ extraMatch?: object|null, limit?: number }} [opts]
+ *   extraMatch: additional condition on candidates (e.g. kid safety).
+ * @returns {Promise<{ appid:string, score:number, reasons:string[] }[]>}
+ */
+export async function computeNeighbors(game, { extraMatch = null, limit = NEIGHBORS_STORED } = {}) {
+  const filter = candidateFilter(game);
+  if (!filter) return [];
+  const match = extraMatch ? { $and: [filter, extraMatch] } : filter;
+
+  const pool = await Game.find(match)
+    .select(SIMILAR_FIELDS.join(" "))
+    .sort({ recommendations: -1 })
+    .limit(POOL_SIZE)
+    .lean();
+  // MongoDB (shell) equivalent:
+  // db.games.find(
+  //   { appid: { $ne: "<appid>" }, $or: [ { genres: { $in: [...] } }, { developers: { $in: [...] } },
+  //                                       { "tags.Roguelike": { $exists: true } }, ... ] },
+  //   { appid: 1, name: 1, tags: 1, genres: 1, ... }
+  // ).sort({ recommendations: -1 }).limit(300)
+
+  return pool
+    .map(c => ({ appid: String(c.appid), ...similarity(game, c) }))
+    .filter(n => n.score > 0)
+    .sort((a, b) => b.score - a.score || a.appid.localeCompare(b.appid))
+    .slice(0, limit);
+}
+
+/**
+ * Store a neighbor list (upsert by appid).
+ * @param {string} appid
+ * @param {{ appid:string, score:number, reasons:string[] }[]} neighbors
+ */
+export async function saveNeighbors(appid, neighbors) {
+  await GameNeighbors.updateOne(
+    { appid: String(appid) },
+    { $set: { neighbors, computedAt: new Date(), version: SIMILARITY_VERSION } },
+    { upsert: true }
+  );
+  // MongoDB (shell) equivalent:
+  // db.game_neighbors.updateOne({ appid: "<appid>" }, { $set: { neighbors: [...], computedAt: new Date(), version: 1 } }, { upsert: true })
+}
+
+/**
+ * Stored neighbor list of a game, or null when missing or stale.
+ * @param {{ appid:string, ingested_at?: Date }} game
+ * @returns {Promise<{ neighbors:object[], computedAt:Date }|null>}
+ */
+export async function getStoredNeighbors(game) {
+  const doc = await GameNeighbors.findOne({ appid: String(game.appid) }).lean();
+  // MongoDB (shell) equivalent:
+  // db.game_neighbors.findOne({ appid: "<appid>" })
+  if (!doc || doc.version !== SIMILARITY_VERSION) return null;
+  if (game.ingested_at && doc.computedAt < game.ingested_at) return null;
+  return doc;
+}
+
+/**
+ * Batch job: (re)compute neighbor lists.
+ *
+ * @param {{ all?: boolean, max?: number, onProgress?: (p:{done:number}) => void }} [opts]
+ *   all: recompute every game (default: only missing or stale lists);
+ *   max: stop after this many games.
+ * @returns {Promise<{ scanned:number, computed:number, skipped:number }>}
+ */
+export async function refreshNeighbors({ all = false, max = Infinity, onProgress } = {}) {
+  const totals = { scanned: 0, computed: 0, skipped: 0 };
+  const cursor = Game.find({}, [...SIMILAR_FIELDS, "ingested_at"].join(" ")).lean().cursor();
+
+  for await (const game of cursor) {
+    if (totals.computed >= max) break;
+    totals.scanned += 1;
+    if (!all && (await getStoredNeighbors(game))) { totals.skipped += 1; continue; }
+
+    await saveNeighbors(game.appid, await computeNeighbors(game));
+    totals.computed += 1;
+    if (onProgress && totals.computed % 100 === 0) onProgress({ done: totals.computed });
+  }
+  return totals;
+}
@@ -0,0 +1,268 @@
+// src/services/statsPresets.js
+
+/**
+ * =====================================================================
+ * Statistics presets (GET /api/games/stats/:preset)
+ * ---------------------------------------------------------------------
+ * What this module does
+ * - STATS_PRESETS: the curated analytics of the dashboard, as named,
+ *   parameterized aggregation pipelines on games. Each preset has
+ *     • title / description / chart: what the frontend shows and how
+ *       ("stacked-area" | "histogram" | "scatter" | "bars" | "lines")
+ *     • params: JSON schema of its query parameters (validated by the
+ *       route, documented by /api/docs), with defaults
+ *     • pipeline(params): the stages
+ *     • shape(rows, params): rows -> chart-ready data
+ * - runStatsPreset(name, query, { safety }): resolves the parameters,
+ *   puts the profile's safety $match first, checks the pipeline against
+ *   the raw console's policy (validatePipeline) and runs it under the same
+ *   maxTimeMS bound.
+ *
+ * Unlike POST /api/games/agg, presets are open to every profile: the
+ * pipelines are fixed, and restricted profiles only aggregate the games
+ * their policy allows.
+ * =====================================================================
+ */
+
+import Game from "../models/Game.js";
+import { AGG_POLICY, validatePipeline } from "./aggregationPolicy.js";
+import { safetyMatch } from "./safetyPolicies.js";
+
+const yearParam = (description) => ({ type: "integer", minimum: 1970, maximum: 2100, description });
+
+/** `release_year` bounds of the from/to parameters (open ends ignored). */
+function yearRange({ from, to }) {
+  const range = {
+    ...(from != null ? { $gte: from } : {}),
+    ...(to != null ? { $lte: to } : {}),
+  };
+  return Object.keys(range).length ? range : { $ne: null };
+}
+
+/** Sorted distinct years of grouped rows. */
+const yearsOf = (rows, pick) => Array.from(new Set(rows.map(pick))).sort((a, b) => a - b);
+
+/**
+ * Named presets (keys are the URL names).
+ * @type {Record<string, { title:string, description:string, chart:string, params:object,
+ *   pipeline:(p:Record<string, any>) => object[], shape:(rows:object[], p:Record<string, any>) => object }>}
+ */
+export const STATS_PRESETS = {
+  "genre-share": {
+    title: "Genre share by release year",
+    description: "Share of each genre among the genres of the games released each year; the smaller genres are grouped as \"Other\".",
+    chart: "stacked-area",
+    params: {
+      from: yearParam("First release year."),
+      to: yearParam("Last release year."),
+      top: { type: "integer", minimum: 1, maximum: 12, default: 6, description: "Genres shown (by total games)." },
+    },
+    pipeline: (p) => [
+      { $match: { release_year: yearRange(p), genres: { $exists: true, $ne: [] } } },
+      { $unwind: "$genres" },
+      { $group: { _id: { year: "$release_year", genre: "$genres" }, games: { $sum: 1 } } },
+      { $sort: { "_id.year": 1 } },
+    ],
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([{ $match: { release_year: { $gte: 2010 }, genres: { $exists: true, $ne: [] } } },
+    //   { $unwind: "$genres" }, { $group: { _id: { year: "$release_year", genre: "$genres" }, games: { $sum: 1 } } },
+    //   { $sort: { "_id.year": 1 } }])
+    shape: (rows, p) => {
+      const totals = new Map();
+      rows.forEach(r => totals.set(r._id.genre, (totals.get(r._id.genre) || 0) + r.games));
+      const top = [...totals.entries()].sort((a, b) => b[1] - a[1]).slice(0, p.top).map(([g]) => g);
+      const years = yearsOf(rows, r => r._id.year);
+      const keys = totals.size > top.length ? [...top, "Other"] : top;
+      const counts = Object.fromEntries(keys.map(k => [k, years.map(() => 0)]));
+      rows.forEach(r => {
+        const key = top.includes(r._id.genre) ? r._id.genre : "Other";
+        counts[key][years.indexOf(r._id.year)] += r.games;
+      });
+      const yearTotals = years.map((_, i) => keys.reduce((sum, k) => sum + counts[k][i], 0));
+      return {
+        x: years,
+        series: keys.map(k => ({
+          key: k,
+          values: counts[k].map((n, i) => (yearTotals[i] ? n / yearTotals[i] : 0)),
+          counts: counts[k],
+        })),
+      };
+    },
+  },
+
+  "price-histogram": {
+    title: "Price distribution",
+    description: "Games per price band; free games have their own bar and prices above `max` share the last one.",
+    chart: "histogram",
+    params: {
+      width: { type: "number", minimum: 0.5, maximum: 50, default: 5, description: "Band width." },
+      max: { type: "number", minimum: 5, maximum: 500, default: 60, description: "Start of the open-ended last band." },
+    },
+    pipeline: (p) => [
+      { $match: { price: { $gte: 0 } } },
+      {
+        $group: {
+          _id: {
+            $cond: [
+              { $eq: ["$price", 0] },
+              -1,
+              { $multiply: [{ $floor: { $divide: [{ $min: ["$price", p.max] }, p.width] } }, p.width] },
+            ],
+          },
+          games: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ],
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([{ $match: { price: { $gte: 0 } } },
+    //   { $group: { _id: { $cond: [{ $eq: ["$price", 0] }, -1,
+    //       { $multiply: [{ $floor: { $divide: [{ $min: ["$price", 60] }, 5] } }, 5] }] }, games: { $sum: 1 } } },
+    //   { $sort: { _id: 1 } }])
+    shape: (rows, p) => {
+      const last = Math.floor(p.max / p.width) * p.width; // band of every price >= max
+      return {
+        bars: rows.map(r => ({
+          from: r._id < 0 ? 0 : r._id,
+          to: r._id < 0 ? 0 : (r._id >= last ? null : r._id + p.width),
+          free: r._id < 0,
+          value: r.games,
+        })),
+      };
+    },
+  },
+
+  "score-vs-price": {
+    title: "User score vs price",
+    description: "A random sample of scored games; `r` is the correlation between price and score over the sample.",
+    chart: "scatter",
+    params: {
+      sample: { type: "integer", minimum: 50, maximum: 2000, default: 400, description: "Games sampled." },
+    },
+    pipeline: (p) => [
+      { $match: { user_score: { $gt: 0 }, price: { $gte: 0 } } },
+      { $sample: { size: p.sample } },
+      { $project: { _id: 0, appid: 1, name: 1, price: 1, user_score: 1 } },
+    ],
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([{ $match: { user_score: { $gt: 0 }, price: { $gte: 0 } } }, { $sample: { size: 400 } },
+    //   { $project: { _id: 0, appid: 1, name: 1, price: 1, user_score: 1 } }])
+    shape: (rows) => {
+      const n = rows.length;
+      const mean = (f) => rows.reduce((s, r) => s + f(r), 0) / n;
+      let r = null;
+      if (n > 2) {
+        const mx = mean(g => g.price), my = mean(g => g.user_score);
+        const cov = mean(g => (g.price - mx) * (g.user_score - my));
+        const sx = Math.sqrt(mean(g => (g.price - mx) ** 2)), sy = Math.sqrt(mean(g => (g.user_score - my) ** 2));
+        r = sx && sy ? Math.round(cov / (sx * sy) * 1000) / 1000 : null;
+      }
+      return { points: rows.map(g => ({ appid: String(g.appid), name: g.name, x: g.price, y: g.user_score })), r };
+    },
+  },
+
+  "top-developers": {
+    title: "Top developers by average user score",
+    description: "Developers with at least `minGames` scored games, best average first.",
+    chart: "bars",
+    params: {
+      minGames: { type: "integer", minimum: 1, maximum: 100, default: 5, description: "Scored games a developer needs." },
+      limit: { type: "integer", minimum: 1, maximum: 50, default: 15, description: "Developers listed." },
+    },
+    pipeline: (p) => [
+      { $match: { user_score: { $gt: 0 }, developers: { $exists: true, $ne: [] } } },
+      { $unwind: "$developers" },
+      { $group: { _id: "$developers", avgScore: { $avg: "$user_score" }, games: { $sum: 1 } } },
+      { $match: { games: { $gte: p.minGames } } },
+      { $sort: { avgScore: -1, games: -1, _id: 1 } },
+      { $limit: p.limit },
+    ],
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([{ $match: { user_score: { $gt: 0 } } }, { $unwind: "$developers" },
+    //   { $group: { _id: "$developers", avgScore: { $avg: "$user_score" }, games: { $sum: 1 } } },
+    //   { $match: { games: { $gte: 5 } } }, { $sort: { avgScore: -1, games: -1, _id: 1 } }, { $limit: 15 }])
+    shape: (rows) => ({
+      bars: rows.map(r => ({ label: r._id, value: Math.round(r.avgScore * 10) / 10, games: r.games })),
+    }),
+  },
+
+  "platform-coverage": {
+    title: "Platform coverage by release year",
+    description: "Share of each year's releases available on Windows, macOS and Linux.",
+    chart: "lines",
+    params: {
+      from: yearParam("First release year."),
+      to: yearParam("Last release year."),
+    },
+    pipeline: (p) => [
+      { $match: { release_year: yearRange(p) } },
+      {
+        $group: {
+          _id: "$release_year",
+          games: { $sum: 1 },
+          windows: { $sum: { $cond: ["$windows", 1, 0] } },
+          mac: { $sum: { $cond: ["$mac", 1, 0] } },
+          linux: { $sum: { $cond: ["$linux", 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ],
+    // MongoDB (shell) equivalent:
+    // db.games.aggregate([{ $match: { release_year: { $gte: 2010 } } },
+    //   { $group: { _id: "$release_year", games: { $sum: 1 }, windows: { $sum: { $cond: ["$windows", 1, 0] } }, ... } },
+    //   { $sort: { _id: 1 } }])
+    shape: (rows) => ({
+      x: rows.map(r => r._id),
+      games: rows.map(r => r.games),
+      series: ["windows", "mac", "linux"].map(key => ({ key, values: rows.map(r => (r.games ? r[key] / r.games : 0)) })),
+    }),
+  },
+};
+
+/**
+ * Parameters of a preset from a query string: numbers parsed, defaults
+ * filled in (the route already validated the values).
+ *
+ * @param {string} name
+ * @param {Record<string, unknown>} query
+ * @returns {Record<string, number|null>}
+ */
+export function presetParams(name, query = {}) {
+  return Object.fromEntries(Object.entries(STATS_PRESETS[name].params).map(([key, schema]) => {
+    const raw = query[key];
+    const value = raw == null || raw === "" ? schema.default ?? null : Number(raw);
+    return [key, value];
+  }));
+}
+
+/**
+ * Pipeline of a preset for a profile: safety $match first, then the stages.
+ *
+ * @param {string} name
+ * @param {Record<string, any>} params - From presetParams.
+ * @param {object[]|null} safety - Compiled rules of the profile's policy.
+ * @returns {object[]}
+ */
+export function presetPipeline(name, params, safety) {
+  const pipe = [
+    ...(safety ? [{ $match: safetyMatch(safety) }] : []),
+    ...STATS_PRESETS[name].pipeline(params),
+  ];
+  validatePipeline(pipe); // fixed stages, but held to the console's rules all the same
+  return pipe;
+}
+
+/**
+ * Run a preset.
+ *
+ * @param {string} name - Key of STATS_PRESETS.
+ * @param {Record<string, unknown>} query - Request query.
+ * @param {{ safety: object[]|null }} opts
+ * @returns {Promise<{ preset:string, params:object, data:object }>}
+ */
+export async function runStatsPreset(name, query, { safety }) {
+  const params = presetParams(name, query);
+  const rows = await Game.aggregate(presetPipeline(name, params, safety), { allowDiskUse: true })
+    .option({ maxTimeMS: AGG_POLICY.maxTimeMS });
+  return { preset: name, params, data: STATS_PRESETS[name].shape(rows, params) };
+}
@@ -0,0 +1,65 @@
+// src/services/textPatterns.js
+
+/**
+ * =====================================================================
+ * Diacritic-insensitive regex helpers
+ * ---------------------------------------------------------------------
+ * Shared by the search filters (routes/games.js) and the content-safety
+ * policies (services/safetyPolicies.js), so a term like "Nudite" written
+ * with or without accents is matched the same way everywhere.
+ * =====================================================================
+ */
+
+
+/**
+ * Escape RegExp metacharacters to safely embed arbitrary text inside regexes.
+ * @param {string} s - Raw user text or term.
+ * @returns {string} - Escaped string that can be safely used inside new RegExp().
+ */
+export function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Mapping from a base Latin letter to a string of common diacritic variants.
+ * Used to build accent-insensitive character classes for search inputs.
+ */
+const DIACRITIC_MAP = {
+  a: "aàáâäãåāăą",
+  c: "cçćčĉ",
+  d: "dďđ",
+  e: "eèéêëēĕėę",
+  g: "gğĝ",
+  h: "hĥȟ",
+  i: "iìíîïīĭį",
+  l: "lĺļľł",
+  n: "nñńňņ",
+  o: "oòóôöõōŏő",
+  r: "rŕŗř",
+  s: "sßśšşș",
+  t: "tţťț",
+  u: "uùúûüūŭůű",
+  y: "yýÿŷ",
+  z: "zźżž",
+};
+
+/**
+ * Convert a plain string to a diacritic-insensitive regex pattern.
+ * Example: "cafe" -> "[cç][aàáâäãåāăą]f[eèéêëēĕėę]"
+ * - Letters with known diacritics become character classes.
+ * - Other characters are escaped literally.
+ * @param {string} source - Input text (e.g., search term).
+ * @returns {string} - Regex pattern string (not a RegExp object).
+ */
+export function toDiacriticRegex(source) {
+  const chars = String(source).split("");
+  const out = chars.map((ch) => {
+    const low = ch.toLowerCase();
+    if (DIACRITIC_MAP[low]) {
+      const cls = DIACRITIC_MAP[low].split("").map(escapeRegExp).join("");
+      return `[${cls}]`;
+    }
+    return escapeRegExp(ch);
+  });
+  return out.join("");
+}
@@ -0,0 +1,154 @@
+// test/aggregationPolicy.test.js
+// The raw-aggregation policy (services/aggregationPolicy.js) is the security
+// boundary of POST /api/games/agg: collection allowlist, forbidden operators
+// at any depth, located violations and the forced trailing $limit.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  AGG_POLICY, PipelineViolation, validatePipeline, capResults, resolveResultLimit,
+} from "../src/services/aggregationPolicy.js";
+
+/**
+ * Assert that a pipeline is rejected with this code at this path.
+ * @param {unknown} pipeline
+ * @param {string} code
+ * @param {string} path
+ */
+function assertViolation(pipeline, code, path) {
+  assert.throws(() => validatePipeline(pipeline), (err) => {
+    assert.ok(err instanceof PipelineViolation);
+    assert.equal(err.code, code);
+    assert.equal(err.path, path);
+    return true;
+  });
+}
+
+const lookupUsers = { $lookup: { from: "users", localField: "appid", foreignField: "_id", as: "u" } };
+
+describe("validatePipeline", () => {
+  it("accepts an allowed pipeline", () => {
+    assert.doesNotThrow(() => validatePipeline([
+      { $match: { price: { $lt: 10 } } },
+      { $lookup: { from: "gotys", localField: "appid", foreignField: "appid", as: "picks" } },
+      { $group: { _id: "$release_year", n: { $sum: 1 } } },
+      { $sort: { n: -1 } },
+    ]));
+  });
+
+  describe("$lookup allowlist", () => {
+    it("rejects users at the root", () => {
+      assertViolation([{ $match: {} }, lookupUsers], "lookup_collection_not_allowed", "pipeline[1].$lookup.from");
+    });
+
+    it("rejects users inside a $facet sub-pipeline", () => {
+      assertViolation(
+        [{ $facet: { top: [{ $limit: 5 }], who: [lookupUsers] } }],
+        "lookup_collection_not_allowed",
+        "pipeline[0].$facet.who[0].$lookup.from",
+      );
+    });
+
+    it("rejects games, which would skip the soft-delete filter", () => {
+      assertViolation(
+        [{ $lookup: { from: "games", localField: "appid", foreignField: "appid", as: "g" } }],
+        "lookup_collection_not_allowed",
+        "pipeline[0].$lookup.from",
+      );
+    });
+
+    it("rejects users inside an allowed $lookup pipeline", () => {
+      assertViolation(
+        [{ $lookup: { from: "gotys", pipeline: [lookupUsers], as: "g" } }],
+        "lookup_collection_not_allowed",
+        "pipeline[0].$lookup.pipeline[0].$lookup.from",
+      );
+    });
+
+    it("reports the offending collection", () => {
+      assert.throws(() => validatePipeline([lookupUsers]), (err) => {
+        assert.deepEqual(err.toJSON(), { error: "lookup_collection_not_allowed", path: "pipeline[0].$lookup.from", detail: "users" });
+        return true;
+      });
+    });
+  });
+
+  describe("forbidden operators", () => {
+    it("rejects $out and $merge as stages", () => {
+      assertViolation([{ $match: {} }, { $out: "games_copy" }], "forbidden_operator", "pipeline[1].$out");
+      assertViolation([{ $merge: { into: "games" } }], "forbidden_operator", "pipeline[0].$merge");
+    });
+
+    it("rejects $out and $merge nested in sub-pipelines", () => {
+      assertViolation([{ $facet: { a: [{ $out: "x" }] } }], "forbidden_operator", "pipeline[0].$facet.a[0].$out");
+      assertViolation(
+        [{ $lookup: { from: "gotys", pipeline: [{ $merge: { into: "gotys" } }], as: "g" } }],
+        "forbidden_operator",
+        "pipeline[0].$lookup.pipeline[0].$merge",
+      );
+    });
+
+    it("rejects JS operators at any depth", () => {
+      assertViolation([{ $match: { $where: "true" } }], "forbidden_operator", "pipeline[0].$match.$where");
+      assertViolation(
+        [{ $addFields: { x: { $cond: [true, { $function: { body: "", args: [], lang: "js" } }, 0] } } }],
+        "forbidden_operator",
+        "pipeline[0].$addFields.x.$cond[1].$function",
+      );
+      assertViolation(
+        [{ $group: { _id: null, x: { $accumulator: {} } } }],
+        "forbidden_operator",
+        "pipeline[0].$group.x.$accumulator",
+      );
+    });
+  });
+
+  describe("shape and caps", () => {
+    it("rejects stages outside the allowlist", () => {
+      assertViolation([{ $graphLookup: {} }], "stage_not_allowed", "pipeline[0].$graphLookup");
+    });
+
+    it("rejects malformed stages", () => {
+      assertViolation({ $match: {} }, "pipeline_must_be_array", "pipeline");
+      assertViolation([{ $match: {}, $limit: 1 }], "one_operator_per_stage", "pipeline[0]");
+      assertViolation([[]], "stage_must_be_object", "pipeline[0]");
+    });
+
+    it("caps stages per pipeline", () => {
+      const stages = Array.from({ length: AGG_POLICY.maxStages + 1 }, () => ({ $match: {} }));
+      assertViolation(stages, "too_many_stages", "pipeline");
+    });
+
+    it("caps sub-pipeline nesting", () => {
+      let pipeline = [{ $limit: 1 }];
+      for (let i = 0; i <= AGG_POLICY.maxNesting; i += 1) pipeline = [{ $facet: { f: pipeline } }];
+      assertViolation(pipeline, "max_nesting_exceeded", "pipeline[0].$facet.f[0].$facet.f[0].$facet.f");
+    });
+
+    it("caps expression depth", () => {
+      let expr = 1;
+      for (let i = 0; i <= AGG_POLICY.maxDepth; i += 1) expr = { $abs: expr };
+      assert.throws(() => validatePipeline([{ $addFields: { x: expr } }]), { code: "max_depth_exceeded" });
+    });
+  });
+});
+
+describe("capResults", () => {
+  it("appends the trailing $limit without touching the input", () => {
+    const pipeline = [{ $match: {} }];
+    assert.deepEqual(capResults(pipeline, 50), [{ $match: {} }, { $limit: 50 }]);
+    assert.deepEqual(pipeline, [{ $match: {} }]);
+  });
+
+  it("appends it after a user $limit too", () => {
+    assert.deepEqual(capResults([{ $limit: 5000 }], 100), [{ $limit: 5000 }, { $limit: 100 }]);
+  });
+
+  it("is fed a limit clamped to the policy", () => {
+    assert.equal(resolveResultLimit(undefined), AGG_POLICY.defaultLimit);
+    assert.equal(resolveResultLimit(-3), AGG_POLICY.defaultLimit);
+    assert.equal(resolveResultLimit(AGG_POLICY.maxLimit * 10), AGG_POLICY.maxLimit);
+    assert.equal(resolveResultLimit(12.7), 12);
+  });
+});
@@ -0,0 +1,209 @@
+// test/auth.test.js
+// Session layer (login / logout / me) and the guards of middleware/auth.js,
+// driven through the Express app against an in-memory MongoDB.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import supertest from "supertest";
+
+import { createApp } from "../src/app.js";
+import Profile from "../src/models/Profile.js";
+import Game from "../src/models/Game.js";
+import GameCollection from "../src/models/GameCollection.js";
+import { startMongo, signIn } from "./helpers.js";
+
+const mongo = await startMongo();
+
+describe("auth", { skip: mongo.skip }, () => {
+  const app = createApp({ logRequests: false });
+  const api = supertest(app);
+  let member, admin;
+
+  before(async () => {
+    member = await signIn(app, { email: "member@example.com" });
+    admin = await signIn(app, { email: "admin@example.com", role: "admin" });
+    await Profile.create([
+      { key: "mine", name: "Mine", role: "adult", user: member.user._id },
+      { key: "minekid", name: "Mine (kid)", role: "child", user: member.user._id },
+      { key: "shared", name: "Shared", role: "adult" },
+    ]);
+  });
+
+  after(() => mongo.stop());
+
+  describe("POST /api/auth/login", () => {
+    it("rejects missing credentials", async () => {
+      const res = await api.post("/api/auth/login").send({ email: "member@example.com" });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "missing_credentials");
+    });
+
+    it("validates the body against its schema", async () => {
+      const res = await api.post("/api/auth/login").send({ email: 42, password: "x" });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "validation_error");
+      assert.equal(res.body.details["body.email"], "must be string");
+    });
+
+    it("rejects a wrong password", async () => {
+      const res = await api.post("/api/auth/login").send({ email: "member@example.com", password: "nope nope" });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "invalid_credentials");
+    });
+
+    it("returns a token and sets the session cookie", async () => {
+      const res = await api.post("/api/auth/login").send({ email: "MEMBER@example.com", password: "correct horse" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.email, "member@example.com");
+      assert.ok(res.body.token);
+      assert.match(res.headers["set-cookie"].join(";"), /sid=/);
+    });
+  });
+
+  describe("GET /api/auth/me", () => {
+    it("answers user:null when anonymous", async () => {
+      const res = await api.get("/api/auth/me");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user, null);
+    });
+
+    it("returns the account and the profiles it owns", async () => {
+      const res = await api.get("/api/auth/me").set("Authorization", `Bearer ${member.token}`);
+      assert.equal(res.body.user.email, "member@example.com");
+      assert.equal(res.body.user.role, "member");
+      assert.deepEqual(res.body.user.profiles, ["mine", "minekid"]);
+    });
+  });
+
+  describe("POST /api/auth/logout", () => {
+    it("needs a session", async () => {
+      const res = await api.post("/api/auth/logout");
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { ok: false, error: "unauthorized" });
+    });
+
+    it("revokes every token of the account", async () => {
+      const session = await signIn(app, { email: "leaving@example.com" });
+      const out = await api.post("/api/auth/logout").set("Authorization", `Bearer ${session.token}`);
+      assert.equal(out.status, 200);
+
+      const res = await api.get("/api/auth/me").set("Authorization", `Bearer ${session.token}`);
+      assert.equal(res.body.user, null);
+    });
+  });
+
+  describe("requireRole", () => {
+    it("answers 401 without a session", async () => {
+      const res = await api.get("/api/users");
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "unauthorized");
+    });
+
+    it("answers 403 to other roles", async () => {
+      const res = await api.get("/api/users").set("Authorization", `Bearer ${member.token}`);
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body, { ok: false, error: "forbidden" });
+    });
+
+    it("lets the role through", async () => {
+      const res = await api.get("/api/users").set("Authorization", `Bearer ${admin.token}`);
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe("requireProfileAccess", () => {
+    it("lets the owner write", async () => {
+      const res = await api.put("/api/profiles/mine/favorites/10").set("Authorization", `Bearer ${member.token}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.items, ["10"]);
+    });
+
+    it("keeps unowned profiles admin-only", async () => {
+      const res = await api.put("/api/profiles/shared/favorites/10").set("Authorization", `Bearer ${member.token}`);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "forbidden");
+
+      const ok = await api.put("/api/profiles/shared/favorites/10").set("Authorization", `Bearer ${admin.token}`);
+      assert.equal(ok.status, 200);
+    });
+  });
+
+  describe("POST /api/games/search explain", () => {
+    it("needs a session", async () => {
+      const res = await api.post("/api/games/search?explain=1").send({});
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "unauthorized");
+    });
+
+    it("keeps the raw plan admin-only", async () => {
+      const res = await api.post("/api/games/search?explain=full").set("Authorization", `Bearer ${member.token}`).send({});
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "forbidden");
+    });
+
+    it("answers a plan to members", async () => {
+      const res = await api.post("/api/games/search?explain=1").set("Authorization", `Bearer ${member.token}`).send({});
+      assert.equal(res.status, 200);
+      assert.ok(res.body.explain);
+    });
+  });
+
+  describe("collection views on /api/games/search", () => {
+    let collectionId;
+
+    before(async () => {
+      await Game.create({ appid: "20", name: "Kept" });
+      const doc = await GameCollection.create({ profile: "mine", name: "Couch", entries: [{ appid: "20" }] });
+      collectionId = String(doc._id);
+    });
+
+    const search = () => api.post("/api/games/search")
+      .send({ filters: { category: collectionId, profile: "mine" }, sort: "collection" });
+
+    it("lists the games for the owner", async () => {
+      const res = await search().set("Authorization", `Bearer ${member.token}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.items.map(g => g.appid), ["20"]);
+    });
+
+    it("resolves to nothing for other callers", async () => {
+      const anonymous = await search();
+      assert.deepEqual(anonymous.body.items, []);
+
+      const other = await signIn(app, { email: "other@example.com" });
+      const res = await search().set("Authorization", `Bearer ${other.token}`);
+      assert.deepEqual(res.body.items, []);
+    });
+  });
+
+  describe("POST /api/games/agg guards", () => {
+    const pipeline = [{ $match: {} }];
+
+    it("requires a profile", async () => {
+      const res = await api.post("/api/games/agg").set("Authorization", `Bearer ${member.token}`).send({ pipeline });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, "invalid_profile");
+    });
+
+    it("refuses restricted profiles, even the caller's own", async () => {
+      const res = await api.post("/api/games/agg").set("Authorization", `Bearer ${member.token}`)
+        .send({ pipeline, profile: "minekid" });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "profile_forbidden");
+    });
+
+    it("refuses profiles of other accounts", async () => {
+      const res = await api.post("/api/games/agg").set("Authorization", `Bearer ${member.token}`)
+        .send({ pipeline, profile: "shared" });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "forbidden");
+    });
+
+    it("runs for an unrestricted profile of the caller", async () => {
+      const res = await api.post("/api/games/agg").set("Authorization", `Bearer ${member.token}`)
+        .send({ pipeline, profile: "mine" });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.items, []);
+    });
+  });
+});
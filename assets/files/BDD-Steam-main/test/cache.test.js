@@ -0,0 +1,58 @@
+// test/cache.test.js
+// The response cache reads, writes and invalidates through whatever store
+// createApp({ cacheStore }) installs (services/cache.js).
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { createApp } from "../src/app.js";
+import { MemoryCacheStore, setCacheStore, readCache, writeCache, invalidateCache } from "../src/services/cache.js";
+
+/** CacheStore recording every call. */
+function stubStore() {
+  const data = new Map();
+  const calls = [];
+  return {
+    calls,
+    async get(key) { calls.push(["get", key]); return data.get(key); },
+    async set(key, value, ttlMs) { calls.push(["set", key, ttlMs]); data.set(key, value); },
+    async clear(prefix) {
+      calls.push(["clear", prefix]);
+      const keys = [...data.keys()].filter(k => k.startsWith(prefix));
+      keys.forEach(k => data.delete(k));
+      return keys.length;
+    },
+  };
+}
+
+describe("cache store", () => {
+  const store = stubStore();
+  createApp({ logRequests: false, cacheStore: store });
+  after(() => setCacheStore(new MemoryCacheStore()));
+
+  it("writes and reads through the installed store", async () => {
+    const written = await writeCache("search", { q: "portal" }, { ok: true, items: [1] });
+    assert.equal(written.hit, false);
+    assert.match(written.etag, /^W\/"/);
+
+    const read = await readCache("search", { q: "portal" });
+    assert.deepEqual(read, { body: { ok: true, items: [1] }, etag: written.etag, hit: true });
+
+    const [set] = store.calls.filter(c => c[0] === "set");
+    assert.match(set[1], /^search:/);
+    assert.equal(set[2], 60 * 1000);
+  });
+
+  it("keys equal requests alike, whatever the key order", async () => {
+    await writeCache("distinct", { field: "genres", filters: { a: 1, b: 2 } }, { ok: true });
+    assert.ok(await readCache("distinct", { filters: { b: 2, a: 1 }, field: "genres" }));
+    assert.equal(await readCache("distinct", { field: "genres", filters: { a: 2 } }), null);
+  });
+
+  it("invalidates by namespace prefix", async () => {
+    await invalidateCache("search");
+    assert.equal(await readCache("search", { q: "portal" }), null);
+    assert.ok(await readCache("distinct", { field: "genres", filters: { a: 1, b: 2 } }));
+    assert.ok(store.calls.some(c => c[0] === "clear" && c[1] === "search:"));
+  });
+});
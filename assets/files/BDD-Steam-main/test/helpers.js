@@ -0,0 +1,57 @@
+// test/helpers.js
+
+/**
+ * =====================================================================
+ * Shared test setup
+ * ---------------------------------------------------------------------
+ * - startMongo(): an in-memory MongoDB (mongodb-memory-server) with
+ *   mongoose connected to it. The first run downloads a mongod binary;
+ *   where that is impossible (offline machine, no MONGOMS_SYSTEM_BINARY)
+ *   it resolves with `{ skip: <reason> }` so database suites are skipped
+ *   instead of failing on the environment.
+ * - signIn(): a session token for an account created on the fly.
+ * =====================================================================
+ */
+
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import supertest from "supertest";
+
+import { User } from "../src/models/User.js";
+import { hashPassword } from "../src/services/auth.js";
+
+// Stable signing key, so tokens stay valid across the suite.
+process.env.AUTH_SECRET ||= "test-secret";
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it.
+ * @returns {Promise<{ stop: () => Promise<void>, skip?: undefined } | { skip: string }>}
+ */
+export async function startMongo() {
+  let mongo;
+  try {
+    mongo = await MongoMemoryServer.create();
+  } catch (err) {
+    return { skip: `in-memory MongoDB unavailable: ${err.message.split("\n")[0]}` };
+  }
+  await mongoose.connect(mongo.getUri());
+  return {
+    async stop() {
+      await mongoose.disconnect();
+      await mongo.stop();
+    },
+  };
+}
+
+/**
+ * Create an account and sign it in.
+ * @param {import("express").Express} app
+ * @param {{ name?: string, email: string, role?: "member"|"admin", password?: string }} account
+ * @returns {Promise<{ user: object, token: string }>}
+ */
+export async function signIn(app, { name = "Test", email, role = "member", password = "correct horse" }) {
+  await User.create({ name, email, role, passwordHash: await hashPassword(password) });
+  const res = await supertest(app).post("/api/auth/login").send({ email, password });
+  if (!res.body.ok) throw new Error(`login failed for ${email}: ${res.body.error}`);
+  return { user: res.body.user, token: res.body.token };
+}
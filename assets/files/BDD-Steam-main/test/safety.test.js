@@ -0,0 +1,60 @@
+// test/safety.test.js
+// Every known-unsafe game of seed/safety-fixtures.json must be rejected by
+// the built-in policies (SafetyPolicy.DEFAULTS) two ways: the in-process
+// check (services/safetyViolation.js, which the frontend guard imports as
+// /js/shared/safetyViolation.js) and MongoDB itself evaluating
+// safetyMatch(). `npm run check:safety` runs the same checks against the
+// policies stored in a live database.
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import mongoose from "mongoose";
+
+import SafetyPolicy from "../src/models/SafetyPolicy.js";
+import { compileSafetyRules, safetyMatch } from "../src/services/safetyPolicies.js";
+import { findSafetyViolation } from "../src/services/safetyViolation.js";
+import { startMongo } from "./helpers.js";
+
+const root = new URL("../", import.meta.url);
+const { fixtures } = JSON.parse(await fs.readFile(new URL("seed/safety-fixtures.json", root), "utf8"));
+
+/** Fixture games a policy must block. */
+const blockedBy = (policy) =>
+  fixtures.filter(f => f.blockedBy.includes("*") || f.blockedBy.includes(policy.key));
+
+describe("safety fixtures", () => {
+  it("are loaded", () => {
+    assert.ok(fixtures.length > 0);
+  });
+
+  for (const policy of SafetyPolicy.DEFAULTS) {
+    const rules = compileSafetyRules(policy);
+
+    describe(policy.key, () => {
+      for (const f of blockedBy(policy)) {
+        it(`${f.id}: blocked by findSafetyViolation`, () => {
+          assert.ok(findSafetyViolation(f.game, rules), `${f.game.appid} gets through`);
+        });
+      }
+    });
+  }
+});
+
+const mongo = await startMongo();
+
+describe("safetyMatch on MongoDB", { skip: mongo.skip }, () => {
+  after(() => mongo.stop());
+
+  for (const policy of SafetyPolicy.DEFAULTS) {
+    it(`${policy.key} excludes every fixture`, async () => {
+      const games = blockedBy(policy).map(f => f.game);
+      const rows = await mongoose.connection.db
+        .aggregate([{ $documents: games }, { $match: safetyMatch(compileSafetyRules(policy)) }, { $project: { _id: 0, appid: 1 } }])
+        .toArray();
+      // MongoDB (shell) equivalent:
+      // db.aggregate([{ $documents: [ ...fixture games ] }, { $match: { $nor: [...] } }, { $project: { _id: 0, appid: 1 } }])
+      assert.deepEqual(rows, []);
+    });
+  }
+});